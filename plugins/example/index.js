@@ -17,10 +17,12 @@ async function runPlugin(config) {
     const eventManager = new EventManager();
     await eventManager.initialize();
     
-    // Create an example event
+    // Create an example event, one per day: the external ID makes re-runs
+    // on the same day update that event instead of adding another
+    const today = new Date().toISOString().slice(0, 10);
     const event = {
-      timestamp: new Date().toISOString(),
       source: 'example-plugin',
+      external_id: today,
       type: 'plugin.event',
       title: 'Example Plugin Event',
       metadata: {
@@ -33,8 +35,8 @@ async function runPlugin(config) {
     };
     
     // Save the event
-    const savedEvent = await eventManager.createEvent(event);
-    console.log('Created event:', savedEvent.id);
+    const { status, id } = await eventManager.upsertEvent(event, { actor: 'plugin:example' });
+    console.log(`Event ${id} ${status}`);
     
     console.log('Example Plugin completed successfully');
   } catch (error) {
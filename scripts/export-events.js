@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * LifeOS Core Export Script
+ *
+ * Exports events as JSON, NDJSON, CSV, Markdown (one section per day) or a
+ * LifeOS Protocol bundle with attachments and a manifest (see
+ * src/lib/exporter.js). Takes the filters of GET /api/events as options of
+ * the same name. Events are written as they are read, so large exports do
+ * not need to fit in memory.
+ *
+ * Usage:
+ *   npm run export -- [--format json|ndjson|csv|markdown|bundle] [--output <file>|-]
+ *                     [--timezone <zone>] [--q <filter query>] [--type <type>]
+ *                     [--startDate <date>] [--endDate <date>] [--tags a,b] ...
+ *
+ * Without --output the file is named lifeos-export-<time>.<ext>; "-" writes
+ * to standard output.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+
+const EventManager = require('../src/lib/eventManager');
+const { EXPORT_FORMATS, EXPORT_FILTERS, exportEvents, exportFileName } = require('../src/lib/exporter');
+
+function parseArgs(argv) {
+  const options = { format: 'ndjson', filters: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!argv[i].startsWith('--') || !['format', 'output', 'timezone', ...EXPORT_FILTERS].includes(name)) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`--${name} requires a value`);
+    }
+    if (EXPORT_FILTERS.includes(name)) {
+      options.filters[name] = value;
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  return options;
+}
+
+async function exportToFile(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const toStdout = options.output === '-';
+  const file = options.output || exportFileName(options.format);
+  // Progress goes to stderr when the export itself goes to stdout
+  const log = toStdout ? console.error : console.log;
+
+  const eventManager = new EventManager();
+  await eventManager.initialize();
+
+  // Written to a temporary file first, so a failed export leaves no partial file behind
+  const tmpFile = `${file}.tmp`;
+  const output = toStdout ? process.stdout : fs.createWriteStream(tmpFile);
+
+  try {
+    const counts = await exportEvents(eventManager, output, options);
+
+    if (!toStdout) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      fs.renameSync(tmpFile, file);
+    }
+
+    const attachments = options.format === 'bundle' ? ` with ${counts.attachments} attachment(s) in ${counts.files} file(s)` : '';
+    log(`✅ Exported ${counts.events} event(s)${attachments} as ${options.format}${toStdout ? '' : ` to ${file}`}`);
+  } catch (error) {
+    if (!toStdout) {
+      output.destroy();
+      fs.rmSync(tmpFile, { force: true });
+    }
+    throw error;
+  } finally {
+    eventManager.close();
+  }
+}
+
+// Run the export if called directly
+if (require.main === module) {
+  exportToFile().catch((error) => {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportToFile };
@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+
+/**
+ * LifeOS Core Import Script
+ *
+ * Imports events from JSON, NDJSON and CSV files, such as other tools'
+ * exports. A mapping file says which of the file's fields fill which event
+ * fields (see src/lib/importer.js). Events are upserted, so records with an
+ * external_id update the events an earlier import created.
+ *
+ * NDJSON and CSV files are read as they are imported, so they can be larger
+ * than memory; a JSON file is read whole.
+ *
+ * Every event a batch creates or changes is tagged `import/<batch id>`;
+ * records that change nothing leave their event unchanged, in the batch that
+ * wrote it. Progress is saved after each chunk, so an import that stops can
+ * be resumed, and a batch can be rolled back: events it created go to the
+ * trash and events it updated are reverted to the revision before it.
+ *
+ * Usage:
+ *   npm run import -- <file> [--map mapping.json] [--source <source>] [--type <type>]
+ *                            [--format json|ndjson|csv] [--chunk 500] [--dry-run] [--resume]
+ *   npm run import -- --list
+ *   npm run import -- --rollback <batch id>
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const EventManager = require('../src/lib/eventManager');
+const { FORMATS, formatOf, readEventFile } = require('../src/lib/eventFiles');
+const { prepareMapping, mapRecord, newBatchId, batchTag, keepBatchTags, tagBatch } = require('../src/lib/importer');
+
+const ACTOR = 'system';
+const DEFAULT_CHUNK = 500;
+// Errors kept in the progress file and printed
+const MAX_SAVED_ERRORS = 100;
+const MAX_PRINTED_ERRORS = 20;
+
+function parseArgs(argv) {
+  const options = { chunk: DEFAULT_CHUNK };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--map') {
+      options.map = requireValue(argv, ++i, arg);
+    } else if (arg === '--source') {
+      options.source = requireValue(argv, ++i, arg);
+    } else if (arg === '--type') {
+      options.type = requireValue(argv, ++i, arg);
+    } else if (arg === '--format') {
+      options.format = requireValue(argv, ++i, arg);
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+      }
+    } else if (arg === '--chunk') {
+      options.chunk = parseInt(requireValue(argv, ++i, arg), 10);
+      if (!(options.chunk > 0)) {
+        throw new Error('--chunk requires a positive number of records');
+      }
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--resume') {
+      options.resume = true;
+    } else if (arg === '--rollback') {
+      options.rollback = requireValue(argv, ++i, arg);
+    } else if (arg === '--list') {
+      options.list = true;
+    } else if (arg.startsWith('--') || options.file) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file && !options.list && !options.rollback) {
+    throw new Error('Give a file to import, --list or --rollback <batch id>');
+  }
+
+  return options;
+}
+
+function requireValue(argv, index, option) {
+  if (argv[index] === undefined || argv[index].startsWith('--')) {
+    throw new Error(`${option} requires a value`);
+  }
+  return argv[index];
+}
+
+async function importEvents(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const importsDir = process.env.IMPORTS_DIR || './data/imports';
+
+  if (options.list) {
+    listBatches(importsDir);
+    return;
+  }
+
+  const eventManager = new EventManager();
+  await eventManager.initialize();
+
+  try {
+    if (options.rollback) {
+      await rollbackBatch(eventManager, importsDir, options.rollback);
+    } else {
+      await runImport(eventManager, importsDir, options);
+    }
+  } finally {
+    eventManager.close();
+  }
+}
+
+/**
+ * Import a file, or continue the unfinished import of it with --resume
+ */
+async function runImport(eventManager, importsDir, options) {
+  const file = path.resolve(options.file);
+  const stat = fs.statSync(file);
+
+  let progress = options.resume ? findUnfinished(importsDir, file) : null;
+  if (options.resume && !progress) {
+    throw new Error(`No unfinished import of ${file} to resume`);
+  }
+  if (progress && (progress.size !== stat.size || progress.mtimeMs !== stat.mtimeMs)) {
+    throw new Error(`${file} has changed since batch ${progress.batch} started; import it again without --resume`);
+  }
+
+  if (!progress) {
+    const format = options.format || formatOf(file);
+    if (!format) {
+      throw new Error(`Cannot tell the format of ${file}; use --format ${FORMATS.join('|')}`);
+    }
+    progress = {
+      batch: newBatchId(),
+      file,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      format,
+      mapping: options.map ? readMapping(options.map) : null,
+      defaults: { source: options.source || null, type: options.type || null },
+      started_at: new Date().toISOString(),
+      updated_at: null,
+      finished_at: null,
+      records: 0,
+      processed: 0,
+      summary: { created: 0, updated: 0, unchanged: 0, skipped: 0, rejected: 0 },
+      errors: []
+    };
+  } else {
+    console.log(`↩️  Resuming batch ${progress.batch} after record ${progress.processed}`);
+  }
+
+  const mapping = progress.mapping ? prepareMapping(progress.mapping) : null;
+  const raw = progress.format === 'csv' && mapping !== null && Object.keys(mapping.fields).length > 0;
+  const entries = readEventFile(file, progress.format, { raw });
+  const toEvent = (entry) => mapRecord(entry.data, mapping, progress.defaults);
+
+  console.log(`📄 ${file} (${progress.format})`);
+
+  if (options.dryRun) {
+    await dryRun(eventManager, entries, toEvent, progress.batch);
+    return;
+  }
+
+  const progressFile = path.join(importsDir, `${progress.batch}.json`);
+  fs.mkdirSync(importsDir, { recursive: true });
+
+  const importEntries = async (chunk) => {
+    await importChunk(eventManager, chunk, toEvent, progress);
+    progress.processed = chunk[chunk.length - 1].record;
+    saveProgress(progressFile, progress);
+    console.log(`   ${progress.processed} record(s)`);
+  };
+
+  let chunk = [];
+  for await (const entry of entries) {
+    if (entry.record === 1) {
+      // Saved once the file reads, so one that cannot be read leaves no batch behind
+      saveProgress(progressFile, progress);
+    }
+    progress.records = entry.record;
+    if (entry.record <= progress.processed) {
+      continue;
+    }
+
+    chunk.push(entry);
+    if (chunk.length === options.chunk) {
+      await importEntries(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    await importEntries(chunk);
+  }
+
+  progress.finished_at = new Date().toISOString();
+  saveProgress(progressFile, progress);
+
+  const { created, updated, unchanged, skipped, rejected } = progress.summary;
+  console.log(`\n✅ Batch ${progress.batch}, ${progress.records} record(s): ${created} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped (in the trash), ${rejected} rejected`);
+  printErrors(progress.errors, rejected);
+  console.log(`   Tagged ${batchTag(progress.batch)}; undo with: npm run import -- --rollback ${progress.batch}`);
+}
+
+/**
+ * Upsert a chunk of records and add the results to the progress
+ */
+async function importChunk(eventManager, chunk, toEvent, progress) {
+  const items = [];
+  const sent = [];
+
+  for (const entry of chunk) {
+    if (entry.error) {
+      recordError(progress, entry, entry.error);
+      continue;
+    }
+    const event = toEvent(entry);
+    items.push(keepBatchTags(event, await storedTags(eventManager, event)));
+    sent.push(entry);
+  }
+
+  if (items.length === 0) {
+    return;
+  }
+
+  const report = await eventManager.upsertEvents(items, { mode: 'best-effort', actor: ACTOR, tag: batchTag(progress.batch) });
+  report.results.forEach(result => {
+    if (['created', 'updated', 'unchanged', 'skipped'].includes(result.status)) {
+      progress.summary[result.status]++;
+    } else {
+      recordError(progress, sent[result.index], result.error);
+    }
+  });
+}
+
+/**
+ * Tags of the event a record updates (see keepBatchTags; upserts replace the
+ * fields they are given)
+ */
+async function storedTags(eventManager, event) {
+  if (typeof event.source !== 'string' || !['string', 'number'].includes(typeof event.external_id)) {
+    return [];
+  }
+  const existing = await eventManager.storage.findByExternalId(event.source, String(event.external_id).trim());
+  return existing ? existing.tags : [];
+}
+
+function recordError(progress, entry, error) {
+  progress.summary.rejected++;
+  if (progress.errors.length < MAX_SAVED_ERRORS) {
+    progress.errors.push(entry.line !== undefined ? { record: entry.record, line: entry.line, error } : { record: entry.record, error });
+  }
+}
+
+/**
+ * Validate every record against the schema and report what an import would do
+ */
+async function dryRun(eventManager, entries, toEvent, batchId) {
+  const summary = { valid: 0, invalid: 0, create: 0, update: 0 };
+  const types = {};
+  const errors = [];
+  const seen = new Set();
+
+  for await (const entry of entries) {
+    try {
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+      const event = await eventManager.prepareUpsert(tagBatch(toEvent(entry), batchId));
+      summary.valid++;
+      types[event.type] = (types[event.type] || 0) + 1;
+
+      const key = event.external_id !== null ? `${event.source}\u0000${event.external_id}` : null;
+      const exists = key !== null && (seen.has(key) || await eventManager.storage.findByExternalId(event.source, event.external_id));
+      summary[exists ? 'update' : 'create']++;
+      if (key !== null) {
+        seen.add(key);
+      }
+    } catch (error) {
+      summary.invalid++;
+      if (errors.length < MAX_SAVED_ERRORS) {
+        errors.push(entry.line !== undefined ? { record: entry.record, line: entry.line, error: error.message } : { record: entry.record, error: error.message });
+      }
+    }
+  }
+
+  console.log(`\n🔍 Dry run: ${summary.valid} valid, ${summary.invalid} invalid; would create ${summary.create} and update ${summary.update}`);
+  Object.entries(types)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([type, count]) => console.log(`   ${type}: ${count}`));
+  printErrors(errors, summary.invalid);
+  console.log('   Nothing was written');
+}
+
+function printErrors(errors, total) {
+  errors.slice(0, MAX_PRINTED_ERRORS).forEach(({ record, line, error }) => {
+    console.log(`   ❌ Record ${record}${line !== undefined ? ` (line ${line})` : ''}: ${error}`);
+  });
+  if (total > MAX_PRINTED_ERRORS) {
+    console.log(`   ... and ${total - MAX_PRINTED_ERRORS} more`);
+  }
+}
+
+/**
+ * Undo a batch: events it created go to the trash, events it updated are
+ * reverted to the revision before its first change. Changes made to those
+ * events after the import are undone too.
+ */
+async function rollbackBatch(eventManager, importsDir, batchId) {
+  const tag = batchTag(batchId);
+  const events = await eventManager.findAllEvents({ tags: [tag] });
+  const counts = { trashed: 0, reverted: 0, failed: 0 };
+
+  for (const event of events) {
+    try {
+      const history = await eventManager.getEventHistory(event.id);
+      const first = history.findIndex(revision => revision.snapshot && (revision.snapshot.tags || []).includes(tag));
+      if (first <= 0 || history[first].action === 'create') {
+        await eventManager.deleteEvent(event.id, { actor: ACTOR });
+        counts.trashed++;
+      } else {
+        await eventManager.revertEvent(event.id, history[first - 1].revision, { actor: ACTOR });
+        counts.reverted++;
+      }
+    } catch (error) {
+      counts.failed++;
+      console.log(`   ❌ ${event.id}: ${error.message}`);
+    }
+  }
+
+  const progressFile = path.join(importsDir, `${batchId}.json`);
+  if (fs.existsSync(progressFile)) {
+    const progress = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+    saveProgress(progressFile, { ...progress, rolled_back_at: new Date().toISOString() });
+  }
+
+  console.log(`↩️  Batch ${batchId}: ${counts.trashed} moved to the trash, ${counts.reverted} reverted, ${counts.failed} failed`);
+  if (counts.trashed > 0) {
+    console.log('   Trashed events can be restored from the trash');
+  }
+}
+
+function listBatches(importsDir) {
+  const batches = readBatches(importsDir);
+  if (batches.length === 0) {
+    console.log('ℹ️  No imports yet');
+    return;
+  }
+
+  batches.forEach(progress => {
+    const { created, updated, unchanged, skipped, rejected } = progress.summary;
+    const state = progress.rolled_back_at ? '↩️  rolled back'
+      : progress.finished_at ? '✅ finished'
+        : `⏳ stopped after record ${progress.processed}`;
+    console.log(`${progress.batch}  ${state}  ${progress.file}`);
+    console.log(`   started ${progress.started_at}: ${created} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped, ${rejected} rejected`);
+  });
+}
+
+// Saved imports, newest first
+function readBatches(importsDir) {
+  if (!fs.existsSync(importsDir)) {
+    return [];
+  }
+  return fs.readdirSync(importsDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => JSON.parse(fs.readFileSync(path.join(importsDir, name), 'utf8')))
+    .sort((a, b) => b.started_at.localeCompare(a.started_at));
+}
+
+function findUnfinished(importsDir, file) {
+  return readBatches(importsDir).find(progress => progress.file === file && !progress.finished_at && !progress.rolled_back_at) || null;
+}
+
+function readMapping(mapFile) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid mapping: ${mapFile}: ${error.message}`);
+  }
+  // Checked now so a bad mapping fails before anything is written
+  prepareMapping(mapping);
+  return mapping;
+}
+
+// Written whole to a temporary file first, so a crash never leaves half a file
+function saveProgress(progressFile, progress) {
+  const tmpFile = `${progressFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ ...progress, updated_at: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmpFile, progressFile);
+}
+
+// Run the import if called directly
+if (require.main === module) {
+  importEvents().catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { importEvents };
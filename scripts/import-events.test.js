@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const EventManager = require('../src/lib/eventManager');
+const { importEvents } = require('./import-events');
+
+const ENV = ['STORAGE_BACKEND', 'DB_PATH', 'BACKUP_DIR', 'EVENTS_DIR', 'ATTACHMENTS_DIR', 'IMPORTS_DIR'];
+
+const MAPPING = {
+  fields: { external_id: 'ID', title: 'Name', timestamp: 'Start', tags: 'Labels' },
+  source: 'strava',
+  type: 'fitness.run'
+};
+
+describe('importEvents', () => {
+  let tmpDir;
+  let env;
+  let file;
+  let mapFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-import-'));
+    env = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+    Object.assign(process.env, {
+      STORAGE_BACKEND: 'sqlite',
+      DB_PATH: path.join(tmpDir, 'lifeos.db'),
+      BACKUP_DIR: path.join(tmpDir, 'backups'),
+      EVENTS_DIR: path.join(tmpDir, 'events'),
+      ATTACHMENTS_DIR: path.join(tmpDir, 'attachments'),
+      IMPORTS_DIR: path.join(tmpDir, 'imports')
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    file = path.join(tmpDir, 'runs.csv');
+    mapFile = path.join(tmpDir, 'strava.json');
+    fs.writeFileSync(mapFile, JSON.stringify(MAPPING));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ENV.forEach(name => {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeRuns = (...names) => {
+    fs.writeFileSync(file, ['ID,Name,Start,Labels', ...names.map((name, index) => `${index + 1},${name},2024-05-0${index + 1}T07:00:00Z,health`)].join('\n'));
+  };
+
+  // Import the file and return its batch
+  const runImport = async () => {
+    const before = fs.existsSync(process.env.IMPORTS_DIR) ? fs.readdirSync(process.env.IMPORTS_DIR) : [];
+    await importEvents([file, '--map', mapFile]);
+    const name = fs.readdirSync(process.env.IMPORTS_DIR).find(item => !before.includes(item));
+    return JSON.parse(fs.readFileSync(path.join(process.env.IMPORTS_DIR, name), 'utf8'));
+  };
+
+  const storedRuns = async () => {
+    const eventManager = new EventManager();
+    await eventManager.initialize();
+    try {
+      const events = await eventManager.findAllEvents({ source: 'strava' });
+      return events.sort((a, b) => a.external_id.localeCompare(b.external_id));
+    } finally {
+      eventManager.close();
+    }
+  };
+
+  test('rolls back a batch after the file was imported again with mapped tags', async () => {
+    writeRuns('Morning run', 'Long run');
+    const first = await runImport();
+    expect(first.summary).toMatchObject({ created: 2, updated: 0, unchanged: 0 });
+
+    // The same file changes nothing; a changed record keeps the first batch's tag
+    expect((await runImport()).summary).toMatchObject({ created: 0, updated: 0, unchanged: 2 });
+    writeRuns('Morning run', 'Longest run');
+    const third = await runImport();
+    expect(third.summary).toMatchObject({ created: 0, updated: 1, unchanged: 1 });
+
+    const runs = await storedRuns();
+    expect(runs.map(run => run.tags)).toEqual([
+      ['health', `import/${first.batch}`],
+      ['health', `import/${first.batch}`, `import/${third.batch}`]
+    ]);
+
+    await importEvents(['--rollback', third.batch]);
+    expect((await storedRuns()).map(run => run.title)).toEqual(['Morning run', 'Long run']);
+
+    await importEvents(['--rollback', first.batch]);
+    expect(await storedRuns()).toEqual([]);
+  });
+});
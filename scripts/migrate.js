@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * LifeOS Core Migration Script
+ *
+ * Shows and applies schema migrations for the SQLite events database.
+ *
+ * Usage:
+ *   npm run migrate status
+ *   npm run migrate up [-- --to <version>]
+ */
+
+require('dotenv').config();
+
+const SQLiteStorage = require('../src/lib/storage/sqliteStorage');
+const { getStorageConfig } = require('../src/lib/storage');
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to') {
+      options.to = parseInt(rest[++i], 10);
+      if (isNaN(options.to)) {
+        throw new Error('--to requires a migration version number');
+      }
+    } else if (rest[i] === '--db') {
+      options.dbPath = rest[++i];
+    } else {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    }
+  }
+
+  return { command, options };
+}
+
+async function migrate(argv = process.argv.slice(2)) {
+  const { command, options } = parseArgs(argv);
+  const config = getStorageConfig({ dbPath: options.dbPath, autoMigrate: false });
+
+  if (config.backend !== 'sqlite') {
+    console.log(`ℹ️  Storage backend "${config.backend}" has no schema to migrate`);
+    return;
+  }
+
+  const storage = new SQLiteStorage(config);
+  await storage.initialize();
+
+  try {
+    const migrator = storage.migrator();
+
+    switch (command) {
+      case 'status': {
+        const status = await migrator.status();
+        console.log(`🗄️  Database: ${config.dbPath}`);
+        console.log(`   Current version: ${status.current}\n`);
+
+        status.migrations.forEach(migration => {
+          const marker = migration.status === 'applied' ? '✅' : '⏳';
+          const when = migration.applied_at ? ` (applied ${migration.applied_at})` : '';
+          console.log(`${marker} ${migration.version}_${migration.name} - ${migration.description}${when}`);
+        });
+
+        console.log(`\n${status.pending} pending migration(s)`);
+        break;
+      }
+
+      case 'up': {
+        const applied = await migrator.up({ to: options.to });
+
+        if (applied.length === 0) {
+          console.log('✅ Database is up to date');
+          break;
+        }
+
+        applied.forEach(migration => {
+          console.log(`✅ Applied ${migration.version}_${migration.name}`);
+          if (migration.backupPath) {
+            console.log(`   Backup: ${migration.backupPath}`);
+          }
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command: ${command} (expected "status" or "up")`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+// Run migrations if called directly
+if (require.main === module) {
+  migrate().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate };
@@ -36,8 +36,15 @@ async function setup() {
 PORT=3456
 NODE_ENV=development
 
-# Database
+# Storage backend: sqlite, json (single file) or files (one file per event)
+STORAGE_BACKEND=sqlite
 DB_PATH=./data/lifeos.db
+JSON_PATH=./data/events.json
+EVENTS_DIR=./data/events
+BACKUP_DIR=./data/backups
+
+# Days deleted events stay in the trash (0 keeps them forever)
+TRASH_RETENTION_DAYS=30
 
 # Plugin Directory
 PLUGIN_DIR=./plugins
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * LifeOS Core Validation Script
+ *
+ * Checks every stored event:
+ *
+ * - json: `metadata`, `tags`, `linked_uris` and `location` hold valid JSON
+ *   of the right kind
+ * - schema: the event passes the current LifeEvent schema and its type's
+ *   metadata schema
+ * - links: every URI in `linked_uris` resolves
+ * - duplicates: no two events of one source and type share a title and time
+ *
+ * With --fix, what can be repaired without guessing is: lists written as
+ * text become lists, empty values written as null become empty, and exact
+ * duplicates go to the trash (they can be restored from there). The rest is
+ * reported for a person to look at. Exits with 1 while problems remain.
+ *
+ * JSON is checked before pending migrations are applied, on the rows as older
+ * versions wrote them; the other checks need the current schema and run
+ * after. Repairs are written last, so they are recorded in each event's
+ * history.
+ *
+ * With --json the report is the only thing written to stdout; progress such
+ * as migrations applied on the way goes to stderr.
+ *
+ * Usage:
+ *   npm run validate [-- --fix] [-- --json] [-- --checks json,schema,links,duplicates]
+ */
+
+require('dotenv').config();
+
+const EventManager = require('../src/lib/eventManager');
+const { readEventRow, DuplicateFinder } = require('../src/lib/integrity');
+
+const CHECKS = ['json', 'schema', 'links', 'duplicates'];
+const ACTOR = 'system';
+const PAGE_SIZE = 500;
+// Problems printed per check; --json has them all
+const MAX_PRINTED = 20;
+
+function parseArgs(argv) {
+  const options = { checks: CHECKS };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fix') {
+      options.fix = true;
+    } else if (argv[i] === '--json') {
+      options.json = true;
+    } else if (argv[i] === '--checks') {
+      options.checks = (argv[++i] || '').split(',').map(check => check.trim()).filter(Boolean);
+      const unknown = options.checks.find(check => !CHECKS.includes(check));
+      if (options.checks.length === 0 || unknown) {
+        throw new Error(`--checks takes a list of ${CHECKS.join(', ')}`);
+      }
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function validateEvents(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const checks = new Set(options.checks);
+
+  const eventManager = new EventManager({ autoMigrate: false });
+  await eventManager.initialize();
+
+  const report = {
+    checked_at: new Date().toISOString(),
+    checks: options.checks,
+    events: 0,
+    fixed: 0,
+    remaining: 0,
+    summary: Object.fromEntries(options.checks.map(check => [check, 0])),
+    problems: []
+  };
+  const add = (problem) => {
+    report.problems.push(problem);
+    report.summary[problem.check]++;
+    return problem;
+  };
+
+  // Problems of the events whose JSON can be repaired, by event ID
+  const repairable = new Map();
+  const repairs = [];
+  const duplicates = new DuplicateFinder();
+
+  try {
+    if (checks.has('json')) {
+      await eachRow(eventManager, (row) => {
+        const { event, problems } = readEventRow(row);
+        if (problems.length === 0) {
+          return;
+        }
+        // Written back only when every broken field was repaired; emptied ones would lose data
+        const fixable = problems.every(problem => problem.repairable);
+        const found = problems.map(({ field, message }) => add({ check: 'json', event_id: event.id, field, message, fixable }));
+        if (fixable) {
+          repairable.set(event.id, found);
+        }
+      });
+    }
+
+    if (eventManager.storage.migrate) {
+      await eventManager.storage.migrate();
+    }
+
+    await eachRow(eventManager, async (row) => {
+      report.events++;
+      const { event } = readEventRow(row);
+
+      if (repairable.has(event.id)) {
+        repairs.push({ event, problems: repairable.get(event.id) });
+      }
+
+      if (checks.has('schema')) {
+        const message = await schemaError(eventManager, event);
+        if (message) {
+          add({ check: 'schema', event_id: event.id, message, fixable: false });
+        }
+      }
+
+      // The trash may hold old copies and links to events that are gone
+      if (event.deleted_at) {
+        return;
+      }
+
+      if (checks.has('links') && event.linked_uris.length > 0) {
+        const results = await eventManager.resolveURIs(event.linked_uris);
+        results.filter(result => result.status !== 'resolved').forEach(({ uri, status, error }) => {
+          add({ check: 'links', event_id: event.id, uri, message: error || `${uri} does not resolve (${status})`, fixable: false });
+        });
+      }
+
+      if (checks.has('duplicates')) {
+        duplicates.add(event);
+      }
+    });
+
+    const trash = [];
+    duplicates.duplicates().forEach(({ id, duplicate_of: original, identical }) => {
+      const problem = add({
+        check: 'duplicates',
+        event_id: id,
+        duplicate_of: original,
+        message: identical
+          ? `same as ${original}`
+          : `same source, type, title and time as ${original}, with other differences`,
+        fixable: identical
+      });
+      if (identical) {
+        trash.push(problem);
+      }
+    });
+
+    if (options.fix) {
+      for (const { event, problems } of repairs) {
+        if (await eventManager.repairEvent(event, { actor: ACTOR })) {
+          problems.forEach(problem => { problem.fixed = true; });
+        }
+      }
+      for (const problem of trash) {
+        if (await eventManager.deleteEvent(problem.event_id, { actor: ACTOR })) {
+          problem.fixed = true;
+        }
+      }
+    }
+  } finally {
+    eventManager.close();
+  }
+
+  report.fixed = report.problems.filter(problem => problem.fixed).length;
+  report.remaining = report.problems.length - report.fixed;
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, options);
+  }
+
+  if (report.remaining > 0) {
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+/**
+ * Visit every stored row, trashed ones included, a page at a time
+ */
+async function eachRow(eventManager, visit) {
+  for (let after = ''; ;) {
+    const rows = await eventManager.storage.listEventRows({ after, limit: PAGE_SIZE });
+    if (rows.length === 0) {
+      return;
+    }
+    after = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      await visit(row);
+    }
+  }
+}
+
+/**
+ * Why an event fails the schema or its type's metadata schema, if it does
+ */
+async function schemaError(eventManager, event) {
+  if (!eventManager.validate(event)) {
+    return eventManager.ajv.errorsText(eventManager.validate.errors);
+  }
+  try {
+    await eventManager.checkEventType(event);
+    return null;
+  } catch (error) {
+    return error.message.replace(/^Invalid event: /, '');
+  }
+}
+
+function printReport(report, options) {
+  console.log(`🔍 Checked ${report.events} event(s): ${options.checks.join(', ')}`);
+
+  options.checks.forEach(check => {
+    const problems = report.problems.filter(problem => problem.check === check);
+    if (problems.length === 0) {
+      console.log(`\n✅ ${check}: no problems`);
+      return;
+    }
+
+    console.log(`\n⚠️  ${check}: ${problems.length} problem(s)`);
+    problems.slice(0, MAX_PRINTED).forEach(problem => {
+      const marker = problem.fixed ? '🔧' : problem.fixable ? '🩹' : '❌';
+      console.log(`   ${marker} ${problem.event_id}: ${problem.message}`);
+    });
+    if (problems.length > MAX_PRINTED) {
+      console.log(`   ... and ${problems.length - MAX_PRINTED} more (see --json)`);
+    }
+  });
+
+  const fixable = report.problems.filter(problem => problem.fixable && !problem.fixed).length;
+  console.log(`\n${report.remaining === 0 ? '✅' : '⚠️ '} ${report.fixed} fixed, ${report.remaining} remaining`);
+  if (fixable > 0) {
+    console.log(`   🩹 ${fixable} can be repaired with --fix`);
+  }
+}
+
+// Run the checks if called directly
+if (require.main === module) {
+  validateEvents().catch((error) => {
+    console.error('❌ Validation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { validateEvents };
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const EventManager = require('../src/lib/eventManager');
+const SQLiteStorage = require('../src/lib/storage/sqliteStorage');
+const { validateEvents } = require('./validate-events');
+
+const ENV = ['STORAGE_BACKEND', 'DB_PATH', 'BACKUP_DIR', 'EVENTS_DIR', 'ATTACHMENTS_DIR'];
+
+describe('validateEvents', () => {
+  let tmpDir;
+  let env;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-validate-'));
+    env = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+    Object.assign(process.env, {
+      STORAGE_BACKEND: 'sqlite',
+      DB_PATH: path.join(tmpDir, 'lifeos.db'),
+      BACKUP_DIR: path.join(tmpDir, 'backups'),
+      EVENTS_DIR: path.join(tmpDir, 'events'),
+      ATTACHMENTS_DIR: path.join(tmpDir, 'attachments')
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // A database from before migrations, with JSON an older version wrote badly
+    const storage = new SQLiteStorage({ dbPath: process.env.DB_PATH, autoMigrate: false });
+    await storage.initialize();
+    await storage.migrator().up({ to: 1 });
+    const insert = 'INSERT INTO events (id, timestamp, source, type, title, metadata, linked_uris, tags, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+    const time = '2024-05-06T07:00:00.000Z';
+    await storage.run(insert, ['a', time, 'watch', 'fitness.run', 'Morning run', '{}', '[]', 'health, outdoors', time, time]);
+    await storage.run(insert, ['b', time, 'watch', 'fitness.run', 'Evening run', '{"km":', '[]', '[]', time, time]);
+    storage.close();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ENV.forEach(name => {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    });
+    process.exitCode = 0;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('checks and repairs the JSON of a database from before migrations', async () => {
+    const report = await validateEvents(['--fix', '--json', '--checks', 'json']);
+
+    expect(report.events).toBe(2);
+    expect(report.problems).toEqual([
+      expect.objectContaining({ event_id: 'a', field: 'tags', fixable: true, fixed: true }),
+      expect.objectContaining({ event_id: 'b', field: 'metadata', fixable: false })
+    ]);
+    expect(report.remaining).toBe(1);
+    expect(process.exitCode).toBe(1);
+
+    const eventManager = new EventManager();
+    await eventManager.initialize();
+    try {
+      expect((await eventManager.getEvent('a')).tags).toEqual(['health', 'outdoors']);
+      expect((await eventManager.findAllEvents({ tags: ['outdoors'] })).map(event => event.id)).toEqual(['a']);
+      expect(await eventManager.getEventHistory('a')).toHaveLength(1);
+    } finally {
+      eventManager.close();
+    }
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Content-addressed store for attachment files
+ *
+ * Each file is kept once per content, named by its SHA-256 hash
+ * (`<dir>/blobs/ab/abcd…`), so a photo attached to several events takes its
+ * space once and a blob never changes after it is written. Attachments (the
+ * `attachments` records in storage) point at blobs by hash.
+ *
+ * A blob's modification time is the last time it was written, re-uploaded or
+ * released by an attachment. collectGarbage() only removes blobs no
+ * attachment points at and that have not been touched for a while, which
+ * keeps them for recent database backups and for uploads whose attachment
+ * is still being stored.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const CONTENT_TYPE_PATTERN = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/;
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+const DEFAULT_FILENAME = 'attachment';
+
+// Thumbnail widths and heights that are generated and cached
+const THUMBNAIL_SIZES = [128, 256, 512];
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+// Uploads left in tmp/ for longer than this were abandoned
+const ABANDONED_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+class AttachmentStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.dir - Where files are kept
+   * @param {number} options.maxBytes - Largest file accepted
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || './data/attachments';
+    this.maxBytes = options.maxBytes || Infinity;
+    this.blobDir = path.join(this.dir, 'blobs');
+    this.thumbnailDir = path.join(this.dir, 'thumbnails');
+    this.tmpDir = path.join(this.dir, 'tmp');
+  }
+
+  /**
+   * Create the store's directories
+   */
+  async initialize() {
+    for (const dir of [this.blobDir, this.thumbnailDir, this.tmpDir]) {
+      await fsp.mkdir(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Where the blob with a hash is kept
+   * @param {string} hash - SHA-256 hash in hex
+   * @returns {string} The file path
+   */
+  blobPath(hash) {
+    if (!HASH_PATTERN.test(hash)) {
+      throw new Error(`Invalid attachment hash: ${hash}`);
+    }
+    return path.join(this.blobDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Store a file, unless a file with the same content is already stored
+   * @param {stream.Readable} input - The file content
+   * @returns {Object} `{ hash, size, created }`; `created` is false when the
+   *   content was already stored
+   */
+  async put(input) {
+    const tmpPath = path.join(this.tmpDir, uuidv4());
+    const digest = crypto.createHash('sha256');
+    let size = 0;
+
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size > this.maxBytes) {
+          callback(new Error(`Attachment too large: files can be at most ${this.maxBytes} bytes`));
+          return;
+        }
+        digest.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(input, meter, fs.createWriteStream(tmpPath));
+      if (size === 0) {
+        throw new Error('Invalid attachment: the file is empty');
+      }
+
+      const hash = digest.digest('hex');
+      const blobPath = this.blobPath(hash);
+
+      if (await exists(blobPath)) {
+        await fsp.unlink(tmpPath);
+        // Touch it so garbage collection running right now leaves it alone
+        await this.touch(hash);
+        return { hash, size, created: false };
+      }
+
+      await fsp.mkdir(path.dirname(blobPath), { recursive: true });
+      await fsp.rename(tmpPath, blobPath);
+      return { hash, size, created: true };
+    } catch (error) {
+      await fsp.rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a blob is stored
+   * @param {string} hash - The blob's hash
+   * @returns {boolean} True if stored
+   */
+  async has(hash) {
+    return exists(this.blobPath(hash));
+  }
+
+  /**
+   * Note that an attachment stopped pointing at a blob, so garbage
+   * collection keeps it for the grace period from now
+   * @param {string} hash - The blob's hash
+   */
+  async release(hash) {
+    await this.touch(hash);
+  }
+
+  async touch(hash) {
+    const now = new Date();
+    try {
+      await fsp.utimes(this.blobPath(hash), now, now);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * A JPEG thumbnail of an image blob, generated on first use and cached.
+   * Needs the optional `sharp` package.
+   * @param {string} hash - The image's hash
+   * @param {number} size - Largest width and height (see THUMBNAIL_SIZES)
+   * @returns {string} Path of the thumbnail file
+   */
+  async thumbnail(hash, size = DEFAULT_THUMBNAIL_SIZE) {
+    if (!THUMBNAIL_SIZES.includes(size)) {
+      throw new Error(`Invalid size: ${size} (use ${THUMBNAIL_SIZES.join(', ')})`);
+    }
+
+    const thumbnailPath = path.join(this.thumbnailDir, `${hash}-${size}.jpg`);
+    if (await exists(thumbnailPath)) {
+      return thumbnailPath;
+    }
+
+    const sharp = loadSharp();
+    const tmpPath = path.join(this.tmpDir, `${uuidv4()}.jpg`);
+    try {
+      await sharp(this.blobPath(hash))
+        .rotate()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(tmpPath);
+      await fsp.rename(tmpPath, thumbnailPath);
+    } catch (error) {
+      await fsp.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    return thumbnailPath;
+  }
+
+  /**
+   * List stored blobs
+   * @returns {Array} `{ hash, size, touched_at }`
+   */
+  async listBlobs() {
+    const blobs = [];
+
+    for (const prefix of await readDir(this.blobDir)) {
+      for (const hash of await readDir(path.join(this.blobDir, prefix))) {
+        if (!HASH_PATTERN.test(hash)) {
+          continue;
+        }
+        const stats = await fsp.stat(this.blobPath(hash));
+        blobs.push({ hash, size: stats.size, touched_at: stats.mtime.toISOString() });
+      }
+    }
+
+    return blobs;
+  }
+
+  /**
+   * Remove blobs that no attachment points at, with their thumbnails, and
+   * uploads that were abandoned halfway
+   * @param {Set} referenced - Hashes attachments point at
+   * @param {Object} options - Options
+   * @param {number} options.graceMs - Keep blobs touched more recently than this
+   * @param {boolean} options.dryRun - Only report what would be removed
+   * @returns {Object} `{ removed, bytes }`: hashes of the removed blobs and the space freed
+   */
+  async collectGarbage(referenced, { graceMs = 0, dryRun = false } = {}) {
+    const cutoff = Date.now() - graceMs;
+    const removed = [];
+    let bytes = 0;
+
+    for (const blob of await this.listBlobs()) {
+      if (referenced.has(blob.hash) || Date.parse(blob.touched_at) > cutoff) {
+        continue;
+      }
+
+      removed.push(blob.hash);
+      bytes += blob.size;
+      if (!dryRun) {
+        await fsp.rm(this.blobPath(blob.hash), { force: true });
+        await this.removeThumbnails(blob.hash);
+      }
+    }
+
+    if (!dryRun) {
+      await this.removeAbandonedUploads();
+    }
+
+    return { removed, bytes };
+  }
+
+  async removeThumbnails(hash) {
+    for (const file of await readDir(this.thumbnailDir)) {
+      if (file.startsWith(`${hash}-`)) {
+        await fsp.rm(path.join(this.thumbnailDir, file), { force: true });
+      }
+    }
+  }
+
+  async removeAbandonedUploads() {
+    for (const file of await readDir(this.tmpDir)) {
+      const filePath = path.join(this.tmpDir, file);
+      const stats = await fsp.stat(filePath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > ABANDONED_UPLOAD_MS) {
+        await fsp.rm(filePath, { force: true });
+      }
+    }
+  }
+}
+
+/**
+ * Clean up an uploaded file name: no directories or control characters
+ * @param {string} filename - The name the client sent
+ * @returns {string} The name to store
+ */
+function normalizeFilename(filename) {
+  if (typeof filename !== 'string') {
+    return DEFAULT_FILENAME;
+  }
+
+  const name = path.basename(filename.replace(/\\/g, '/')).replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 255);
+  return name === '' || name === '.' || name === '..' ? DEFAULT_FILENAME : name;
+}
+
+/**
+ * Reduce a Content-Type header to its media type
+ * @param {string} contentType - e.g. "image/jpeg; charset=binary"
+ * @returns {string} e.g. "image/jpeg"
+ */
+function normalizeContentType(contentType) {
+  if (contentType === undefined || contentType === null || contentType === '') {
+    return DEFAULT_CONTENT_TYPE;
+  }
+
+  const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+  if (!CONTENT_TYPE_PATTERN.test(mediaType)) {
+    throw new Error(`Invalid attachment: "${contentType}" is not a content type`);
+  }
+  return mediaType;
+}
+
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    throw new Error('Thumbnails not available: install the sharp package (npm install sharp) to create them');
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fsp.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function readDir(dir) {
+  try {
+    return await fsp.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+module.exports = AttachmentStore;
+module.exports.THUMBNAIL_SIZES = THUMBNAIL_SIZES;
+module.exports.DEFAULT_THUMBNAIL_SIZE = DEFAULT_THUMBNAIL_SIZE;
+module.exports.normalizeFilename = normalizeFilename;
+module.exports.normalizeContentType = normalizeContentType;
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const AttachmentStore = require('./attachmentStore');
+const { normalizeFilename, normalizeContentType } = AttachmentStore;
+
+const PHOTO_HASH = '0'.repeat(64);
+
+describe('AttachmentStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-attachments-'));
+    store = new AttachmentStore({ dir: tmpDir, maxBytes: 1024 });
+    await store.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('stores files once per content', async () => {
+    const first = await store.put(Readable.from([Buffer.from('hello '), Buffer.from('world')]));
+    expect(first).toEqual({
+      hash: 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9',
+      size: 11,
+      created: true
+    });
+    expect(fs.readFileSync(store.blobPath(first.hash), 'utf8')).toBe('hello world');
+
+    expect(await store.put(Readable.from([Buffer.from('hello world')]))).toMatchObject({ hash: first.hash, created: false });
+    expect((await store.listBlobs()).map(blob => blob.hash)).toEqual([first.hash]);
+    expect(fs.readdirSync(path.join(tmpDir, 'tmp'))).toEqual([]);
+  });
+
+  test('turns away empty and oversized files', async () => {
+    await expect(store.put(Readable.from([]))).rejects.toThrow('Invalid attachment: the file is empty');
+    await expect(store.put(Readable.from([Buffer.alloc(2000)]))).rejects.toThrow('Attachment too large');
+    expect(await store.listBlobs()).toEqual([]);
+    expect(fs.readdirSync(path.join(tmpDir, 'tmp'))).toEqual([]);
+  });
+
+  test('collects blobs nothing points at once their grace period is over', async () => {
+    const kept = await store.put(Readable.from([Buffer.from('kept')]));
+    const orphan = await store.put(Readable.from([Buffer.from('orphan')]));
+    const recent = await store.put(Readable.from([Buffer.from('recent')]));
+
+    const longAgo = new Date(Date.now() - 10 * 60 * 60 * 1000);
+    [kept, orphan].forEach(({ hash }) => fs.utimesSync(store.blobPath(hash), longAgo, longAgo));
+
+    const options = { graceMs: 60 * 60 * 1000 };
+    expect(await store.collectGarbage(new Set([kept.hash]), { ...options, dryRun: true }))
+      .toEqual({ removed: [orphan.hash], bytes: 6 });
+    expect(await store.has(orphan.hash)).toBe(true);
+
+    await store.collectGarbage(new Set([kept.hash]), options);
+    expect(await store.has(orphan.hash)).toBe(false);
+    expect(await store.has(kept.hash)).toBe(true);
+    expect(await store.has(recent.hash)).toBe(true);
+
+    // Releasing a blob restarts its grace period
+    fs.utimesSync(store.blobPath(kept.hash), longAgo, longAgo);
+    await store.release(kept.hash);
+    await store.collectGarbage(new Set(), options);
+    expect(await store.has(kept.hash)).toBe(true);
+  });
+
+  test('checks hashes and thumbnail sizes', async () => {
+    expect(() => store.blobPath('../../etc/passwd')).toThrow('Invalid attachment hash');
+    await expect(store.thumbnail(PHOTO_HASH, 100)).rejects.toThrow('Invalid size: 100');
+  });
+});
+
+describe('normalizeFilename', () => {
+  test('keeps only the base name', () => {
+    expect(normalizeFilename('photo.jpg')).toBe('photo.jpg');
+    expect(normalizeFilename('../../etc/passwd')).toBe('passwd');
+    expect(normalizeFilename('C:\\Users\\me\\memo.m4a')).toBe('memo.m4a');
+    expect(normalizeFilename('bad\u0000name.pdf')).toBe('badname.pdf');
+    expect(normalizeFilename('..')).toBe('attachment');
+    expect(normalizeFilename(undefined)).toBe('attachment');
+  });
+});
+
+describe('normalizeContentType', () => {
+  test('reduces headers to media types', () => {
+    expect(normalizeContentType('Image/JPEG; charset=binary')).toBe('image/jpeg');
+    expect(normalizeContentType(undefined)).toBe('application/octet-stream');
+    expect(() => normalizeContentType('not a type')).toThrow('Invalid attachment');
+  });
+});
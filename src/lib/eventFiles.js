@@ -0,0 +1,616 @@
+/**
+ * Files of events: JSON, NDJSON and CSV
+ *
+ * JSON files hold an array of events, an object with an `events` array (as
+ * the batch API takes), or a single event. NDJSON files hold one event per
+ * line. CSV files have a header row naming each column's field:
+ *
+ *   title,type,source,timestamp,tags,mood,metadata.distance_km,location.lat,location.lng
+ *   Run,fitness.run,strava,2024-05-06T07:00:00Z,health;outdoors,8,10.2,52.52,13.40
+ *
+ * In CSV, `tags` and `linked_uris` are lists separated by ";", `mood` and
+ * `duration` are numbers, `metadata` and `location` hold JSON, and dotted
+ * columns (`metadata.distance_km`) fill in nested fields, read as JSON where
+ * they are valid JSON (numbers, true, false) and as text otherwise. Empty
+ * cells are left out.
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv'
+};
+
+const LIST_FIELDS = ['tags', 'linked_uris'];
+const NUMBER_FIELDS = ['mood', 'duration'];
+const JSON_FIELDS = ['metadata', 'location'];
+const LIST_SEPARATOR = ';';
+
+// Columns written first when events are exported as CSV, in this order
+const CSV_COLUMNS = ['id', 'title', 'type', 'source', 'timestamp', 'end_time', 'duration', 'timezone', 'mood', 'tags', 'linked_uris', 'external_id', 'created_at', 'updated_at'];
+
+/**
+ * The format of a file, by its extension
+ * @param {string} file - File name or path
+ * @returns {string|null} "json", "ndjson" or "csv", or null for other files
+ */
+function formatOf(file) {
+  return EXTENSIONS[path.extname(file).toLowerCase()] || null;
+}
+
+/**
+ * Read the events in a file
+ * @param {string} text - File content
+ * @param {string} format - "json", "ndjson" or "csv"
+ * @param {Object} options - `raw: true` reads CSV rows as they are, as
+ *   objects of text keyed by column, for files whose columns are not event
+ *   fields (see importer.js mappings)
+ * @returns {Array} One entry per record: `{ record, line?, data }`, or
+ *   `{ record, line?, error }` for records that could not be read. `record`
+ *   counts from 1; `line` is where the record starts (NDJSON and CSV).
+ * @throws When the file as a whole cannot be read
+ */
+function parseEventFile(text, format, options = {}) {
+  const content = String(text).replace(/^\uFEFF/, '');
+
+  switch (format) {
+    case 'json':
+      return parseJSONFile(content);
+    case 'ndjson':
+      return parseNDJSONFile(content);
+    case 'csv':
+      return parseCSVFile(content, options.raw);
+    default:
+      throw new Error(`Invalid format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Read the events in a file as it is read, for files too large to hold in
+ * memory. NDJSON and CSV are read in pieces; a JSON file is one value and is
+ * read whole.
+ * @param {string} file - Path of the file
+ * @param {string} format - "json", "ndjson" or "csv"
+ * @param {Object} options - As for parseEventFile()
+ * @returns {AsyncGenerator} The entries parseEventFile() returns, one at a time
+ * @throws When the file as a whole cannot be read. A CSV quoted value that is
+ *   never closed is only found at the end, after the records before it.
+ */
+async function* readEventFile(file, format, options = {}) {
+  if (format === 'json') {
+    yield* parseJSONFile((await fsp.readFile(file, 'utf8')).replace(/^\uFEFF/, ''));
+    return;
+  }
+
+  const reader = entryReader(format, options);
+  for await (const piece of textPieces(file)) {
+    yield* reader.push(piece);
+  }
+  yield* reader.end();
+}
+
+// A file's text in pieces, without its byte order mark
+async function* textPieces(file) {
+  let first = true;
+  for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+    yield first ? chunk.replace(/^\uFEFF/, '') : chunk;
+    first = false;
+  }
+}
+
+function entryReader(format, options) {
+  switch (format) {
+    case 'ndjson':
+      return new NDJSONReader();
+    case 'csv':
+      return new CSVReader(options.raw);
+    default:
+      throw new Error(`Invalid format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+}
+
+function parseJSONFile(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  return jsonItems(parsed).map((data, index) => record(index + 1, undefined, data));
+}
+
+function jsonItems(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && typeof parsed === 'object') {
+    return Array.isArray(parsed.events) ? parsed.events : [parsed];
+  }
+  throw new Error('Invalid JSON: expected an array of events, { "events": [...] } or one event');
+}
+
+function parseNDJSONFile(content) {
+  const reader = new NDJSONReader();
+  return [...reader.push(content), ...reader.end()];
+}
+
+function parseCSVFile(content, raw) {
+  const reader = new CSVReader(raw);
+  return [...reader.push(content), ...reader.end()];
+}
+
+/**
+ * Splits text given in pieces into lines: push() each piece, then end().
+ * Both return the lines completed so far as `{ line, text }`.
+ */
+class LineParser {
+  constructor() {
+    this.rest = '';
+    this.line = 0;
+  }
+
+  push(text) {
+    const lines = (this.rest + text).split('\n');
+    this.rest = lines.pop();
+    return this.lines(lines);
+  }
+
+  end() {
+    const lines = [this.rest];
+    this.rest = '';
+    return this.lines(lines);
+  }
+
+  lines(texts) {
+    return texts.map(text => ({ line: ++this.line, text: text.replace(/\r$/, '') }));
+  }
+}
+
+/**
+ * Reads NDJSON text given in pieces, like LineParser, returning the entries
+ * for the lines completed so far
+ */
+class NDJSONReader {
+  constructor() {
+    this.parser = new LineParser();
+    this.records = 0;
+  }
+
+  push(text) {
+    return this.entries(this.parser.push(text));
+  }
+
+  end() {
+    return this.entries(this.parser.end());
+  }
+
+  entries(lines) {
+    const entries = [];
+
+    lines.filter(({ text }) => text.trim() !== '').forEach(({ line, text }) => {
+      this.records++;
+      try {
+        entries.push(record(this.records, line, JSON.parse(text)));
+      } catch (error) {
+        entries.push({ record: this.records, line, error: `Invalid JSON: ${error.message}` });
+      }
+    });
+
+    return entries;
+  }
+}
+
+/**
+ * Reads CSV text given in pieces, like NDJSONReader. The first row names the
+ * columns; `raw` is parseEventFile()'s option.
+ */
+class CSVReader {
+  constructor(raw) {
+    this.raw = raw;
+    this.parser = new CSVParser();
+    this.header = null;
+    this.records = 0;
+  }
+
+  push(text) {
+    return this.entries(this.parser.push(text));
+  }
+
+  end() {
+    return this.entries(this.parser.end());
+  }
+
+  entries(rows) {
+    const entries = [];
+
+    rows.filter(hasContent).forEach(row => {
+      if (this.header === null) {
+        this.header = row.cells.map(column => column.trim());
+        if (!this.raw && !this.header.includes('title') && !this.header.includes('type')) {
+          throw new Error('Invalid CSV: the first row must name the columns, such as title,type,source,timestamp');
+        }
+        return;
+      }
+
+      this.records++;
+      try {
+        entries.push(record(this.records, row.line, this.raw ? csvRecord(this.header, row.cells) : csvEvent(this.header, row.cells)));
+      } catch (error) {
+        entries.push({ record: this.records, line: row.line, error: error.message });
+      }
+    });
+
+    return entries;
+  }
+}
+
+// Rows with content; blank lines are skipped
+function csvRows(content) {
+  return parseCSV(content).filter(hasContent);
+}
+
+function hasContent(row) {
+  return !(row.cells.length === 1 && row.cells[0] === '');
+}
+
+function record(number, line, data) {
+  const entry = { record: number };
+  if (line !== undefined) {
+    entry.line = line;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ...entry, error: 'Invalid event: must be an object' };
+  }
+  return { ...entry, data };
+}
+
+/**
+ * Build an event from a CSV row
+ * @param {Array} header - Column names
+ * @param {Array} cells - The row's values
+ * @returns {Object} Event data
+ */
+function csvEvent(header, cells) {
+  if (cells.length > header.length) {
+    throw new Error(`Invalid CSV: the row has ${cells.length} values for ${header.length} columns`);
+  }
+
+  const event = {};
+  header.forEach((column, index) => {
+    const value = cells[index];
+    if (value === undefined || value === '' || column === '') {
+      return;
+    }
+
+    const [field, ...rest] = column.split('.');
+    if (rest.length > 0) {
+      setPath(event, [field, ...rest], cellValue(value));
+    } else if (LIST_FIELDS.includes(field)) {
+      event[field] = value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (NUMBER_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (value.trim() === '' || isNaN(number)) {
+        throw new Error(`Invalid event: ${field} must be a number, not "${value}"`);
+      }
+      event[field] = number;
+    } else if (JSON_FIELDS.includes(field)) {
+      try {
+        event[field] = { ...event[field], ...JSON.parse(value) };
+      } catch (error) {
+        throw new Error(`Invalid event: ${field} must be a JSON object`);
+      }
+    } else {
+      event[field] = value;
+    }
+  });
+
+  return event;
+}
+
+// A CSV row as it is, keyed by column
+function csvRecord(header, cells) {
+  if (cells.length > header.length) {
+    throw new Error(`Invalid CSV: the row has ${cells.length} values for ${header.length} columns`);
+  }
+
+  const data = {};
+  header.forEach((column, index) => {
+    if (column !== '' && cells[index] !== undefined && cells[index] !== '') {
+      data[column] = cells[index];
+    }
+  });
+  return data;
+}
+
+function setPath(target, keys, value) {
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!node[key] || typeof node[key] !== 'object' || Array.isArray(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+function cellValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted cells may hold commas, quotes
+ * written twice and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array} `{ line, cells }` where `line` is the row's first line
+ */
+function parseCSV(text) {
+  const parser = new CSVParser();
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Splits CSV text given in pieces into rows, as parseCSV() does: push() each
+ * piece, then end(). Both return the rows completed so far.
+ */
+class CSVParser {
+  constructor() {
+    this.rows = [];
+    this.cells = [];
+    this.cell = '';
+    this.quoted = false;
+    this.line = 1;
+    this.rowLine = 1;
+    // Text held back because the next piece decides what it means
+    this.pending = '';
+  }
+
+  push(text) {
+    const input = this.pending + text;
+    // A quote may be the first of two, a carriage return the first of \r\n
+    const held = /["\r]$/.test(input) ? 1 : 0;
+    this.pending = input.slice(this.read(input, input.length - held));
+    return this.take();
+  }
+
+  end() {
+    const input = this.pending;
+    this.pending = '';
+    this.read(input, input.length);
+
+    if (this.quoted) {
+      throw new Error(`Invalid CSV: a quoted value starting on line ${this.rowLine} is never closed`);
+    }
+    if (this.cell !== '' || this.cells.length > 0) {
+      this.cells.push(this.cell);
+      this.rows.push({ line: this.rowLine, cells: this.cells });
+      this.cells = [];
+      this.cell = '';
+    }
+    return this.take();
+  }
+
+  // Reads text up to `end`, looking one character past it; returns where it stopped
+  read(text, end) {
+    let i = 0;
+    for (; i < end; i++) {
+      const char = text[i];
+
+      if (this.quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          this.cell += '"';
+          i++;
+        } else if (char === '"') {
+          this.quoted = false;
+        } else {
+          if (char === '\n') {
+            this.line++;
+          }
+          this.cell += char;
+        }
+      } else if (char === '"' && this.cell === '') {
+        this.quoted = true;
+      } else if (char === ',') {
+        this.cells.push(this.cell);
+        this.cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        this.cells.push(this.cell);
+        this.rows.push({ line: this.rowLine, cells: this.cells });
+        this.cells = [];
+        this.cell = '';
+        this.line++;
+        this.rowLine = this.line;
+      } else {
+        this.cell += char;
+      }
+    }
+    return i;
+  }
+
+  take() {
+    const rows = this.rows;
+    this.rows = [];
+    return rows;
+  }
+}
+
+/**
+ * Write events as a file
+ * @param {Array} events - Events (or any records, for JSON and NDJSON)
+ * @param {string} format - "json", "ndjson" or "csv"
+ * @returns {string} File content
+ */
+function formatEventFile(events, format) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(events, null, 2)}\n`;
+    case 'ndjson':
+      return events.map(event => `${JSON.stringify(event)}\n`).join('');
+    case 'csv':
+      return formatCSV(events);
+    default:
+      throw new Error(`Invalid format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+}
+
+function formatCSV(events) {
+  return formatCSVEvents(events, csvColumns(events), true);
+}
+
+/**
+ * The CSV columns for events: the fixed columns they use, then one per
+ * metadata and location key
+ * @param {Array} events - Events
+ * @param {Array} columns - Columns found earlier, for events read in pages
+ * @returns {Array} Column names
+ */
+function csvColumns(events, columns = []) {
+  const used = new Set(columns);
+  const fixed = CSV_COLUMNS.filter(column => used.has(column) || events.some(event => event[column] !== undefined && event[column] !== null));
+  const nested = new Set(columns.filter(column => !CSV_COLUMNS.includes(column)));
+
+  events.forEach(event => {
+    JSON_FIELDS.forEach(field => {
+      if (event[field] && typeof event[field] === 'object') {
+        Object.keys(event[field]).forEach(key => nested.add(`${field}.${key}`));
+      }
+    });
+  });
+
+  return [...fixed, ...Array.from(nested).sort()];
+}
+
+/**
+ * Write events as CSV rows under columns from csvColumns()
+ * @param {Array} events - Events
+ * @param {Array} columns - Column names
+ * @param {boolean} header - Start with the header row
+ * @returns {string} CSV text
+ */
+function formatCSVEvents(events, columns, header = false) {
+  const rows = events.map(event => columns.map(column => csvCell(column, event)));
+  return (header ? [columns, ...rows] : rows).map(cells => `${cells.map(quoteCSV).join(',')}\n`).join('');
+}
+
+function csvCell(column, event) {
+  const [field, key] = column.split(/\.(.*)/);
+  const value = key !== undefined ? (event[field] || {})[key] : event[field];
+
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (LIST_FIELDS.includes(column) && Array.isArray(value)) {
+    return value.join(LIST_SEPARATOR);
+  }
+  if (key !== undefined && typeof value === 'string') {
+    // Text that reads as JSON is quoted so it comes back as text
+    return cellValue(value) === value ? value : JSON.stringify(value);
+  }
+  return typeof value === 'object' || key !== undefined ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * A file holding some of another file's records, written as they were
+ * (rejected records, for instance, to be fixed and tried again)
+ * @param {string} text - The original file's content
+ * @param {string} format - Its format
+ * @param {Array} records - Entries parseEventFile() returned for it
+ * @returns {string} File content in the same format
+ */
+function extractRecords(text, format, records) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const numbers = new Set(records.map(entry => entry.record));
+  const lines = new Set(records.map(entry => entry.line));
+
+  switch (format) {
+    case 'json':
+      return formatEventFile(jsonItems(JSON.parse(content)).filter((item, index) => numbers.has(index + 1)), 'json');
+    case 'ndjson': {
+      const textLines = content.split(/\r?\n/);
+      return records.map(entry => `${textLines[entry.line - 1]}\n`).join('');
+    }
+    case 'csv': {
+      const [header, ...rows] = csvRows(content);
+      return [header, ...rows.filter(row => lines.has(row.line))]
+        .map(row => `${row.cells.map(quoteCSV).join(',')}\n`)
+        .join('');
+    }
+    default:
+      throw new Error(`Invalid format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Write some of a file's records to another file, as extractRecords() does,
+ * reading it in pieces like readEventFile()
+ * @param {string} file - The original file
+ * @param {string} format - Its format
+ * @param {Array} records - Entries readEventFile() returned for it
+ * @param {string} target - The file to write
+ */
+async function copyRecords(file, format, records, target) {
+  if (format === 'json') {
+    await fsp.writeFile(target, extractRecords(await fsp.readFile(file, 'utf8'), 'json', records));
+    return;
+  }
+  if (format !== 'ndjson' && format !== 'csv') {
+    throw new Error(`Invalid format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+
+  const lines = new Set(records.map(entry => entry.line));
+  const parser = format === 'csv' ? new CSVParser() : new LineParser();
+  let header = format === 'csv';
+
+  // The chosen rows among those parsed, as text; CSV keeps its header row
+  const chosen = (rows) => rows
+    .filter(row => {
+      if (header && hasContent(row)) {
+        header = false;
+        return true;
+      }
+      return lines.has(row.line);
+    })
+    .map(row => (row.cells ? `${row.cells.map(quoteCSV).join(',')}\n` : `${row.text}\n`))
+    .join('');
+
+  async function* chosenText() {
+    for await (const piece of textPieces(file)) {
+      yield chosen(parser.push(piece));
+    }
+    yield chosen(parser.end());
+  }
+
+  await pipeline(chosenText(), fs.createWriteStream(target));
+}
+
+function quoteCSV(cell) {
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+module.exports = {
+  FORMATS,
+  formatOf,
+  parseEventFile,
+  readEventFile,
+  formatEventFile,
+  extractRecords,
+  copyRecords,
+  csvColumns,
+  formatCSVEvents,
+  parseCSV
+};
@@ -0,0 +1,201 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { formatOf, parseEventFile, readEventFile, formatEventFile, extractRecords, copyRecords, parseCSV } = require('./eventFiles');
+
+describe('formatOf', () => {
+  it('knows formats by extension', () => {
+    expect(formatOf('a/events.JSON')).toBe('json');
+    expect(formatOf('events.ndjson')).toBe('ndjson');
+    expect(formatOf('events.jsonl')).toBe('ndjson');
+    expect(formatOf('events.csv')).toBe('csv');
+    expect(formatOf('events.txt')).toBeNull();
+  });
+});
+
+describe('parseEventFile', () => {
+  it('reads JSON arrays, { events } objects and single events', () => {
+    expect(parseEventFile('[{"title":"a"}, 3]', 'json')).toEqual([
+      { record: 1, data: { title: 'a' } },
+      { record: 2, error: 'Invalid event: must be an object' }
+    ]);
+    expect(parseEventFile('{"events":[{"title":"a"}]}', 'json')).toEqual([{ record: 1, data: { title: 'a' } }]);
+    expect(parseEventFile('{"title":"a"}', 'json')).toEqual([{ record: 1, data: { title: 'a' } }]);
+    expect(() => parseEventFile('[{"title":', 'json')).toThrow(/Invalid JSON/);
+    expect(() => parseEventFile('"text"', 'json')).toThrow(/expected an array/);
+  });
+
+  it('reads NDJSON line by line', () => {
+    const records = parseEventFile('{"title":"a"}\n\n{oops\r\n{"title":"b"}\n', 'ndjson');
+    expect(records).toEqual([
+      { record: 1, line: 1, data: { title: 'a' } },
+      { record: 2, line: 3, error: expect.stringMatching(/^Invalid JSON/) },
+      { record: 3, line: 4, data: { title: 'b' } }
+    ]);
+  });
+
+  it('reads CSV with typed and nested columns', () => {
+    const csv = [
+      'title,type,timestamp,tags,mood,metadata.distance_km,metadata.note,location.lat,location.lng,metadata',
+      'Run,fitness.run,2024-05-06T07:00:00Z,health; outdoors,8,10.2,"Cold, windy",52.52,13.4,"{""shoes"":""red""}"',
+      '"Two',
+      'lines",note,2024-05-06T08:00:00Z,,,,,,,',
+      '',
+      'Bad,note,2024-05-06T09:00:00Z,,high,,,,,',
+      'Wide,note,x,,,,,,,,extra'
+    ].join('\n');
+
+    expect(parseEventFile(csv, 'csv')).toEqual([
+      {
+        record: 1,
+        line: 2,
+        data: {
+          title: 'Run',
+          type: 'fitness.run',
+          timestamp: '2024-05-06T07:00:00Z',
+          tags: ['health', 'outdoors'],
+          mood: 8,
+          metadata: { distance_km: 10.2, note: 'Cold, windy', shoes: 'red' },
+          location: { lat: 52.52, lng: 13.4 }
+        }
+      },
+      { record: 2, line: 3, data: { title: 'Two\nlines', type: 'note', timestamp: '2024-05-06T08:00:00Z' } },
+      { record: 3, line: 6, error: 'Invalid event: mood must be a number, not "high"' },
+      { record: 4, line: 7, error: 'Invalid CSV: the row has 11 values for 10 columns' }
+    ]);
+  });
+
+  it('reads CSV rows as they are when raw', () => {
+    const csv = 'Activity,Mood,Tags.x\nRun,high,"a;b"\n';
+    expect(parseEventFile(csv, 'csv', { raw: true })).toEqual([
+      { record: 1, line: 2, data: { Activity: 'Run', Mood: 'high', 'Tags.x': 'a;b' } }
+    ]);
+  });
+
+  it('needs a CSV header and closed quotes', () => {
+    expect(parseEventFile('', 'csv')).toEqual([]);
+    expect(() => parseEventFile('Run,fitness.run\n', 'csv')).toThrow(/first row/);
+    expect(() => parseCSV('a,"b\nc')).toThrow(/line 1 is never closed/);
+  });
+});
+
+describe('readEventFile', () => {
+  // Files are read in pieces of this many bytes
+  const PIECE = 64 * 1024;
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-files-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const read = async (text, format, options) => {
+    const file = path.join(tmpDir, `events.${format}`);
+    fs.writeFileSync(file, text);
+    const entries = [];
+    for await (const entry of readEventFile(file, format, options)) {
+      entries.push(entry);
+    }
+    return entries;
+  };
+
+  it('reads what parseEventFile reads', async () => {
+    const ndjson = '\uFEFF{"title":"a"}\n\n{oops\r\n{"title":"b"}';
+    expect(await read(ndjson, 'ndjson')).toEqual(parseEventFile(ndjson, 'ndjson'));
+
+    const json = '{"events":[{"title":"a"},7]}';
+    expect(await read(json, 'json')).toEqual(parseEventFile(json, 'json'));
+
+    await expect(read('Run,fitness.run\n', 'csv')).rejects.toThrow(/first row/);
+  });
+
+  it('reads CSV rows that straddle the pieces the file is read in', async () => {
+    // A row with its doubled quote across the first boundary, then one with
+    // its \r\n across the second
+    let csv = 'title,type\r\n';
+    // A filler row, so the next one starts at `offset`
+    const padTo = (offset) => {
+      csv += `${'a'.repeat(offset - csv.length - ',run\r\n'.length)},run\r\n`;
+    };
+    padTo(PIECE - '"Say '.length - 1);
+    csv += '"Say ""hi""\r\nthere",note\r\n';
+    padTo(PIECE * 2 - 'Last,note'.length - 1);
+    csv += 'Last,note\r\nEnd,note';
+    expect(csv.slice(PIECE - 1, PIECE + 1)).toBe('""');
+    expect(csv.slice(PIECE * 2 - 1, PIECE * 2 + 1)).toBe('\r\n');
+
+    const entries = await read(csv, 'csv');
+    expect(entries).toEqual(parseEventFile(csv, 'csv'));
+    expect(entries.map(entry => entry.line)).toEqual([2, 3, 5, 6, 7]);
+    expect(entries[1].data.title).toBe('Say "hi"\r\nthere');
+  });
+});
+
+describe('formatEventFile', () => {
+  const events = [
+    { id: '1', title: 'Run, fast', type: 'fitness.run', tags: ['a', 'b'], mood: 7, metadata: { km: 5, note: 'say "hi"', code: '42' } },
+    { id: '2', title: 'Walk', type: 'fitness.walk', location: { lat: 1.5, lng: 2 } }
+  ];
+
+  it('writes CSV that reads back as the same events', () => {
+    const csv = formatEventFile(events, 'csv');
+    expect(csv.split('\n')[0]).toBe('id,title,type,mood,tags,location.lat,location.lng,metadata.code,metadata.km,metadata.note');
+    expect(parseEventFile(csv, 'csv').map(entry => entry.data)).toEqual(events);
+  });
+
+  it('writes JSON and NDJSON', () => {
+    expect(parseEventFile(formatEventFile(events, 'json'), 'json').map(entry => entry.data)).toEqual(events);
+    expect(formatEventFile(events, 'ndjson').split('\n')).toHaveLength(3);
+  });
+});
+
+describe('extractRecords', () => {
+  it('keeps the chosen records as they were written', () => {
+    const ndjson = '{"title":"a"}\n{bad\n{"title":"c"}\n';
+    const records = parseEventFile(ndjson, 'ndjson');
+    expect(extractRecords(ndjson, 'ndjson', [records[1], records[2]])).toBe('{bad\n{"title":"c"}\n');
+
+    const csv = 'title,type\r\n"A, b",x\r\nC,y\r\n';
+    expect(extractRecords(csv, 'csv', [parseEventFile(csv, 'csv')[0]])).toBe('title,type\n"A, b",x\n');
+
+    const json = '{"events":[{"title":"a"},7]}';
+    expect(JSON.parse(extractRecords(json, 'json', [{ record: 2 }]))).toEqual([7]);
+  });
+});
+
+describe('copyRecords', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-files-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes what extractRecords writes', async () => {
+    const files = {
+      ndjson: '{"title":"a"}\r\n{bad\n\n{"title":"c"}',
+      csv: '\uFEFFtitle,type\r\n\r\n"A, b",x\r\nC,"y\nz"\r\n',
+      json: '{"events":[{"title":"a"},7]}'
+    };
+
+    for (const [format, text] of Object.entries(files)) {
+      const file = path.join(tmpDir, `events.${format}`);
+      const target = path.join(tmpDir, `failed.${format}`);
+      fs.writeFileSync(file, text);
+      const records = parseEventFile(text, format).slice(1);
+
+      await copyRecords(file, format, records, target);
+      expect(fs.readFileSync(target, 'utf8')).toBe(extractRecords(text, format, records));
+    }
+  });
+});
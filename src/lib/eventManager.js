@@ -1,17 +1,89 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const Ajv = require('ajv');
 
 // Import LifeOS Protocol components
 const { LifeURIResolver, BuiltInResolvers } = require('lifeos-protocol');
-const { isValidEventType, getEventTypeDescription } = require('lifeos-protocol/eventTypes');
+
+const { createStorage, getStorageConfig } = require('./storage');
+const { ACTIONS, diffEvents, normalizeActor } = require('./revisions');
+const { normalizeTag, normalizeTags, replaceTag, buildTagTree } = require('./tags');
+const { URI_SCHEME, buildEventURI, parseEventURI, normalizeLinkInput } = require('./links');
+const {
+  DEFAULT_SORT,
+  DISTANCE_FIELD,
+  parseSort,
+  formatSort,
+  reverseSort,
+  sortValues,
+  parseGroupField,
+  encodeCursor,
+  decodeCursor
+} = require('./query');
+const { parseFilterQuery } = require('./filterQuery');
+const { parseNear, parseRadius, parseBoundingBox, clusterPlaces } = require('./geo');
+const { resolveInterval } = require('./intervals');
+const { resolveTimezone } = require('./timezones');
+const { STATUSES, prepareHabit, habitOccurrences, matchOccurrences, summarizeOccurrences } = require('./habits');
+const { isBuiltInType, prepareEventType, describeType, mergeTypes, validateMetadata } = require('./typeRegistry');
+const { prepareRule, triggerTime, rulePeriod, ruleFirings, deriveEvent } = require('./rules');
+const AttachmentStore = require('./attachmentStore');
+const { DEFAULT_THUMBNAIL_SIZE, normalizeFilename, normalizeContentType } = AttachmentStore;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Habit occurrences are reported from 30 days back to 7 ahead unless asked otherwise
+const HABIT_PAST_DAYS = 30;
+const HABIT_FUTURE_DAYS = 7;
+
+// Scheduled rule runs look this far back for triggers they missed
+const RULE_LOOKBACK_DAYS = 7;
+
+// Events derived from derived events stop here, so rules feeding each other end
+const MAX_RULE_DEPTH = 3;
+
+// Fields added to events in responses that are never stored
+const RESPONSE_FIELDS = ['uri', 'score', 'snippet', 'purge_at', 'distance'];
+
+const BATCH_MODES = {
+  ALL_OR_NOTHING: 'all-or-nothing',
+  BEST_EFFORT: 'best-effort'
+};
 
 class EventManager {
-  constructor(dbPath = './data/lifeos.db') {
-    this.dbPath = dbPath;
-    this.db = null;
+  /**
+   * @param {Object|string} options - Storage options (see storage/index.js),
+   *   or a SQLite database path for backwards compatibility
+   */
+  constructor(options = {}) {
+    if (typeof options === 'string') {
+      options = { dbPath: options };
+    }
+
+    this.config = getStorageConfig(options);
+    this.dbPath = this.config.dbPath;
+    this.storage = createStorage(this.config);
+    // Who changes are attributed to when callers don't say (plugins get this via env)
+    this.defaultActor = normalizeActor(process.env.LIFEOS_ACTOR);
+    // Days trashed events are kept before purgeTrash() removes them (0 keeps them forever)
+    this.trashRetentionDays = options.trashRetentionDays !== undefined
+      ? options.trashRetentionDays
+      : parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+    // Files attached to events, stored once per content
+    const maxAttachmentMB = options.maxAttachmentMB !== undefined
+      ? options.maxAttachmentMB
+      : parseFloat(process.env.ATTACHMENT_MAX_MB || '100');
+    this.attachments = new AttachmentStore({
+      dir: this.config.attachmentsDir,
+      maxBytes: Math.round(maxAttachmentMB * 1024 * 1024)
+    });
+    // Days files no attachment points at are kept before garbage collection removes them
+    this.attachmentGraceDays = options.attachmentGraceDays !== undefined
+      ? options.attachmentGraceDays
+      : parseFloat(process.env.ATTACHMENT_GC_DAYS || '30');
+    // Reject events whose type is neither built in nor registered
+    this.strictTypes = options.strictTypes !== undefined
+      ? options.strictTypes
+      : process.env.STRICT_EVENT_TYPES === 'true';
     this.resolver = new LifeURIResolver();
     this.ajv = new Ajv({ allErrors: true });
     // Add date-time format support
@@ -28,421 +100,1754 @@ class EventManager {
   }
 
   /**
-   * Initialize the database and create tables
+   * Initialize the storage backend
    */
   async initialize() {
-    // Ensure data directory exists
-    const dataDir = path.dirname(this.dbPath);
-    await fs.mkdir(dataDir, { recursive: true });
-
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        // Create events table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS events (
-            id TEXT PRIMARY KEY,
-            timestamp TEXT NOT NULL,
-            source TEXT NOT NULL,
-            type TEXT NOT NULL,
-            title TEXT NOT NULL,
-            metadata TEXT,
-            linked_uris TEXT,
-            tags TEXT,
-            mood INTEGER,
-            location TEXT,
-            duration INTEGER,
-            created_at TEXT NOT NULL,
-            updated_at TEXT NOT NULL
-          )
-        `, (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+    await this.storage.initialize();
+    await this.attachments.initialize();
 
-          // Create indexes for better performance
-          this.db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON events(timestamp)');
-          this.db.run('CREATE INDEX IF NOT EXISTS idx_source ON events(source)');
-          this.db.run('CREATE INDEX IF NOT EXISTS idx_type ON events(type)');
-          this.db.run('CREATE INDEX IF NOT EXISTS idx_tags ON events(tags)');
-
-          // Register file system resolver
-          this.resolver.registerResolver('local', BuiltInResolvers.fileSystemResolver('./data/events'));
-          
-          resolve();
-        });
-      });
-    });
+    // Register file system resolver
+    this.resolver.registerResolver('local', BuiltInResolvers.fileSystemResolver(this.config.eventsDir));
   }
 
   /**
    * Create a new LifeEvent
    * @param {Object} eventData - The event data
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change ("ui", "api", "plugin:<id>")
    * @returns {Object} The created event with ID
    */
-  async createEvent(eventData) {
-    // Validate the event
-    if (!this.validate(eventData)) {
-      throw new Error(`Invalid event: ${this.ajv.errorsText(this.validate.errors)}`);
-    }
+  async createEvent(eventData, options = {}) {
+    const event = await this.prepareEvent(eventData);
+    const created = await this.storage.transaction(() => this.insertPrepared(event, options.actor));
 
-    // Generate ID if not provided
-    const event = {
-      ...eventData,
-      id: eventData.id || uuidv4(),
-      created_at: eventData.created_at || new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    await this.triggerRules([created]);
+    return created;
+  }
 
-    // Serialize complex fields
-    const serializedEvent = {
-      ...event,
-      metadata: JSON.stringify(event.metadata || {}),
-      linked_uris: JSON.stringify(event.linked_uris || []),
-      tags: JSON.stringify(event.tags || []),
-      location: event.location ? JSON.stringify(event.location) : null
-    };
+  /**
+   * Create many events in a single transaction
+   * @param {Array} items - Event data objects
+   * @param {Object} options - Options
+   * @param {string} options.mode - "all-or-nothing" (default) or "best-effort"
+   * @param {string} options.actor - Who made the change
+   * @returns {Object} Batch report (see runBatch)
+   */
+  async createEvents(items, options = {}) {
+    const report = await this.runBatch(items, options, {
+      prepare: async (eventData) => this.prepareEvent(eventData),
+      apply: async (event) => {
+        const created = await this.insertPrepared(event, options.actor);
+        return { status: 'created', id: created.id, event: created };
+      }
+    });
 
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT INTO events (
-          id, timestamp, source, type, title, metadata, linked_uris, 
-          tags, mood, location, duration, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      stmt.run([
-        serializedEvent.id,
-        serializedEvent.timestamp,
-        serializedEvent.source,
-        serializedEvent.type,
-        serializedEvent.title,
-        serializedEvent.metadata,
-        serializedEvent.linked_uris,
-        serializedEvent.tags,
-        serializedEvent.mood,
-        serializedEvent.location,
-        serializedEvent.duration,
-        serializedEvent.created_at,
-        serializedEvent.updated_at
-      ], function(err) {
-        if (err) {
-          reject(err);
-          return;
-        }
+    await this.triggerRules(createdEvents(report.results));
+    return report;
+  }
 
-        // Return the event with parsed fields
-        resolve({
-          ...event,
-          metadata: JSON.parse(serializedEvent.metadata),
-          linked_uris: JSON.parse(serializedEvent.linked_uris),
-          tags: JSON.parse(serializedEvent.tags),
-          location: serializedEvent.location ? JSON.parse(serializedEvent.location) : null
-        });
-      });
+  /**
+   * Create an event, or update the one its source already stored under the
+   * same `external_id`, so importers can re-sync overlapping windows without
+   * duplicating events. Fields the source leaves out keep their stored value,
+   * and re-sending an event that has not changed writes nothing. Events the
+   * user moved to the trash are left there.
+   * @param {Object} eventData - The event data; without `external_id` it is always created
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
+   * @param {string} options.tag - A tag added when the event is created or
+   *   changed, but not when it is left unchanged
+   * @returns {Object} `{ status, id, event }` where status is "created",
+   *   "updated", "unchanged" or "skipped" (the stored event is in the trash)
+   */
+  async upsertEvent(eventData, options = {}) {
+    const result = await this.storage.transaction(async () => {
+      const event = await this.prepareUpsert(eventData);
+      return this.writeUpsert(event, options.actor, options.tag);
+    });
+
+    await this.triggerRules(createdEvents([result]));
+    return result;
+  }
 
-      stmt.finalize();
+  /**
+   * Upsert many events in a single transaction (see upsertEvent)
+   * @param {Array} items - Event data objects
+   * @param {Object} options - Options
+   * @param {string} options.mode - "all-or-nothing" (default) or "best-effort"
+   * @param {string} options.actor - Who made the change
+   * @param {string} options.tag - A tag added to the events created or changed
+   * @returns {Object} Batch report (see runBatch)
+   */
+  async upsertEvents(items, options = {}) {
+    const report = await this.runBatch(items, options, {
+      prepare: async (eventData) => this.prepareUpsert(eventData),
+      apply: async (event) => this.writeUpsert(event, options.actor, options.tag)
     });
+
+    await this.triggerRules(createdEvents(report.results));
+    return report;
   }
 
   /**
    * Get an event by ID
    * @param {string} id - The event ID
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return events in the trash
    * @returns {Object|null} The event or null if not found
    */
-  async getEvent(id) {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT * FROM events WHERE id = ?', [id], (err, row) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        if (!row) {
-          resolve(null);
-          return;
-        }
-
-        // Parse complex fields
-        resolve({
-          ...row,
-          metadata: JSON.parse(row.metadata || '{}'),
-          linked_uris: JSON.parse(row.linked_uris || '[]'),
-          tags: JSON.parse(row.tags || '[]'),
-          location: row.location ? JSON.parse(row.location) : null
-        });
-      });
-    });
+  async getEvent(id, options = {}) {
+    return withURI(await this.storage.getEvent(id, options));
   }
 
   /**
    * Get events with filtering and pagination
    * @param {Object} options - Query options
+   * @param {string} options.q - Filter query, e.g. "type:music.* mood>=7" (see lib/filterQuery.js)
+   * @param {string|Object} options.near - "lat,lng": only events with coordinates, each with a `distance` in meters
+   * @param {string|number} options.radius - With `near`, the largest distance, e.g. "2km" (a number is meters)
+   * @param {string|Object} options.bbox - "south,west,north,east"
+   * @param {string} options.activeAt - Only events going on at this time
+   * @param {string} options.overlapStart - Only events still going on at or after this time
+   * @param {string} options.overlapEnd - Only events that started by this time
    * @returns {Array} Array of events
    */
   async getEvents(options = {}) {
-    const {
-      source,
-      type,
-      startDate,
-      endDate,
-      tags,
-      limit = 100,
-      offset = 0,
-      orderBy = 'timestamp DESC'
-    } = options;
+    return (await this.storage.queryEvents(storageQuery(options))).map(withURI);
+  }
 
-    let query = 'SELECT * FROM events WHERE 1=1';
-    const params = [];
+  /**
+   * List one page of events, with cursors for the pages around it
+   * @param {Object} options - Filters (including `q` and `near`) as for getEvents, plus:
+   * @param {string} options.sort - Sort order, e.g. "timestamp DESC, title ASC" (see lib/query.js);
+   *   nearest first by default with `near`
+   * @param {string} options.cursor - A `next` or `prev` cursor from an earlier page
+   * @param {number} options.limit - Page size
+   * @param {boolean} options.includeTotal - Also count every matching event
+   * @returns {Object} `{ events, pagination: { limit, count, sort, next, prev, total? } }`
+   */
+  async listEvents(options = {}) {
+    const { sort: sortOption, orderBy, cursor, limit = 100, offset = 0, includeTotal, ...filters } = storageQuery(options);
+    const near = Boolean(filters.near);
+    const sort = parseSort(sortOption || orderBy || (near ? DISTANCE_FIELD : DEFAULT_SORT), { distance: near });
+    const sortKey = formatSort(sort);
 
-    if (source) {
-      query += ' AND source = ?';
-      params.push(source);
+    let position = null;
+    if (cursor) {
+      position = decodeCursor(cursor);
+      if (position.sort !== sortKey || !Array.isArray(position.after) || !['next', 'prev'].includes(position.direction)) {
+        throw new Error('Invalid cursor: it does not belong to this sort order');
+      }
     }
 
-    if (type) {
-      query += ' AND type = ?';
-      params.push(type);
-    }
+    // Walking backwards reads the reversed order, then flips the page
+    const backwards = position !== null && position.direction === 'prev';
+    const rows = await this.storage.queryEvents({
+      ...filters,
+      orderBy: backwards ? reverseSort(sort) : sort,
+      after: position ? position.after : undefined,
+      offset: position ? 0 : offset,
+      limit: limit + 1
+    });
 
-    if (startDate) {
-      query += ' AND timestamp >= ?';
-      params.push(startDate);
+    const more = rows.length > limit;
+    const events = rows.slice(0, limit);
+    if (backwards) {
+      events.reverse();
     }
 
-    if (endDate) {
-      query += ' AND timestamp <= ?';
-      params.push(endDate);
-    }
+    const hasNext = backwards ? true : more;
+    const hasPrev = backwards ? more : position !== null || offset > 0;
+    const cursorAt = (event, direction) => encodeCursor({ sort: sortKey, after: sortValues(event, sort), direction });
+
+    const pagination = {
+      limit,
+      count: events.length,
+      sort: sortKey,
+      next: hasNext && events.length > 0 ? cursorAt(events[events.length - 1], 'next') : null,
+      prev: hasPrev && events.length > 0 ? cursorAt(events[0], 'prev') : null
+    };
 
-    if (tags && tags.length > 0) {
-      // Simple tag matching (could be improved with full-text search)
-      const tagConditions = tags.map(() => 'tags LIKE ?').join(' OR ');
-      query += ` AND (${tagConditions})`;
-      tags.forEach(tag => params.push(`%${tag}%`));
+    if (includeTotal) {
+      pagination.total = await this.storage.countEvents(filters);
     }
 
-    query += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
-    params.push(limit, offset);
+    return { events: events.map(withURI), pagination };
+  }
 
-    return new Promise((resolve, reject) => {
-      this.db.all(query, params, (err, rows) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  /**
+   * Count events per value of a field, e.g. plays per `metadata.artist`
+   * @param {string} field - source, type, mood, duration or a metadata path
+   * @param {Object} options - Filters (including `q`) as for getEvents, plus `limit`
+   * @returns {Array} `{ value, count }` groups, most common first
+   */
+  async groupEvents(field, options = {}) {
+    return this.storage.groupEvents(parseGroupField(field), storageQuery(options));
+  }
+
+  /**
+   * Cluster events with coordinates into frequently visited places
+   * @param {Object} options - Filters as for getEvents, plus:
+   * @param {string|number} options.placeRadius - How far apart events at one place can be (default 100m)
+   * @param {number} options.minVisits - Leave out places with fewer visits (default 2)
+   * @param {number} options.limit - Most places to return (default 100)
+   * @returns {Array} `{ lat, lng, name, visits, events, first_seen, last_seen }`, most visited first
+   */
+  async getPlaces(options = {}) {
+    const { placeRadius = 100, minVisits = 2, limit = 100, ...filters } = storageQuery(options);
+    const sort = parseSort('timestamp ASC');
+    const events = [];
 
-        // Parse complex fields for each event
-        const events = rows.map(row => ({
-          ...row,
-          metadata: JSON.parse(row.metadata || '{}'),
-          linked_uris: JSON.parse(row.linked_uris || '[]'),
-          tags: JSON.parse(row.tags || '[]'),
-          location: row.location ? JSON.parse(row.location) : null
-        }));
+    // Read in time order, a page at a time
+    let after;
+    for (;;) {
+      const page = await this.storage.queryEvents({ ...filters, withCoordinates: true, orderBy: sort, after, limit: 1000 });
+      events.push(...page);
+      if (page.length < 1000) break;
+      after = sortValues(page[page.length - 1], sort);
+    }
 
-        resolve(events);
-      });
-    });
+    return clusterPlaces(events, { radius: parseRadius(placeRadius) })
+      .filter(place => place.visits >= minVisits)
+      .slice(0, limit);
   }
 
   /**
    * Update an event
    * @param {string} id - The event ID
    * @param {Object} updates - The updates to apply
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
    * @returns {Object} The updated event
    */
-  async updateEvent(id, updates) {
-    const event = await this.getEvent(id);
-    if (!event) {
-      throw new Error(`Event not found: ${id}`);
-    }
+  async updateEvent(id, updates, options = {}) {
+    return this.applyUpdate(id, updates, ACTIONS.UPDATE, options.actor);
+  }
 
-    // Merge updates
-    const updatedEvent = {
-      ...event,
-      ...updates,
-      updated_at: new Date().toISOString()
-    };
+  /**
+   * Update many events in a single transaction
+   * @param {Array} items - `{ id, updates }` objects
+   * @param {Object} options - Options
+   * @param {string} options.mode - "all-or-nothing" (default) or "best-effort"
+   * @param {string} options.actor - Who made the change
+   * @returns {Object} Batch report (see runBatch)
+   */
+  async updateEvents(items, options = {}) {
+    return this.runBatch(items, options, {
+      prepare: async (item) => {
+        if (!item || typeof item.id !== 'string') {
+          throw new Error('Each update needs an id');
+        }
+        return this.prepareUpdate(item.id, item.updates || {});
+      },
+      apply: async (prepared) => {
+        const updated = await this.writeUpdate(prepared, ACTIONS.UPDATE, options.actor);
+        return { status: 'updated', id: updated.id, event: updated };
+      }
+    });
+  }
 
-    // Validate the updated event
-    if (!this.validate(updatedEvent)) {
-      throw new Error(`Invalid event: ${this.ajv.errorsText(this.validate.errors)}`);
+  /**
+   * Delete an event by moving it to the trash
+   * @param {string} id - The event ID
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
+   * @param {boolean} options.permanent - Skip the trash and delete for good
+   * @returns {boolean} True if deleted
+   */
+  async deleteEvent(id, options = {}) {
+    if (options.permanent) {
+      return this.purgeEvent(id, options);
     }
 
-    // Serialize complex fields
-    const serializedEvent = {
-      ...updatedEvent,
-      metadata: JSON.stringify(updatedEvent.metadata || {}),
-      linked_uris: JSON.stringify(updatedEvent.linked_uris || []),
-      tags: JSON.stringify(updatedEvent.tags || []),
-      location: updatedEvent.location ? JSON.stringify(updatedEvent.location) : null
-    };
+    return this.storage.transaction(async () => {
+      const event = await this.getEvent(id);
+      if (!event) {
+        return false;
+      }
 
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        UPDATE events SET
-          timestamp = ?, source = ?, type = ?, title = ?, metadata = ?,
-          linked_uris = ?, tags = ?, mood = ?, location = ?, duration = ?,
-          updated_at = ?
-        WHERE id = ?
-      `);
-
-      stmt.run([
-        serializedEvent.timestamp,
-        serializedEvent.source,
-        serializedEvent.type,
-        serializedEvent.title,
-        serializedEvent.metadata,
-        serializedEvent.linked_uris,
-        serializedEvent.tags,
-        serializedEvent.mood,
-        serializedEvent.location,
-        serializedEvent.duration,
-        serializedEvent.updated_at,
-        id
-      ], function(err) {
-        if (err) {
-          reject(err);
-          return;
+      return this.trashPrepared(event, options.actor);
+    });
+  }
+
+  /**
+   * Move many events to the trash in a single transaction
+   * @param {Array} ids - Event IDs
+   * @param {Object} options - Options
+   * @param {string} options.mode - "all-or-nothing" (default) or "best-effort"
+   * @param {string} options.actor - Who made the change
+   * @returns {Object} Batch report (see runBatch)
+   */
+  async deleteEvents(ids, options = {}) {
+    return this.runBatch(ids, options, {
+      prepare: async (id) => {
+        const event = typeof id === 'string' ? await this.getEvent(id) : null;
+        if (!event) {
+          throw new Error(`Event not found: ${id}`);
+        }
+        return event;
+      },
+      apply: async (event) => {
+        // Listing the same ID twice trashes it only once
+        if (!(await this.trashPrepared(event, options.actor))) {
+          throw new Error(`Event not found: ${event.id}`);
         }
+        return { status: 'deleted', id: event.id };
+      }
+    });
+  }
 
-        resolve(updatedEvent);
-      });
+  /**
+   * Take an event out of the trash
+   * @param {string} id - The event ID
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
+   * @returns {Object|null} The restored event, or null if it was not in the trash
+   */
+  async restoreEvent(id, options = {}) {
+    return this.storage.transaction(async () => {
+      const restored = await this.storage.restoreEvent(id);
+      if (!restored) {
+        return null;
+      }
 
-      stmt.finalize();
+      const event = await this.getEvent(id);
+      await this.recordRevision(event, ACTIONS.RESTORE, options.actor);
+
+      return event;
     });
   }
 
   /**
-   * Delete an event
+   * Permanently delete an event, trashed or not. Its history is kept, so it
+   * can still be brought back with revertEvent().
    * @param {string} id - The event ID
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
    * @returns {boolean} True if deleted
    */
-  async deleteEvent(id) {
-    return new Promise((resolve, reject) => {
-      this.db.run('DELETE FROM events WHERE id = ?', [id], function(err) {
-        if (err) {
-          reject(err);
-          return;
+  async purgeEvent(id, options = {}) {
+    return this.storage.transaction(async () => {
+      const event = await this.getEvent(id, { includeDeleted: true });
+      if (!event) {
+        return false;
+      }
+
+      const deleted = await this.storage.deleteEvent(id);
+      if (deleted) {
+        await this.recordRevision(event, ACTIONS.PURGE, options.actor);
+        for (const attachment of await this.storage.listAttachments({ eventId: id })) {
+          await this.detach(attachment);
         }
+      }
 
-        resolve(this.changes > 0);
-      });
+      return deleted;
     });
   }
 
   /**
-   * Search events by text
-   * @param {string} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Array} Array of matching events
+   * List events in the trash, most recently deleted first
+   * @param {Object} options - Query and page options (same as listEvents)
+   * @returns {Object} A page of trashed events with the time they will be purged
    */
-  async searchEvents(query, options = {}) {
-    const { limit = 50 } = options;
-    
-    return new Promise((resolve, reject) => {
-      const searchQuery = `
-        SELECT * FROM events 
-        WHERE title LIKE ? OR metadata LIKE ? OR tags LIKE ?
-        ORDER BY timestamp DESC 
-        LIMIT ?
-      `;
-      
-      const searchTerm = `%${query}%`;
-      
-      this.db.all(searchQuery, [searchTerm, searchTerm, searchTerm, limit], (err, rows) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  async getTrash(options = {}) {
+    const page = await this.listEvents({
+      ...options,
+      sort: options.sort || 'deleted_at DESC',
+      trashed: true
+    });
+
+    page.events = page.events.map(event => ({
+      ...event,
+      purge_at: this.trashRetentionDays > 0
+        ? new Date(Date.parse(event.deleted_at) + this.trashRetentionDays * DAY_MS).toISOString()
+        : null
+    }));
+
+    return page;
+  }
+
+  /**
+   * Permanently delete trashed events older than the retention period
+   * @param {Object} options - Options
+   * @param {number} options.olderThanDays - Override the configured retention (0 empties the trash)
+   * @param {string} options.actor - Who made the change
+   * @returns {number} Number of purged events
+   */
+  async purgeTrash(options = {}) {
+    const olderThanDays = options.olderThanDays !== undefined
+      ? options.olderThanDays
+      : this.trashRetentionDays;
+
+    // Retention of 0 from config means "keep forever"; an explicit 0 empties the trash
+    if (options.olderThanDays === undefined && olderThanDays <= 0) {
+      return 0;
+    }
 
-        const events = rows.map(row => ({
-          ...row,
-          metadata: JSON.parse(row.metadata || '{}'),
-          linked_uris: JSON.parse(row.linked_uris || '[]'),
-          tags: JSON.parse(row.tags || '[]'),
-          location: row.location ? JSON.parse(row.location) : null
-        }));
+    const deletedBefore = new Date(Date.now() - olderThanDays * DAY_MS).toISOString();
+    let purged = 0;
 
-        resolve(events);
+    // Purge in pages so a huge trash never has to fit in memory at once
+    for (;;) {
+      const expired = await this.storage.queryEvents({
+        trashed: true,
+        deletedBefore,
+        orderBy: 'deleted_at ASC',
+        limit: 500
       });
-    });
+
+      if (expired.length === 0) {
+        break;
+      }
+
+      for (const event of expired) {
+        if (await this.purgeEvent(event.id, { actor: options.actor || 'system' })) {
+          purged++;
+        }
+      }
+    }
+
+    return purged;
   }
 
   /**
-   * Get event statistics
-   * @returns {Object} Statistics about events
+   * Get the revision history of an event, including deleted events
+   * @param {string} id - The event ID
+   * @returns {Array} Revisions, oldest first
    */
-  async getStats() {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT COUNT(*) as total FROM events', (err, totalRow) => {
-        if (err) {
-          reject(err);
-          return;
+  async getEventHistory(id) {
+    return this.storage.getRevisions(id);
+  }
+
+  /**
+   * Diff two revisions of an event
+   * @param {string} id - The event ID
+   * @param {number} from - Earlier revision (defaults to the one before `to`)
+   * @param {number} to - Later revision (defaults to the latest)
+   * @returns {Object} `{ from, to, changes }`
+   */
+  async diffEventRevisions(id, from, to) {
+    const revisions = await this.getEventHistory(id);
+    if (revisions.length === 0) {
+      throw new Error(`Event history not found: ${id}`);
+    }
+
+    const toNumber = to !== undefined ? to : revisions[revisions.length - 1].revision;
+    const fromNumber = from !== undefined ? from : toNumber - 1;
+
+    const toRevision = revisions.find(revision => revision.revision === toNumber);
+    if (!toRevision) {
+      throw new Error(`Revision not found: ${id}@${toNumber}`);
+    }
+
+    // Revision 0 means "before the event existed"
+    const fromRevision = revisions.find(revision => revision.revision === fromNumber);
+    if (!fromRevision && fromNumber !== 0) {
+      throw new Error(`Revision not found: ${id}@${fromNumber}`);
+    }
+
+    return {
+      event_id: id,
+      from: fromNumber,
+      to: toNumber,
+      changes: diffEvents(fromRevision ? fromRevision.snapshot : null, toRevision.snapshot)
+    };
+  }
+
+  /**
+   * Restore an event to the state recorded in a revision.
+   * Deleted events are recreated with their original ID.
+   * @param {string} id - The event ID
+   * @param {number} revision - The revision to restore
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
+   * @returns {Object} The restored event
+   */
+  async revertEvent(id, revision, options = {}) {
+    return this.storage.transaction(async () => {
+      const target = await this.storage.getRevision(id, revision);
+      if (!target) {
+        throw new Error(`Revision not found: ${id}@${revision}`);
+      }
+
+      // Identity and bookkeeping fields stay as they are
+      const fields = { ...target.snapshot };
+      delete fields.id;
+      delete fields.created_at;
+      delete fields.updated_at;
+      delete fields.deleted_at;
+
+      const current = await this.getEvent(id, { includeDeleted: true });
+      if (current) {
+        if (current.deleted_at) {
+          await this.storage.restoreEvent(id);
         }
+        return this.applyUpdate(id, fields, ACTIONS.REVERT, options.actor);
+      }
 
-        this.db.all('SELECT source, COUNT(*) as count FROM events GROUP BY source', (err, sourceRows) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+      const restored = {
+        ...stripResponseFields(target.snapshot),
+        updated_at: new Date().toISOString(),
+        deleted_at: null
+      };
 
-          this.db.all('SELECT type, COUNT(*) as count FROM events GROUP BY type', (err, typeRows) => {
-            if (err) {
-              reject(err);
-              return;
-            }
+      if (!this.validate(restored)) {
+        throw new Error(`Invalid event: ${this.ajv.errorsText(this.validate.errors)}`);
+      }
 
-            resolve({
-              total: totalRow.total,
-              bySource: sourceRows,
-              byType: typeRows
-            });
-          });
-        });
-      });
+      const stored = await this.storage.insertEvent(restored);
+      await this.recordRevision(stored, ACTIONS.REVERT, options.actor);
+
+      return withURI(stored);
     });
   }
 
   /**
-   * Resolve a life:// URI to an event
-   * @param {string} uri - The life:// URI
-   * @returns {Object} The resolved event
+   * Write a repaired event over its stored row, which may no longer parse
+   * (see scripts/validate-events.js). The event is written as given, so a
+   * repair to one field never depends on the rest of the event being valid.
+   * @param {Object} event - The repaired event, with its ID
+   * @param {Object} options - Options
+   * @param {string} options.actor - Who made the change
+   * @returns {boolean} True if the event was written
    */
-  async resolveURI(uri) {
-    try {
-      return await this.resolver.resolveURI(uri);
-    } catch (error) {
-      // If external resolver fails, try to find in local database
-      const parsed = this.resolver.parseURI(uri);
-      const events = await this.getEvents({
-        source: parsed.source,
-        type: parsed.type,
-        limit: 1
-      });
-
-      if (events.length > 0) {
-        return events[0];
+  async repairEvent(event, options = {}) {
+    return this.storage.transaction(async () => {
+      const repaired = { ...event, updated_at: new Date().toISOString() };
+      if (!(await this.storage.updateEvent(repaired.id, repaired))) {
+        return false;
       }
 
-      throw error;
+      await this.recordRevision(repaired, ACTIONS.UPDATE, options.actor);
+      return true;
+    });
+  }
+
+  /**
+   * Validate new event data and fill in ID and timestamps
+   * @param {Object} eventData - The event data
+   * @returns {Object} The event, ready to insert
+   */
+  async prepareEvent(input) {
+    const eventData = normalizeLinkInput(stripResponseFields(input));
+
+    // Validate the event
+    if (!this.validate(eventData)) {
+      throw new Error(`Invalid event: ${this.ajv.errorsText(this.validate.errors)}`);
     }
+    await this.checkEventType(eventData);
+
+    // Generate ID if not provided
+    return {
+      ...eventData,
+      ...resolveInterval(eventData),
+      ...resolveTimezone(eventData),
+      external_id: normalizeExternalId(eventData.external_id),
+      tags: normalizeTags(eventData.tags),
+      id: eventData.id || uuidv4(),
+      created_at: eventData.created_at || new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      deleted_at: null
+    };
   }
 
   /**
-   * Close the database connection
+   * Insert a prepared event and record its creation
    */
-  close() {
-    if (this.db) {
-      this.db.close();
+  async insertPrepared(event, actor) {
+    const stored = await this.storage.insertEvent(event);
+    await this.recordRevision(stored, ACTIONS.CREATE, actor);
+
+    // Return the event with parsed fields
+    return withURI({
+      ...event,
+      metadata: stored.metadata,
+      linked_uris: stored.linked_uris,
+      tags: stored.tags,
+      location: stored.location
+    });
+  }
+
+  /**
+   * Validate upsert data, taking a missing timestamp from the stored event
+   * (or the current time) so re-syncs never move events
+   * @returns {Object} The event, ready for writeUpsert()
+   */
+  async prepareUpsert(eventData) {
+    if (!eventData || typeof eventData !== 'object') {
+      throw new Error('Invalid event: must be an object');
+    }
+
+    let timestamp = eventData.timestamp;
+    if (!timestamp) {
+      const externalId = normalizeExternalId(eventData.external_id);
+      const existing = externalId !== null && typeof eventData.source === 'string'
+        ? await this.storage.findByExternalId(eventData.source, externalId)
+        : null;
+      timestamp = existing ? existing.timestamp : new Date().toISOString();
+    }
+
+    return this.prepareEvent({ ...eventData, timestamp });
+  }
+
+  /**
+   * Insert a prepared event, or merge it into the event stored under its external ID
+   */
+  async writeUpsert(event, actor, tag) {
+    const existing = event.external_id !== null
+      ? await this.storage.findByExternalId(event.source, event.external_id)
+      : null;
+
+    if (!existing) {
+      const created = await this.insertPrepared(tag ? { ...event, tags: normalizeTags([...event.tags, tag]) } : event, actor);
+      return { status: 'created', id: created.id, event: created };
+    }
+
+    if (existing.deleted_at) {
+      return { status: 'skipped', id: existing.id, event: withURI(existing) };
+    }
+
+    // The stored event keeps its identity and bookkeeping fields
+    const fields = { ...event };
+    delete fields.id;
+    delete fields.created_at;
+    delete fields.updated_at;
+    delete fields.deleted_at;
+
+    const prepared = await this.prepareUpdate(existing.id, fields);
+    if (diffEvents(stripResponseFields(prepared.event), prepared.updatedEvent).length === 0) {
+      return { status: 'unchanged', id: existing.id, event: prepared.event };
+    }
+    if (tag) {
+      prepared.updatedEvent.tags = normalizeTags([...prepared.updatedEvent.tags, tag]);
+    }
+
+    const updated = await this.writeUpdate(prepared, ACTIONS.UPDATE, actor);
+    return { status: 'updated', id: updated.id, event: updated };
+  }
+
+  /**
+   * Merge, validate and store updates, recording a revision
+   */
+  async applyUpdate(id, updates, action, actor) {
+    return this.storage.transaction(async () => {
+      const prepared = await this.prepareUpdate(id, updates);
+      return this.writeUpdate(prepared, action, actor);
+    });
+  }
+
+  /**
+   * Merge updates into the stored event and validate the result
+   * @returns {Object} `{ event, updatedEvent }`
+   */
+  async prepareUpdate(id, updates) {
+    const event = await this.getEvent(id);
+    if (!event) {
+      throw new Error(`Event not found: ${id}`);
+    }
+
+    // Merge updates
+    const updatedEvent = normalizeLinkInput({
+      ...stripResponseFields(event),
+      ...stripResponseFields(updates),
+      updated_at: new Date().toISOString()
+    });
+    updatedEvent.tags = normalizeTags(updatedEvent.tags);
+    updatedEvent.external_id = normalizeExternalId(updatedEvent.external_id);
+
+    // Validate the updated event
+    if (!this.validate(updatedEvent)) {
+      throw new Error(`Invalid event: ${this.ajv.errorsText(this.validate.errors)}`);
+    }
+    await this.checkEventType(updatedEvent);
+
+    // A new end time sets the duration; otherwise the duration moves the end
+    Object.assign(updatedEvent, resolveInterval(updatedEvent, { fromEnd: 'end_time' in updates }));
+
+    // A zone or offset sent with the update wins over the stored zone
+    Object.assign(updatedEvent, resolveTimezone({
+      timestamp: updatedEvent.timestamp,
+      timezone: updates.timezone
+    }, event.timezone));
+
+    return { event, updatedEvent };
+  }
+
+  /**
+   * Store a prepared update and record it in the event's history
+   */
+  async writeUpdate({ event, updatedEvent }, action, actor) {
+    // Events created before history existed get their prior state recorded first
+    const history = await this.storage.getRevisions(event.id);
+    if (history.length === 0) {
+      await this.recordRevision(event, ACTIONS.BASELINE, 'system');
+    }
+
+    await this.storage.updateEvent(event.id, updatedEvent);
+    await this.recordRevision(await this.getEvent(event.id, { includeDeleted: true }), action, actor);
+
+    return withURI(updatedEvent);
+  }
+
+  /**
+   * Move a loaded event to the trash and record the deletion
+   */
+  async trashPrepared(event, actor) {
+    const trashed = await this.storage.trashEvent(event.id, new Date().toISOString());
+    if (trashed) {
+      // The snapshot is the last state before deletion, so it can be restored
+      await this.recordRevision(event, ACTIONS.DELETE, actor);
     }
+
+    return trashed;
   }
+
+  /**
+   * Run a batch of writes in one transaction.
+   *
+   * Every item is validated before anything is written. In "all-or-nothing"
+   * mode any invalid or failing item rolls the whole batch back; in
+   * "best-effort" mode the valid items are committed and the rest reported.
+   *
+   * @param {Array} items - Batch items
+   * @param {Object} options - `{ mode }`
+   * @param {Object} handler - `{ prepare(item), apply(prepared) }`
+   * @returns {Object} `{ mode, committed, summary, results }` where each result
+   *   is `{ index, status, id?, event?, error? }`
+   */
+  async runBatch(items, options, handler) {
+    const mode = options.mode || BATCH_MODES.ALL_OR_NOTHING;
+    if (!Object.values(BATCH_MODES).includes(mode)) {
+      throw new Error(`Invalid batch mode: ${mode}`);
+    }
+    if (!Array.isArray(items)) {
+      throw new Error('Batch items must be an array');
+    }
+
+    const results = items.map((item, index) => ({ index, status: 'skipped' }));
+    const aborted = new Error('Batch aborted');
+    let committed = true;
+
+    try {
+      await this.storage.transaction(async () => {
+        const prepared = [];
+
+        for (let index = 0; index < items.length; index++) {
+          try {
+            prepared[index] = await handler.prepare(items[index]);
+          } catch (error) {
+            results[index] = { index, status: 'invalid', error: error.message };
+          }
+        }
+
+        if (mode === BATCH_MODES.ALL_OR_NOTHING && results.some(result => result.status === 'invalid')) {
+          throw aborted;
+        }
+
+        for (let index = 0; index < items.length; index++) {
+          if (results[index].status === 'invalid') {
+            continue;
+          }
+
+          try {
+            results[index] = { index, ...(await handler.apply(prepared[index])) };
+          } catch (error) {
+            results[index] = { index, status: 'failed', error: error.message };
+            if (mode === BATCH_MODES.ALL_OR_NOTHING) {
+              throw aborted;
+            }
+          }
+        }
+      });
+    } catch (error) {
+      if (error !== aborted) {
+        throw error;
+      }
+
+      // Nothing was written, so earlier successes are reported as skipped
+      committed = false;
+      results.forEach((result, index) => {
+        if (result.status !== 'invalid' && result.status !== 'failed') {
+          results[index] = { index, status: 'skipped' };
+        }
+      });
+    }
+
+    const summary = {};
+    results.forEach(result => {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+
+    return { mode, committed, summary, results };
+  }
+
+  /**
+   * Append a snapshot to an event's revision history
+   */
+  async recordRevision(snapshot, action, actor) {
+    return this.storage.addRevision({
+      event_id: snapshot.id,
+      action,
+      actor: normalizeActor(actor, this.defaultActor),
+      snapshot: stripResponseFields(snapshot),
+      created_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Full-text search, best matches first
+   * @param {string} query - Search query (see lib/search.js for the syntax)
+   * @param {Object} options - Filters (`source`, `type`, `startDate`, `endDate`), `limit` and `offset`
+   * @returns {Array} Events, each with a `score` and a highlighted `snippet`
+   */
+  async searchEvents(query, options = {}) {
+    const { limit = 50, offset = 0, ...filters } = options;
+    return (await this.storage.searchEvents(query, { ...filters, limit, offset })).map(withURI);
+  }
+
+  /**
+   * List one page of search results, with cursors for the pages around it.
+   * Relevance depends on the whole index, so search cursors hold an offset
+   * rather than a sort position.
+   * @param {string} query - Search query (see lib/search.js for the syntax)
+   * @param {Object} options - Filters as for searchEvents, `limit`, `offset` or `cursor`, and `includeTotal`
+   * @returns {Object} `{ events, pagination: { limit, count, sort, next, prev, total? } }`
+   */
+  async listSearchResults(query, options = {}) {
+    const { cursor, limit = 50, includeTotal, ...filters } = options;
+
+    let offset = options.offset || 0;
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (position.sort !== 'relevance' || !Number.isInteger(position.offset) || position.offset < 0) {
+        throw new Error('Invalid cursor: it does not belong to a search');
+      }
+      offset = position.offset;
+    }
+
+    const rows = await this.storage.searchEvents(query, { ...filters, limit: limit + 1, offset });
+    const events = rows.slice(0, limit);
+    const cursorAt = (at) => encodeCursor({ sort: 'relevance', offset: Math.max(at, 0) });
+
+    const pagination = {
+      limit,
+      count: events.length,
+      sort: 'relevance',
+      next: rows.length > limit ? cursorAt(offset + limit) : null,
+      prev: offset > 0 ? cursorAt(offset - limit) : null
+    };
+
+    if (includeTotal) {
+      pagination.total = await this.storage.countSearchResults(query, filters);
+    }
+
+    return { events: events.map(withURI), pagination };
+  }
+
+  /**
+   * Get event statistics
+   * @returns {Object} Statistics about events
+   */
+  async getStats() {
+    return this.storage.getStats();
+  }
+
+  /**
+   * List tags with the number of events using each
+   * @returns {Array} `{ tag, count }` sorted by tag
+   */
+  async getTags() {
+    return this.storage.getTagCounts();
+  }
+
+  /**
+   * List tags as a tree following the `/` hierarchy (`health/sleep`)
+   * @returns {Array} Root nodes as `{ name, tag, count, children }`
+   */
+  async getTagTree() {
+    return buildTagTree(await this.storage.getTagCounts());
+  }
+
+  /**
+   * Rename a tag, including its descendants (`health/sleep` follows `health`)
+   * @param {string} from - Current tag
+   * @param {string} to - New tag
+   * @param {Object} options - `{ actor }`
+   * @returns {number} Number of events changed
+   */
+  async renameTag(from, to, options = {}) {
+    const updated = await this.mergeTags([from], to, options);
+    if (updated === 0) {
+      throw new Error(`Tag not found: ${from}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Replace several tags (and their descendants) with one, in a single transaction.
+   * Trashed events are retagged too so restoring them stays consistent.
+   * @param {Array} sources - Tags to merge
+   * @param {string} target - Tag they become
+   * @param {Object} options - `{ actor }`
+   * @returns {number} Number of events changed
+   */
+  async mergeTags(sources, target, options = {}) {
+    const from = normalizeTags(sources);
+    const to = normalizeTag(target || '');
+    if (from.length === 0 || !to) {
+      throw new Error('Invalid tags: source and target tags are required');
+    }
+
+    return this.storage.transaction(async () => {
+      const events = [
+        ...(await this.findAllEvents({ tags: from })),
+        ...(await this.findAllEvents({ tags: from, trashed: true }))
+      ];
+
+      for (const event of events) {
+        const updatedEvent = {
+          ...event,
+          tags: from.reduce((tags, tag) => replaceTag(tags, tag, to), event.tags),
+          updated_at: new Date().toISOString()
+        };
+        await this.writeUpdate({ event, updatedEvent }, ACTIONS.UPDATE, options.actor);
+      }
+
+      return events.length;
+    });
+  }
+
+  /**
+   * Collect every event matching a query, reading in pages
+   */
+  async findAllEvents(options) {
+    const events = [];
+
+    for (let offset = 0; ; offset += 500) {
+      const page = await this.storage.queryEvents({ ...options, orderBy: 'timestamp ASC, id ASC', limit: 500, offset });
+      events.push(...page);
+      if (page.length < 500) {
+        return events;
+      }
+    }
+  }
+
+  /**
+   * Get the events an event links to
+   * @param {string} id - The event ID
+   * @returns {Array} `{ uri, relation, event }`; `event` is null for URIs that
+   *   do not point at a stored event
+   */
+  async getLinks(id) {
+    if (!(await this.getEvent(id))) {
+      throw new Error(`Event not found: ${id}`);
+    }
+
+    const links = await this.storage.getLinks(id);
+    return Promise.all(links.map(async link => ({
+      uri: link.target_uri,
+      relation: link.relation,
+      event: link.target_id ? await this.getEvent(link.target_id) : null
+    })));
+  }
+
+  /**
+   * Get the events that link to an event
+   * @param {string} id - The event ID
+   * @returns {Array} `{ uri, relation, event }` where `uri` is the linking event's URI
+   */
+  async getBacklinks(id) {
+    if (!(await this.getEvent(id))) {
+      throw new Error(`Event not found: ${id}`);
+    }
+
+    const backlinks = await this.storage.getBacklinks(id);
+    const results = await Promise.all(backlinks.map(async link => {
+      const event = await this.getEvent(link.event_id);
+      return event && { uri: buildEventURI(event), relation: link.relation, event };
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Walk the link graph around an event, breadth first
+   * @param {string} id - The starting event ID
+   * @param {Object} options - Options
+   * @param {number} options.depth - How many hops to follow (default 2)
+   * @param {string} options.direction - "out" (links), "in" (backlinks) or "both"
+   * @param {number} options.limit - Maximum number of nodes (default 200)
+   * @returns {Object} `{ nodes, edges, truncated }`. Nodes are keyed by URI and
+   *   carry their distance from the start; URIs that are not stored events
+   *   become `external` nodes that are not expanded.
+   */
+  async getLinkGraph(id, options = {}) {
+    const { depth = 2, direction = 'both', limit = 200 } = options;
+    if (!['out', 'in', 'both'].includes(direction)) {
+      throw new Error(`Invalid direction: ${direction}`);
+    }
+
+    const start = await this.getEvent(id);
+    if (!start) {
+      throw new Error(`Event not found: ${id}`);
+    }
+
+    const nodes = new Map();
+    const edges = new Map();
+    let truncated = false;
+
+    const addNode = (uri, event, distance) => {
+      if (nodes.has(uri)) {
+        return true;
+      }
+      if (nodes.size >= limit) {
+        truncated = true;
+        return false;
+      }
+      nodes.set(uri, event
+        ? { uri, id: event.id, title: event.title, source: event.source, type: event.type, timestamp: event.timestamp, depth: distance }
+        : { uri, id: null, external: true, depth: distance });
+      return true;
+    };
+    const addEdge = (from, to, relation) => {
+      edges.set(JSON.stringify([from, to, relation]), { from, to, relation });
+    };
+
+    addNode(buildEventURI(start), start, 0);
+    let frontier = [start];
+
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+      const next = [];
+
+      for (const event of frontier) {
+        const uri = buildEventURI(event);
+
+        if (direction !== 'in') {
+          for (const link of await this.getLinks(event.id)) {
+            const target = link.event ? buildEventURI(link.event) : link.uri;
+            const isNew = !nodes.has(target);
+            if (addNode(target, link.event, distance)) {
+              addEdge(uri, target, link.relation);
+              if (isNew && link.event) next.push(link.event);
+            }
+          }
+        }
+
+        if (direction !== 'out') {
+          for (const backlink of await this.getBacklinks(event.id)) {
+            const isNew = !nodes.has(backlink.uri);
+            if (addNode(backlink.uri, backlink.event, distance)) {
+              addEdge(backlink.uri, uri, backlink.relation);
+              if (isNew) next.push(backlink.event);
+            }
+          }
+        }
+      }
+
+      frontier = next;
+    }
+
+    return {
+      nodes: Array.from(nodes.values()),
+      edges: Array.from(edges.values()),
+      truncated
+    };
+  }
+
+  /**
+   * Resolve a life:// URI to an event.
+   *
+   * URIs of stored events resolve by their ID, so they keep working if the
+   * event's source or type changes. Anything else goes to the registered resolvers.
+   * @param {string} uri - The life:// URI
+   * @returns {Object|null} The event, or null if nothing is known under the URI
+   * @throws {Error} "Invalid URI" for malformed URIs, "Resolver error" when a
+   *   resolver fails for another reason than not knowing the URI
+   */
+  async resolveURI(uri) {
+    const local = parseEventURI(uri);
+    if (local) {
+      const event = await this.getEvent(local.id);
+      if (event) {
+        return event;
+      }
+    }
+
+    try {
+      if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+        throw new Error(`expected a ${URI_SCHEME} URI`);
+      }
+      this.resolver.parseURI(uri);
+    } catch (error) {
+      throw new Error(`Invalid URI: ${uri} (${error.message})`);
+    }
+
+    try {
+      return (await this.resolver.resolveURI(uri)) || null;
+    } catch (error) {
+      if (isUnknownURIError(error)) {
+        return null;
+      }
+      throw new Error(`Resolver error for ${uri}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve several URIs, reporting each one's outcome
+   * @param {Array} uris - life:// URIs
+   * @returns {Array} `{ uri, status, event?, error? }` where status is
+   *   "resolved", "not_found", "invalid" or "error"
+   */
+  async resolveURIs(uris) {
+    const results = [];
+
+    for (const uri of uris) {
+      try {
+        const event = await this.resolveURI(uri);
+        results.push(event ? { uri, status: 'resolved', event } : { uri, status: 'not_found' });
+      } catch (error) {
+        const status = error.message.startsWith('Invalid URI') ? 'invalid' : 'error';
+        results.push({ uri, status, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Attach a file to an event. Files are stored once per content, so
+   * attaching the same file again takes no extra space.
+   * @param {string} eventId - The event ID
+   * @param {stream.Readable} input - The file content
+   * @param {Object} options - Options
+   * @param {string} options.filename - The file's name
+   * @param {string} options.contentType - Its media type (default application/octet-stream)
+   * @param {number} options.size - Its size, when known up front, to turn away files that are too large
+   * @returns {Object} `{ id, event_id, hash, filename, content_type, size, created_at }`
+   */
+  async addAttachment(eventId, input, options = {}) {
+    if (!(await this.getEvent(eventId))) {
+      throw new Error(`Event not found: ${eventId}`);
+    }
+
+    const contentType = normalizeContentType(options.contentType);
+    if (options.size > this.attachments.maxBytes) {
+      throw new Error(`Attachment too large: files can be at most ${this.attachments.maxBytes} bytes`);
+    }
+
+    // A file stored for an event deleted meanwhile is left to garbage collection
+    const { hash, size } = await this.attachments.put(input);
+    return this.storage.insertAttachment({
+      id: uuidv4(),
+      event_id: eventId,
+      hash,
+      filename: normalizeFilename(options.filename),
+      content_type: contentType,
+      size,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List the files attached to an event, oldest first
+   * @param {string} eventId - The event ID
+   * @returns {Array} Attachments
+   */
+  async getAttachments(eventId) {
+    if (!(await this.getEvent(eventId))) {
+      throw new Error(`Event not found: ${eventId}`);
+    }
+    return this.storage.listAttachments({ eventId });
+  }
+
+  /**
+   * Find an attached file, for downloading
+   * @param {string} eventId - The event ID
+   * @param {string} id - The attachment ID
+   * @returns {Object} `{ attachment, path }`
+   */
+  async getAttachmentFile(eventId, id) {
+    const attachment = await this.findAttachment(eventId, id);
+    return { attachment, path: this.attachments.blobPath(attachment.hash) };
+  }
+
+  /**
+   * Get a JPEG thumbnail of an attached image, generated on first use
+   * @param {string} eventId - The event ID
+   * @param {string} id - The attachment ID
+   * @param {number} size - Largest width and height in pixels (128, 256 or 512)
+   * @returns {Object} `{ attachment, path }`
+   */
+  async getAttachmentThumbnail(eventId, id, size = DEFAULT_THUMBNAIL_SIZE) {
+    const attachment = await this.findAttachment(eventId, id);
+    if (!attachment.content_type.startsWith('image/')) {
+      throw new Error(`Invalid attachment: ${attachment.filename} is not an image`);
+    }
+    return { attachment, path: await this.attachments.thumbnail(attachment.hash, size) };
+  }
+
+  /**
+   * Remove a file from an event. The stored file goes once nothing else
+   * points at it (see collectAttachmentGarbage).
+   * @param {string} eventId - The event ID
+   * @param {string} id - The attachment ID
+   */
+  async removeAttachment(eventId, id) {
+    await this.detach(await this.findAttachment(eventId, id));
+  }
+
+  /**
+   * Remove stored files no attachment points at any more, once they have
+   * been unused for the grace period (ATTACHMENT_GC_DAYS)
+   * @param {Object} options - Options
+   * @param {number} options.olderThanDays - Override the grace period
+   * @param {boolean} options.dryRun - Only report what would be removed
+   * @returns {Object} `{ removed, bytes }`: hashes of the removed files and the space freed
+   */
+  async collectAttachmentGarbage(options = {}) {
+    const graceDays = options.olderThanDays !== undefined ? options.olderThanDays : this.attachmentGraceDays;
+    const referenced = new Set((await this.storage.listAttachments()).map(attachment => attachment.hash));
+
+    return this.attachments.collectGarbage(referenced, {
+      graceMs: graceDays * DAY_MS,
+      dryRun: Boolean(options.dryRun)
+    });
+  }
+
+  async findAttachment(eventId, id) {
+    if (!(await this.getEvent(eventId))) {
+      throw new Error(`Event not found: ${eventId}`);
+    }
+
+    const attachment = await this.storage.getAttachment(id);
+    if (!attachment || attachment.event_id !== eventId) {
+      throw new Error(`Attachment not found: ${id}`);
+    }
+    return attachment;
+  }
+
+  /**
+   * Delete an attachment record, starting its file's grace period if it was the last one using it
+   */
+  async detach(attachment) {
+    await this.storage.deleteAttachment(attachment.id);
+    if ((await this.storage.listAttachments({ hash: attachment.hash })).length === 0) {
+      await this.attachments.release(attachment.hash);
+    }
+  }
+
+  /**
+   * Check an event against the type registry: its metadata must match its
+   * type's schema, and with strictTypes its type must be known
+   * @param {Object} event - The event
+   */
+  async checkEventType(event) {
+    const custom = await this.storage.getEventType(event.type);
+    if (!custom && !isBuiltInType(event.type)) {
+      if (this.strictTypes) {
+        throw new Error(`Invalid event: unknown type ${event.type} (register it with POST /api/types first)`);
+      }
+      return;
+    }
+
+    if (custom && custom.schema) {
+      validateMetadata(event, custom.schema);
+    }
+  }
+
+  /**
+   * List every event type: the protocol's built-in types merged with the
+   * ones users and plugins registered
+   * @returns {Array} `{ type, description, schema, builtin, owner }` by type
+   */
+  async getEventTypes() {
+    return mergeTypes(await this.storage.listEventTypes());
+  }
+
+  /**
+   * Describe one event type
+   * @param {string} type - The type
+   * @returns {Object|null} The type, or null if it is neither built in nor registered
+   */
+  async getEventType(type) {
+    return describeType(type, await this.storage.getEventType(type));
+  }
+
+  /**
+   * Register a custom type, or attach a description and metadata schema to a
+   * built-in one. Registering a type again replaces its definition; plugins
+   * can only replace the types they registered themselves.
+   * @param {Object} definition - `{ type, description, schema }`
+   * @param {Object} options - `{ actor }`, who registers it
+   * @returns {Object} The type, as getEventType() describes it
+   */
+  async registerEventType(definition, options = {}) {
+    const owner = normalizeActor(options.actor, this.defaultActor);
+    const entry = prepareEventType(definition, owner);
+
+    const existing = await this.storage.getEventType(entry.type);
+    if (existing && owner.startsWith('plugin:') && existing.owner !== owner) {
+      throw new Error(`Event type ${entry.type} belongs to ${existing.owner}`);
+    }
+
+    const stored = await this.storage.saveEventType(entry);
+    return describeType(stored.type, stored);
+  }
+
+  /**
+   * Remove a custom type registration. Events of that type are kept, and
+   * built-in types stay known.
+   * @param {string} type - The type
+   */
+  async unregisterEventType(type) {
+    if (!(await this.storage.deleteEventType(type))) {
+      throw new Error(`Event type not found: ${type}`);
+    }
+  }
+
+  /**
+   * Create a habit
+   * @param {Object} habitData - `{ name, rule, start, timezone, duration, match }` (see lib/habits.js)
+   * @returns {Object} The stored habit
+   */
+  async createHabit(habitData) {
+    return this.storage.insertHabit(prepareHabit(habitData));
+  }
+
+  /**
+   * Get a habit by ID
+   * @param {string} id - The habit ID
+   * @returns {Object|null} The habit or null if not found
+   */
+  async getHabit(id) {
+    return this.storage.getHabit(id);
+  }
+
+  /**
+   * List every habit, by name
+   * @returns {Array} Habits
+   */
+  async listHabits() {
+    return this.storage.listHabits();
+  }
+
+  /**
+   * Update a habit; fields left out keep their stored value
+   * @param {string} id - The habit ID
+   * @param {Object} updates - The fields to change
+   * @returns {Object} The updated habit
+   */
+  async updateHabit(id, updates) {
+    const habit = await this.storage.getHabit(id);
+    if (!habit) {
+      throw new Error(`Habit not found: ${id}`);
+    }
+
+    const fields = { ...updates };
+    delete fields.id;
+    delete fields.created_at;
+    delete fields.updated_at;
+
+    return this.storage.updateHabit(id, prepareHabit(fields, habit));
+  }
+
+  /**
+   * Delete a habit. Its events are left alone.
+   * @param {string} id - The habit ID
+   */
+  async deleteHabit(id) {
+    if (!(await this.storage.deleteHabit(id))) {
+      throw new Error(`Habit not found: ${id}`);
+    }
+  }
+
+  /**
+   * The expected occurrences of a habit in a range, each matched against the
+   * events that complete it
+   * @param {string} id - The habit ID
+   * @param {Object} options - Options
+   * @param {string} options.startDate - Range start (default: 30 days ago)
+   * @param {string} options.endDate - Range end (default: 7 days ahead)
+   * @param {string} options.status - Only occurrences with this status
+   * @returns {Object} `{ habit, occurrences, summary }`
+   */
+  async getHabitOccurrences(id, options = {}) {
+    const habit = await this.storage.getHabit(id);
+    if (!habit) {
+      throw new Error(`Habit not found: ${id}`);
+    }
+
+    return this.trackHabit(habit, options);
+  }
+
+  /**
+   * Occurrences and their summary for every habit
+   * @param {Object} options - As for getHabitOccurrences()
+   * @returns {Array} `{ habit, occurrences, summary }` per habit
+   */
+  async getHabitReport(options = {}) {
+    const report = [];
+    for (const habit of await this.storage.listHabits()) {
+      report.push(await this.trackHabit(habit, options));
+    }
+    return report;
+  }
+
+  /**
+   * Match a habit's occurrences in a range with its events, found with the
+   * getEvents filters in `habit.match`
+   */
+  async trackHabit(habit, { startDate, endDate, status } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status} (use ${STATUSES.join(', ')})`);
+    }
+
+    const now = Date.now();
+    const from = startDate ? parseDate(startDate) : now - HABIT_PAST_DAYS * DAY_MS;
+    const to = endDate ? parseDate(endDate) : now + HABIT_FUTURE_DAYS * DAY_MS;
+
+    const occurrences = habitOccurrences(habit, from, to);
+    const events = occurrences.length === 0 ? [] : await this.findAllEvents(storageQuery({
+      ...habit.match,
+      startDate: new Date(occurrences[0].start).toISOString(),
+      endDate: new Date(occurrences[occurrences.length - 1].end).toISOString()
+    }));
+
+    const matched = matchOccurrences(occurrences, events, now);
+    return {
+      habit,
+      occurrences: status ? matched.filter(occurrence => occurrence.status === status) : matched,
+      summary: summarizeOccurrences(matched)
+    };
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} ruleData - `{ name, enabled, match, at, count, per, timezone, emit }` (see lib/rules.js)
+   * @returns {Object} The stored rule
+   */
+  async createRule(ruleData) {
+    return this.storage.insertRule(prepareRule(ruleData));
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {string} id - The rule ID
+   * @returns {Object|null} The rule or null if not found
+   */
+  async getRule(id) {
+    return this.storage.getRule(id);
+  }
+
+  /**
+   * List every rule, by name
+   * @returns {Array} Rules
+   */
+  async listRules() {
+    return this.storage.listRules();
+  }
+
+  /**
+   * Update a rule; fields left out keep their stored value
+   * @param {string} id - The rule ID
+   * @param {Object} updates - The fields to change
+   * @returns {Object} The updated rule
+   */
+  async updateRule(id, updates) {
+    const rule = await this.requireRule(id);
+
+    const fields = { ...updates };
+    delete fields.id;
+    delete fields.created_at;
+    delete fields.updated_at;
+
+    return this.storage.updateRule(id, prepareRule(fields, rule));
+  }
+
+  /**
+   * Delete a rule. The events it derived are kept.
+   * @param {string} id - The rule ID
+   */
+  async deleteRule(id) {
+    if (!(await this.storage.deleteRule(id))) {
+      throw new Error(`Rule not found: ${id}`);
+    }
+  }
+
+  /**
+   * Show what a rule would create from the events in a range, writing nothing
+   * @param {string|Object} rule - A rule ID, or an unsaved definition to try out
+   * @param {Object} options - `{ startDate, endDate }` (default: every event up to now)
+   * @returns {Object} `{ rule, firings }`, each firing `{ key, status, triggers, event }`
+   *   with status "would_create", or "exists" when the rule already created it
+   */
+  async dryRunRule(rule, options = {}) {
+    const definition = typeof rule === 'string' ? await this.requireRule(rule) : prepareRule(rule);
+    return this.evaluateRule(definition, { ...options, dryRun: true });
+  }
+
+  /**
+   * Fire a rule over past events, creating whatever it has not created yet.
+   * Disabled rules run too, so they can be tried by hand.
+   * @param {string} id - The rule ID
+   * @param {Object} options - `{ startDate, endDate }` (default: every event up to now)
+   * @returns {Object} `{ rule, firings }` with status "created", "exists" or "failed"
+   */
+  async runRule(id, options = {}) {
+    return this.evaluateRule(await this.requireRule(id), options);
+  }
+
+  /**
+   * Fire every enabled rule over recent events. Run on a schedule, this
+   * catches the triggers createEvent() could not act on yet: events that end
+   * later, and events that only now complete a count.
+   * @param {Object} options - `{ startDate, endDate }` (default: the last 7 days)
+   * @returns {Array} `{ rule, firings }` per enabled rule
+   */
+  async evaluateRules(options = {}) {
+    const startDate = options.startDate || new Date(Date.now() - RULE_LOOKBACK_DAYS * DAY_MS).toISOString();
+    const results = [];
+
+    for (const rule of await this.storage.listRules()) {
+      if (rule.enabled) {
+        results.push(await this.evaluateRule(rule, { ...options, startDate }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run the enabled rules for newly created events, then for whatever they derive
+   */
+  async triggerRules(events, depth = 0) {
+    if (events.length === 0 || depth >= MAX_RULE_DEPTH) {
+      return;
+    }
+
+    const rules = (await this.storage.listRules()).filter(rule => rule.enabled);
+    const now = Date.now();
+
+    for (const rule of rules) {
+      for (const event of events) {
+        // Triggers that have yet to happen are left to evaluateRules()
+        const time = triggerTime(rule, event);
+        if (time > now) {
+          continue;
+        }
+
+        // A broken rule must not fail the write that triggered it
+        try {
+          const at = new Date(time).toISOString();
+          const { firings } = await this.evaluateRule(rule, { startDate: at, endDate: at }, depth);
+          firings.filter(firing => firing.status === 'failed').forEach(firing => {
+            console.error(`Rule ${rule.name} failed for ${firing.key}:`, firing.error);
+          });
+        } catch (error) {
+          console.error(`Rule ${rule.name} failed for event ${event.id}:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the firings of a rule in a range and create their events, unless
+   * it is a dry run
+   */
+  async evaluateRule(rule, { startDate, endDate, dryRun = false } = {}, depth = 0) {
+    const now = Date.now();
+    const from = startDate ? parseDate(startDate) : -Infinity;
+    const to = Math.min(endDate ? parseDate(endDate) : now, now);
+
+    // Counting rules need every trigger in the periods the range touches
+    let first = from;
+    let last = to;
+    if (rule.count) {
+      first = isFinite(from) ? rulePeriod(rule, from).start : from;
+      last = rulePeriod(rule, to).end - 1;
+    }
+
+    const range = {};
+    if (rule.at === 'end') {
+      // Overlap queries leave out events ending right at their start
+      if (isFinite(first)) range.overlapStart = new Date(first - 1).toISOString();
+      range.overlapEnd = new Date(last).toISOString();
+    } else {
+      if (isFinite(first)) range.startDate = new Date(first).toISOString();
+      range.endDate = new Date(last).toISOString();
+    }
+
+    const events = await this.findAllEvents(storageQuery({ ...rule.match, ...range }));
+    const firings = [];
+
+    for (const firing of ruleFirings(rule, events, { from, to, now })) {
+      const eventData = deriveEvent(rule, firing);
+      const result = { key: firing.key, triggers: firing.triggers.map(buildEventURI) };
+      const existing = await this.storage.findByExternalId(eventData.source, eventData.external_id);
+
+      if (existing) {
+        firings.push({ ...result, status: 'exists', event: withURI(existing) });
+      } else if (dryRun) {
+        firings.push({ ...result, status: 'would_create', event: eventData });
+      } else {
+        try {
+          const created = await this.fireRule(eventData, depth);
+          firings.push({ ...result, status: created ? 'created' : 'exists', event: created || eventData });
+        } catch (error) {
+          firings.push({ ...result, status: 'failed', error: error.message, event: eventData });
+        }
+      }
+    }
+
+    return { rule, firings };
+  }
+
+  /**
+   * Store a derived event unless another run beat us to it, and run the
+   * rules for it in turn
+   * @returns {Object|null} The created event, or null if it already existed
+   */
+  async fireRule(eventData, depth) {
+    const event = await this.prepareEvent(eventData);
+    const created = await this.storage.transaction(async () => {
+      if (await this.storage.findByExternalId(event.source, event.external_id)) {
+        return null;
+      }
+      return this.insertPrepared(event, 'system');
+    });
+
+    if (created) {
+      await this.triggerRules([created], depth + 1);
+    }
+    return created;
+  }
+
+  async requireRule(id) {
+    const rule = await this.storage.getRule(id);
+    if (!rule) {
+      throw new Error(`Rule not found: ${id}`);
+    }
+    return rule;
+  }
+
+  /**
+   * Close the storage backend
+   */
+  close() {
+    this.storage.close();
+  }
+}
+
+/**
+ * Add the event's canonical life:// URI
+ */
+function withURI(event) {
+  return event ? { ...event, uri: buildEventURI(event) } : event;
+}
+
+/**
+ * The events a batch or upsert created, for running rules on them
+ */
+function createdEvents(results) {
+  return results.filter(result => result.status === 'created' && result.event).map(result => result.event);
+}
+
+/**
+ * Replace a `q` filter query with its parsed tree, which storage understands
+ */
+function withFilter(options) {
+  const { q, ...rest } = options;
+  return q ? { ...rest, filter: parseFilterQuery(q) } : rest;
+}
+
+/**
+ * Turn API-level query options into the ones storage understands
+ */
+function storageQuery(options) {
+  return withTimes(withPlace(withFilter(options)));
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: "${value}"`);
+  }
+  return time;
+}
+
+/**
+ * Normalize interval query times, which storage compares as ISO strings
+ */
+function withTimes(options) {
+  const times = { ...options };
+
+  ['activeAt', 'overlapStart', 'overlapEnd'].forEach(name => {
+    if (times[name] === undefined || times[name] === null || times[name] === '') {
+      delete times[name];
+      return;
+    }
+    const time = Date.parse(times[name]);
+    if (isNaN(time)) {
+      throw new Error(`Invalid time: "${times[name]}" is not a date`);
+    }
+    times[name] = new Date(time).toISOString();
+  });
+
+  return times;
+}
+
+/**
+ * Parse `near`, `radius` and `bbox` given as text (as the REST API does)
+ */
+function withPlace(options) {
+  const { near, radius, bbox, ...rest } = options;
+  const place = { ...rest };
+
+  if (near) {
+    place.near = parseNear(near);
+    if (radius !== undefined && radius !== '') {
+      place.radius = parseRadius(radius);
+    }
+  } else if (radius !== undefined && radius !== '') {
+    throw new Error('Invalid radius: it needs a near position');
+  }
+  if (bbox) {
+    place.bbox = parseBoundingBox(bbox);
+  }
+
+  return place;
+}
+
+/**
+ * Drop response-only fields so events read from the API can be sent back
+ */
+function stripResponseFields(event) {
+  const fields = { ...event };
+  RESPONSE_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+}
+
+/**
+ * External IDs are stored as non-empty strings; numeric IDs are accepted
+ * @returns {string|null} The external ID, or null if there is none
+ */
+function normalizeExternalId(externalId) {
+  if (externalId === undefined || externalId === null) {
+    return null;
+  }
+  if (typeof externalId === 'number' && Number.isFinite(externalId)) {
+    return String(externalId);
+  }
+  if (typeof externalId !== 'string' || externalId.trim() === '') {
+    throw new Error('Invalid event: external_id must be a non-empty string');
+  }
+  return externalId.trim();
+}
+
+// Resolvers report URIs they do not know as errors; tell those apart from failures
+function isUnknownURIError(error) {
+  return error.code === 'ENOENT' || /not found|no resolver/i.test(error.message);
 }
 
-module.exports = EventManager; 
\ No newline at end of file
+module.exports = EventManager;
+module.exports.BATCH_MODES = BATCH_MODES;
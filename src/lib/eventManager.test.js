@@ -0,0 +1,379 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const EventManager = require('./eventManager');
+
+let tmpDir;
+let eventManager;
+
+beforeEach(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-events-'));
+  eventManager = new EventManager({
+    backend: 'sqlite',
+    dbPath: path.join(tmpDir, 'lifeos.db'),
+    eventsDir: path.join(tmpDir, 'events'),
+    backupDir: path.join(tmpDir, 'backups'),
+    attachmentsDir: path.join(tmpDir, 'attachments')
+  });
+  await eventManager.initialize();
+});
+
+afterEach(() => {
+  eventManager.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const createEvent = (overrides = {}) => eventManager.createEvent({
+  timestamp: '2024-05-06T07:00:00.000Z',
+  source: 'journal',
+  type: 'journal.entry',
+  title: 'Morning pages',
+  ...overrides
+});
+
+describe('EventManager URIs', () => {
+  let resolved;
+
+  beforeEach(() => {
+    // Stands in for the resolvers plugins register: knows one URI, fails the
+    // way resolvers do for the others
+    resolved = { source: 'remote', type: 'note', title: 'From a resolver' };
+    eventManager.resolver = {
+      parseURI(uri) {
+        if (!/^life:\/\/[^/]+\/[^/]+\/.+$/.test(uri)) {
+          throw new Error('missing source, type or ID');
+        }
+      },
+      async resolveURI(uri) {
+        const id = uri.split('/').pop();
+        if (id === 'known') return resolved;
+        if (id === 'missing') throw new Error(`Event not found: ${id}`);
+        if (id === 'nobody') throw new Error(`No resolver for ${uri}`);
+        if (id === 'file') throw Object.assign(new Error('open failed'), { code: 'ENOENT' });
+        throw new Error('connection refused');
+      }
+    };
+  });
+
+  test('returns events with their URI', async () => {
+    const created = await createEvent();
+
+    expect(created.uri).toBe(`life://journal/journal.entry/${created.id}`);
+    expect((await eventManager.getEvent(created.id)).uri).toBe(created.uri);
+  });
+
+  test('resolves stored events by ID, even after their type changed', async () => {
+    const created = await createEvent();
+    await eventManager.updateEvent(created.id, { type: 'journal.note' });
+
+    const event = await eventManager.resolveURI(created.uri);
+    expect(event).toMatchObject({ id: created.id, type: 'journal.note', uri: `life://journal/journal.note/${created.id}` });
+  });
+
+  test('asks the resolvers for URIs it does not store', async () => {
+    expect(await eventManager.resolveURI('life://remote/note/known')).toBe(resolved);
+  });
+
+  test('treats resolvers not knowing a URI as not found', async () => {
+    expect(await eventManager.resolveURI('life://remote/note/missing')).toBeNull();
+    expect(await eventManager.resolveURI('life://remote/note/nobody')).toBeNull();
+    expect(await eventManager.resolveURI('life://remote/note/file')).toBeNull();
+  });
+
+  test('tells malformed URIs and failing resolvers apart', async () => {
+    await expect(eventManager.resolveURI('https://example.com/a')).rejects.toThrow(/^Invalid URI: https:\/\/example.com\/a/);
+    await expect(eventManager.resolveURI('life://remote/note')).rejects.toThrow(/^Invalid URI: .*missing source, type or ID/);
+    await expect(eventManager.resolveURI('life://remote/note/down')).rejects.toThrow('Resolver error for life://remote/note/down: connection refused');
+  });
+
+  test('reports the outcome of each URI', async () => {
+    const created = await createEvent();
+
+    const results = await eventManager.resolveURIs([
+      created.uri,
+      'life://remote/note/nobody',
+      'not a uri',
+      'life://remote/note/down'
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['resolved', 'not_found', 'invalid', 'error']);
+    expect(results[0].event.id).toBe(created.id);
+    expect(results[1]).toEqual({ uri: 'life://remote/note/nobody', status: 'not_found' });
+    expect(results[2].error).toMatch(/^Invalid URI/);
+    expect(results[3].error).toMatch(/^Resolver error/);
+  });
+
+  test('accepts events read from the API back without storing response fields', async () => {
+    const created = await createEvent();
+    const read = { ...(await eventManager.getEvent(created.id)), score: 3, snippet: '<mark>Morning</mark>' };
+
+    const updated = await eventManager.updateEvent(created.id, { ...read, title: 'Evening pages' });
+    expect(updated).toMatchObject({ title: 'Evening pages', uri: created.uri });
+
+    const row = (await eventManager.storage.listEventRows()).find(item => item.id === created.id);
+    expect(row).not.toHaveProperty('uri');
+    expect(row).not.toHaveProperty('snippet');
+  });
+});
+
+describe('EventManager upserts', () => {
+  const upsert = (overrides = {}, options) => eventManager.upsertEvent({
+    timestamp: '2024-05-06T07:00:00.000Z',
+    source: 'calendar',
+    type: 'calendar.event',
+    title: 'Stand-up',
+    external_id: 'cal-1',
+    ...overrides
+  }, options);
+
+  test('creates, updates and leaves unchanged by external ID', async () => {
+    const created = await upsert();
+    expect(created.status).toBe('created');
+    expect((await upsert({ title: 'Planning' })).status).toBe('updated');
+    expect(await upsert({ title: 'Planning' })).toMatchObject({ status: 'unchanged', id: created.id });
+  });
+
+  test('tags the events it creates or changes', async () => {
+    expect((await upsert({ tags: ['work'] }, { tag: 'batch/1' })).event.tags).toEqual(['work', 'batch/1']);
+    expect((await upsert({ tags: ['work', 'batch/1'] }, { tag: 'batch/2' })).status).toBe('unchanged');
+    expect((await upsert({ title: 'Planning', tags: ['work', 'batch/1'] }, { tag: 'batch/2' })).event.tags).toEqual(['work', 'batch/1', 'batch/2']);
+  });
+
+  test('skips events in the trash', async () => {
+    const { id } = await upsert();
+    await eventManager.deleteEvent(id);
+
+    expect(await upsert({ title: 'Planning' })).toMatchObject({ status: 'skipped', id, event: { title: 'Stand-up' } });
+    expect(await eventManager.getEvent(id)).toBeNull();
+  });
+});
+
+describe('EventManager search', () => {
+  test('returns matches as a list, or as a page with cursors', async () => {
+    await createEvent({ title: 'River walk' });
+    await createEvent({ title: 'Walk to work', timestamp: '2024-05-07T07:00:00.000Z' });
+    await createEvent({ title: 'Swim' });
+
+    const events = await eventManager.searchEvents('walk');
+    expect(events.map(event => event.title).sort()).toEqual(['River walk', 'Walk to work']);
+    expect(events[0]).toMatchObject({ score: expect.any(Number), snippet: expect.stringContaining('<mark>'), uri: expect.any(String) });
+    expect(await eventManager.searchEvents('walk', { limit: 1, offset: 1 })).toEqual([events[1]]);
+
+    const first = await eventManager.listSearchResults('walk', { limit: 1, includeTotal: true });
+    expect(first.events).toEqual([events[0]]);
+    expect(first.pagination).toMatchObject({ limit: 1, count: 1, sort: 'relevance', prev: null, total: 2 });
+
+    const second = await eventManager.listSearchResults('walk', { limit: 1, cursor: first.pagination.next });
+    expect(second.events).toEqual([events[1]]);
+    expect(second.pagination.next).toBeNull();
+  });
+});
+
+describe('EventManager batches', () => {
+  const runs = () => [
+    { timestamp: '2024-05-06T07:00:00.000Z', source: 'watch', type: 'fitness.run', title: 'Morning run' },
+    { timestamp: '2024-05-06T07:00:00.000Z', source: 'watch', type: 'fitness.run' },
+    { timestamp: '2024-05-07T07:00:00.000Z', source: 'watch', type: 'fitness.run', title: 'Long run' }
+  ];
+
+  test('writes nothing in all-or-nothing mode when an item is invalid', async () => {
+    const report = await eventManager.createEvents(runs());
+
+    expect(report).toMatchObject({ mode: 'all-or-nothing', committed: false, summary: { skipped: 2, invalid: 1 } });
+    expect(report.results[1].error).toMatch(/^Invalid event/);
+    expect(await eventManager.findAllEvents({})).toEqual([]);
+  });
+
+  test('writes the valid items in best-effort mode', async () => {
+    const report = await eventManager.createEvents(runs(), { mode: 'best-effort' });
+
+    expect(report).toMatchObject({ committed: true, summary: { created: 2, invalid: 1 } });
+    expect(report.results.map(result => result.status)).toEqual(['created', 'invalid', 'created']);
+    expect((await eventManager.findAllEvents({})).map(event => event.title).sort()).toEqual(['Long run', 'Morning run']);
+  });
+
+  test('rolls back the items already written when a later one fails', async () => {
+    const a = await createEvent({ title: 'a' });
+    const b = await createEvent({ title: 'b' });
+
+    // The second deletion of `a` fails, so `b` is not deleted either
+    const report = await eventManager.deleteEvents([a.id, b.id, a.id]);
+    expect(report).toMatchObject({ committed: false, summary: { skipped: 2, failed: 1 } });
+    expect(await eventManager.getEvent(a.id)).not.toBeNull();
+    expect(await eventManager.getEvent(b.id)).not.toBeNull();
+
+    const updates = await eventManager.updateEvents([{ id: a.id, updates: { title: 'A' } }, { id: 'missing' }], { mode: 'best-effort' });
+    expect(updates.results).toMatchObject([{ status: 'updated' }, { status: 'invalid', error: 'Event not found: missing' }]);
+    expect((await eventManager.getEvent(a.id)).title).toBe('A');
+  });
+
+  test('turns away unknown modes', async () => {
+    await expect(eventManager.createEvents(runs(), { mode: 'some' })).rejects.toThrow('Invalid batch mode: some');
+  });
+});
+
+describe('EventManager history and trash', () => {
+  test('reverts an event to an earlier revision', async () => {
+    const created = await createEvent({ tags: ['writing'] });
+    await eventManager.updateEvent(created.id, { title: 'Evening pages', tags: [] }, { actor: 'ui' });
+
+    const reverted = await eventManager.revertEvent(created.id, 1, { actor: 'ui' });
+    expect(reverted).toMatchObject({ id: created.id, title: 'Morning pages', tags: ['writing'] });
+
+    const history = await eventManager.getEventHistory(created.id);
+    expect(history.map(revision => [revision.revision, revision.action, revision.actor])).toEqual([
+      [1, 'create', 'system'],
+      [2, 'update', 'ui'],
+      [3, 'revert', 'ui']
+    ]);
+    expect((await eventManager.diffEventRevisions(created.id)).changes.map(change => change.field).sort()).toEqual(['tags', 'title']);
+    await expect(eventManager.revertEvent(created.id, 9)).rejects.toThrow(`Revision not found: ${created.id}@9`);
+  });
+
+  test('moves events to the trash and back', async () => {
+    const created = await createEvent();
+
+    expect(await eventManager.deleteEvent(created.id)).toBe(true);
+    expect(await eventManager.deleteEvent(created.id)).toBe(false);
+    expect(await eventManager.getEvent(created.id)).toBeNull();
+    expect(await eventManager.findAllEvents({})).toEqual([]);
+
+    const trash = await eventManager.getTrash();
+    expect(trash.events).toHaveLength(1);
+    expect(trash.events[0]).toMatchObject({ id: created.id, deleted_at: expect.any(String) });
+
+    expect(await eventManager.restoreEvent(created.id)).toMatchObject({ id: created.id, title: 'Morning pages' });
+    expect(await eventManager.restoreEvent(created.id)).toBeNull();
+    expect((await eventManager.getTrash()).events).toEqual([]);
+    expect((await eventManager.getEventHistory(created.id)).map(revision => revision.action)).toEqual(['create', 'delete', 'restore']);
+  });
+
+  test('purges the trash, and brings purged events back from their history', async () => {
+    const created = await createEvent();
+    await eventManager.deleteEvent(created.id);
+
+    // Events trashed just now are kept by the retention period
+    expect(await eventManager.purgeTrash({ olderThanDays: 1 })).toBe(0);
+    expect(await eventManager.purgeTrash({ olderThanDays: 0 })).toBe(1);
+    expect(await eventManager.getEvent(created.id, { includeDeleted: true })).toBeNull();
+
+    const reverted = await eventManager.revertEvent(created.id, 1);
+    expect(reverted).toMatchObject({ id: created.id, title: 'Morning pages', deleted_at: null });
+    expect(await eventManager.getEvent(created.id)).not.toBeNull();
+  });
+});
+
+describe('EventManager rules', () => {
+  const run = (overrides = {}) => eventManager.createEvent({
+    timestamp: '2024-05-06T07:00:00.000Z',
+    source: 'watch',
+    type: 'fitness.run',
+    title: 'Morning run',
+    ...overrides
+  });
+  const derived = () => eventManager.findAllEvents({ source: 'rules' });
+
+  test('derives an event from each trigger when it is created', async () => {
+    const rule = await eventManager.createRule({
+      name: 'Stretch',
+      match: { type: 'fitness.run' },
+      emit: { title: 'Stretch after {{title}}', type: 'health.stretch', tags: ['recovery'] }
+    });
+    const trigger = await run();
+    await run({ timestamp: new Date(Date.now() + 60 * 60 * 1000).toISOString(), title: 'Later run' });
+    await createEvent();
+
+    const [event] = await derived();
+    expect(await derived()).toHaveLength(1);
+    expect(event).toMatchObject({
+      title: 'Stretch after Morning run',
+      type: 'health.stretch',
+      timestamp: trigger.timestamp,
+      tags: ['recovery'],
+      external_id: `rule:${rule.id}:${trigger.id}`,
+      linked_uris: [trigger.uri]
+    });
+    expect(event.metadata.link_relations).toEqual({ [trigger.uri]: 'triggered_by' });
+
+    // Running the rule again finds what it created
+    const { firings } = await eventManager.runRule(rule.id);
+    expect(firings).toMatchObject([{ key: trigger.id, status: 'exists', event: { id: event.id } }]);
+  });
+
+  test('fires counting rules once a period holds enough triggers', async () => {
+    const rule = await eventManager.createRule({
+      name: 'Three runs',
+      match: { type: 'fitness.run' },
+      count: 3,
+      per: 'week',
+      timezone: 'UTC',
+      emit: { title: '{{count}} runs in {{period}}', type: 'fitness.streak' }
+    });
+    await run();
+    await run({ timestamp: '2024-05-07T07:00:00.000Z' });
+    expect(await derived()).toEqual([]);
+
+    await run({ timestamp: '2024-05-08T07:00:00.000Z' });
+    expect((await derived()).map(event => [event.title, event.external_id])).toEqual([
+      ['3 runs in 2024-W19', `rule:${rule.id}:2024-W19`]
+    ]);
+  });
+
+  test('leaves disabled rules to be run by hand', async () => {
+    const rule = await eventManager.createRule({
+      name: 'Stretch',
+      enabled: false,
+      match: { type: 'fitness.run' },
+      emit: { title: 'Stretch', type: 'health.stretch' }
+    });
+    await run();
+    expect(await derived()).toEqual([]);
+
+    expect((await eventManager.dryRunRule(rule.id)).firings).toMatchObject([{ status: 'would_create' }]);
+    expect(await derived()).toEqual([]);
+    expect((await eventManager.runRule(rule.id)).firings).toMatchObject([{ status: 'created' }]);
+    expect(await derived()).toHaveLength(1);
+  });
+});
+
+describe('EventManager attachments', () => {
+  const file = (text) => Readable.from([Buffer.from(text)]);
+
+  test('stores files once per content and removes them once unused', async () => {
+    const a = await createEvent();
+    const b = await createEvent({ title: 'Evening pages' });
+
+    const first = await eventManager.addAttachment(a.id, file('hello'), { filename: 'hello.txt', contentType: 'text/plain' });
+    const second = await eventManager.addAttachment(b.id, file('hello'), { filename: 'copy.txt' });
+    expect(first).toMatchObject({ event_id: a.id, filename: 'hello.txt', content_type: 'text/plain', size: 5 });
+    expect(second).toMatchObject({ hash: first.hash, content_type: 'application/octet-stream' });
+
+    const { path: blobPath } = await eventManager.getAttachmentFile(a.id, first.id);
+    expect(fs.readFileSync(blobPath, 'utf8')).toBe('hello');
+    expect(await eventManager.getAttachments(a.id)).toEqual([first]);
+    await expect(eventManager.getAttachmentFile(b.id, first.id)).rejects.toThrow(`Attachment not found: ${first.id}`);
+
+    // The file stays while the other event still has it
+    await eventManager.removeAttachment(a.id, first.id);
+    expect(await eventManager.collectAttachmentGarbage({ olderThanDays: 0 })).toMatchObject({ removed: [] });
+    expect(fs.existsSync(blobPath)).toBe(true);
+
+    await eventManager.deleteEvent(b.id, { permanent: true });
+    expect(await eventManager.collectAttachmentGarbage({ olderThanDays: 0 })).toMatchObject({ removed: [first.hash], bytes: 5 });
+    expect(fs.existsSync(blobPath)).toBe(false);
+  });
+
+  test('turns away files for missing events and files that are too large', async () => {
+    const created = await createEvent();
+
+    await expect(eventManager.addAttachment('missing', file('x'))).rejects.toThrow('Event not found: missing');
+    await expect(eventManager.addAttachment(created.id, file('x'), { size: eventManager.attachments.maxBytes + 1 }))
+      .rejects.toThrow(/^Attachment too large/);
+    await expect(eventManager.getAttachmentThumbnail(created.id, 'missing')).rejects.toThrow('Attachment not found: missing');
+  });
+});
@@ -0,0 +1,449 @@
+/**
+ * Exporting events
+ *
+ * Events are read a page at a time, oldest first, and written to a stream as
+ * they are read, so exports of many years never hold every event in memory.
+ * Formats:
+ *
+ * - `json`: an array of events
+ * - `ndjson`: one event per line
+ * - `csv`: a header row, then one row per event (see eventFiles.js); the
+ *   header needs every event's columns, so the events are kept in a
+ *   temporary file until all of them have been read
+ * - `markdown`: one section per day, in the given time zone
+ * - `bundle`: a tar archive a LifeOS Protocol tool can read without this
+ *   server: the LifeEvent schema, the events (without server-only fields),
+ *   their attachment records and files, and a manifest:
+ *
+ *     schema/lifeevent.schema.json
+ *     events/000001.ndjson        one file per page of events
+ *     attachments/000001.ndjson   attachment records of those events
+ *     files/<sha256>              attached files, once per content
+ *     manifest.json               counts, filters and each entry's size and sha256
+ *
+ * All formats but `bundle` can be imported again (npm run import).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const { formatEventFile, csvColumns, formatCSVEvents } = require('./eventFiles');
+const { normalizeZone, serverZone, toWallClock } = require('./timezones');
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv', 'markdown', 'bundle'];
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  bundle: 'application/x-tar'
+};
+
+const EXTENSIONS = {
+  json: '.json',
+  ndjson: '.ndjson',
+  csv: '.csv',
+  markdown: '.md',
+  bundle: '.tar'
+};
+
+// The filters of GET /api/events, by query parameter
+const EXPORT_FILTERS = ['q', 'near', 'radius', 'bbox', 'at', 'overlapStart', 'overlapEnd', 'source', 'type', 'startDate', 'endDate', 'tags', 'tagsAll', 'tagsNone'];
+
+const BUNDLE_FORMAT = 'lifeos-bundle';
+const BUNDLE_VERSION = 1;
+
+// Fields the server adds to events it returns; bundles leave them out
+const SERVER_FIELDS = ['uri', 'distance'];
+
+const DEFAULT_PAGE_SIZE = 500;
+
+/**
+ * Export events to a stream
+ * @param {EventManager} eventManager - Where the events come from
+ * @param {stream.Writable} output - Where they go; it is not ended
+ * @param {Object} options - Options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {Object} options.filters - Filters as GET /api/events takes them
+ *   (`q`, `type`, `startDate`, comma-separated `tags`, ...)
+ * @param {string} options.timezone - Zone Markdown days are in (the server's by default)
+ * @param {number} options.pageSize - Events read at a time
+ * @returns {Object} `{ format, events, attachments, files }` counts
+ */
+async function exportEvents(eventManager, output, options = {}) {
+  const format = options.format || 'ndjson';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format} (use ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  let zone = serverZone();
+  if (options.timezone) {
+    zone = normalizeZone(options.timezone);
+    if (!zone) {
+      throw new Error(`Invalid timezone: ${options.timezone}`);
+    }
+  }
+
+  const reader = {
+    eventManager,
+    filters: exportFilters(options.filters || {}),
+    pageSize: options.pageSize || DEFAULT_PAGE_SIZE
+  };
+  const counts = { format, events: 0, attachments: 0, files: 0 };
+
+  switch (format) {
+    case 'json':
+      await exportJSON(reader, output, counts);
+      break;
+    case 'ndjson':
+      await eachPage(reader, async (events) => {
+        counts.events += events.length;
+        await write(output, formatEventFile(events, 'ndjson'));
+      });
+      break;
+    case 'csv':
+      await exportCSV(reader, output, counts);
+      break;
+    case 'markdown':
+      await exportMarkdown(reader, output, counts, zone);
+      break;
+    case 'bundle':
+      await exportBundle(reader, output, counts, options.filters || {});
+      break;
+  }
+
+  return counts;
+}
+
+/**
+ * listEvents() options for filters given as GET /api/events takes them
+ */
+function exportFilters(query) {
+  const parseTags = (list) => (list ? String(list).split(',').filter(tag => tag.trim()) : undefined);
+  const { at, tags, tagsAll, tagsNone, ...rest } = pickFilters(query);
+  return {
+    ...rest,
+    activeAt: at,
+    tags: parseTags(tags),
+    tagsAll: parseTags(tagsAll),
+    tagsNone: parseTags(tagsNone)
+  };
+}
+
+// The filters given, leaving out other parameters and empty ones
+function pickFilters(query) {
+  const filters = {};
+  EXPORT_FILTERS.forEach(name => {
+    if (query[name] !== undefined && query[name] !== '') {
+      filters[name] = query[name];
+    }
+  });
+  return filters;
+}
+
+/**
+ * Call the handler with each page of matching events, oldest first
+ */
+async function eachPage({ eventManager, filters, pageSize }, handler) {
+  let cursor;
+  do {
+    const page = await eventManager.listEvents({ ...filters, sort: 'timestamp', limit: pageSize, cursor });
+    if (page.events.length > 0) {
+      await handler(page.events);
+    }
+    cursor = page.pagination.next;
+  } while (cursor);
+}
+
+async function exportJSON(reader, output, counts) {
+  // Nothing is written until the first page is read, so bad filters fail before any output
+  let opened = false;
+  await eachPage(reader, async (events) => {
+    const items = events.map(event => `  ${JSON.stringify(event)}`).join(',\n');
+    await write(output, `${opened ? ',\n' : '[\n'}${items}`);
+    opened = true;
+    counts.events += events.length;
+  });
+  await write(output, opened ? '\n]\n' : '[]\n');
+}
+
+async function exportCSV(reader, output, counts) {
+  // The events are read once, so the rows are the events the header was made
+  // for even when events change during the export
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'lifeos-export-'));
+  const spoolPath = path.join(dir, 'events.ndjson');
+
+  try {
+    let columns = [];
+    const spool = fs.createWriteStream(spoolPath);
+    try {
+      await eachPage(reader, async (events) => {
+        columns = csvColumns(events, columns);
+        await write(spool, formatEventFile(events, 'ndjson'));
+      });
+    } finally {
+      await new Promise((resolve, reject) => spool.end(error => (error ? reject(error) : resolve())));
+    }
+    if (columns.length === 0) {
+      return;
+    }
+
+    let header = true;
+    let events = [];
+    const flush = async () => {
+      await write(output, formatCSVEvents(events, columns, header));
+      header = false;
+      counts.events += events.length;
+      events = [];
+    };
+
+    const lines = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      events.push(JSON.parse(line));
+      if (events.length === reader.pageSize) {
+        await flush();
+      }
+    }
+    if (events.length > 0) {
+      await flush();
+    }
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function exportMarkdown(reader, output, counts, zone) {
+  let day = null;
+  let opened = false;
+
+  await eachPage(reader, async (events) => {
+    let text = opened ? '' : '# LifeOS events\n';
+    opened = true;
+
+    events.forEach(event => {
+      const start = toWallClock(Date.parse(event.timestamp), zone);
+      if (start.format('YYYY-MM-DD') !== day) {
+        day = start.format('YYYY-MM-DD');
+        text += `\n## ${start.format('dddd, D MMMM YYYY')}\n\n`;
+      }
+      text += markdownEvent(event, start, zone);
+    });
+
+    counts.events += events.length;
+    await write(output, text);
+  });
+
+  if (!opened) {
+    await write(output, '# LifeOS events\n\nNo events.\n');
+  }
+}
+
+/**
+ * An event as a Markdown list item: time, title, type, mood and tags, then
+ * the body of journal entries
+ */
+function markdownEvent(event, start, zone) {
+  let time = start.format('HH:mm');
+  if (event.end_time) {
+    const end = toWallClock(Date.parse(event.end_time), zone);
+    time += `–${end.format(end.isSame(start, 'day') ? 'HH:mm' : 'D MMM HH:mm')}`;
+  }
+
+  const parts = [`**${time}** ${escapeMarkdown(event.title)} _(${event.type})_`];
+  if (event.mood !== undefined && event.mood !== null) {
+    parts.push(`mood ${event.mood}`);
+  }
+  if (Array.isArray(event.tags) && event.tags.length > 0) {
+    parts.push(event.tags.map(tag => `#${tag}`).join(' '));
+  }
+
+  let text = `- ${parts.join(' · ')}\n`;
+  const body = event.metadata && typeof event.metadata.body === 'string' ? event.metadata.body.trim() : '';
+  if (body) {
+    text += `\n${body.split('\n').map(line => (line ? `  ${line}` : '')).join('\n')}\n`;
+  }
+  return text;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]#<>])/g, '\\$1');
+}
+
+async function exportBundle(reader, output, counts, query) {
+  const { eventManager } = reader;
+  const tar = new TarWriter(output);
+  const written = new Set();
+  let page = 0;
+
+  const schema = Buffer.from(`${JSON.stringify(eventManager.schema, null, 2)}\n`);
+
+  await eachPage(reader, async (events) => {
+    // Written with the first page, so bad filters fail before any output
+    if (page === 0) {
+      await tar.add('schema/lifeevent.schema.json', schema);
+    }
+    page++;
+    const name = String(page).padStart(6, '0');
+    const records = events.map(event => {
+      const fields = { ...event };
+      SERVER_FIELDS.forEach(field => delete fields[field]);
+      return fields;
+    });
+    await tar.add(`events/${name}.ndjson`, Buffer.from(formatEventFile(records, 'ndjson')), { records: records.length });
+    counts.events += events.length;
+
+    const attachments = [];
+    for (const event of events) {
+      attachments.push(...await eventManager.storage.listAttachments({ eventId: event.id }));
+    }
+    if (attachments.length === 0) {
+      return;
+    }
+    await tar.add(`attachments/${name}.ndjson`, Buffer.from(formatEventFile(attachments, 'ndjson')), { records: attachments.length });
+    counts.attachments += attachments.length;
+
+    for (const attachment of attachments) {
+      if (!written.has(attachment.hash)) {
+        written.add(attachment.hash);
+        await tar.addFile(`files/${attachment.hash}`, eventManager.attachments.blobPath(attachment.hash), attachment.hash);
+        counts.files++;
+      }
+    }
+  });
+
+  if (page === 0) {
+    await tar.add('schema/lifeevent.schema.json', schema);
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    schema: 'schema/lifeevent.schema.json',
+    filters: pickFilters(query),
+    counts: { events: counts.events, attachments: counts.attachments, files: counts.files },
+    entries: tar.entries
+  };
+  await tar.add('manifest.json', Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`));
+  await tar.finish();
+}
+
+/**
+ * Writes a tar archive (POSIX ustar) entry by entry, noting each entry's
+ * size and sha256 for the manifest
+ */
+class TarWriter {
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+  }
+
+  async add(name, content, details = {}) {
+    await this.writeEntry(name, content.length, [content]);
+    this.entries.push({ path: name, size: content.length, sha256: sha256(content), ...details });
+  }
+
+  // Attached files are stored under their sha256 already, so it is not worked out again
+  async addFile(name, file, hash) {
+    const { size, mtimeMs } = await fs.promises.stat(file);
+    await this.writeEntry(name, size, fs.createReadStream(file), mtimeMs);
+    this.entries.push({ path: name, size, sha256: hash });
+  }
+
+  async writeEntry(name, size, chunks, mtimeMs = Date.now()) {
+    await write(this.output, tarHeader(name, size, mtimeMs));
+    for await (const chunk of chunks) {
+      await write(this.output, chunk);
+    }
+    const padding = (512 - (size % 512)) % 512;
+    if (padding > 0) {
+      await write(this.output, Buffer.alloc(padding));
+    }
+  }
+
+  // Two empty blocks end an archive
+  async finish() {
+    await write(this.output, Buffer.alloc(1024));
+  }
+}
+
+function tarHeader(name, size, mtimeMs) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Bundle entry name too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(512);
+  const field = (offset, length, value) => header.write(value, offset, length, 'utf8');
+  const octal = (offset, length, value) => field(offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+
+  field(0, 100, name);
+  octal(100, 8, 0o644);
+  octal(108, 8, 0);
+  octal(116, 8, 0);
+  octal(124, 12, size);
+  octal(136, 12, Math.floor(mtimeMs / 1000));
+  field(148, 8, ' '.repeat(8));
+  field(156, 1, '0');
+  field(257, 6, 'ustar\0');
+  field(263, 2, '00');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  field(148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Write to a stream, waiting while its buffer is full
+ */
+function write(output, chunk) {
+  return new Promise((resolve, reject) => {
+    if (output.destroyed) {
+      return reject(new Error('Export stopped: the output was closed'));
+    }
+    if (output.write(chunk)) {
+      return resolve();
+    }
+
+    const done = (error) => {
+      output.off('drain', done);
+      output.off('close', closed);
+      output.off('error', done);
+      return error ? reject(error) : resolve();
+    };
+    const closed = () => done(new Error('Export stopped: the output was closed'));
+    output.on('drain', done);
+    output.on('close', closed);
+    output.on('error', done);
+  });
+}
+
+/**
+ * A file name for an export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Date} date - When it was made
+ * @returns {string} e.g. "lifeos-export-20240506-101500.ndjson"
+ */
+function exportFileName(format, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `lifeos-export-${stamp}${EXTENSIONS[format]}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FILTERS,
+  CONTENT_TYPES,
+  exportEvents,
+  exportFileName
+};
@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+
+const { exportEvents, exportFileName } = require('./exporter');
+const { parseEventFile } = require('./eventFiles');
+
+const EVENTS = [
+  { id: '1', title: 'Morning run', type: 'fitness.run', source: 'watch', timestamp: '2024-05-06T05:00:00.000Z', end_time: '2024-05-06T05:30:00.000Z', mood: 8, tags: ['health'], metadata: { km: 5 }, uri: 'life://watch/fitness.run/1' },
+  { id: '2', title: 'Notes *draft*', type: 'journal.entry', source: 'journal', timestamp: '2024-05-06T20:00:00.000Z', metadata: { body: 'Line one\n\nLine two' }, uri: 'life://journal/journal.entry/2' },
+  { id: '3', title: 'Walk', type: 'fitness.walk', source: 'watch', timestamp: '2024-05-07T06:00:00.000Z', location: { lat: 1.5, lng: 2 }, uri: 'life://watch/fitness.walk/3' }
+];
+
+// Pages through EVENTS the way listEvents() does, with the index as cursor
+function fakeEventManager(dir) {
+  return {
+    schema: { type: 'object' },
+    queries: [],
+    attachments: { blobPath: (hash) => path.join(dir, hash) },
+    storage: {
+      attachments: [],
+      async listAttachments({ eventId }) {
+        return this.attachments.filter(attachment => attachment.event_id === eventId);
+      }
+    },
+    async listEvents({ cursor, limit, ...filters }) {
+      this.queries.push(filters);
+      if (filters.q === 'bad') {
+        throw new Error('Invalid filter query: bad');
+      }
+      const start = cursor ? Number(cursor) : 0;
+      const events = EVENTS.slice(start, start + limit);
+      const next = start + limit < EVENTS.length ? String(start + limit) : null;
+      return { events, pagination: { limit, count: events.length, next } };
+    }
+  };
+}
+
+async function run(eventManager, options) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const counts = await exportEvents(eventManager, output, { pageSize: 2, ...options });
+  return { counts, content: Buffer.concat(chunks) };
+}
+
+// Entries of a tar archive as { name: Buffer }
+function untar(buffer) {
+  const entries = {};
+  for (let offset = 0; offset < buffer.length && buffer[offset] !== 0;) {
+    const name = buffer.toString('utf8', offset, offset + 100).replace(/\0.*$/, '');
+    const size = parseInt(buffer.toString('utf8', offset + 124, offset + 136), 8);
+    entries[name] = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+describe('exportEvents', () => {
+  let tmpDir;
+  let eventManager;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-export-'));
+    eventManager = fakeEventManager(tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes JSON and NDJSON page by page', async () => {
+    const json = await run(eventManager, { format: 'json', filters: { type: 'fitness.*', tags: 'a,b', at: 'now', limit: '5' } });
+    expect(JSON.parse(json.content)).toEqual(EVENTS);
+    expect(json.counts).toEqual({ format: 'json', events: 3, attachments: 0, files: 0 });
+    expect(eventManager.queries[0]).toEqual({ type: 'fitness.*', tags: ['a', 'b'], activeAt: 'now', tagsAll: undefined, tagsNone: undefined, sort: 'timestamp' });
+
+    const ndjson = await run(eventManager, { format: 'ndjson' });
+    expect(parseEventFile(ndjson.content.toString(), 'ndjson').map(entry => entry.data)).toEqual(EVENTS);
+  });
+
+  test('writes CSV with the columns of every page', async () => {
+    const { content } = await run(eventManager, { format: 'csv' });
+    // One read, so the rows are the events the header was made for
+    expect(eventManager.queries).toHaveLength(2);
+
+    const [header] = content.toString().split('\n');
+    expect(header).toBe('id,title,type,source,timestamp,end_time,mood,tags,location.lat,location.lng,metadata.body,metadata.km');
+    expect(parseEventFile(content.toString(), 'csv').map(entry => entry.data.id)).toEqual(['1', '2', '3']);
+  });
+
+  test('writes Markdown with a section per day in the time zone', async () => {
+    const { content } = await run(eventManager, { format: 'markdown', timezone: 'Europe/Berlin' });
+    expect(content.toString()).toBe([
+      '# LifeOS events',
+      '',
+      '## Monday, 6 May 2024',
+      '',
+      '- **07:00–07:30** Morning run _(fitness.run)_ · mood 8 · #health',
+      '- **22:00** Notes \\*draft\\* _(journal.entry)_',
+      '',
+      '  Line one',
+      '',
+      '  Line two',
+      '',
+      '## Tuesday, 7 May 2024',
+      '',
+      '- **08:00** Walk _(fitness.walk)_',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes a bundle with attachments and a manifest', async () => {
+    const file = Buffer.from('photo');
+    const hash = crypto.createHash('sha256').update(file).digest('hex');
+    fs.writeFileSync(path.join(tmpDir, hash), file);
+    eventManager.storage.attachments = [
+      { id: 'a1', event_id: '1', hash, filename: 'a.jpg' },
+      { id: 'a2', event_id: '3', hash, filename: 'b.jpg' }
+    ];
+
+    const { counts, content } = await run(eventManager, { format: 'bundle', filters: { source: 'watch' } });
+    const entries = untar(content);
+
+    expect(Object.keys(entries)).toEqual([
+      'schema/lifeevent.schema.json',
+      'events/000001.ndjson',
+      'attachments/000001.ndjson',
+      `files/${hash}`,
+      'events/000002.ndjson',
+      'attachments/000002.ndjson',
+      'manifest.json'
+    ]);
+    expect(counts).toEqual({ format: 'bundle', events: 3, attachments: 2, files: 1 });
+    expect(entries[`files/${hash}`].toString()).toBe('photo');
+    expect(parseEventFile(entries['events/000001.ndjson'].toString(), 'ndjson')[0].data).not.toHaveProperty('uri');
+
+    const manifest = JSON.parse(entries['manifest.json']);
+    expect(manifest).toMatchObject({ format: 'lifeos-bundle', version: 1, filters: { source: 'watch' }, counts: { events: 3, attachments: 2, files: 1 } });
+    manifest.entries.forEach(entry => {
+      expect(entries[entry.path]).toHaveLength(entry.size);
+      expect(crypto.createHash('sha256').update(entries[entry.path]).digest('hex')).toBe(entry.sha256);
+    });
+    expect(manifest.entries[1]).toMatchObject({ path: 'events/000001.ndjson', records: 2 });
+  });
+
+  test('fails before writing anything on bad options', async () => {
+    await expect(run(eventManager, { format: 'xml' })).rejects.toThrow(/^Invalid format/);
+    await expect(run(eventManager, { format: 'markdown', timezone: 'Mars/Base' })).rejects.toThrow(/^Invalid timezone/);
+
+    for (const format of ['json', 'csv', 'bundle']) {
+      const output = new PassThrough();
+      await expect(exportEvents(eventManager, output, { format, filters: { q: 'bad' } })).rejects.toThrow(/^Invalid filter query/);
+      expect(output.read()).toBeNull();
+    }
+  });
+
+  test('names export files', () => {
+    expect(exportFileName('markdown', new Date('2024-05-06T10:15:00Z'))).toBe('lifeos-export-20240506-101500.md');
+  });
+});
@@ -0,0 +1,481 @@
+/**
+ * Filter query language for events
+ *
+ *   type:music.* mood>=7 tag:work -tag:meeting after:2024-01-01
+ *
+ * A query is a list of `field:value` terms, ANDed together. Terms can be
+ * negated with `-` or NOT, combined with OR and grouped with parentheses.
+ * Bare words match titles. Metadata is reached by path, e.g.
+ * `metadata.artist="Radiohead"` or `metadata.attendees.*:alice`, where `.*`
+ * matches any element of an array. Relative dates (`last:7d`) are resolved when the
+ * query is parsed, so the tree only holds plain comparisons; it is compiled
+ * to SQL by the SQLite backend and evaluated by matchesFilter() elsewhere.
+ *
+ * Parse errors carry the `position` and `length` of the offending text.
+ */
+
+const { tagMatches } = require('./tags');
+const { parseMetadataPath, getMetadataValue } = require('./query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each field matches and which comparisons it accepts
+const FIELDS = {
+  type: { kind: 'pattern', operators: [':', '=', '!='] },
+  source: { kind: 'pattern', operators: [':', '=', '!='] },
+  id: { kind: 'pattern', operators: [':', '=', '!='] },
+  title: { kind: 'text', operators: [':', '!='] },
+  tag: { kind: 'tag', operators: [':', '!='] },
+  mood: { kind: 'number', operators: [':', '=', '!=', '>', '>=', '<', '<='] },
+  duration: { kind: 'number', operators: [':', '=', '!=', '>', '>=', '<', '<='] },
+  after: { kind: 'date', operators: [':'] },
+  before: { kind: 'date', operators: [':'] },
+  on: { kind: 'date', operators: [':'] },
+  last: { kind: 'relative', operators: [':'] },
+  has: { kind: 'presence', operators: [':'] }
+};
+
+// Fields `has:` can test, besides metadata paths
+const PRESENCE_FIELDS = ['mood', 'duration', 'location', 'tags', 'links'];
+
+const METADATA_OPERATORS = [':', '=', '!=', '>', '>=', '<', '<='];
+
+// Units for `last:`, in milliseconds (months and years are calendar-based)
+const RELATIVE_UNITS = {
+  h: 60 * 60 * 1000,
+  d: DAY_MS,
+  w: 7 * DAY_MS
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const TERM_PATTERN = /([A-Za-z_]\w*(?:\.(?:\w+|\*))*)\s*(>=|<=|!=|:|=|>|<)\s*/y;
+
+/**
+ * Split a query into parentheses, keywords, negations and terms
+ */
+function lexFilter(input) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ kind: char, position: index, length: 1 });
+      index++;
+    } else if (char === '-' && index + 1 < input.length && !/\s/.test(input[index + 1])) {
+      tokens.push({ kind: 'not', position: index, length: 1 });
+      index++;
+    } else {
+      TERM_PATTERN.lastIndex = index;
+      const term = TERM_PATTERN.exec(input);
+
+      if (term) {
+        const valueStart = index + term[0].length;
+        const value = readValue(input, valueStart);
+        tokens.push({
+          kind: 'term',
+          field: term[1],
+          operator: term[2],
+          value: value.text,
+          quoted: value.quoted,
+          position: index,
+          length: value.end - index,
+          valuePosition: valueStart
+        });
+        index = value.end;
+      } else {
+        const word = readValue(input, index);
+        const isKeyword = !word.quoted && KEYWORDS.includes(word.text);
+        tokens.push({
+          kind: isKeyword ? word.text.toLowerCase() : 'word',
+          value: word.text,
+          position: index,
+          length: word.end - index
+        });
+        index = word.end;
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a bare or "quoted" value starting at `start`
+ * @returns {Object} `{ text, end, quoted }`
+ */
+function readValue(input, start) {
+  if (input[start] === '"') {
+    let text = '';
+    let index = start + 1;
+    while (index < input.length && input[index] !== '"') {
+      if (input[index] === '\\' && index + 1 < input.length) {
+        index++;
+      }
+      text += input[index];
+      index++;
+    }
+    if (index >= input.length) {
+      throw filterError('unterminated quote', start, input.length - start);
+    }
+    return { text, end: index + 1, quoted: true };
+  }
+
+  let end = start;
+  while (end < input.length && !/[\s()]/.test(input[end])) {
+    end++;
+  }
+  return { text: input.slice(start, end), end, quoted: false };
+}
+
+/**
+ * Parse a filter query
+ * @param {string} input - Query text
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time for relative dates
+ * @returns {Object|null} Filter tree, or null for an empty query
+ */
+function parseFilterQuery(input, options = {}) {
+  const now = options.now || new Date();
+  const text = String(input || '');
+  const tokens = lexFilter(text);
+  let index = 0;
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const peek = () => tokens[index];
+  const fail = (message) => {
+    const token = peek();
+    throw token
+      ? filterError(message, token.position, token.length)
+      : filterError(message, text.length, 0);
+  };
+
+  // NOT binds tighter than AND, which binds tighter than OR
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().kind === 'or') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    for (;;) {
+      const token = peek();
+      if (token && token.kind === 'and') {
+        index++;
+      } else if (!token || token.kind === 'or' || token.kind === ')') {
+        break;
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().kind === 'not') {
+      index++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('expected a filter');
+
+    if (token.kind === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().kind !== ')') fail('expected ")"');
+      index++;
+      return node;
+    }
+    if (token.kind === 'term') {
+      index++;
+      return parseTerm(token, now);
+    }
+    if (token.kind === 'word') {
+      index++;
+      return { type: 'contains', field: 'title', value: token.value };
+    }
+    return fail(`unexpected "${token.value || token.kind}"`);
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) fail('unexpected input');
+
+  return tree;
+}
+
+/**
+ * Turn one `field<op>value` term into a filter node
+ */
+function parseTerm(token, now) {
+  const { field, operator, value } = token;
+  const spec = FIELDS[field.toLowerCase()];
+  const failValue = (message) => {
+    throw filterError(message, token.valuePosition, token.position + token.length - token.valuePosition);
+  };
+
+  if (field.startsWith('metadata.')) {
+    return metadataNode(token, failValue);
+  }
+
+  if (!spec) {
+    throw filterError(`unknown field "${field}"`, token.position, field.length);
+  }
+  if (!spec.operators.includes(operator)) {
+    throw filterError(`${field} does not support "${operator}"`, token.position + field.length, operator.length);
+  }
+  if (value === '') {
+    failValue(`expected a value for ${field}`);
+  }
+
+  const name = field.toLowerCase();
+  const negate = (node) => (operator === '!=' ? { type: 'not', child: node } : node);
+
+  switch (spec.kind) {
+    case 'pattern':
+      return negate({ type: 'pattern', field: name, value });
+    case 'text':
+      return negate({ type: 'contains', field: name, value });
+    case 'tag':
+      return negate({ type: 'tag', value });
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        failValue(`${field} needs a number`);
+      }
+      const op = operator === ':' ? '=' : operator;
+      return op === '!='
+        ? { type: 'not', child: { type: 'compare', field: name, op: '=', value: number } }
+        : { type: 'compare', field: name, op, value: number };
+    }
+    case 'date':
+      return dateNode(name, value, failValue);
+    case 'relative':
+      return { type: 'compare', field: 'timestamp', op: '>=', value: relativeStart(value, now, failValue) };
+    case 'presence': {
+      if (PRESENCE_FIELDS.includes(value)) {
+        return { type: 'has', field: value };
+      }
+      const path = parseMetadataPath(value);
+      if (!path) {
+        failValue(`has: takes ${PRESENCE_FIELDS.join(', ')} or metadata.<path>`);
+      }
+      return { type: 'has', field: 'metadata', path };
+    }
+    default:
+      throw new Error(`Unknown filter field kind: ${spec.kind}`);
+  }
+}
+
+/**
+ * A metadata term. Quoted values are strings; bare values that read as
+ * numbers or booleans also match those JSON types, so `metadata.year:2024`
+ * finds both 2024 and "2024". Values only match their own type.
+ */
+function metadataNode(token, failValue) {
+  const { field, operator, value, quoted } = token;
+  const path = parseMetadataPath(field, { wildcard: true });
+
+  if (!path) {
+    throw filterError(`invalid metadata path "${field}"`, token.position, field.length);
+  }
+  if (!METADATA_OPERATORS.includes(operator)) {
+    throw filterError(`${field} does not support "${operator}"`, token.position + field.length, operator.length);
+  }
+  if (value === '' && !quoted) {
+    failValue(`expected a value for ${field}`);
+  }
+
+  const op = operator === ':' || operator === '!=' ? '=' : operator;
+  const values = [value];
+
+  if (!quoted && /^-?\d+(\.\d+)?$/.test(value)) {
+    values.unshift(Number(value));
+  } else if (!quoted && (value === 'true' || value === 'false')) {
+    if (op !== '=') {
+      failValue(`${field} cannot compare true or false with "${operator}"`);
+    }
+    values.unshift(value === 'true');
+  }
+
+  const any = path[path.length - 1] === '*';
+  const node = {
+    type: 'metadata',
+    path: any ? path.slice(0, -1) : path,
+    any,
+    op,
+    // Ordering compares against the most specific reading only
+    values: op === '=' ? values : values.slice(0, 1)
+  };
+
+  return operator === '!=' ? { type: 'not', child: node } : node;
+}
+
+function dateNode(name, value, failValue) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    failValue(`${name}: needs a date like 2024-01-31`);
+  }
+  const iso = new Date(time).toISOString();
+
+  if (name === 'after') {
+    return { type: 'compare', field: 'timestamp', op: '>=', value: iso };
+  }
+  if (name === 'before') {
+    return { type: 'compare', field: 'timestamp', op: '<', value: iso };
+  }
+
+  // on: covers the whole day
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    failValue('on: needs a date like 2024-01-31');
+  }
+  return {
+    type: 'and',
+    children: [
+      { type: 'compare', field: 'timestamp', op: '>=', value: iso },
+      { type: 'compare', field: 'timestamp', op: '<', value: new Date(time + DAY_MS).toISOString() }
+    ]
+  };
+}
+
+// `last:7d` -> the ISO time 7 days before now; units are h, d, w, m (months) and y
+function relativeStart(value, now, failValue) {
+  const match = /^(\d+)(h|d|w|m|y)$/.exec(value);
+  if (!match) {
+    failValue('last: needs an amount and unit like 7d (h, d, w, m or y)');
+  }
+
+  const amount = parseInt(match[1], 10);
+  const unit = match[2];
+  const start = new Date(now.getTime());
+
+  if (unit === 'm') {
+    start.setUTCMonth(start.getUTCMonth() - amount);
+  } else if (unit === 'y') {
+    start.setUTCFullYear(start.getUTCFullYear() - amount);
+  } else {
+    start.setTime(start.getTime() - amount * RELATIVE_UNITS[unit]);
+  }
+  return start.toISOString();
+}
+
+function filterError(message, position, length) {
+  const error = new Error(`Invalid filter query: ${message} at position ${position}`);
+  error.position = position;
+  error.length = length;
+  return error;
+}
+
+/**
+ * Turn a `*` wildcard pattern into a case-insensitive RegExp
+ * @param {string} pattern - Pattern such as "music.*"
+ * @returns {RegExp} Anchored regular expression
+ */
+function wildcardRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Evaluate a filter tree against an event
+ * @param {Object|null} node - Parsed filter
+ * @param {Object} event - The event
+ * @returns {boolean} True if the event matches
+ */
+function matchesFilter(node, event) {
+  if (!node) {
+    return true;
+  }
+
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => matchesFilter(child, event));
+    case 'or':
+      return node.children.some(child => matchesFilter(child, event));
+    case 'not':
+      return !matchesFilter(node.child, event);
+    case 'pattern':
+      return wildcardRegExp(node.value).test(String(event[node.field] || ''));
+    case 'contains':
+      return String(event[node.field] || '').toLowerCase().includes(node.value.toLowerCase());
+    case 'tag':
+      return (event.tags || []).some(tag => tagMatches(tag, node.value));
+    case 'compare':
+      return compare(event[node.field], node.op, node.value);
+    case 'metadata':
+      return metadataValues(event, node).some(actual => (
+        node.values.some(expected => typeof actual === typeof expected && compare(actual, node.op, expected))
+      ));
+    case 'has':
+      return hasValue(event, node);
+    default:
+      throw new Error(`Unknown filter node: ${node.type}`);
+  }
+}
+
+// Missing values never satisfy a comparison, as in SQL
+function compare(actual, op, expected) {
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  switch (op) {
+    case '=': return actual === expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: throw new Error(`Unknown filter operator: ${op}`);
+  }
+}
+
+// The values a metadata node looks at: the value at its path, or with a
+// trailing `.*` each element (or property value) of it
+function metadataValues(event, node) {
+  const value = getMetadataValue(event.metadata, node.path);
+
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (!node.any) {
+    return [value];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'object' ? Object.values(value) : [value];
+}
+
+function hasValue(event, { field, path }) {
+  if (path) {
+    const value = getMetadataValue(event.metadata, path);
+    return value !== null && value !== undefined;
+  }
+  if (field === 'tags') {
+    return (event.tags || []).length > 0;
+  }
+  if (field === 'links') {
+    return (event.linked_uris || []).length > 0;
+  }
+  return event[field] !== null && event[field] !== undefined;
+}
+
+module.exports = {
+  FIELDS,
+  PRESENCE_FIELDS,
+  parseFilterQuery,
+  matchesFilter,
+  wildcardRegExp
+};
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+const { parseFilterQuery, matchesFilter } = require('./filterQuery');
+
+const now = new Date('2024-03-10T12:00:00.000Z');
+const parse = (query) => parseFilterQuery(query, { now });
+
+const event = {
+  id: 'e1',
+  timestamp: '2024-03-08T09:30:00.000Z',
+  source: 'spotify',
+  type: 'music.play',
+  title: 'Morning Playlist',
+  tags: ['music', 'work/focus'],
+  linked_uris: [],
+  mood: 8,
+  duration: null,
+  location: null
+};
+
+describe('parseFilterQuery', () => {
+  test('ANDs terms and parses negation, OR and groups', () => {
+    expect(parse('type:music.* mood>=7 -tag:meeting')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'pattern', field: 'type', value: 'music.*' },
+        { type: 'compare', field: 'mood', op: '>=', value: 7 },
+        { type: 'not', child: { type: 'tag', value: 'meeting' } }
+      ]
+    });
+
+    expect(parse('(tag:run OR tag:walk) NOT source:strava')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'or', children: [{ type: 'tag', value: 'run' }, { type: 'tag', value: 'walk' }] },
+        { type: 'not', child: { type: 'pattern', field: 'source', value: 'strava' } }
+      ]
+    });
+
+    expect(parse('"deep work" title:"stand up"')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'contains', field: 'title', value: 'deep work' },
+        { type: 'contains', field: 'title', value: 'stand up' }
+      ]
+    });
+    expect(parse('   ')).toBeNull();
+  });
+
+  test('resolves absolute and relative dates', () => {
+    expect(parse('after:2024-01-01')).toEqual({ type: 'compare', field: 'timestamp', op: '>=', value: '2024-01-01T00:00:00.000Z' });
+    expect(parse('last:7d').value).toBe('2024-03-03T12:00:00.000Z');
+    expect(parse('last:1m').value).toBe('2024-02-10T12:00:00.000Z');
+    expect(parse('on:2024-03-08').children.map(child => child.value)).toEqual([
+      '2024-03-08T00:00:00.000Z',
+      '2024-03-09T00:00:00.000Z'
+    ]);
+  });
+
+  test('parses metadata paths with typed values', () => {
+    expect(parse('metadata.artist = "Radiohead"')).toEqual({
+      type: 'metadata', path: ['artist'], any: false, op: '=', values: ['Radiohead']
+    });
+    expect(parse('metadata.distance_km>5').values).toEqual([5]);
+    expect(parse('metadata.year:2024').values).toEqual([2024, '2024']);
+    expect(parse('metadata.attendees.*:alice')).toMatchObject({ path: ['attendees'], any: true });
+    expect(parse('metadata.live!=true')).toEqual({
+      type: 'not',
+      child: { type: 'metadata', path: ['live'], any: false, op: '=', values: [true, 'true'] }
+    });
+    expect(parse('has:metadata.route.name')).toEqual({ type: 'has', field: 'metadata', path: ['route', 'name'] });
+  });
+
+  test('reports the position and length of errors', () => {
+    const errorOf = (query) => {
+      try {
+        parse(query);
+      } catch (error) {
+        return { message: error.message, position: error.position, length: error.length };
+      }
+      throw new Error(`No error for ${query}`);
+    };
+
+    expect(errorOf('type:music colour:red')).toEqual({
+      message: 'Invalid filter query: unknown field "colour" at position 11',
+      position: 11,
+      length: 6
+    });
+    expect(errorOf('mood>=high')).toMatchObject({ position: 6, length: 4 });
+    expect(errorOf('tag>work')).toMatchObject({ message: expect.stringContaining('tag does not support ">"'), position: 3 });
+    expect(errorOf('last:soon')).toMatchObject({ position: 5, length: 4 });
+    expect(errorOf('(tag:run')).toMatchObject({ message: expect.stringContaining('expected ")"'), position: 8 });
+    expect(errorOf('tag:run )')).toMatchObject({ position: 8 });
+    expect(errorOf('title:"open')).toMatchObject({ message: expect.stringContaining('unterminated quote'), position: 6 });
+    expect(errorOf('metadata.*:x')).toMatchObject({ message: expect.stringContaining('invalid metadata path'), position: 0 });
+    expect(errorOf('metadata.live>true')).toMatchObject({ position: 14, length: 4 });
+  });
+});
+
+describe('matchesFilter', () => {
+  const matches = (query) => matchesFilter(parse(query), event);
+
+  test('matches fields, wildcards and tags', () => {
+    expect(matches('type:music.*')).toBe(true);
+    expect(matches('type:MUSIC.PLAY source:spot*')).toBe(true);
+    expect(matches('type:music')).toBe(false);
+    expect(matches('tag:work')).toBe(true);
+    expect(matches('playlist')).toBe(true);
+    expect(matches('id:e1 title!=evening')).toBe(true);
+  });
+
+  test('compares numbers and dates', () => {
+    expect(matches('mood>=7 mood<9')).toBe(true);
+    expect(matches('mood:7')).toBe(false);
+    expect(matches('last:7d before:2024-03-09')).toBe(true);
+    expect(matches('on:2024-03-08')).toBe(true);
+    expect(matches('after:2024-03-09')).toBe(false);
+  });
+
+  test('matches metadata values of the same type', () => {
+    const played = { ...event, metadata: { artist: 'Radiohead', year: 1997, attendees: ['alice'], live: false } };
+    const matchesPlayed = (query) => matchesFilter(parse(query), played);
+
+    expect(matchesPlayed('metadata.artist:Radiohead metadata.year>1990')).toBe(true);
+    expect(matchesPlayed('metadata.year:"1997"')).toBe(false);
+    expect(matchesPlayed('metadata.attendees.*:alice metadata.live:false')).toBe(true);
+    expect(matchesPlayed('metadata.artist>1')).toBe(false);
+    expect(matchesPlayed('has:metadata.year -has:metadata.venue')).toBe(true);
+  });
+
+  test('treats missing values as never matching, even when negated', () => {
+    expect(matches('duration>0')).toBe(false);
+    expect(matches('-duration>0')).toBe(true);
+    expect(matches('has:mood -has:location has:tags -has:links')).toBe(true);
+  });
+});
@@ -0,0 +1,17 @@
+const fs = require('fs').promises;
+
+/**
+ * Write a file via a temporary file and rename so readers never see a
+ * partially written document
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, content);
+  await fs.rename(tmpPath, filePath);
+}
+
+module.exports = {
+  writeFileAtomic
+};
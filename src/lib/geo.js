@@ -0,0 +1,334 @@
+/**
+ * Geospatial helpers for event locations
+ *
+ * Events keep `location` as the source sent it. Anything with numeric
+ * `lat`/`latitude` and `lng`/`lon`/`longitude` has coordinates; storage
+ * indexes those so events can be found inside a bounding box or within a
+ * radius of a point. Distances are great-circle distances in meters.
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+
+const DISTANCE_UNITS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  ft: 0.3048
+};
+
+// Smallest place index cell (about 1cm), so a zero radius still makes a grid
+const MIN_CELL_DEGREES = 1e-7;
+
+/**
+ * Read the coordinates of an event location
+ * @param {Object} location - The event's location
+ * @returns {Object|null} `{ lat, lng }`, or null if it has no valid coordinates
+ */
+function getCoordinates(location) {
+  if (!location || typeof location !== 'object') {
+    return null;
+  }
+
+  const lat = [location.lat, location.latitude].find(value => typeof value === 'number');
+  const lng = [location.lng, location.lon, location.longitude].find(value => typeof value === 'number');
+
+  return isValidPosition(lat, lng) ? { lat, lng } : null;
+}
+
+function isValidPosition(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * Parse a "lat,lng" position
+ * @param {string|Object} value - Text, or an object with coordinates
+ * @returns {Object} `{ lat, lng }`
+ */
+function parseNear(value) {
+  const position = typeof value === 'object'
+    ? getCoordinates(value)
+    : getCoordinates(parseNumbers(value, 2, { lat: 0, lng: 1 }));
+
+  if (!position) {
+    throw new Error(`Invalid near: expected "lat,lng", got "${formatInput(value)}"`);
+  }
+  return position;
+}
+
+/**
+ * Parse a distance such as "2km", "500m", "1.5mi" or a number of meters
+ * @param {string|number} value - The distance
+ * @returns {number} Meters
+ */
+function parseRadius(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(m|km|mi|ft)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid radius: expected a distance like 2km or 500m, got "${formatInput(value)}"`);
+  }
+  return parseFloat(match[1]) * DISTANCE_UNITS[(match[2] || 'm').toLowerCase()];
+}
+
+/**
+ * Parse a "south,west,north,east" bounding box. West may be greater than
+ * east for boxes that cross the antimeridian.
+ * @param {string|Object} value - Text, or an object with those keys
+ * @returns {Object} `{ south, west, north, east }`
+ */
+function parseBoundingBox(value) {
+  const box = typeof value === 'object' && value !== null
+    ? value
+    : parseNumbers(value, 4, { south: 0, west: 1, north: 2, east: 3 });
+
+  const valid = box &&
+    isValidPosition(box.south, box.west) &&
+    isValidPosition(box.north, box.east) &&
+    box.south <= box.north;
+
+  if (!valid) {
+    throw new Error(`Invalid bbox: expected "south,west,north,east", got "${formatInput(value)}"`);
+  }
+  return { south: box.south, west: box.west, north: box.north, east: box.east };
+}
+
+// "1,2" -> { a: 1, b: 2 } for keys { a: 0, b: 1 }, or null
+function parseNumbers(text, count, keys) {
+  const parts = String(text).split(',').map(part => part.trim());
+  if (parts.length !== count || parts.some(part => !/^-?\d+(\.\d+)?$/.test(part))) {
+    return null;
+  }
+
+  const result = {};
+  Object.entries(keys).forEach(([key, index]) => {
+    result[key] = parseFloat(parts[index]);
+  });
+  return result;
+}
+
+function formatInput(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle (haversine) distance between two positions
+ * @param {Object} a - `{ lat, lng }`
+ * @param {Object} b - `{ lat, lng }`
+ * @returns {number} Meters
+ */
+function distanceBetween(a, b) {
+  const h = Math.pow(Math.sin(toRadians(b.lat - a.lat) / 2), 2) +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) *
+    Math.pow(Math.sin(toRadians(b.lng - a.lng) / 2), 2);
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * The box around a circle, for narrowing a radius search with an index.
+ * Longitude is left open near the poles and across the antimeridian.
+ * @param {Object} center - `{ lat, lng }`
+ * @param {number} radius - Meters
+ * @returns {Object} `{ south, north, west?, east? }`
+ */
+function boundsAround(center, radius) {
+  const latDelta = (radius / EARTH_RADIUS_M) * 180 / Math.PI;
+  const south = Math.max(center.lat - latDelta, -90);
+  const north = Math.min(center.lat + latDelta, 90);
+
+  const cosLat = Math.min(Math.cos(toRadians(south)), Math.cos(toRadians(north)));
+  const lngDelta = cosLat > 0 ? latDelta / cosLat : Infinity;
+
+  if (center.lng - lngDelta < -180 || center.lng + lngDelta > 180) {
+    return { south, north };
+  }
+  return { south, north, west: center.lng - lngDelta, east: center.lng + lngDelta };
+}
+
+/**
+ * Check a position against a bounding box
+ * @param {Object} position - `{ lat, lng }`
+ * @param {Object} box - `{ south, west, north, east }`
+ * @returns {boolean} True if the position is inside
+ */
+function isInBoundingBox(position, box) {
+  if (position.lat < box.south || position.lat > box.north) {
+    return false;
+  }
+  return box.west <= box.east
+    ? position.lng >= box.west && position.lng <= box.east
+    : position.lng >= box.west || position.lng <= box.east;
+}
+
+/**
+ * Group events into places: each event joins the nearest place whose center
+ * is within `radius`, and the center moves to the mean of its events.
+ * Consecutive events at one place are one visit there.
+ * @param {Array} events - Events in time order
+ * @param {Object} options - Options
+ * @param {number} options.radius - Meters
+ * @returns {Array} `{ lat, lng, name, visits, events, first_seen, last_seen }`,
+ *   most visited first
+ */
+function clusterPlaces(events, options = {}) {
+  const { radius = 100 } = options;
+  const index = new PlaceIndex(radius);
+  let previous = null;
+
+  events.forEach(event => {
+    const position = getCoordinates(event.location);
+    if (!position) {
+      return;
+    }
+
+    let place = index.nearest(position);
+    if (!place) {
+      place = { lat: position.lat, lng: position.lng, visits: 0, events: 0, names: new Map(), first_seen: event.timestamp, last_seen: event.timestamp };
+      index.add(place);
+    }
+
+    if (place !== previous) {
+      place.visits++;
+    }
+    previous = place;
+
+    place.events++;
+    index.move(place, {
+      lat: place.lat + (position.lat - place.lat) / place.events,
+      // The short way round, for places on the antimeridian
+      lng: wrapLongitude(place.lng + wrapLongitude(position.lng - place.lng) / place.events)
+    });
+    if (event.timestamp < place.first_seen) place.first_seen = event.timestamp;
+    if (event.timestamp > place.last_seen) place.last_seen = event.timestamp;
+
+    const name = event.location.name;
+    if (typeof name === 'string' && name.trim()) {
+      place.names.set(name, (place.names.get(name) || 0) + 1);
+    }
+  });
+
+  return index.places
+    .map(({ names, cell, ...place }) => ({
+      lat: roundCoordinate(place.lat),
+      lng: roundCoordinate(place.lng),
+      // The name its events use most
+      name: [...names].sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+      visits: place.visits,
+      events: place.events,
+      first_seen: place.first_seen,
+      last_seen: place.last_seen
+    }))
+    .sort((a, b) => b.visits - a.visits || (a.last_seen < b.last_seen ? 1 : -1));
+}
+
+/**
+ * Place centers in a grid of cells as tall as the radius, so finding the
+ * nearest place looks at the few cells within boundsAround() of a position
+ * instead of every place
+ */
+class PlaceIndex {
+  /**
+   * @param {number} radius - Meters
+   */
+  constructor(radius) {
+    this.radius = radius;
+    this.cellSize = Math.max((radius / EARTH_RADIUS_M) * 180 / Math.PI, MIN_CELL_DEGREES);
+    this.cells = new Map();
+    this.places = [];
+  }
+
+  /**
+   * The place whose center is nearest to a position, within the radius
+   * @param {Object} position - `{ lat, lng }`
+   * @returns {Object|null} The place
+   */
+  nearest(position) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.candidates(boundsAround(position, this.radius)).forEach(place => {
+      const distance = distanceBetween(place, position);
+      if (distance <= this.radius && distance < nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Places in the cells a box covers; all of them when the box has open
+   * longitude (near the poles and across the antimeridian)
+   */
+  candidates(bounds) {
+    if (bounds.west === undefined) {
+      return this.places;
+    }
+
+    const places = [];
+    for (let row = this.cellOf(bounds.south); row <= this.cellOf(bounds.north); row++) {
+      for (let column = this.cellOf(bounds.west); column <= this.cellOf(bounds.east); column++) {
+        places.push(...(this.cells.get(`${row}:${column}`) || []));
+      }
+    }
+    return places;
+  }
+
+  add(place) {
+    this.places.push(place);
+    this.insert(place);
+  }
+
+  /**
+   * Move a place's center, keeping it in the right cell
+   */
+  move(place, center) {
+    const cell = this.cells.get(place.cell);
+    cell.splice(cell.indexOf(place), 1);
+    if (cell.length === 0) {
+      this.cells.delete(place.cell);
+    }
+
+    place.lat = center.lat;
+    place.lng = center.lng;
+    this.insert(place);
+  }
+
+  insert(place) {
+    place.cell = `${this.cellOf(place.lat)}:${this.cellOf(place.lng)}`;
+    if (this.cells.has(place.cell)) {
+      this.cells.get(place.cell).push(place);
+    } else {
+      this.cells.set(place.cell, [place]);
+    }
+  }
+
+  cellOf(degrees) {
+    return Math.floor(degrees / this.cellSize);
+  }
+}
+
+function wrapLongitude(lng) {
+  return lng > 180 || lng < -180 ? ((lng + 540) % 360) - 180 : lng;
+}
+
+// Six decimals is about 10cm
+function roundCoordinate(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  getCoordinates,
+  parseNear,
+  parseRadius,
+  parseBoundingBox,
+  distanceBetween,
+  boundsAround,
+  isInBoundingBox,
+  clusterPlaces
+};
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+const {
+  getCoordinates,
+  parseNear,
+  parseRadius,
+  parseBoundingBox,
+  distanceBetween,
+  boundsAround,
+  isInBoundingBox,
+  clusterPlaces
+} = require('./geo');
+
+const home = { lat: 52.52, lng: 13.405 };
+
+describe('parsing', () => {
+  test('reads coordinates under their usual names', () => {
+    expect(getCoordinates({ lat: 1, lng: 2, name: 'Home' })).toEqual({ lat: 1, lng: 2 });
+    expect(getCoordinates({ latitude: 1, longitude: 2 })).toEqual({ lat: 1, lng: 2 });
+    expect(getCoordinates({ lat: 1, lon: 2 })).toEqual({ lat: 1, lng: 2 });
+    expect(getCoordinates({ lat: '1', lng: 2 })).toBeNull();
+    expect(getCoordinates({ lat: 91, lng: 2 })).toBeNull();
+    expect(getCoordinates({ name: 'Somewhere' })).toBeNull();
+  });
+
+  test('parses positions, distances and boxes', () => {
+    expect(parseNear('52.52, 13.405')).toEqual(home);
+    expect(parseRadius('2km')).toBe(2000);
+    expect(parseRadius('500')).toBe(500);
+    expect(parseRadius('1mi')).toBeCloseTo(1609.344);
+    expect(parseBoundingBox('52,13,53,14')).toEqual({ south: 52, west: 13, north: 53, east: 14 });
+
+    expect(() => parseNear('52.52')).toThrow('Invalid near');
+    expect(() => parseRadius('far')).toThrow('Invalid radius');
+    expect(() => parseBoundingBox('53,13,52,14')).toThrow('Invalid bbox');
+  });
+});
+
+describe('distances and boxes', () => {
+  test('measures great-circle distances', () => {
+    expect(distanceBetween(home, home)).toBe(0);
+    // Berlin to Paris
+    expect(distanceBetween(home, { lat: 48.8566, lng: 2.3522 }) / 1000).toBeCloseTo(877.5, 0);
+  });
+
+  test('bounds a circle and handles the antimeridian', () => {
+    const bounds = boundsAround(home, 1000);
+    expect(isInBoundingBox({ lat: 52.528, lng: 13.405 }, bounds)).toBe(true);
+    expect(isInBoundingBox({ lat: 52.53, lng: 13.405 }, bounds)).toBe(false);
+    expect(boundsAround({ lat: 0, lng: 179.999 }, 1000)).not.toHaveProperty('west');
+
+    const pacific = { south: -20, west: 170, north: 20, east: -170 };
+    expect(isInBoundingBox({ lat: 0, lng: 179 }, pacific)).toBe(true);
+    expect(isInBoundingBox({ lat: 0, lng: 0 }, pacific)).toBe(false);
+  });
+});
+
+describe('clusterPlaces', () => {
+  test('groups nearby events into places with visit counts', () => {
+    const at = (timestamp, lat, lng, name) => ({ timestamp, location: { lat, lng, name } });
+    const places = clusterPlaces([
+      at('2024-01-01T08:00:00.000Z', 52.52, 13.405, 'Home'),
+      at('2024-01-01T12:00:00.000Z', 52.5, 13.3, 'Office'),
+      at('2024-01-02T08:00:00.000Z', 52.5201, 13.4051, 'Home'),
+      at('2024-01-03T08:00:00.000Z', 52.5199, 13.4049),
+      { timestamp: '2024-01-04T08:00:00.000Z', location: null }
+    ], { radius: 100 });
+
+    expect(places).toEqual([
+      { lat: 52.52, lng: 13.405, name: 'Home', visits: 2, events: 3, first_seen: '2024-01-01T08:00:00.000Z', last_seen: '2024-01-03T08:00:00.000Z' },
+      { lat: 52.5, lng: 13.3, name: 'Office', visits: 1, events: 1, first_seen: '2024-01-01T12:00:00.000Z', last_seen: '2024-01-01T12:00:00.000Z' }
+    ]);
+  });
+
+  test('joins the nearest place across grid cells and the antimeridian', () => {
+    const at = (lat, lng) => ({ timestamp: '2024-01-01T08:00:00.000Z', location: { lat, lng } });
+    // A grid of places 500m apart, visited twice in turn
+    const grid = [];
+    for (let i = 0; i < 20; i++) {
+      for (let j = 0; j < 20; j++) {
+        grid.push(at(52 + i * 0.0045, 13 + j * 0.0074));
+      }
+    }
+    const places = clusterPlaces([...grid, ...grid.map(event => at(event.location.lat + 0.0004, event.location.lng))], { radius: 100 });
+    expect(places).toHaveLength(400);
+    expect(places.every(place => place.visits === 2 && place.events === 2)).toBe(true);
+
+    expect(clusterPlaces([at(0, 179.9999), at(0, -179.9999), at(0, 179.9995)], { radius: 100 }))
+      .toEqual([expect.objectContaining({ visits: 1, events: 3 })]);
+    expect(clusterPlaces([at(10, 10), at(10, 10), at(10, 10.001)], { radius: 0 }).map(place => place.events).sort()).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Habits: recurring things you mean to do, such as "meditate daily" or
+ * "gym Mon/Wed/Fri"
+ *
+ * A habit has a recurrence `rule` (an RRULE, see lib/recurrence.js) read in
+ * its `timezone` from its local `start`, and a `match` of getEvents filters
+ * (`type`, `source`, `tags`, `q`) picking the events that complete it. Each
+ * occurrence lasts `duration` seconds, or until the end of its local day when
+ * no duration is set; it is completed by a matching event that starts inside
+ * it, missed once it is over without one, and upcoming until then.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const { parseRule, expandRule } = require('./recurrence');
+const { parseFilterQuery } = require('./filterQuery');
+const { normalizeTags } = require('./tags');
+const { normalizeZone, serverZone, toWallClock, fromWallClock, parseWallClock } = require('./timezones');
+
+const STATUSES = ['completed', 'missed', 'upcoming'];
+
+const MATCH_FIELDS = ['type', 'source', 'tags', 'q'];
+
+// Most occurrences one request expands, per habit
+const MAX_OCCURRENCES = 5000;
+
+/**
+ * Validate a habit and fill in its defaults
+ * @param {Object} input - `{ name, rule, start, timezone, duration, match }`
+ * @param {Object} existing - The stored habit, for updates
+ * @returns {Object} The habit, ready to store
+ */
+function prepareHabit(input, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid habit: must be an object');
+  }
+
+  const habit = { ...existing, ...input };
+
+  if (typeof habit.name !== 'string' || habit.name.trim() === '') {
+    throw new Error('Invalid habit: name is required');
+  }
+
+  parseRule(habit.rule);
+  const rule = habit.rule.trim().replace(/^RRULE:/i, '').toUpperCase();
+
+  const timezone = habit.timezone === undefined || habit.timezone === null
+    ? serverZone()
+    : normalizeZone(habit.timezone);
+  if (!timezone) {
+    throw new Error('Invalid habit: timezone must be an IANA zone like Europe/Berlin or an offset like +02:00');
+  }
+
+  const start = habit.start ? parseWallClock(habit.start, timezone) : toWallClock(Date.now(), timezone).startOf('day');
+  if (!start.isValid()) {
+    throw new Error('Invalid habit: start must be a date like 2024-01-01 or a local time like 2024-01-01T07:00');
+  }
+
+  const duration = habit.duration === undefined ? null : habit.duration;
+  if (duration !== null && !(Number.isInteger(duration) && duration > 0)) {
+    throw new Error('Invalid habit: duration must be a positive number of seconds');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: habit.id || uuidv4(),
+    name: habit.name.trim(),
+    rule,
+    start: start.format(start.isSame(start.clone().startOf('day')) ? 'YYYY-MM-DD' : 'YYYY-MM-DDTHH:mm:ss'),
+    timezone,
+    duration,
+    match: prepareMatch(habit.match, 'habit'),
+    created_at: habit.created_at || now,
+    updated_at: now
+  };
+}
+
+/**
+ * Validate the getEvents filters that pick the events a definition follows
+ * @param {Object} match - `{ type, source, tags, q }`
+ * @param {string} kind - What the filters belong to, for error messages ("habit")
+ * @returns {Object} The filters that are set
+ */
+function prepareMatch(match, kind) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    throw new Error(`Invalid ${kind}: match must be an object with ${MATCH_FIELDS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(match).find(key => !MATCH_FIELDS.includes(key));
+  if (unknown) {
+    throw new Error(`Invalid ${kind}: cannot match on ${unknown} (use ${MATCH_FIELDS.join(', ')})`);
+  }
+
+  const prepared = {};
+  ['type', 'source', 'q'].forEach(field => {
+    if (match[field] === undefined || match[field] === null || match[field] === '') {
+      return;
+    }
+    if (typeof match[field] !== 'string') {
+      throw new Error(`Invalid ${kind}: match.${field} must be a string`);
+    }
+    prepared[field] = match[field].trim();
+  });
+
+  if (match.tags !== undefined && match.tags !== null) {
+    const tags = normalizeTags(Array.isArray(match.tags) ? match.tags : [match.tags]);
+    if (tags.length > 0) {
+      prepared.tags = tags;
+    }
+  }
+
+  if (Object.keys(prepared).length === 0) {
+    throw new Error(`Invalid ${kind}: match needs at least one of ${MATCH_FIELDS.join(', ')}`);
+  }
+
+  // Reject bad queries when the habit is saved rather than when it is read
+  if (prepared.q) {
+    parseFilterQuery(prepared.q);
+  }
+
+  return prepared;
+}
+
+/**
+ * The occurrences of a habit that overlap a range
+ * @param {Object} habit - The habit
+ * @param {number} from - Range start in milliseconds
+ * @param {number} to - Range end in milliseconds (inclusive)
+ * @returns {Array} `{ start, end }` in milliseconds (end exclusive), in order
+ */
+function habitOccurrences(habit, from, to) {
+  // Occurrences that started before the range can still be open in it
+  const reach = habit.duration ? habit.duration * 1000 : 27 * 60 * 60 * 1000;
+
+  const starts = expandRule(habit.rule, {
+    start: habit.start,
+    zone: habit.timezone,
+    from: from - reach,
+    to,
+    limit: MAX_OCCURRENCES + 1
+  });
+  if (starts.length > MAX_OCCURRENCES) {
+    throw new Error(`Invalid range: ${habit.name} has more than ${MAX_OCCURRENCES} occurrences in it`);
+  }
+
+  return starts
+    .map(start => ({ start, end: occurrenceEnd(habit, start) }))
+    .filter(occurrence => occurrence.end > from);
+}
+
+function occurrenceEnd(habit, start) {
+  if (habit.duration) {
+    return start + habit.duration * 1000;
+  }
+  return fromWallClock(toWallClock(start, habit.timezone).add(1, 'day').startOf('day'), habit.timezone);
+}
+
+/**
+ * Mark occurrences completed, missed or upcoming. An event completes every
+ * occurrence it starts in.
+ * @param {Array} occurrences - From habitOccurrences()
+ * @param {Array} events - Events matching the habit, covering the occurrences
+ * @param {number} now - The current time in milliseconds
+ * @returns {Array} `{ start, end, status, event_ids }` with ISO times
+ */
+function matchOccurrences(occurrences, events, now = Date.now()) {
+  const times = events
+    .map(event => ({ id: event.id, time: Date.parse(event.timestamp) }))
+    .sort((a, b) => a.time - b.time);
+
+  return occurrences.map(({ start, end }) => {
+    const eventIds = times.filter(({ time }) => time >= start && time < end).map(({ id }) => id);
+
+    let status = 'upcoming';
+    if (eventIds.length > 0) {
+      status = 'completed';
+    } else if (end <= now) {
+      status = 'missed';
+    }
+
+    return {
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      status,
+      event_ids: eventIds
+    };
+  });
+}
+
+/**
+ * Count occurrences by status
+ * @param {Array} occurrences - From matchOccurrences()
+ * @returns {Object} `{ completed, missed, upcoming, rate, streak }`; `rate`
+ *   is the share of finished occurrences that were completed, and `streak`
+ *   the number of completed ones since the last miss
+ */
+function summarizeOccurrences(occurrences) {
+  const summary = { completed: 0, missed: 0, upcoming: 0 };
+  occurrences.forEach(occurrence => summary[occurrence.status]++);
+
+  const finished = summary.completed + summary.missed;
+  summary.rate = finished > 0 ? Math.round((summary.completed / finished) * 1000) / 1000 : null;
+
+  summary.streak = 0;
+  for (let index = occurrences.length - 1; index >= 0 && occurrences[index].status !== 'missed'; index--) {
+    if (occurrences[index].status === 'completed') {
+      summary.streak++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  STATUSES,
+  MATCH_FIELDS,
+  prepareHabit,
+  prepareMatch,
+  habitOccurrences,
+  matchOccurrences,
+  summarizeOccurrences
+};
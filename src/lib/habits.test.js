@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+const { prepareHabit, habitOccurrences, matchOccurrences, summarizeOccurrences } = require('./habits');
+
+const gym = prepareHabit({
+  name: 'Gym',
+  rule: 'rrule:freq=weekly;byday=mo,we,fr',
+  start: '2024-05-01',
+  timezone: 'Europe/Berlin',
+  match: { type: 'fitness.workout', tags: 'Gym' }
+});
+
+describe('prepareHabit', () => {
+  test('normalizes the definition', () => {
+    expect(gym).toMatchObject({
+      rule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+      start: '2024-05-01',
+      timezone: 'Europe/Berlin',
+      duration: null,
+      match: { type: 'fitness.workout', tags: ['Gym'] }
+    });
+    expect(gym.id).toBeTruthy();
+    expect(prepareHabit({ name: 'Walk' }, gym)).toMatchObject({ id: gym.id, name: 'Walk', rule: gym.rule });
+  });
+
+  test('rejects incomplete or invalid habits', () => {
+    const valid = { name: 'Read', rule: 'FREQ=DAILY', match: { type: 'media.book' } };
+    expect(() => prepareHabit({ ...valid, name: ' ' })).toThrow('Invalid habit: name is required');
+    expect(() => prepareHabit({ ...valid, rule: 'FREQ=SOMETIMES' })).toThrow('Invalid rule');
+    expect(() => prepareHabit({ ...valid, match: {} })).toThrow('match needs at least one');
+    expect(() => prepareHabit({ ...valid, match: { mood: 5 } })).toThrow('cannot match on mood');
+    expect(() => prepareHabit({ ...valid, match: { q: 'mood>>' } })).toThrow('Invalid filter query');
+    expect(() => prepareHabit({ ...valid, timezone: 'Atlantis' })).toThrow('timezone');
+    expect(() => prepareHabit({ ...valid, duration: -5 })).toThrow('duration');
+  });
+});
+
+describe('occurrences', () => {
+  const from = Date.parse('2024-05-05T22:00:00Z');
+  const to = Date.parse('2024-05-12T21:59:59Z');
+
+  test('last until the end of their local day', () => {
+    expect(habitOccurrences(gym, from, to).map(({ start, end }) => [new Date(start).toISOString(), new Date(end).toISOString()])).toEqual([
+      ['2024-05-05T22:00:00.000Z', '2024-05-06T22:00:00.000Z'],
+      ['2024-05-07T22:00:00.000Z', '2024-05-08T22:00:00.000Z'],
+      ['2024-05-09T22:00:00.000Z', '2024-05-10T22:00:00.000Z']
+    ]);
+  });
+
+  test('are completed, missed or upcoming', () => {
+    const occurrences = matchOccurrences(habitOccurrences(gym, from, to), [
+      { id: 'monday', timestamp: '2024-05-06T17:00:00.000Z' },
+      { id: 'friday', timestamp: '2024-05-10T06:00:00.000Z' }
+    ], Date.parse('2024-05-10T12:00:00Z'));
+
+    expect(occurrences.map(o => [o.status, o.event_ids])).toEqual([
+      ['completed', ['monday']],
+      ['missed', []],
+      ['completed', ['friday']]
+    ]);
+    expect(summarizeOccurrences(occurrences)).toEqual({ completed: 2, missed: 1, upcoming: 0, rate: 0.667, streak: 1 });
+
+    const early = matchOccurrences(habitOccurrences(gym, from, to), [], Date.parse('2024-05-06T12:00:00Z'));
+    expect(early.map(o => o.status)).toEqual(['upcoming', 'upcoming', 'upcoming']);
+    expect(summarizeOccurrences(early).rate).toBeNull();
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Importing events from other tools' exports
+ *
+ * A mapping says which field of each input record fills which event field,
+ * so exports with their own column names can be imported as they are:
+ *
+ *   {
+ *     "fields": {
+ *       "title": "Activity Name",
+ *       "timestamp": "Start Time",
+ *       "external_id": "Activity ID",
+ *       "tags": "Labels",
+ *       "metadata.distance_km": "Distance"
+ *     },
+ *     "source": "strava",
+ *     "type": "fitness.run",
+ *     "timezone": "Europe/Berlin",
+ *     "unmapped": "metadata"
+ *   }
+ *
+ * Mapped values are converted to what their field needs: times without an
+ * offset are read in `timezone` (the server's zone by default), numbers in
+ * `mood` and `duration` are parsed, `tags` and `linked_uris` are split on ";"
+ * or ",", and numbers and booleans written as text in `metadata` and
+ * `location` become real ones. With `"unmapped": "metadata"`, input fields no
+ * mapping uses are kept in `metadata`; otherwise they are dropped. Without a
+ * mapping, records are taken as events as they are.
+ *
+ * Every event an import creates or changes is tagged `import/<batch id>`,
+ * which is how a batch is found again to roll it back. Events keep the tags
+ * of earlier batches, so re-importing a file does not lose them.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+
+const { normalizeZone, serverZone, fromWallClock, parseWallClock } = require('./timezones');
+
+const IMPORT_TAG_PREFIX = 'import/';
+
+// Event fields a mapping can fill; nested ones take `metadata.<key>` and `location.<key>`
+const TEXT_FIELDS = ['title', 'type', 'source', 'external_id', 'timezone'];
+const TIME_FIELDS = ['timestamp', 'end_time'];
+const NUMBER_FIELDS = ['mood', 'duration'];
+const LIST_FIELDS = ['tags', 'linked_uris'];
+const OBJECT_FIELDS = ['metadata', 'location'];
+const MAPPABLE_FIELDS = [...TEXT_FIELDS, ...TIME_FIELDS, ...NUMBER_FIELDS, ...LIST_FIELDS, ...OBJECT_FIELDS];
+
+const UNMAPPED = ['drop', 'metadata'];
+
+// Epoch numbers below this are seconds, above it milliseconds (about 1973 in ms)
+const EPOCH_MS_THRESHOLD = 1e11;
+
+/**
+ * Validate a mapping and fill in its defaults
+ * @param {Object} input - `{ fields, source, type, timezone, unmapped }`
+ * @returns {Object} The mapping
+ */
+function prepareMapping(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid mapping: must be an object');
+  }
+
+  const fields = input.fields === undefined ? {} : input.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Invalid mapping: fields must map event fields to input fields, as { "title": "Name" }');
+  }
+  Object.entries(fields).forEach(([target, from]) => {
+    const [field, ...rest] = target.split('.');
+    const nested = rest.length > 0;
+    if (!MAPPABLE_FIELDS.includes(field) || (nested && !OBJECT_FIELDS.includes(field)) || rest.some(key => key === '')) {
+      throw new Error(`Invalid mapping: cannot map to "${target}" (use ${MAPPABLE_FIELDS.join(', ')}, metadata.<key> or location.<key>)`);
+    }
+    if (typeof from !== 'string' || from === '') {
+      throw new Error(`Invalid mapping: "${target}" must name an input field`);
+    }
+  });
+
+  ['source', 'type'].forEach(name => {
+    if (input[name] !== undefined && input[name] !== null && (typeof input[name] !== 'string' || input[name].trim() === '')) {
+      throw new Error(`Invalid mapping: ${name} must be a non-empty string`);
+    }
+  });
+
+  let timezone = null;
+  if (input.timezone !== undefined && input.timezone !== null) {
+    timezone = normalizeZone(input.timezone);
+    if (!timezone) {
+      throw new Error('Invalid mapping: timezone must be an IANA zone like Europe/Berlin or an offset like +02:00');
+    }
+  }
+
+  const unmapped = input.unmapped === undefined ? 'drop' : input.unmapped;
+  if (!UNMAPPED.includes(unmapped)) {
+    throw new Error(`Invalid mapping: unmapped must be one of ${UNMAPPED.join(', ')}`);
+  }
+
+  return {
+    fields,
+    source: input.source ? input.source.trim() : null,
+    type: input.type ? input.type.trim() : null,
+    timezone,
+    unmapped
+  };
+}
+
+/**
+ * Turn an input record into event data
+ * @param {Object} record - The record as read from the file
+ * @param {Object|null} mapping - From prepareMapping(), or null to take the record as it is
+ * @param {Object} defaults - `{ source, type }` for events that have none
+ * @returns {Object} Event data
+ */
+function mapRecord(record, mapping, defaults = {}) {
+  let event;
+
+  if (!mapping || Object.keys(mapping.fields).length === 0) {
+    event = { ...record };
+  } else {
+    event = {};
+    Object.entries(mapping.fields).forEach(([target, from]) => {
+      const value = convert(target, readField(record, from), mapping.timezone);
+      if (value !== undefined) {
+        setField(event, target, value);
+      }
+    });
+
+    if (mapping.timezone && event.timezone === undefined && TIME_FIELDS.some(field => event[field] !== undefined)) {
+      event.timezone = mapping.timezone;
+    }
+    if (mapping.unmapped === 'metadata') {
+      const used = new Set(Object.values(mapping.fields).map(from => from.split('.')[0]));
+      Object.entries(record).forEach(([key, value]) => {
+        if (!used.has(key) && !isEmpty(value) && (!event.metadata || event.metadata[key] === undefined)) {
+          event.metadata = { ...event.metadata, [key]: value };
+        }
+      });
+    }
+  }
+
+  const source = (mapping && mapping.source) || defaults.source;
+  const type = (mapping && mapping.type) || defaults.type;
+  if (isEmpty(event.source) && source) {
+    event.source = source;
+  }
+  if (isEmpty(event.type) && type) {
+    event.type = type;
+  }
+
+  return event;
+}
+
+/**
+ * Read a field of a record: a key as it is, or a dotted path into nested objects
+ */
+function readField(record, from) {
+  if (Object.prototype.hasOwnProperty.call(record, from)) {
+    return record[from];
+  }
+  return from.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), record);
+}
+
+function setField(event, target, value) {
+  const [field, ...rest] = target.split('.');
+  if (rest.length === 0) {
+    event[field] = OBJECT_FIELDS.includes(field) && event[field] ? { ...event[field], ...value } : value;
+    return;
+  }
+
+  let node = event[field] = event[field] || {};
+  rest.slice(0, -1).forEach(key => {
+    node = node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+  });
+  node[rest[rest.length - 1]] = value;
+}
+
+/**
+ * Convert a mapped value to what its event field needs
+ * @returns {*} The value, or undefined to leave the field out
+ */
+function convert(target, value, timezone) {
+  if (isEmpty(value)) {
+    return undefined;
+  }
+
+  const field = target.split('.')[0];
+  if (target !== field) {
+    return literal(value);
+  }
+  if (TIME_FIELDS.includes(field)) {
+    return toTimestamp(value, timezone || serverZone());
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    // Left as it is, so validation reports it
+    return isNaN(number) ? value : number;
+  }
+  if (LIST_FIELDS.includes(field)) {
+    const items = Array.isArray(value) ? value : String(value).split(/[;,]/);
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+  if (OBJECT_FIELDS.includes(field)) {
+    return value;
+  }
+  return String(value).trim();
+}
+
+/**
+ * A time as an ISO timestamp: epoch numbers (seconds or milliseconds), or
+ * text read in the zone unless it has an offset. Text that is not a time is
+ * left as it is, so validation reports it.
+ */
+function toTimestamp(value, zone) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    return new Date(number < EPOCH_MS_THRESHOLD ? number * 1000 : number).toISOString();
+  }
+
+  const text = String(value).trim();
+  let wall = parseWallClock(text, zone);
+  if (!wall.isValid()) {
+    // "2024-05-06 07:00" and other forms moment reads without a format
+    wall = moment.utc(text, [moment.ISO_8601, 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm', 'YYYY/MM/DD HH:mm:ss', 'YYYY/MM/DD HH:mm', 'YYYY/MM/DD'], true);
+  }
+  return wall.isValid() ? new Date(fromWallClock(wall, zone)).toISOString() : text;
+}
+
+// Numbers and booleans written as text
+function literal(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const text = value.trim();
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  return /^-?\d+(\.\d+)?$/.test(text) && !/^-?0\d/.test(text) ? Number(text) : value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * A new import batch ID: when it started, and a random suffix
+ * @returns {string} e.g. "20240506-101500-3fa2b1"
+ */
+function newBatchId() {
+  return `${moment.utc().format('YYYYMMDD-HHmmss')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * The tag that marks an import batch's events
+ * @param {string} batchId - The batch ID
+ * @returns {string} `import/<batch id>`
+ */
+function batchTag(batchId) {
+  return IMPORT_TAG_PREFIX + batchId;
+}
+
+/**
+ * The tags event data keeps when it updates a stored event: its own, or the
+ * stored event's when it has none, and always the stored event's batch tags,
+ * so the batches that wrote it before can still be rolled back
+ * @param {Object} event - Event data
+ * @param {Array} storedTags - Tags of the stored event the data updates
+ * @returns {Object} Event data with those tags
+ */
+function keepBatchTags(event, storedTags = []) {
+  const tags = Array.isArray(event.tags) ? event.tags : storedTags;
+  const batches = storedTags.filter(tag => tag.startsWith(IMPORT_TAG_PREFIX) && !tags.includes(tag));
+  return { ...event, tags: [...tags, ...batches] };
+}
+
+/**
+ * Add the batch tag to event data
+ * @param {Object} event - Event data
+ * @param {string} batchId - The batch ID
+ * @param {Array} storedTags - Tags of the stored event the data updates (see keepBatchTags)
+ * @returns {Object} Event data with the tag
+ */
+function tagBatch(event, batchId, storedTags = []) {
+  const kept = keepBatchTags(event, storedTags);
+  return { ...kept, tags: [...kept.tags, batchTag(batchId)] };
+}
+
+module.exports = {
+  IMPORT_TAG_PREFIX,
+  prepareMapping,
+  mapRecord,
+  newBatchId,
+  batchTag,
+  keepBatchTags,
+  tagBatch
+};
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+const { prepareMapping, mapRecord, newBatchId, batchTag, keepBatchTags, tagBatch } = require('./importer');
+
+describe('prepareMapping', () => {
+  it('fills in defaults', () => {
+    expect(prepareMapping({ fields: { title: 'Name' }, source: ' strava ' })).toEqual({
+      fields: { title: 'Name' },
+      source: 'strava',
+      type: null,
+      timezone: null,
+      unmapped: 'drop'
+    });
+  });
+
+  it('rejects fields events do not have', () => {
+    expect(() => prepareMapping([])).toThrow(/^Invalid mapping: must be an object/);
+    expect(() => prepareMapping({ fields: { name: 'Name' } })).toThrow(/cannot map to "name"/);
+    expect(() => prepareMapping({ fields: { 'title.x': 'Name' } })).toThrow(/cannot map to "title.x"/);
+    expect(() => prepareMapping({ fields: { 'metadata.': 'Name' } })).toThrow(/cannot map to/);
+    expect(() => prepareMapping({ fields: { title: 3 } })).toThrow(/must name an input field/);
+    expect(() => prepareMapping({ timezone: 'Mars/Base' })).toThrow(/timezone/);
+    expect(() => prepareMapping({ unmapped: 'keep' })).toThrow(/unmapped/);
+    expect(() => prepareMapping({ type: '' })).toThrow(/type must be/);
+  });
+});
+
+describe('mapRecord', () => {
+  const mapping = prepareMapping({
+    fields: {
+      title: 'Activity Name',
+      timestamp: 'Start Time',
+      duration: 'Seconds',
+      external_id: 'Activity ID',
+      tags: 'Labels',
+      'metadata.distance_km': 'Distance',
+      'metadata.commute': 'Commute',
+      'location.lat': 'start.lat'
+    },
+    source: 'strava',
+    type: 'fitness.run',
+    timezone: 'Europe/Berlin'
+  });
+
+  const record = {
+    'Activity Name': ' Morning run ',
+    'Start Time': '2024-05-06 07:00',
+    Seconds: '1800',
+    'Activity ID': 42,
+    Labels: 'health, outdoors;',
+    Distance: '10.20',
+    Commute: 'false',
+    start: { lat: 52.52 },
+    Gear: 'Red shoes',
+    Notes: ''
+  };
+
+  it('fills event fields from the mapped fields', () => {
+    expect(mapRecord(record, mapping)).toEqual({
+      title: 'Morning run',
+      timestamp: '2024-05-06T05:00:00.000Z',
+      timezone: 'Europe/Berlin',
+      duration: 1800,
+      external_id: '42',
+      tags: ['health', 'outdoors'],
+      metadata: { distance_km: 10.2, commute: false },
+      location: { lat: 52.52 },
+      source: 'strava',
+      type: 'fitness.run'
+    });
+  });
+
+  it('keeps unmapped fields in metadata when asked', () => {
+    const event = mapRecord(record, { ...mapping, unmapped: 'metadata' });
+    expect(event.metadata).toEqual({ distance_km: 10.2, commute: false, Gear: 'Red shoes' });
+  });
+
+  it('reads epoch times and times with offsets', () => {
+    const times = prepareMapping({ fields: { timestamp: 'at' } });
+    expect(mapRecord({ at: 1714978800 }, times).timestamp).toBe('2024-05-06T07:00:00.000Z');
+    expect(mapRecord({ at: '1714978800000' }, times).timestamp).toBe('2024-05-06T07:00:00.000Z');
+    expect(mapRecord({ at: '2024-05-06T09:00:00+02:00' }, times).timestamp).toBe('2024-05-06T07:00:00.000Z');
+    expect(mapRecord({ at: 'yesterday' }, times).timestamp).toBe('yesterday');
+  });
+
+  it('leaves values it cannot convert for validation to report', () => {
+    expect(mapRecord({ m: 'high' }, prepareMapping({ fields: { mood: 'm' } })).mood).toBe('high');
+  });
+
+  it('takes records as they are without a mapping, filling in defaults', () => {
+    expect(mapRecord({ title: 'a', type: 'note' }, null, { source: 'csv', type: 'other' })).toEqual({ title: 'a', type: 'note', source: 'csv' });
+    expect(mapRecord({ title: 'a' }, prepareMapping({ type: 'note' }), { type: 'other' })).toEqual({ title: 'a', type: 'note' });
+  });
+});
+
+describe('batches', () => {
+  it('tags events with their batch', () => {
+    const id = newBatchId();
+    expect(id).toMatch(/^\d{8}-\d{6}-[0-9a-f]{6}$/);
+    expect(batchTag(id)).toBe(`import/${id}`);
+    expect(tagBatch({ title: 'a', tags: ['x'] }, id, ['old'])).toEqual({ title: 'a', tags: ['x', `import/${id}`] });
+    expect(tagBatch({ title: 'a' }, id, ['old'])).toEqual({ title: 'a', tags: ['old', `import/${id}`] });
+  });
+
+  it('keeps the batch tags of the event an import updates', () => {
+    const stored = ['old', 'import/20240101-000000-aaaaaa'];
+    expect(keepBatchTags({ tags: ['x'] }, stored)).toEqual({ tags: ['x', 'import/20240101-000000-aaaaaa'] });
+    expect(keepBatchTags({}, stored)).toEqual({ tags: stored });
+    expect(tagBatch({ tags: ['x'] }, 'b', stored).tags).toEqual(['x', 'import/20240101-000000-aaaaaa', 'import/b']);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Drop-folder inbox
+ *
+ * Files dropped into the inbox folder are ingested as events, so shell
+ * scripts and other tools can feed LifeOS without HTTP. A file holds events
+ * as JSON, NDJSON or CSV (see lib/eventFiles.js). Each event is validated and
+ * upserted (events with an `external_id` are updated rather than duplicated
+ * when a file is dropped again).
+ *
+ * Once read, a file moves to `done/`. Records that were rejected are written
+ * to `failed/`, in the file's own format, with a `.errors.json` report next to
+ * them naming each record and what was wrong with it. A file that cannot be
+ * read at all, or none of whose records were accepted, moves to `failed/`
+ * whole. Moved files get a time prefix so files dropped twice never clash.
+ *
+ * NDJSON and CSV files are read in pieces as their records are ingested, so
+ * large drops do not have to fit in memory. A CSV file found broken at its
+ * end (a quote never closed) moves to `failed/` whole, after the records
+ * before the break were ingested.
+ *
+ * Only files directly in the folder are read; hidden files (such as
+ * `.events.csv.tmp` while a tool is still writing it) and other extensions
+ * are left alone.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const chokidar = require('chokidar');
+
+const { formatOf, readEventFile, copyRecords } = require('./eventFiles');
+
+const ACTOR = 'system';
+
+// Events written per transaction
+const CHUNK_SIZE = 1000;
+
+// Ingestions remembered for status()
+const RECENT_LIMIT = 50;
+
+// Tools write files in several steps; wait until they settle
+const WRITE_SETTLE_MS = 500;
+
+class Inbox {
+  /**
+   * @param {EventManager} eventManager - An initialized event manager
+   * @param {Object} options - Options
+   * @param {string} options.dir - The inbox folder
+   * @param {Function} options.onIngest - Called with each ingestion
+   */
+  constructor(eventManager, options = {}) {
+    this.eventManager = eventManager;
+    this.dir = options.dir || './data/inbox';
+    this.doneDir = path.join(this.dir, 'done');
+    this.failedDir = path.join(this.dir, 'failed');
+    this.onIngest = options.onIngest || (() => {});
+    // Most recent ingestions first
+    this.recent = [];
+    this.queue = Promise.resolve();
+    this.watcher = null;
+  }
+
+  /**
+   * Ingest the files already waiting and watch for new ones
+   * @returns {Array} The ingestions of the files that were waiting
+   */
+  async start() {
+    for (const dir of [this.dir, this.doneDir, this.failedDir]) {
+      await fsp.mkdir(dir, { recursive: true });
+    }
+    const ingestions = await this.scan();
+
+    this.watcher = chokidar.watch(this.dir, {
+      ignoreInitial: true,
+      depth: 0,
+      awaitWriteFinish: { stabilityThreshold: WRITE_SETTLE_MS }
+    });
+    this.watcher
+      .on('add', file => {
+        if (path.dirname(path.resolve(file)) === path.resolve(this.dir)) {
+          this.ingest(path.basename(file)).catch(error => console.error(`Error ingesting ${file}:`, error));
+        }
+      })
+      .on('error', error => console.error('Inbox watcher error:', error));
+    return ingestions;
+  }
+
+  /**
+   * Stop watching
+   */
+  async stop() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+    await this.queue;
+  }
+
+  /**
+   * Describe the inbox
+   * @param {Object} options - Options
+   * @param {number} options.limit - How many recent ingestions to include
+   * @returns {Object} `{ dir, watching, pending, recent }`: files waiting to
+   *   be ingested and the latest ingestions, most recent first
+   */
+  async status({ limit = 20 } = {}) {
+    return {
+      dir: this.dir,
+      watching: this.watcher !== null,
+      pending: (await this.waitingFiles()).length,
+      recent: this.recent.slice(0, limit)
+    };
+  }
+
+  /**
+   * Ingest every file waiting in the folder
+   * @returns {Array} Their ingestions (see ingest)
+   */
+  async scan() {
+    const ingestions = [];
+    for (const file of await this.waitingFiles()) {
+      const ingestion = await this.ingest(file);
+      if (ingestion) {
+        ingestions.push(ingestion);
+      }
+    }
+    return ingestions;
+  }
+
+  /**
+   * Ingest one file and move it out of the folder
+   * @param {string} file - File name inside the folder
+   * @returns {Object|null} `{ file, format, received_at, records, created,
+   *   updated, unchanged, skipped, rejected, moved_to, failed_file, report_file,
+   *   error }`,
+   *   or null if the file is not one the inbox reads or is already gone
+   */
+  async ingest(file) {
+    return this.enqueue(async () => {
+      const format = formatOf(file);
+      const filePath = path.join(this.dir, file);
+      if (file.startsWith('.') || !format || !(await isFile(filePath))) {
+        return null;
+      }
+
+      const stamp = new Date().toISOString();
+      const target = `${stamp.replace(/[:.]/g, '-')}-${file}`;
+      const ingestion = {
+        file,
+        format,
+        received_at: stamp,
+        records: 0,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        skipped: 0,
+        rejected: 0,
+        moved_to: null,
+        failed_file: null,
+        report_file: null,
+        error: null
+      };
+
+      const errors = [];
+      // Only where each rejected record is, so it can be copied to failed/
+      const rejected = [];
+      const upsert = async (chunk) => {
+        const report = await this.eventManager.upsertEvents(chunk.map(entry => entry.data), { mode: 'best-effort', actor: ACTOR });
+        report.results.forEach((result, index) => {
+          if (result.error) {
+            errors.push(errorEntry(chunk[index], result.error));
+            rejected.push({ record: chunk[index].record, line: chunk[index].line });
+          } else if (ingestion[result.status] !== undefined) {
+            ingestion[result.status] += 1;
+          }
+        });
+      };
+
+      // Only errors reading the file are caught; others (the database's) are thrown
+      const entries = readEventFile(filePath, format);
+      let chunk = [];
+      for (;;) {
+        let next;
+        try {
+          next = await entries.next();
+        } catch (error) {
+          ingestion.error = error.message;
+          break;
+        }
+        if (next.done) {
+          break;
+        }
+
+        const entry = next.value;
+        ingestion.records++;
+        if (entry.error) {
+          errors.push(errorEntry(entry, entry.error));
+          rejected.push({ record: entry.record, line: entry.line });
+          continue;
+        }
+        chunk.push(entry);
+        if (chunk.length === CHUNK_SIZE) {
+          await upsert(chunk);
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) {
+        await upsert(chunk);
+      }
+
+      if (ingestion.error) {
+        ingestion.rejected = rejected.length;
+        errors.sort((a, b) => a.record - b.record);
+        await this.reject(filePath, target, ingestion, [...errors, { error: ingestion.error }]);
+        return this.remember(ingestion);
+      }
+
+      ingestion.rejected = rejected.length;
+      errors.sort((a, b) => a.record - b.record);
+
+      if (rejected.length > 0 && rejected.length === ingestion.records) {
+        await this.reject(filePath, target, ingestion, errors);
+        return this.remember(ingestion);
+      }
+
+      if (rejected.length > 0) {
+        rejected.sort((a, b) => a.record - b.record);
+        ingestion.failed_file = path.posix.join('failed', target);
+        await copyRecords(filePath, format, rejected, path.join(this.dir, ingestion.failed_file));
+        await this.writeReport(target, ingestion, errors);
+      }
+
+      ingestion.moved_to = path.posix.join('done', target);
+      await fsp.rename(filePath, path.join(this.dir, ingestion.moved_to));
+      return this.remember(ingestion);
+    });
+  }
+
+  /**
+   * Move a whole file to failed/ with its error report
+   */
+  async reject(filePath, target, ingestion, errors) {
+    ingestion.moved_to = path.posix.join('failed', target);
+    ingestion.failed_file = ingestion.moved_to;
+    await fsp.rename(filePath, path.join(this.dir, ingestion.moved_to));
+    await this.writeReport(target, ingestion, errors);
+  }
+
+  async writeReport(target, ingestion, errors) {
+    ingestion.report_file = path.posix.join('failed', `${target}.errors.json`);
+    const report = {
+      file: ingestion.file,
+      received_at: ingestion.received_at,
+      records: ingestion.records,
+      rejected: ingestion.rejected,
+      errors
+    };
+    await fsp.writeFile(path.join(this.dir, ingestion.report_file), `${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  remember(ingestion) {
+    this.recent.unshift(ingestion);
+    this.recent.length = Math.min(this.recent.length, RECENT_LIMIT);
+
+    this.onIngest(ingestion);
+    return ingestion;
+  }
+
+  async waitingFiles() {
+    const entries = await fsp.readdir(this.dir, { withFileTypes: true }).catch(() => []);
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.') && formatOf(entry.name))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+function errorEntry(entry, error) {
+  return entry.line !== undefined
+    ? { record: entry.record, line: entry.line, error }
+    : { record: entry.record, error };
+}
+
+async function isFile(filePath) {
+  try {
+    return (await fsp.stat(filePath)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = Inbox;
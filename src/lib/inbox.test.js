@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const Inbox = require('./inbox');
+
+// Accepts events with a title and reports the rest the way runBatch() does
+const eventManager = {
+  upserted: [],
+  async upsertEvents(items) {
+    const results = items.map((item, index) => {
+      if (!item.title) {
+        return { index, status: 'invalid', error: 'Invalid event: must have required property \'title\'' };
+      }
+      this.upserted.push(item);
+      return { index, status: item.external_id ? 'updated' : 'created', id: String(this.upserted.length) };
+    });
+    return { mode: 'best-effort', committed: true, results };
+  }
+};
+
+describe('Inbox', () => {
+  let tmpDir;
+  let inbox;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-inbox-'));
+    eventManager.upserted = [];
+    inbox = new Inbox(eventManager, { dir: tmpDir });
+    for (const dir of ['done', 'failed']) {
+      fs.mkdirSync(path.join(tmpDir, dir));
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const drop = (name, content) => fs.writeFileSync(path.join(tmpDir, name), content);
+  const read = (file) => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+
+  test('ingests files and moves them to done', async () => {
+    drop('events.json', JSON.stringify([{ title: 'a' }, { title: 'b', external_id: 'x' }]));
+    drop('notes.txt', 'ignored');
+    drop('.partial.csv', 'title\nignored');
+
+    const [ingestion] = await inbox.scan();
+
+    expect(ingestion).toMatchObject({ file: 'events.json', format: 'json', records: 2, created: 1, updated: 1, rejected: 0, failed_file: null });
+    expect(ingestion.moved_to).toMatch(/^done\/\d{4}-\d{2}-\d{2}T[\d-]+Z-events\.json$/);
+    expect(eventManager.upserted.map(event => event.title)).toEqual(['a', 'b']);
+    expect(fs.readdirSync(tmpDir).sort()).toEqual(['.partial.csv', 'done', 'failed', 'notes.txt']);
+    expect(await inbox.status()).toMatchObject({ pending: 0, watching: false, recent: [ingestion] });
+  });
+
+  test('writes rejected records and an error report to failed', async () => {
+    drop('events.ndjson', '{"title":"a"}\n{"type":"note"}\nnot json\n');
+
+    const [ingestion] = await inbox.scan();
+
+    expect(ingestion).toMatchObject({ records: 3, created: 1, rejected: 2 });
+    expect(ingestion.moved_to).toMatch(/^done\//);
+    expect(read(ingestion.failed_file)).toBe('{"type":"note"}\nnot json\n');
+    expect(JSON.parse(read(ingestion.report_file))).toEqual({
+      file: 'events.ndjson',
+      received_at: ingestion.received_at,
+      records: 3,
+      rejected: 2,
+      errors: [
+        { record: 2, line: 2, error: 'Invalid event: must have required property \'title\'' },
+        { record: 3, line: 3, error: expect.stringMatching(/^Invalid JSON/) }
+      ]
+    });
+  });
+
+  test('moves files it cannot use to failed whole', async () => {
+    drop('broken.json', '[{"title":');
+    drop('empty-titles.csv', 'type\nnote\n');
+
+    const ingestions = await inbox.scan();
+
+    expect(ingestions.map(ingestion => [ingestion.file, ingestion.moved_to.split('/')[0], ingestion.rejected])).toEqual([
+      ['broken.json', 'failed', 0],
+      ['empty-titles.csv', 'failed', 1]
+    ]);
+    expect(ingestions[0].error).toMatch(/^Invalid JSON/);
+    expect(ingestions[0].failed_file).toBe(ingestions[0].moved_to);
+    expect(read(ingestions[1].moved_to)).toBe('type\nnote\n');
+    expect(fs.readdirSync(path.join(tmpDir, 'failed'))).toHaveLength(4);
+  });
+
+  test('ingests the records before a CSV turns out broken', async () => {
+    drop('events.csv', 'title,type\nRun,fitness.run\n,note\n"Walk,note\n');
+
+    const [ingestion] = await inbox.scan();
+
+    expect(ingestion).toMatchObject({ records: 2, created: 1, rejected: 1, error: expect.stringMatching(/never closed/) });
+    expect(ingestion.moved_to).toMatch(/^failed\//);
+    expect(JSON.parse(read(ingestion.report_file)).errors).toEqual([
+      { record: 2, line: 3, error: 'Invalid event: must have required property \'title\'' },
+      { error: expect.stringMatching(/^Invalid CSV/) }
+    ]);
+  });
+});
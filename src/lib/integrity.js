@@ -0,0 +1,208 @@
+/**
+ * Checking stored events
+ *
+ * Helpers for scripts/validate-events.js: reading event rows whose JSON
+ * columns may be broken, repairing the ones that can be repaired without
+ * guessing, and finding events that are likely duplicates.
+ */
+
+const crypto = require('crypto');
+
+const { normalizeTags } = require('./tags');
+
+// JSON columns, what each holds, and what an empty one stands for
+const JSON_COLUMNS = {
+  metadata: { kind: 'an object', empty: () => ({}) },
+  tags: { kind: 'a list of strings', empty: () => [] },
+  linked_uris: { kind: 'a list of strings', empty: () => [] },
+  location: { kind: 'an object or null', empty: () => null }
+};
+
+// Columns derived from other fields for indexing, never part of an event
+const DERIVED_COLUMNS = ['latitude', 'longitude'];
+
+// Fields two copies of an event may differ in and still be the same event
+const BOOKKEEPING_FIELDS = ['id', 'created_at', 'updated_at', 'deleted_at'];
+
+/**
+ * Read an event from a stored row, checking its JSON columns
+ * @param {Object} row - A row from storage.listEventRows()
+ * @returns {Object} `{ event, problems }`. Each problem is
+ *   `{ field, message, repairable }`. A repairable field holds its repaired
+ *   value in `event`; any other broken field is emptied so the remaining
+ *   checks can run, and the event must not be written back.
+ */
+function readEventRow(row) {
+  const event = { ...row };
+  DERIVED_COLUMNS.forEach(column => delete event[column]);
+  const problems = [];
+
+  Object.entries(JSON_COLUMNS).forEach(([field, { kind, empty }]) => {
+    const text = row[field];
+    if (text === undefined || text === null || text === '') {
+      event[field] = empty();
+      return;
+    }
+
+    let value;
+    let parsed = true;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      parsed = false;
+    }
+
+    if (parsed && isValid(field, value)) {
+      event[field] = value;
+      return;
+    }
+
+    const repaired = parsed ? repairValue(field, value) : repairText(field, text);
+    problems.push({
+      field,
+      message: parsed
+        ? `${field} must be ${kind}, not ${describe(value)}`
+        : `${field} is not valid JSON: ${abbreviate(text)}`,
+      repairable: repaired !== undefined
+    });
+    event[field] = repaired !== undefined ? repaired : empty();
+  });
+
+  return { event, problems };
+}
+
+function isValid(field, value) {
+  switch (field) {
+    case 'metadata':
+      return isObject(value);
+    case 'location':
+      return value === null || isObject(value);
+    default:
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+}
+
+/**
+ * The value a wrongly typed field stands for, or undefined if that is a guess
+ */
+function repairValue(field, value) {
+  if (value === null) {
+    return field === 'location' ? undefined : JSON_COLUMNS[field].empty();
+  }
+  if (field === 'tags' || field === 'linked_uris') {
+    const items = Array.isArray(value) ? value : [value];
+    if (items.every(item => typeof item === 'string' || typeof item === 'number')) {
+      return splitList(field, items.map(String));
+    }
+  }
+  return undefined;
+}
+
+/**
+ * The list text that is not JSON stands for, such as `music,work` written
+ * where `["music","work"]` belongs. Broken JSON is not guessed at.
+ */
+function repairText(field, text) {
+  if ((field === 'tags' || field === 'linked_uris') && !/^\s*[[{"]/.test(text)) {
+    return splitList(field, [text]);
+  }
+  return undefined;
+}
+
+function splitList(field, items) {
+  if (field === 'tags') {
+    return normalizeTags(items.flatMap(item => item.split(',')));
+  }
+  return Array.from(new Set(items.flatMap(item => item.split(/[\s,]+/)).filter(Boolean)));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'a list with other things than strings';
+  }
+  return typeof value === 'object' ? 'an object' : `the ${typeof value} ${abbreviate(JSON.stringify(value))}`;
+}
+
+function abbreviate(text, length = 40) {
+  const value = String(text);
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+}
+
+/**
+ * Collects events to find likely duplicates: events of one source and type
+ * with the same title (ignoring case) at the same time. Only a short digest
+ * is kept per event, so every stored event can be added.
+ */
+class DuplicateFinder {
+  constructor() {
+    this.groups = new Map();
+  }
+
+  /**
+   * @param {Object} event - A stored event
+   */
+  add(event) {
+    const key = digest([event.source, event.type, String(event.title).trim().toLowerCase(), Date.parse(event.timestamp)]);
+    const entry = { id: event.id, created_at: event.created_at, content: contentDigest(event) };
+
+    if (this.groups.has(key)) {
+      this.groups.get(key).push(entry);
+    } else {
+      this.groups.set(key, [entry]);
+    }
+  }
+
+  /**
+   * Likely duplicates, each with the event it duplicates (the oldest copy)
+   * @returns {Array} `{ id, duplicate_of, identical }`; `identical` when
+   *   everything but the ID and bookkeeping times is the same
+   */
+  duplicates() {
+    const duplicates = [];
+
+    this.groups.forEach(entries => {
+      if (entries.length < 2) {
+        return;
+      }
+      const [original, ...copies] = entries.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || (a.id < b.id ? -1 : 1));
+      copies.forEach(copy => {
+        duplicates.push({ id: copy.id, duplicate_of: original.id, identical: copy.content === original.content });
+      });
+    });
+
+    return duplicates;
+  }
+}
+
+function contentDigest(event) {
+  const content = { ...event };
+  BOOKKEEPING_FIELDS.forEach(field => delete content[field]);
+  return digest(content);
+}
+
+function digest(value) {
+  return crypto.createHash('sha1').update(stableStringify(value)).digest('hex');
+}
+
+// JSON with object keys sorted, so equal values always read the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  readEventRow,
+  DuplicateFinder
+};
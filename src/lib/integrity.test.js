@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+const { readEventRow, DuplicateFinder } = require('./integrity');
+
+const row = (overrides = {}) => ({
+  id: 'a',
+  timestamp: '2024-05-06T07:00:00.000Z',
+  source: 'watch',
+  type: 'fitness.run',
+  title: 'Run',
+  metadata: '{"km":5}',
+  tags: '["health"]',
+  linked_uris: '[]',
+  location: null,
+  latitude: null,
+  longitude: null,
+  created_at: '2024-05-06T08:00:00.000Z',
+  ...overrides
+});
+
+describe('readEventRow', () => {
+  it('parses a sound row', () => {
+    expect(readEventRow(row())).toEqual({
+      event: {
+        id: 'a',
+        timestamp: '2024-05-06T07:00:00.000Z',
+        source: 'watch',
+        type: 'fitness.run',
+        title: 'Run',
+        metadata: { km: 5 },
+        tags: ['health'],
+        linked_uris: [],
+        location: null,
+        created_at: '2024-05-06T08:00:00.000Z'
+      },
+      problems: []
+    });
+  });
+
+  it('repairs lists written as text and empty values written as null', () => {
+    const { event, problems } = readEventRow(row({
+      tags: 'health, Outdoors,health',
+      linked_uris: '"life://watch/fitness.run/b"',
+      metadata: 'null'
+    }));
+
+    expect(event).toMatchObject({ tags: ['health', 'Outdoors'], linked_uris: ['life://watch/fitness.run/b'], metadata: {} });
+    expect(problems).toEqual([
+      { field: 'metadata', message: 'metadata must be an object, not null', repairable: true },
+      { field: 'tags', message: 'tags is not valid JSON: health, Outdoors,health', repairable: true },
+      { field: 'linked_uris', message: expect.stringMatching(/^linked_uris must be a list of strings, not the string/), repairable: true }
+    ]);
+  });
+
+  it('does not guess at broken JSON', () => {
+    const { event, problems } = readEventRow(row({ metadata: '{"km":', tags: '["a", {"b":1}]', location: '[1,2]' }));
+
+    expect(event).toMatchObject({ metadata: {}, tags: [], location: null });
+    expect(problems.map(problem => [problem.field, problem.repairable])).toEqual([
+      ['metadata', false],
+      ['tags', false],
+      ['location', false]
+    ]);
+  });
+});
+
+describe('DuplicateFinder', () => {
+  it('finds events with the same title at the same time', () => {
+    const finder = new DuplicateFinder();
+    const event = (id, overrides = {}) => ({ ...readEventRow(row({ id })).event, ...overrides });
+
+    finder.add(event('c', { created_at: '2024-05-07T00:00:00.000Z', updated_at: 'later' }));
+    finder.add(event('a'));
+    finder.add(event('b', { title: ' run ', timestamp: '2024-05-06T09:00:00+02:00', mood: 7 }));
+    finder.add(event('d', { type: 'fitness.walk' }));
+    finder.add(event('e', { timestamp: '2024-05-06T07:00:01.000Z' }));
+
+    expect(finder.duplicates()).toEqual([
+      { id: 'b', duplicate_of: 'a', identical: false },
+      { id: 'c', duplicate_of: 'a', identical: true }
+    ]);
+  });
+});
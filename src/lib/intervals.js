@@ -0,0 +1,93 @@
+/**
+ * Event intervals
+ *
+ * An event starts at `timestamp` and, if it lasts, ends at `end_time`;
+ * `duration` (seconds) is kept in step with the two. Intervals are
+ * half-open: a meeting that ends at 11:00 is over at 11:00. Events without
+ * an end are instants.
+ */
+
+/**
+ * Work out an event's end time and duration from whichever was given
+ * @param {Object} event - `{ timestamp, end_time, duration }`
+ * @param {Object} options - Options
+ * @param {boolean} options.fromEnd - `end_time` wins over `duration` (default: when it is set)
+ * @returns {Object} `{ end_time, duration }`
+ */
+function resolveInterval(event, options = {}) {
+  const { timestamp, end_time: endTime, duration } = event;
+  const fromEnd = options.fromEnd !== undefined ? options.fromEnd : endTime !== undefined && endTime !== null;
+  const start = Date.parse(timestamp);
+
+  if (fromEnd) {
+    if (endTime === undefined || endTime === null) {
+      return { end_time: null, duration: null };
+    }
+
+    const end = typeof endTime === 'string' ? Date.parse(endTime) : NaN;
+    if (isNaN(end)) {
+      throw new Error('Invalid event: end_time must be a date-time');
+    }
+    if (end < start) {
+      throw new Error('Invalid event: end_time must not be before timestamp');
+    }
+    return { end_time: new Date(end).toISOString(), duration: Math.round((end - start) / 1000) };
+  }
+
+  if (typeof duration === 'number' && duration > 0 && !isNaN(start)) {
+    return { end_time: new Date(start + duration * 1000).toISOString(), duration };
+  }
+  return { end_time: null, duration: duration === undefined ? null : duration };
+}
+
+/**
+ * The time an event covers
+ * @param {Object} event - The event
+ * @returns {Object} `{ start, end }` in milliseconds; equal for instants
+ */
+function eventInterval(event) {
+  const start = Date.parse(event.timestamp);
+  const end = event.end_time ? Date.parse(event.end_time) : NaN;
+  return { start, end: end > start ? end : start };
+}
+
+/**
+ * The part of an event that falls inside a period
+ * @param {Object} event - The event
+ * @param {number} from - Period start in milliseconds
+ * @param {number} to - Period end in milliseconds (exclusive)
+ * @returns {Object} `{ start, end }` in milliseconds; empty (start = end) if none of it does
+ */
+function clipInterval(event, from, to) {
+  const { start, end } = eventInterval(event);
+  const clippedStart = Math.max(start, from);
+  return { start: clippedStart, end: Math.max(clippedStart, Math.min(end, to)) };
+}
+
+/**
+ * Time covered by a set of intervals, counting overlapping stretches once
+ * @param {Array} intervals - `{ start, end }` in milliseconds
+ * @returns {number} Milliseconds
+ */
+function coveredDuration(intervals) {
+  let total = 0;
+  let reached = -Infinity;
+
+  [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      if (end > reached) {
+        total += end - Math.max(start, reached);
+        reached = end;
+      }
+    });
+
+  return total;
+}
+
+module.exports = {
+  resolveInterval,
+  eventInterval,
+  clipInterval,
+  coveredDuration
+};
@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+const { resolveInterval, eventInterval, clipInterval, coveredDuration } = require('./intervals');
+
+const timestamp = '2024-03-01T10:00:00.000Z';
+
+describe('resolveInterval', () => {
+  test('derives the end from the duration and the duration from the end', () => {
+    expect(resolveInterval({ timestamp, duration: 5400 })).toEqual({ end_time: '2024-03-01T11:30:00.000Z', duration: 5400 });
+    expect(resolveInterval({ timestamp, end_time: '2024-03-01T13:00:00Z' })).toEqual({ end_time: '2024-03-01T13:00:00.000Z', duration: 10800 });
+    expect(resolveInterval({ timestamp })).toEqual({ end_time: null, duration: null });
+  });
+
+  test('lets the caller choose which one wins', () => {
+    const stored = { timestamp, end_time: '2024-03-01T11:00:00.000Z', duration: 600 };
+    expect(resolveInterval(stored, { fromEnd: false }).end_time).toBe('2024-03-01T10:10:00.000Z');
+    expect(resolveInterval({ ...stored, end_time: null }, { fromEnd: true })).toEqual({ end_time: null, duration: null });
+  });
+
+  test('rejects ends that are not dates or come before the start', () => {
+    expect(() => resolveInterval({ timestamp, end_time: 'later' })).toThrow('end_time must be a date-time');
+    expect(() => resolveInterval({ timestamp, end_time: '2024-03-01T09:00:00.000Z' })).toThrow('must not be before timestamp');
+  });
+});
+
+describe('interval arithmetic', () => {
+  const hour = 60 * 60 * 1000;
+  const start = Date.parse(timestamp);
+
+  test('clips events to a period', () => {
+    const meeting = { timestamp, end_time: '2024-03-01T13:00:00.000Z' };
+    expect(eventInterval({ timestamp })).toEqual({ start, end: start });
+    expect(clipInterval(meeting, start + hour, start + 2 * hour)).toEqual({ start: start + hour, end: start + 2 * hour });
+    expect(clipInterval(meeting, start + 5 * hour, start + 6 * hour)).toEqual({ start: start + 5 * hour, end: start + 5 * hour });
+  });
+
+  test('counts overlapping time once', () => {
+    expect(coveredDuration([
+      { start: 0, end: 2 * hour },
+      { start: hour, end: 3 * hour },
+      { start: 5 * hour, end: 6 * hour },
+      { start: 5 * hour, end: 5 * hour }
+    ])).toBe(4 * hour);
+  });
+});
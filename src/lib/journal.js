@@ -0,0 +1,430 @@
+/**
+ * Markdown journal entries
+ *
+ * A journal entry is a Markdown file with optional YAML front matter:
+ *
+ *   ---
+ *   title: Morning pages
+ *   date: 2024-05-06T07:30
+ *   type: gratitude
+ *   tags: [writing]
+ *   ---
+ *   Slept well. #health/sleep
+ *   Mood: 7/10
+ *   Talked it over after life://calendar/calendar.meeting/abc
+ *
+ * Each entry becomes a `journal.*` event. Tags come from the front matter
+ * and from `#hashtags` in the body, the mood from `mood` or a "Mood: 7" line,
+ * and links from `links` and any life:// URIs in the body. Front matter keys
+ * without a meaning of their own are kept in the event's metadata, next to
+ * the body (`metadata.body`) and the file's path (`metadata.journal_file`).
+ *
+ * Front matter is read as flat YAML: `key: value` lines whose values are
+ * plain or quoted scalars, `[a, b]` lists or `- item` lists. Anything nested
+ * can be written as JSON, which YAML reads the same way.
+ */
+
+const path = require('path');
+
+const { normalizeTags } = require('./tags');
+const { URI_SCHEME } = require('./links');
+const { normalizeZone, serverZone, toWallClock, fromWallClock, parseWallClock, timestampOffset } = require('./timezones');
+
+const JOURNAL_SOURCE = 'journal';
+const JOURNAL_TYPE_PREFIX = 'journal.';
+const DEFAULT_JOURNAL_TYPE = 'journal.entry';
+const JOURNAL_EXTENSIONS = ['.md', '.markdown'];
+
+// Front matter keys that fill event fields rather than metadata
+const ENTRY_FIELDS = ['id', 'title', 'type', 'date', 'timestamp', 'timezone', 'tags', 'mood', 'links'];
+
+// Metadata the entry itself is made of, never written as front matter
+const BODY_KEY = 'body';
+const FILE_KEY = 'journal_file';
+const ENTRY_METADATA = [BODY_KEY, FILE_KEY, 'link_relations'];
+
+const FRONT_MATTER_FENCE = /^---\s*$/;
+const FRONT_MATTER_END = /^(---|\.\.\.)\s*$/;
+const KEY_PATTERN = /^([A-Za-z0-9_][\w.-]*)\s*:(?:\s+(.*))?$/;
+const LIST_ITEM_PATTERN = /^\s*-(?:\s+(.*))?$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+const HEADING_PATTERN = /^#[ \t]+(.+?)[ \t#]*$/m;
+const HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+const MOOD_PATTERN = /^[ \t]*(?:[-*][ \t]+)?mood[ \t]*::?[ \t]*(\d+)(?:[ \t]*\/[ \t]*10)?[ \t]*$/im;
+const LINK_PATTERN = /life:\/\/[^\s<>()[\]"'`]+/g;
+const CODE_PATTERN = /^(```|~~~)[\s\S]*?^\1[^\n]*$|`[^`\n]*`/gm;
+
+const SLUG_LENGTH = 60;
+
+/**
+ * Check whether a path is a journal file: Markdown, and not hidden
+ * @param {string} file - File path
+ * @returns {boolean} True for journal files
+ */
+function isJournalFile(file) {
+  const name = path.basename(file);
+  return !name.startsWith('.') && JOURNAL_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Split a Markdown file into its front matter and body
+ * @param {string} text - File content
+ * @returns {Object} `{ data, body }`; `data` is {} without front matter
+ */
+function parseFrontMatter(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (!FRONT_MATTER_FENCE.test(lines[0])) {
+    return { data: {}, body: lines.join('\n') };
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && FRONT_MATTER_END.test(line));
+  if (end === -1) {
+    throw new Error('Invalid journal entry: front matter is not closed with ---');
+  }
+
+  return {
+    data: parseYaml(lines.slice(1, end)),
+    body: lines.slice(end + 1).join('\n')
+  };
+}
+
+function parseYaml(lines) {
+  const data = {};
+  let listKey = null;
+
+  lines.forEach((line, index) => {
+    if (/^\s*(#.*)?$/.test(line)) {
+      return;
+    }
+
+    const item = listKey !== null ? LIST_ITEM_PATTERN.exec(line) : null;
+    if (item) {
+      data[listKey] = [...(data[listKey] || []), item[1] === undefined ? null : parseValue(item[1])];
+      return;
+    }
+
+    const entry = KEY_PATTERN.exec(line);
+    if (!entry) {
+      throw new Error(`Invalid journal entry: cannot read front matter line ${index + 2} ("${line.trim()}"); nested values can be written as JSON`);
+    }
+
+    const [, key, value] = entry;
+    if (value === undefined || value.trim() === '') {
+      data[key] = null;
+      listKey = key;
+    } else {
+      data[key] = parseValue(value);
+      listKey = null;
+    }
+  });
+
+  return data;
+}
+
+function parseValue(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid journal entry: cannot read ${value}`);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!/^'([^']|'')*'$/.test(value)) {
+      throw new Error(`Invalid journal entry: cannot read ${value}`);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') || value.startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(part => part.trim()).filter(Boolean).map(parseValue);
+      }
+      throw new Error(`Invalid journal entry: cannot read ${value}`);
+    }
+  }
+
+  // Comments start at a # after a space
+  return parseScalar(value.replace(/\s+#.*$/, ''));
+}
+
+function parseScalar(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === 'null' || value === '~') {
+    return null;
+  }
+  if (NUMBER_PATTERN.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Write front matter for a set of values, skipping null ones
+ * @param {Object} data - Values by key
+ * @returns {string} The front matter, fences included
+ */
+function formatFrontMatter(data) {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+
+  return ['---', ...lines, '---'].join('\n');
+}
+
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return isPlain(value) ? value : JSON.stringify(value);
+  }
+  if (Array.isArray(value) && value.every(item => typeof item === 'string' && isPlain(item) && !/[,[\]]/.test(item))) {
+    return `[${value.join(', ')}]`;
+  }
+  return JSON.stringify(value);
+}
+
+// Strings that read back as themselves without quotes
+function isPlain(value) {
+  return value !== '' &&
+    value.trim() === value &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/:\s|\s#|:$|[\r\n\t]/.test(value) &&
+    parseScalar(value) === value;
+}
+
+/**
+ * Read a journal entry
+ * @param {string} text - File content
+ * @param {Object} options - Options
+ * @param {string} options.file - The file's path inside the journal folder
+ * @param {number} options.createdAt - When the file was created (ms), the
+ *   entry's time if neither the front matter nor the file name has a date
+ * @returns {Object} `{ id, event }`: the event ID the front matter names (or
+ *   null) and the event's fields
+ */
+function parseJournalEntry(text, { file, createdAt = Date.now() } = {}) {
+  const { data, body } = parseFrontMatter(text);
+  const prose = body.replace(CODE_PATTERN, '');
+
+  const id = data.id === undefined || data.id === null ? null : String(data.id);
+
+  let zone = null;
+  if (data.timezone !== undefined && data.timezone !== null) {
+    zone = normalizeZone(String(data.timezone));
+    if (!zone) {
+      throw new Error('Invalid journal entry: timezone must be an IANA zone like Europe/Berlin or an offset like +02:00');
+    }
+  }
+
+  const date = [data.date, data.timestamp, dateFromFile(file)].find(value => value !== undefined && value !== null);
+  let timestamp = new Date(createdAt).toISOString();
+  if (date !== undefined) {
+    const wall = parseWallClock(String(date), zone || serverZone());
+    if (!wall.isValid()) {
+      throw new Error(`Invalid journal entry: "${date}" is not a date`);
+    }
+    timestamp = new Date(fromWallClock(wall, zone || serverZone())).toISOString();
+    zone = zone || timestampOffset(String(date));
+  }
+
+  const mood = data.mood !== undefined && data.mood !== null ? data.mood : bodyMood(prose);
+  if (mood !== null && !Number.isInteger(mood)) {
+    throw new Error('Invalid journal entry: mood must be a whole number');
+  }
+
+  const metadata = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (!ENTRY_FIELDS.includes(key) && !ENTRY_METADATA.includes(key)) {
+      metadata[key] = value;
+    }
+  });
+  metadata[BODY_KEY] = body.trim();
+  if (file) {
+    metadata[FILE_KEY] = file;
+  }
+
+  const heading = HEADING_PATTERN.exec(prose);
+  const event = {
+    title: String(data.title || (heading && heading[1]) || titleFromFile(file)),
+    type: journalType(data.type),
+    timestamp,
+    tags: normalizeTags([...listOf(data.tags), ...bodyTags(prose)]),
+    linked_uris: [...new Set([...listOf(data.links).map(String), ...bodyLinks(prose)])],
+    metadata
+  };
+  if (zone) {
+    event.timezone = zone;
+  }
+  if (mood !== null) {
+    event.mood = mood;
+  }
+
+  return { id, event };
+}
+
+/**
+ * Write an event as a journal entry
+ * @param {Object} event - A stored event
+ * @returns {string} Markdown with front matter
+ */
+function formatJournalEntry(event) {
+  const metadata = event.metadata || {};
+  const body = typeof metadata[BODY_KEY] === 'string' ? metadata[BODY_KEY] : '';
+  const inBody = new Set(bodyLinks(body.replace(CODE_PATTERN, '')));
+  const links = (event.linked_uris || []).filter(uri => !inBody.has(uri));
+
+  const data = {
+    id: event.id,
+    title: event.title,
+    type: event.type,
+    date: formatDate(event.timestamp, event.timezone),
+    timezone: event.timezone || null,
+    tags: event.tags && event.tags.length > 0 ? event.tags : null,
+    mood: event.mood,
+    links: links.length > 0 ? links : null
+  };
+  // Metadata named like an entry field would read back as that field, so it is left out
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (!ENTRY_FIELDS.includes(key) && !ENTRY_METADATA.includes(key)) {
+      data[key] = value;
+    }
+  });
+
+  return `${formatFrontMatter(data)}\n\n${body}${body === '' ? '' : '\n'}`;
+}
+
+/**
+ * Name an event ID in a journal entry's front matter, leaving the rest of
+ * the file as it was
+ * @param {string} text - File content
+ * @param {string} id - The event ID
+ * @returns {string} The content with `id` as the first front matter key
+ */
+function setEntryId(text, id) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const idLine = `id: ${formatValue(String(id))}`;
+  const lines = content.split(/\r?\n/);
+
+  if (!FRONT_MATTER_FENCE.test(lines[0])) {
+    return ['---', idLine, '---', content].join(newline);
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && FRONT_MATTER_END.test(line));
+  const data = lines.slice(1, end).filter(line => !/^id\s*:/.test(line));
+  return [lines[0], idLine, ...data, ...lines.slice(end)].join(newline);
+}
+
+/**
+ * A file name for a new entry: its local date and a slug of its title
+ * @param {Object} event - The event
+ * @returns {string} e.g. "2024-05-06-morning-pages.md"
+ */
+function journalFileName(event) {
+  const date = toWallClock(Date.parse(event.timestamp), event.timezone || serverZone()).format('YYYY-MM-DD');
+  const slug = String(event.title || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .slice(0, SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+  return `${date}-${slug || 'entry'}.md`;
+}
+
+/**
+ * Check whether an event is a journal entry, by its type
+ */
+function isJournalEvent(event) {
+  return typeof event.type === 'string' && event.type.startsWith(JOURNAL_TYPE_PREFIX);
+}
+
+// "gratitude" and "journal.gratitude" are the same type
+function journalType(type) {
+  if (type === undefined || type === null || String(type).trim() === '') {
+    return DEFAULT_JOURNAL_TYPE;
+  }
+  const name = String(type).trim();
+  return name.startsWith(JOURNAL_TYPE_PREFIX) ? name : JOURNAL_TYPE_PREFIX + name;
+}
+
+function formatDate(timestamp, zone) {
+  if (!zone) {
+    return timestamp;
+  }
+  const wall = toWallClock(Date.parse(timestamp), zone);
+  return wall.format(wall.milliseconds() === 0 ? 'YYYY-MM-DDTHH:mm:ss' : 'YYYY-MM-DDTHH:mm:ss.SSS');
+}
+
+function dateFromFile(file) {
+  const match = file ? /^(\d{4}-\d{2}-\d{2})/.exec(path.basename(file)) : null;
+  return match ? match[1] : undefined;
+}
+
+function titleFromFile(file) {
+  if (!file) {
+    return 'Journal entry';
+  }
+  const name = path.basename(file, path.extname(file)).replace(/^\d{4}-\d{2}-\d{2}[-_ ]*/, '').replace(/[-_]+/g, ' ').trim();
+  return name || path.basename(file, path.extname(file));
+}
+
+function listOf(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== null);
+  }
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Hashtags in Markdown text; headings ("# Title") and numbers ("#1") are not tags
+ * @param {string} text - Markdown without code
+ * @returns {Array} Tags, without the #
+ */
+function bodyTags(text) {
+  return [...text.matchAll(HASHTAG_PATTERN)]
+    .map(match => match[2].replace(/[/-]+$/, ''))
+    .filter(tag => /[^\d]/.test(tag));
+}
+
+function bodyMood(text) {
+  const match = MOOD_PATTERN.exec(text);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * life:// URIs in Markdown text, including Markdown link targets
+ * @param {string} text - Markdown without code
+ * @returns {Array} Distinct URIs
+ */
+function bodyLinks(text) {
+  const uris = (text.match(LINK_PATTERN) || [])
+    .map(uri => uri.replace(/[.,;:!?]+$/, ''))
+    .filter(uri => uri.length > URI_SCHEME.length);
+  return [...new Set(uris)];
+}
+
+module.exports = {
+  JOURNAL_SOURCE,
+  DEFAULT_JOURNAL_TYPE,
+  isJournalFile,
+  isJournalEvent,
+  parseFrontMatter,
+  formatFrontMatter,
+  parseJournalEntry,
+  formatJournalEntry,
+  setEntryId,
+  journalFileName,
+  bodyTags,
+  bodyLinks
+};
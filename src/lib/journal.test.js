@@ -0,0 +1,201 @@
+/**
+ * @jest-environment node
+ */
+const {
+  isJournalFile,
+  parseFrontMatter,
+  parseJournalEntry,
+  formatJournalEntry,
+  setEntryId,
+  journalFileName,
+  bodyTags,
+  bodyLinks
+} = require('./journal');
+
+const ENTRY = `---
+title: Morning pages
+date: 2024-05-06T07:30
+timezone: Europe/Berlin
+type: gratitude   # short for journal.gratitude
+tags: [writing, "morning routine"]
+weather: sunny
+steps: 4200
+---
+# Not the title
+
+Slept well for once. #health/sleep #1 and ##nope
+Mood: 7/10
+Talked it over after [the standup](life://calendar/calendar.meeting/abc).
+
+\`\`\`
+#not-a-tag life://code/code.block/x
+\`\`\`
+`;
+
+describe('parseFrontMatter', () => {
+  it('reads scalars, quoted strings and both kinds of lists', () => {
+    const { data, body } = parseFrontMatter([
+      '---',
+      'a: plain text',
+      'b: "quoted: \\"yes\\""',
+      "c: 'it''s'",
+      'd: 3.5',
+      'e: true',
+      'f: ~',
+      'g: [x, y]',
+      'h:',
+      '  - one',
+      '  - 2',
+      'i: {"nested": [1, 2]}',
+      '---',
+      'Body'
+    ].join('\n'));
+
+    expect(data).toEqual({
+      a: 'plain text',
+      b: 'quoted: "yes"',
+      c: "it's",
+      d: 3.5,
+      e: true,
+      f: null,
+      g: ['x', 'y'],
+      h: ['one', 2],
+      i: { nested: [1, 2] }
+    });
+    expect(body).toBe('Body');
+  });
+
+  it('treats files without front matter as all body', () => {
+    expect(parseFrontMatter('Just text\n---\n')).toEqual({ data: {}, body: 'Just text\n---\n' });
+  });
+
+  it('rejects unclosed and nested front matter', () => {
+    expect(() => parseFrontMatter('---\ntitle: x\n')).toThrow(/not closed/);
+    expect(() => parseFrontMatter('---\nmeta:\n  key: value\n---\n')).toThrow(/line 3.*JSON/);
+  });
+});
+
+describe('parseJournalEntry', () => {
+  it('turns front matter and body into event fields', () => {
+    const { id, event } = parseJournalEntry(ENTRY, { file: 'daily/2024-05-06.md' });
+
+    expect(id).toBeNull();
+    expect(event).toEqual({
+      title: 'Morning pages',
+      type: 'journal.gratitude',
+      timestamp: '2024-05-06T05:30:00.000Z',
+      timezone: 'Europe/Berlin',
+      tags: ['writing', 'morning routine', 'health/sleep'],
+      mood: 7,
+      linked_uris: ['life://calendar/calendar.meeting/abc'],
+      metadata: {
+        weather: 'sunny',
+        steps: 4200,
+        body: expect.stringMatching(/^# Not the title/),
+        journal_file: 'daily/2024-05-06.md'
+      }
+    });
+  });
+
+  it('falls back to the heading, the file name and the creation time', () => {
+    const created = Date.parse('2024-03-01T12:00:00Z');
+
+    expect(parseJournalEntry('# Trip notes\nText', { file: 'x.md', createdAt: created }).event)
+      .toMatchObject({ title: 'Trip notes', type: 'journal.entry', timestamp: '2024-03-01T12:00:00.000Z' });
+    expect(parseJournalEntry('Text', { file: 'trips/2024-03-02-lisbon_day-one.md' }).event.title)
+      .toBe('lisbon day one');
+    expect(parseJournalEntry('---\ndate: 2024-03-02T10:00:00Z\n---\n', { file: 'a.md' }).event.timestamp)
+      .toBe('2024-03-02T10:00:00.000Z');
+  });
+
+  it('prefers the front matter mood and reads the id', () => {
+    const { id, event } = parseJournalEntry('---\nid: abc\nmood: 3\n---\nMood:: 9', { file: 'a.md' });
+    expect(id).toBe('abc');
+    expect(event.mood).toBe(3);
+  });
+
+  it('rejects bad dates, zones and moods', () => {
+    expect(() => parseJournalEntry('---\ndate: someday\n---\n')).toThrow(/not a date/);
+    expect(() => parseJournalEntry('---\ntimezone: Mars/Olympus\n---\n')).toThrow(/timezone/);
+    expect(() => parseJournalEntry('---\nmood: great\n---\n')).toThrow(/mood/);
+  });
+});
+
+describe('formatJournalEntry', () => {
+  it('writes entries that read back as the same event', () => {
+    const event = {
+      id: 'e1',
+      title: 'Notes: standup',
+      type: 'journal.prompt',
+      timestamp: '2024-05-06T08:15:00.000Z',
+      timezone: 'Europe/Berlin',
+      tags: ['work', 'team, core'],
+      mood: 6,
+      linked_uris: ['life://calendar/calendar.meeting/abc', 'life://manual/note/n1'],
+      metadata: {
+        body: 'Went fine, see life://calendar/calendar.meeting/abc',
+        journal_file: '2024-05-06-notes-standup.md',
+        link_relations: { 'life://manual/note/n1': 'about' },
+        location_name: '#3 room',
+        title: 'dropped, it would read back as the title'
+      }
+    };
+
+    const text = formatJournalEntry(event);
+    expect(text).toMatch(/^---\nid: e1\ntitle: "Notes: standup"\n/);
+    expect(text).toContain('date: 2024-05-06T10:15:00\n');
+    expect(text).toContain('tags: ["work","team, core"]\n');
+    expect(text).toContain('links: [life://manual/note/n1]\n');
+
+    const { id, event: read } = parseJournalEntry(text, { file: '2024-05-06-notes-standup.md' });
+    expect(id).toBe('e1');
+    expect(read).toEqual({
+      title: event.title,
+      type: event.type,
+      timestamp: event.timestamp,
+      timezone: event.timezone,
+      tags: event.tags,
+      mood: event.mood,
+      linked_uris: ['life://manual/note/n1', 'life://calendar/calendar.meeting/abc'],
+      metadata: {
+        location_name: '#3 room',
+        body: event.metadata.body,
+        journal_file: '2024-05-06-notes-standup.md'
+      }
+    });
+  });
+
+  it('writes UTC timestamps for events without a zone', () => {
+    const text = formatJournalEntry({ id: 'e2', title: 'x', type: 'journal.entry', timestamp: '2024-05-06T08:15:00.000Z' });
+    expect(text).toBe('---\nid: e2\ntitle: x\ntype: journal.entry\ndate: 2024-05-06T08:15:00.000Z\n---\n\n');
+  });
+});
+
+describe('helpers', () => {
+  it('names files by local date and title', () => {
+    expect(journalFileName({ title: 'Café & Crème!', timestamp: '2024-05-06T23:30:00Z', timezone: 'Europe/Berlin' }))
+      .toBe('2024-05-07-cafe-creme.md');
+    expect(journalFileName({ title: '!!!', timestamp: '2024-05-06T10:00:00Z', timezone: 'UTC' }))
+      .toBe('2024-05-06-entry.md');
+  });
+
+  it('adds an event ID to front matter and leaves the rest as it was', () => {
+    expect(setEntryId('---\ntitle: a\nid:\n---\nText\n', 'e1')).toBe('---\nid: e1\ntitle: a\n---\nText\n');
+    expect(setEntryId('---\r\ntitle: a\r\n---\r\n', 'e1')).toBe('---\r\nid: e1\r\ntitle: a\r\n---\r\n');
+    expect(setEntryId('# Heading\n', 'a: b')).toBe('---\nid: "a: b"\n---\n# Heading\n');
+    expect(parseJournalEntry(setEntryId('Text', '7')).id).toBe('7');
+  });
+
+  it('recognizes Markdown files that are not hidden', () => {
+    expect(isJournalFile('a/b.md')).toBe(true);
+    expect(isJournalFile('b.MARKDOWN')).toBe(true);
+    expect(isJournalFile('.b.md.tmp')).toBe(false);
+    expect(isJournalFile('.hidden.md')).toBe(false);
+    expect(isJournalFile('b.txt')).toBe(false);
+  });
+
+  it('finds hashtags and links in text', () => {
+    expect(bodyTags('#a, b#c (#d/e-) #12 #x1')).toEqual(['a', 'x1']);
+    expect(bodyLinks('see life://a/b/c. and <life://a/b/d>, life://a/b/c')).toEqual(['life://a/b/c', 'life://a/b/d']);
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * Two-way sync between a folder of Markdown journal entries and events
+ *
+ * Files are watched with chokidar: a new or changed file creates or updates
+ * its `journal.*` event (see lib/journal.js), and a removed file moves its
+ * event to the trash. Files are matched to events by the `id` in their front
+ * matter, or else by their path, stored as the event's `external_id` under
+ * the "journal" source. A file without an `id` gets its event's on its first
+ * sync, so the file stays matched to the event when it is renamed or moved.
+ *
+ * In the other direction, exportEvents() writes `journal.*` events that have
+ * no file yet (such as entries made through the API) to new files, and
+ * rewrites files whose event changed since they were last synced.
+ *
+ * When a file and its event both changed, the one modified last wins: the
+ * file's modification time against the event's `updated_at`.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const chokidar = require('chokidar');
+
+const { diffEvents } = require('./revisions');
+const { parseFilterQuery } = require('./filterQuery');
+const {
+  JOURNAL_SOURCE,
+  isJournalFile,
+  isJournalEvent,
+  parseJournalEntry,
+  formatJournalEntry,
+  setEntryId,
+  journalFileName
+} = require('./journal');
+
+const ACTOR = 'system';
+
+// A file removed and added back this quickly was moved or renamed, not deleted
+const RENAME_GRACE_MS = 2000;
+
+// Editors write files in several steps; wait until they settle
+const WRITE_SETTLE_MS = 300;
+
+class JournalSync {
+  /**
+   * @param {EventManager} eventManager - An initialized event manager
+   * @param {Object} options - Options
+   * @param {string} options.dir - The journal folder
+   * @param {number} options.renameGraceMs - How long a removed file's event
+   *   waits before it is trashed, in case the file comes back
+   */
+  constructor(eventManager, options = {}) {
+    this.eventManager = eventManager;
+    this.dir = options.dir || './data/journal';
+    this.renameGraceMs = options.renameGraceMs !== undefined ? options.renameGraceMs : RENAME_GRACE_MS;
+    // Synced files by path: `{ id, mtimeMs, updatedAt }` as of the last sync
+    this.files = new Map();
+    // Trash timers of removed files' events, by event ID
+    this.pendingRemovals = new Map();
+    this.queue = Promise.resolve();
+    this.watcher = null;
+    this.lastSync = null;
+  }
+
+  /**
+   * Sync the folder and keep watching it
+   * @returns {Object} The first sync's report (see sync)
+   */
+  async start() {
+    const report = await this.sync();
+
+    this.watcher = chokidar.watch(this.dir, {
+      ignoreInitial: true,
+      ignored: (file) => path.basename(file).startsWith('.') && path.resolve(file) !== path.resolve(this.dir),
+      awaitWriteFinish: { stabilityThreshold: WRITE_SETTLE_MS }
+    });
+    this.watcher
+      .on('add', file => this.onFileChanged(file))
+      .on('change', file => this.onFileChanged(file))
+      .on('unlink', file => this.onFileRemoved(file))
+      .on('error', error => console.error('Journal watcher error:', error));
+
+    return report;
+  }
+
+  /**
+   * Stop watching
+   */
+  async stop() {
+    this.pendingRemovals.forEach(timer => clearTimeout(timer));
+    this.pendingRemovals.clear();
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+    await this.queue;
+  }
+
+  /**
+   * Describe the sync
+   * @returns {Object} `{ dir, watching, files, lastSync }`
+   */
+  status() {
+    return {
+      dir: this.dir,
+      watching: this.watcher !== null,
+      files: this.files.size,
+      lastSync: this.lastSync
+    };
+  }
+
+  /**
+   * Read every file, trash the events of files removed while nobody was
+   * watching, and write out events that have no file or changed
+   * @returns {Object} `{ created, updated, exported, removed, errors }`:
+   *   counts, and `{ file, error }` for files that could not be read
+   */
+  async sync() {
+    return this.enqueue(async () => {
+      const report = { created: 0, updated: 0, exported: 0, removed: 0, errors: [] };
+      const folderExisted = await exists(this.dir);
+      await fsp.mkdir(this.dir, { recursive: true });
+
+      const found = await listJournalFiles(this.dir);
+      for (const file of found) {
+        try {
+          const status = await this.importFile(file);
+          if (report[status] !== undefined) {
+            report[status] += 1;
+          }
+        } catch (error) {
+          report.errors.push({ file, error: error.message });
+        }
+      }
+
+      // Without the folder there is nothing to tell removed files from an unmounted drive
+      if (folderExisted) {
+        report.removed = await this.removeMissing(new Set(found));
+      }
+      report.exported += await this.writeEvents();
+
+      this.lastSync = new Date().toISOString();
+      return report;
+    });
+  }
+
+  /**
+   * Write out journal events that have no file yet or changed since their
+   * file was synced
+   * @returns {number} How many files were written
+   */
+  async exportEvents() {
+    return this.enqueue(() => this.writeEvents());
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  onFileChanged(fullPath) {
+    const file = this.relative(fullPath);
+    if (!isJournalFile(file)) {
+      return;
+    }
+
+    this.enqueue(() => this.importFile(file))
+      .catch(error => console.error(`Error syncing journal file ${file}:`, error.message));
+  }
+
+  onFileRemoved(fullPath) {
+    const file = this.relative(fullPath);
+    const known = this.files.get(file);
+    if (!known) {
+      return;
+    }
+
+    this.files.delete(file);
+    this.cancelRemoval(known.id);
+    this.pendingRemovals.set(known.id, setTimeout(() => {
+      this.pendingRemovals.delete(known.id);
+      this.enqueue(() => this.removeEvent(known.id))
+        .catch(error => console.error(`Error removing journal event ${known.id}:`, error.message));
+    }, this.renameGraceMs));
+  }
+
+  cancelRemoval(id) {
+    if (this.pendingRemovals.has(id)) {
+      clearTimeout(this.pendingRemovals.get(id));
+      this.pendingRemovals.delete(id);
+    }
+  }
+
+  /**
+   * Bring one file's event up to date, or the file, if its event is newer
+   * @param {string} file - Path inside the journal folder
+   * @returns {string} "created", "updated", "exported" (the file was
+   *   rewritten), "unchanged" or "skipped" (its event is in the trash)
+   */
+  async importFile(file) {
+    const filePath = path.join(this.dir, file);
+    const stats = await fsp.stat(filePath);
+    const known = this.files.get(file);
+    if (known && known.mtimeMs === stats.mtimeMs) {
+      return 'unchanged';
+    }
+
+    const text = await fsp.readFile(filePath, 'utf8');
+    const { id, event: fields } = parseJournalEntry(text, {
+      file,
+      createdAt: stats.birthtimeMs || stats.mtimeMs
+    });
+    // A file that does not name its event yet is given the event's ID
+    const settle = (event) => id ? this.track(file, event, stats) : this.writeId(file, text, event);
+
+    const event = id
+      ? await this.eventManager.getEvent(id, { includeDeleted: true })
+      : await this.eventManager.storage.findByExternalId(JOURNAL_SOURCE, file);
+
+    if (!event) {
+      const created = await this.eventManager.createEvent({
+        ...fields,
+        ...(id ? { id } : {}),
+        source: JOURNAL_SOURCE,
+        external_id: file
+      }, { actor: ACTOR });
+      await settle(created);
+      return 'created';
+    }
+
+    this.cancelRemoval(event.id);
+    if (event.deleted_at) {
+      await settle(event);
+      return 'skipped';
+    }
+
+    // Relations of links the file still has are kept, and a mood taken out of the file is cleared
+    const metadata = { ...fields.metadata };
+    if (event.metadata && event.metadata.link_relations) {
+      metadata.link_relations = event.metadata.link_relations;
+    }
+    const updates = { ...fields, metadata };
+    // A renamed file's old path must not match it again, unless another event still holds the new one
+    if (event.source === JOURNAL_SOURCE && event.external_id !== file &&
+        !(await this.eventManager.storage.findByExternalId(JOURNAL_SOURCE, file))) {
+      updates.external_id = file;
+    }
+    if (updates.mood === undefined && event.mood !== undefined && event.mood !== null) {
+      updates.mood = null;
+    }
+
+    const current = {};
+    Object.keys(updates).forEach(key => {
+      current[key] = event[key];
+    });
+    if (diffEvents(current, updates).length === 0) {
+      await settle(event);
+      return 'unchanged';
+    }
+
+    const eventChanged = !known || known.updatedAt !== event.updated_at;
+    if (eventChanged && Date.parse(event.updated_at) > stats.mtimeMs) {
+      await this.writeFile(file, await this.claim(file, event));
+      return 'exported';
+    }
+
+    const updated = await this.eventManager.updateEvent(event.id, updates, { actor: ACTOR });
+    await settle(updated);
+    return 'updated';
+  }
+
+  /**
+   * Give journal events without a file one, and rewrite files whose events
+   * changed since the last sync and are newer than the file
+   */
+  async writeEvents() {
+    const events = await this.eventManager.findAllEvents({ filter: parseFilterQuery('type:journal.*') });
+    const fileOf = new Map(Array.from(this.files.entries()).map(([file, known]) => [known.id, file]));
+    let written = 0;
+
+    for (const event of events.filter(isJournalEvent)) {
+      const file = fileOf.get(event.id);
+
+      if (!file) {
+        // Events whose file is gone (or could not be read) are not written again
+        if (event.metadata && event.metadata.journal_file) {
+          continue;
+        }
+        const newFile = await this.freeFileName(journalFileName(event));
+        await this.writeFile(newFile, await this.claim(newFile, event));
+        written += 1;
+        continue;
+      }
+
+      const known = this.files.get(file);
+      if (known.updatedAt !== event.updated_at && Date.parse(event.updated_at) > known.mtimeMs) {
+        await this.writeFile(file, event);
+        written += 1;
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Trash the events of files that disappeared while the folder was not watched
+   * @param {Set} found - Files in the folder
+   * @returns {number} How many events were trashed
+   */
+  async removeMissing(found) {
+    const events = await this.eventManager.findAllEvents({ filter: parseFilterQuery('type:journal.*') });
+    let removed = 0;
+
+    for (const event of events) {
+      const file = event.metadata && event.metadata.journal_file;
+      if (file && !found.has(file) && !Array.from(this.files.values()).some(known => known.id === event.id)) {
+        if (await this.eventManager.deleteEvent(event.id, { actor: ACTOR })) {
+          removed += 1;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Trash the event of a removed file, unless another file took it over
+   */
+  async removeEvent(id) {
+    if (Array.from(this.files.values()).some(known => known.id === id)) {
+      return false;
+    }
+    return this.eventManager.deleteEvent(id, { actor: ACTOR });
+  }
+
+  /**
+   * Record a file's path in its event, which is how files removed while the
+   * folder was not watched are noticed
+   * @returns {Object} The event
+   */
+  async claim(file, event) {
+    if (event.metadata && event.metadata.journal_file === file) {
+      return event;
+    }
+    return this.eventManager.updateEvent(event.id, {
+      metadata: { ...event.metadata, journal_file: file }
+    }, { actor: ACTOR });
+  }
+
+  /**
+   * Write an event's file, through a hidden temporary file so the watcher
+   * never reads it half written
+   */
+  async writeFile(file, event) {
+    await this.replaceFile(file, event, formatJournalEntry(event));
+  }
+
+  /**
+   * Add an event's ID to the front matter of its file, which is otherwise
+   * left as it was
+   * @param {string} text - The file's content as it was read
+   */
+  async writeId(file, text, event) {
+    await this.replaceFile(file, event, setEntryId(text, event.id));
+  }
+
+  async replaceFile(file, event, content) {
+    const filePath = path.join(this.dir, file);
+    const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(tmpPath, content);
+    await fsp.rename(tmpPath, filePath);
+
+    this.track(file, event, await fsp.stat(filePath));
+  }
+
+  track(file, event, stats) {
+    this.files.set(file, { id: event.id, mtimeMs: stats.mtimeMs, updatedAt: event.updated_at });
+  }
+
+  async freeFileName(name) {
+    const ext = path.extname(name);
+    const base = name.slice(0, -ext.length);
+
+    for (let n = 1; ; n += 1) {
+      const candidate = n === 1 ? name : `${base}-${n}${ext}`;
+      if (!this.files.has(candidate) && !(await exists(path.join(this.dir, candidate)))) {
+        return candidate;
+      }
+    }
+  }
+
+  relative(fullPath) {
+    return path.relative(this.dir, fullPath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Journal files in a folder and its subfolders, as paths inside it
+ */
+async function listJournalFiles(dir, prefix = '') {
+  const files = [];
+
+  for (const entry of await fsp.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listJournalFiles(dir, file));
+    } else if (entry.isFile() && isJournalFile(file)) {
+      files.push(file);
+    }
+  }
+
+  return files;
+}
+
+async function exists(filePath) {
+  try {
+    await fsp.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = JournalSync;
@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const EventManager = require('./eventManager');
+const JournalSync = require('./journalSync');
+
+const ENTRY = `---
+title: Morning pages
+date: 2024-05-06T07:30:00Z
+---
+Slept well. #health/sleep
+`;
+
+describe('JournalSync', () => {
+  let tmpDir;
+  let dir;
+  let eventManager;
+  let journal;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-journal-'));
+    dir = path.join(tmpDir, 'journal');
+    fs.mkdirSync(dir);
+    eventManager = new EventManager({
+      backend: 'sqlite',
+      dbPath: path.join(tmpDir, 'lifeos.db'),
+      eventsDir: path.join(tmpDir, 'events'),
+      backupDir: path.join(tmpDir, 'backups'),
+      attachmentsDir: path.join(tmpDir, 'attachments')
+    });
+    await eventManager.initialize();
+    journal = new JournalSync(eventManager, { dir, renameGraceMs: 0 });
+  });
+
+  afterEach(async () => {
+    await journal.stop();
+    eventManager.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+  const read = (file) => fs.readFileSync(path.join(dir, file), 'utf8');
+  // Set a file's modification time, in ms from now
+  const touch = (file, offset) => {
+    const time = new Date(Date.now() + offset);
+    fs.utimesSync(path.join(dir, file), time, time);
+  };
+  // Let a timestamp taken next differ from file times already recorded
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+  const journalEvents = () => eventManager.findAllEvents({ source: 'journal' });
+
+  test('creates, updates and trashes the events of files', async () => {
+    write('2024-05-06-morning-pages.md', ENTRY);
+    expect(await journal.sync()).toMatchObject({ created: 1, updated: 0, exported: 0, errors: [] });
+
+    const [event] = await journalEvents();
+    expect(event).toMatchObject({
+      title: 'Morning pages',
+      type: 'journal.entry',
+      timestamp: '2024-05-06T07:30:00.000Z',
+      tags: ['health/sleep'],
+      external_id: '2024-05-06-morning-pages.md'
+    });
+    expect(event.metadata).toMatchObject({ body: 'Slept well. #health/sleep', journal_file: '2024-05-06-morning-pages.md' });
+
+    await tick();
+    write('2024-05-06-morning-pages.md', read('2024-05-06-morning-pages.md').replace('Morning pages', 'Evening pages'));
+    expect(await journal.sync()).toMatchObject({ created: 0, updated: 1 });
+    expect((await eventManager.getEvent(event.id)).title).toBe('Evening pages');
+
+    fs.unlinkSync(path.join(dir, '2024-05-06-morning-pages.md'));
+    journal.onFileRemoved(path.join(dir, '2024-05-06-morning-pages.md'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await journal.queue;
+    expect(await eventManager.getEvent(event.id)).toBeNull();
+    expect(await eventManager.getEvent(event.id, { includeDeleted: true })).toMatchObject({ title: 'Evening pages' });
+  });
+
+  test('trashes the events of files removed while the folder was not watched', async () => {
+    write('a.md', ENTRY);
+    write('b.md', ENTRY.replace('Morning pages', 'Other pages'));
+    await journal.sync();
+
+    fs.unlinkSync(path.join(dir, 'a.md'));
+    const restarted = new JournalSync(eventManager, { dir });
+    expect(await restarted.sync()).toMatchObject({ created: 0, removed: 1 });
+    expect((await journalEvents()).map(event => event.title)).toEqual(['Other pages']);
+  });
+
+  test('writes events made through the API to files, and their edits', async () => {
+    const created = await eventManager.createEvent({
+      timestamp: '2024-05-06T20:00:00.000Z',
+      source: 'api',
+      type: 'journal.gratitude',
+      title: 'Good day',
+      tags: ['family'],
+      metadata: { body: 'Dinner with everyone.' }
+    });
+    expect(await journal.exportEvents()).toBe(1);
+
+    const file = '2024-05-06-good-day.md';
+    expect(read(file)).toContain(`id: ${created.id}\ntitle: Good day\ntype: journal.gratitude\n`);
+    expect(read(file)).toContain('\n\nDinner with everyone.\n');
+    expect((await eventManager.getEvent(created.id)).metadata.journal_file).toBe(file);
+
+    await tick();
+    await eventManager.updateEvent(created.id, { title: 'Great day' });
+    expect(await journal.exportEvents()).toBe(1);
+    expect(read(file)).toContain('title: Great day\n');
+    expect(fs.readdirSync(dir)).toEqual([file]);
+
+    // Reading the written file back changes nothing
+    expect(await new JournalSync(eventManager, { dir }).sync()).toMatchObject({ created: 0, updated: 0, exported: 0 });
+  });
+
+  test('keeps whichever of a file and its event was modified last', async () => {
+    write('entry.md', ENTRY);
+    await journal.sync();
+    const [event] = await journalEvents();
+    const edit = (title) => read('entry.md').replace(/^title: .*$/m, `title: ${title}`);
+
+    // The event changed after the file
+    await tick();
+    await eventManager.updateEvent(event.id, { title: 'From the app' });
+    write('entry.md', edit('From the file'));
+    touch('entry.md', -60 * 60 * 1000);
+    expect(await journal.sync()).toMatchObject({ updated: 0, exported: 1 });
+    expect(read('entry.md')).toContain('title: From the app\n');
+    expect((await eventManager.getEvent(event.id)).title).toBe('From the app');
+
+    // The file changed after the event
+    await tick();
+    await eventManager.updateEvent(event.id, { title: 'From the app again' });
+    write('entry.md', edit('From the file'));
+    touch('entry.md', 60 * 60 * 1000);
+    expect(await journal.sync()).toMatchObject({ updated: 1, exported: 0 });
+    expect((await eventManager.getEvent(event.id)).title).toBe('From the file');
+  });
+
+  test('names the event in a file without an id, so it survives a rename', async () => {
+    write('2024-05-06-draft.md', ENTRY);
+    await journal.sync();
+    const [event] = await journalEvents();
+
+    expect(read('2024-05-06-draft.md')).toBe(`---\nid: ${event.id}\n${ENTRY.slice(4)}`);
+    expect(await journal.sync()).toMatchObject({ created: 0, updated: 0, exported: 0 });
+
+    fs.renameSync(path.join(dir, '2024-05-06-draft.md'), path.join(dir, '2024-05-06-morning-pages.md'));
+    const restarted = new JournalSync(eventManager, { dir });
+    expect(await restarted.sync()).toMatchObject({ created: 0, updated: 1, removed: 0 });
+
+    const events = await journalEvents();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ id: event.id, external_id: '2024-05-06-morning-pages.md' });
+    expect(events[0].metadata.journal_file).toBe('2024-05-06-morning-pages.md');
+
+    // A new file at the old path is a new entry
+    write('2024-05-06-draft.md', ENTRY.replace('Morning pages', 'Another draft'));
+    expect(await restarted.sync()).toMatchObject({ created: 1 });
+    expect(await journalEvents()).toHaveLength(2);
+  });
+});
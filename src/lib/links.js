@@ -0,0 +1,124 @@
+/**
+ * Links between events
+ *
+ * An event links to others through `linked_uris`. Local events are addressed
+ * as `life://<source>/<type>/<id>`; the ID is what identifies the target, so a
+ * link keeps working if the target's source or type changes. Optional relation
+ * labels live in `metadata.link_relations`, keyed by URI, which keeps
+ * `linked_uris` a plain list of strings as the protocol expects.
+ */
+
+const URI_SCHEME = 'life://';
+
+/**
+ * Build the life:// URI of a stored event
+ * @param {Object} event - The event
+ * @returns {string} The URI
+ */
+function buildEventURI(event) {
+  return URI_SCHEME + [event.source, event.type, event.id].map(encodeURIComponent).join('/');
+}
+
+/**
+ * Split a life:// event URI into its parts
+ * @param {string} uri - The URI
+ * @returns {Object|null} `{ source, type, id }`, or null if it is not an event URI
+ */
+function parseEventURI(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+    return null;
+  }
+
+  const parts = uri.slice(URI_SCHEME.length).split(/[?#]/)[0].split('/');
+  if (parts.length !== 3 || parts.some(part => part === '')) {
+    return null;
+  }
+
+  try {
+    const [source, type, id] = parts.map(decodeURIComponent);
+    return { source, type, id };
+  } catch (error) {
+    // Malformed percent-encoding
+    return null;
+  }
+}
+
+/**
+ * Accept `linked_uris` entries given as `{ uri, relation }` objects, storing
+ * them as plain URIs plus `metadata.link_relations`, and drop relations of
+ * URIs that are no longer linked
+ * @param {Object} eventData - Event data
+ * @returns {Object} Event data with string-only `linked_uris`
+ */
+function normalizeLinkInput(eventData) {
+  const metadata = eventData.metadata || {};
+  const { link_relations: previous, ...rest } = metadata;
+
+  // Nothing to convert or prune
+  if (!Array.isArray(eventData.linked_uris) || (!previous && !eventData.linked_uris.some(isLinkObject))) {
+    return eventData;
+  }
+
+  const relations = { ...(previous || {}) };
+  const uris = eventData.linked_uris.map(entry => {
+    if (!isLinkObject(entry)) {
+      return entry;
+    }
+    if (entry.relation) {
+      relations[entry.uri] = String(entry.relation);
+    }
+    return entry.uri;
+  });
+
+  Object.keys(relations).forEach(uri => {
+    if (!uris.includes(uri)) {
+      delete relations[uri];
+    }
+  });
+
+  return {
+    ...eventData,
+    linked_uris: uris,
+    metadata: Object.keys(relations).length > 0 ? { ...rest, link_relations: relations } : rest
+  };
+}
+
+function isLinkObject(entry) {
+  return entry !== null && typeof entry === 'object' && typeof entry.uri === 'string';
+}
+
+/**
+ * List the outgoing links of an event
+ * @param {Object} event - The event
+ * @returns {Array} `{ uri, target_id, relation }`, one per distinct URI
+ */
+function extractLinks(event) {
+  const relations = (event.metadata && event.metadata.link_relations) || {};
+  const seen = new Set();
+  const links = [];
+
+  (event.linked_uris || []).forEach(uri => {
+    if (typeof uri !== 'string' || seen.has(uri)) {
+      return;
+    }
+    seen.add(uri);
+
+    const parsed = parseEventURI(uri);
+    const relation = relations[uri];
+    links.push({
+      uri,
+      target_id: parsed ? parsed.id : null,
+      relation: typeof relation === 'string' && relation ? relation : null
+    });
+  });
+
+  return links;
+}
+
+module.exports = {
+  URI_SCHEME,
+  buildEventURI,
+  parseEventURI,
+  normalizeLinkInput,
+  extractLinks
+};
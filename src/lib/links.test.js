@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+const { buildEventURI, parseEventURI, normalizeLinkInput, extractLinks } = require('./links');
+
+describe('event URIs', () => {
+  test('round-trip through build and parse', () => {
+    const uri = buildEventURI({ source: 'journal', type: 'journal.entry', id: 'a b/c' });
+    expect(uri).toBe('life://journal/journal.entry/a%20b%2Fc');
+    expect(parseEventURI(uri)).toEqual({ source: 'journal', type: 'journal.entry', id: 'a b/c' });
+  });
+
+  test('reject URIs that do not name an event', () => {
+    expect(parseEventURI('https://example.com/a/b')).toBeNull();
+    expect(parseEventURI('life://journal/entry')).toBeNull();
+    expect(parseEventURI('life://journal//x')).toBeNull();
+    expect(parseEventURI('life://a/b/%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('normalizeLinkInput', () => {
+  test('moves relation labels into metadata', () => {
+    expect(normalizeLinkInput({
+      metadata: { note: 'x' },
+      linked_uris: [{ uri: 'life://a/b/1', relation: 'follows' }, 'life://a/b/2', { uri: 'life://a/b/3' }]
+    })).toEqual({
+      metadata: { note: 'x', link_relations: { 'life://a/b/1': 'follows' } },
+      linked_uris: ['life://a/b/1', 'life://a/b/2', 'life://a/b/3']
+    });
+  });
+
+  test('drops relations of removed links', () => {
+    expect(normalizeLinkInput({
+      metadata: { link_relations: { 'life://a/b/1': 'follows' } },
+      linked_uris: ['life://a/b/2']
+    })).toEqual({ metadata: {}, linked_uris: ['life://a/b/2'] });
+  });
+
+  test('leaves plain events untouched', () => {
+    const event = { metadata: { a: 1 }, linked_uris: ['life://a/b/1'] };
+    expect(normalizeLinkInput(event)).toBe(event);
+  });
+});
+
+describe('extractLinks', () => {
+  test('lists each URI once with its target and relation', () => {
+    expect(extractLinks({
+      linked_uris: ['life://a/b/1', 'life://a/b/1', 'https://example.com', 42],
+      metadata: { link_relations: { 'life://a/b/1': 'follows' } }
+    })).toEqual([
+      { uri: 'life://a/b/1', target_id: '1', relation: 'follows' },
+      { uri: 'https://example.com', target_id: null, relation: null }
+    ]);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Initial events schema
+ *
+ * Uses IF NOT EXISTS so databases created before migrations existed are
+ * adopted without changes.
+ */
+module.exports = {
+  description: 'Create events table and indexes',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS events (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        source TEXT NOT NULL,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        metadata TEXT,
+        linked_uris TEXT,
+        tags TEXT,
+        mood INTEGER,
+        location TEXT,
+        duration INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON events(timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_source ON events(source)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_type ON events(type)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tags ON events(tags)');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Revision history for events
+ *
+ * Each row is a full snapshot of an event after a change (or before it was
+ * deleted), numbered per event.
+ */
+module.exports = {
+  description: 'Create event_revisions table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE event_revisions (
+        event_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, revision)
+      )
+    `);
+  }
+};
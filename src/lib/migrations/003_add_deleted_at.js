@@ -0,0 +1,11 @@
+/**
+ * Soft delete: trashed events keep their row with deleted_at set
+ */
+module.exports = {
+  description: 'Add deleted_at column for the trash',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN deleted_at TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_deleted_at ON events(deleted_at)');
+  }
+};
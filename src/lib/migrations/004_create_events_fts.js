@@ -0,0 +1,77 @@
+/**
+ * Full-text search index for events
+ *
+ * `events_fts` is an FTS5 table over title, tags, metadata values, source and
+ * type, kept in sync with `events` by triggers. Events have TEXT ids, so
+ * `events_fts_map` assigns each one a stable integer rowid in the index.
+ */
+
+// The column's JSON, or NULL when it is malformed (as rows older versions
+// wrote may be), which json_each and json_tree read as empty
+const validJSON = (column) => `CASE WHEN json_valid(${column}) THEN ${column} END`;
+
+// Text indexed for an event row (`row` is NEW or OLD inside a trigger)
+const indexedValues = (row) => `
+  ${row}.title,
+  (SELECT group_concat(value, ' ') FROM json_each(${validJSON(`${row}.tags`)})),
+  (SELECT group_concat(atom, ' ') FROM json_tree(${validJSON(`${row}.metadata`)})
+    WHERE atom IS NOT NULL AND type NOT IN ('true', 'false')),
+  ${row}.source,
+  ${row}.type
+`;
+
+module.exports = {
+  description: 'Create events_fts full-text search index',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE events_fts_map (
+        rowid INTEGER PRIMARY KEY,
+        event_id TEXT NOT NULL UNIQUE
+      )
+    `);
+
+    await db.run(`
+      CREATE VIRTUAL TABLE events_fts USING fts5(
+        title,
+        tags,
+        metadata,
+        source,
+        type,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await db.run(`
+      CREATE TRIGGER events_fts_insert AFTER INSERT ON events BEGIN
+        INSERT INTO events_fts_map (event_id) VALUES (NEW.id);
+        INSERT INTO events_fts (rowid, title, tags, metadata, source, type)
+        VALUES ((SELECT rowid FROM events_fts_map WHERE event_id = NEW.id), ${indexedValues('NEW')});
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER events_fts_update AFTER UPDATE OF title, tags, metadata, source, type ON events BEGIN
+        DELETE FROM events_fts WHERE rowid = (SELECT rowid FROM events_fts_map WHERE event_id = OLD.id);
+        INSERT INTO events_fts (rowid, title, tags, metadata, source, type)
+        VALUES ((SELECT rowid FROM events_fts_map WHERE event_id = NEW.id), ${indexedValues('NEW')});
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER events_fts_delete AFTER DELETE ON events BEGIN
+        DELETE FROM events_fts WHERE rowid = (SELECT rowid FROM events_fts_map WHERE event_id = OLD.id);
+        DELETE FROM events_fts_map WHERE event_id = OLD.id;
+      END
+    `);
+
+    // Index the events that already exist
+    await db.run('INSERT INTO events_fts_map (event_id) SELECT id FROM events');
+    await db.run(`
+      INSERT INTO events_fts (rowid, title, tags, metadata, source, type)
+      SELECT m.rowid, ${indexedValues('e')}
+      FROM events e JOIN events_fts_map m ON m.event_id = e.id
+    `);
+  }
+};
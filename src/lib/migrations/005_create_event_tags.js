@@ -0,0 +1,55 @@
+/**
+ * Normalized tags
+ *
+ * `event_tags` holds one row per event and tag so tag filters can match
+ * exactly instead of with `tags LIKE '%tag%'`. The `tags` JSON column stays
+ * the source of truth; triggers keep this table in sync with it.
+ */
+
+// Tags of the changed row as (event_id, tag) rows; none when its JSON is
+// malformed, as rows older versions wrote may be
+const NEW_TAGS = `
+  SELECT NEW.id, trim(value) FROM json_each(CASE WHEN json_valid(NEW.tags) THEN NEW.tags END)
+  WHERE type = 'text' AND trim(value) != ''
+`;
+
+module.exports = {
+  description: 'Create event_tags table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE event_tags (
+        event_id TEXT NOT NULL,
+        tag TEXT NOT NULL COLLATE NOCASE,
+        PRIMARY KEY (event_id, tag)
+      )
+    `);
+    await db.run('CREATE INDEX idx_event_tags_tag ON event_tags(tag)');
+
+    await db.run(`
+      CREATE TRIGGER event_tags_insert AFTER INSERT ON events BEGIN
+        INSERT OR IGNORE INTO event_tags (event_id, tag) ${NEW_TAGS};
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER event_tags_update AFTER UPDATE OF tags ON events BEGIN
+        DELETE FROM event_tags WHERE event_id = OLD.id;
+        INSERT OR IGNORE INTO event_tags (event_id, tag) ${NEW_TAGS};
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER event_tags_delete AFTER DELETE ON events BEGIN
+        DELETE FROM event_tags WHERE event_id = OLD.id;
+      END
+    `);
+
+    // Index the tags of existing events, skipping malformed ones
+    await db.run(`
+      INSERT OR IGNORE INTO event_tags (event_id, tag)
+      SELECT e.id, trim(t.value) FROM events e, json_each(e.tags) t
+      WHERE json_valid(e.tags) AND t.type = 'text' AND trim(t.value) != ''
+    `);
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Link index
+ *
+ * `event_links` has one row per URI in an event's `linked_uris`, with the
+ * target event ID (for local `life://` URIs) and an optional relation label,
+ * so backlinks can be looked up without scanning every event.
+ */
+const { extractLinks } = require('../links');
+
+// A JSON column's value, or `empty` when it is unset or malformed (rows older
+// versions wrote may be; `npm run validate` reports them)
+function parseOr(text, empty) {
+  try {
+    return text ? JSON.parse(text) : empty;
+  } catch (error) {
+    return empty;
+  }
+}
+
+module.exports = {
+  description: 'Create event_links table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE event_links (
+        event_id TEXT NOT NULL,
+        target_uri TEXT NOT NULL,
+        target_id TEXT,
+        relation TEXT,
+        PRIMARY KEY (event_id, target_uri)
+      )
+    `);
+    await db.run('CREATE INDEX idx_event_links_target ON event_links(target_id)');
+
+    // Index the links of existing events
+    const rows = await db.all("SELECT id, linked_uris, metadata FROM events WHERE linked_uris NOT IN ('', '[]')");
+    for (const row of rows) {
+      const uris = parseOr(row.linked_uris, []);
+      const links = extractLinks({
+        linked_uris: Array.isArray(uris) ? uris : [],
+        metadata: parseOr(row.metadata, {})
+      });
+
+      for (const link of links) {
+        await db.run(
+          'INSERT INTO event_links (event_id, target_uri, target_id, relation) VALUES (?, ?, ?, ?)',
+          [row.id, link.uri, link.target_id, link.relation]
+        );
+      }
+    }
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * External IDs: importers tag events with the ID the source system uses, so
+ * re-running an import updates those events instead of duplicating them
+ */
+module.exports = {
+  description: 'Add external_id column, unique per source',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN external_id TEXT');
+    await db.run(`
+      CREATE UNIQUE INDEX idx_source_external_id ON events(source, external_id)
+      WHERE external_id IS NOT NULL
+    `);
+  }
+};
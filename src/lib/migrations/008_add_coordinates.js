@@ -0,0 +1,33 @@
+/**
+ * Coordinates
+ *
+ * `latitude` and `longitude` copy the coordinates out of an event's
+ * `location` JSON, so bounding-box and radius queries can use an index.
+ */
+const { getCoordinates } = require('../geo');
+
+module.exports = {
+  description: 'Add indexed latitude and longitude columns',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN latitude REAL');
+    await db.run('ALTER TABLE events ADD COLUMN longitude REAL');
+    await db.run('CREATE INDEX idx_events_coordinates ON events(latitude, longitude)');
+
+    // Fill them in for existing events
+    const rows = await db.all('SELECT id, location FROM events WHERE location IS NOT NULL');
+    for (const row of rows) {
+      let location;
+      try {
+        location = JSON.parse(row.location);
+      } catch (error) {
+        // Malformed, as rows older versions wrote may be; left without coordinates
+        continue;
+      }
+      const position = getCoordinates(location);
+      if (position) {
+        await db.run('UPDATE events SET latitude = ?, longitude = ? WHERE id = ?', [position.lat, position.lng, row.id]);
+      }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Interval events
+ *
+ * `end_time` holds when an event ends, so "what was going on at 14:00" and
+ * range overlap queries can be answered in SQL. Existing events with a
+ * duration (in seconds) get their end time filled in.
+ */
+module.exports = {
+  description: 'Add end_time column',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN end_time TEXT');
+    await db.run(`
+      UPDATE events
+      SET end_time = strftime('%Y-%m-%dT%H:%M:%fZ', timestamp, '+' || duration || ' seconds')
+      WHERE duration > 0
+    `);
+    await db.run('CREATE INDEX idx_events_end_time ON events(end_time)');
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Event time zones
+ *
+ * `timezone` keeps the IANA zone or UTC offset an event happened in, so
+ * timelines can group it by its own local time. Timestamps saved with an
+ * offset are moved to UTC, keeping the offset as their zone, so they sort
+ * and compare as text.
+ */
+const { timestampOffset } = require('../timezones');
+
+module.exports = {
+  description: 'Add timezone column',
+
+  async up(db) {
+    await db.run('ALTER TABLE events ADD COLUMN timezone TEXT');
+
+    const rows = await db.all('SELECT id, timestamp FROM events');
+    for (const row of rows) {
+      const time = Date.parse(row.timestamp);
+      if (isNaN(time) || new Date(time).toISOString() === row.timestamp) {
+        continue;
+      }
+
+      await db.run(
+        'UPDATE events SET timestamp = ?, timezone = ? WHERE id = ?',
+        [new Date(time).toISOString(), timestampOffset(row.timestamp), row.id]
+      );
+    }
+  }
+};
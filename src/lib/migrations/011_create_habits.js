@@ -0,0 +1,26 @@
+/**
+ * Habits
+ *
+ * `habits` holds recurring habit definitions (see lib/habits.js): a
+ * recurrence rule, where and when it starts, and the event filters in
+ * `match` (JSON) that complete it. Occurrences are computed, not stored.
+ */
+module.exports = {
+  description: 'Create habits table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE habits (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        start TEXT NOT NULL,
+        timezone TEXT NOT NULL,
+        duration INTEGER,
+        match TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Custom event types
+ *
+ * `event_types` holds the types users and plugins register on top of the
+ * protocol's built-in ones (see lib/typeRegistry.js), each with an optional
+ * JSON Schema (JSON text) its events' metadata must match.
+ */
+module.exports = {
+  description: 'Create event_types table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE event_types (
+        type TEXT PRIMARY KEY,
+        description TEXT,
+        schema TEXT,
+        owner TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Rules
+ *
+ * `rules` holds rules that derive events from other events (see
+ * lib/rules.js): the filters in `match` (JSON) that pick their triggers, an
+ * optional `count` per period, and the event to create in `emit` (JSON).
+ * Whether a rule fired is kept on the derived events, not here.
+ */
+module.exports = {
+  description: 'Create rules table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE rules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        match TEXT NOT NULL,
+        at TEXT NOT NULL,
+        count INTEGER,
+        per TEXT,
+        timezone TEXT NOT NULL,
+        emit TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+};
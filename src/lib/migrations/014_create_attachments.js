@@ -0,0 +1,27 @@
+/**
+ * Attachments
+ *
+ * `attachments` holds the files attached to events. The files themselves
+ * live in the content-addressed attachment store (see
+ * lib/attachmentStore.js); a row points at one by its SHA-256 `hash`, so
+ * several attachments can share a file.
+ */
+module.exports = {
+  description: 'Create attachments table',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE attachments (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await db.run('CREATE INDEX idx_attachments_event_id ON attachments(event_id)');
+    await db.run('CREATE INDEX idx_attachments_hash ON attachments(hash)');
+  }
+};
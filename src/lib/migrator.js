@@ -0,0 +1,271 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// How often a migration is tried while the database stays locked
+const BUSY_ATTEMPTS = 5;
+const BUSY_RETRY_DELAY_MS = 500;
+
+/**
+ * Versioned schema migrations for the SQLite events database
+ *
+ * Migrations live in `src/lib/migrations` as `<version>_<name>.js` files that
+ * export `{ description, up(db) }`. Applied versions are recorded in the
+ * `schema_migrations` table, and the database is backed up before each
+ * migration runs. Each migration runs in its own transaction, holding the
+ * write lock from the check to the commit.
+ */
+class Migrator {
+  /**
+   * @param {Object} db - Object exposing promise-based run/get/all (SQLiteStorage)
+   * @param {Object} options - Migrator options
+   * @param {string} options.dbPath - Database file, used to name backups
+   * @param {string} options.backupDir - Where backups are written
+   * @param {string} options.migrationsDir - Where migration files live
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.dbPath = options.dbPath || './data/lifeos.db';
+    this.backupDir = options.backupDir || process.env.BACKUP_DIR || './data/backups';
+    this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+  }
+
+  /**
+   * Create the schema_migrations table if needed
+   */
+  async ensureTable() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Load all migration files in version order
+   * @returns {Array} Migrations
+   */
+  async loadMigrations() {
+    const files = await fs.readdir(this.migrationsDir);
+
+    const migrations = files
+      .map(file => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([file, version, name]) => {
+        const migration = require(path.join(this.migrationsDir, file));
+        return {
+          version: parseInt(version, 10),
+          name,
+          description: migration.description || name,
+          up: migration.up
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  /**
+   * Get applied and pending migrations
+   * @returns {Object} `{ current, pending, migrations }`
+   */
+  async status() {
+    await this.ensureTable();
+
+    const migrations = await this.loadMigrations();
+    const appliedRows = await this.db.all('SELECT * FROM schema_migrations ORDER BY version');
+    const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+    const list = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      status: applied.has(migration.version) ? 'applied' : 'pending',
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    return {
+      current: appliedRows.length > 0 ? appliedRows[appliedRows.length - 1].version : 0,
+      pending: list.filter(migration => migration.status === 'pending').length,
+      migrations: list
+    };
+  }
+
+  /**
+   * Apply pending migrations in order
+   *
+   * Safe to run from several processes at once: each migration is checked,
+   * backed up and applied while holding the write lock, and a process that
+   * cannot get the lock in time tries again.
+   * @param {Object} options - Options
+   * @param {number} options.to - Stop after this version
+   * @returns {Array} Applied migrations with their backup paths
+   */
+  async up(options = {}) {
+    const { to } = options;
+
+    await retryWhileBusy(() => this.ensureTable());
+
+    const migrations = await this.loadMigrations();
+    const results = [];
+
+    for (const migration of migrations) {
+      if (to !== undefined && migration.version > to) {
+        break;
+      }
+
+      const result = await retryWhileBusy(() => this.apply(migration));
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Back up the database and apply one migration, unless it has been applied
+   * @param {Object} migration - The migration
+   * @returns {Object|null} `{ version, name, backupPath }`, or null when the
+   *   migration was already applied (by another process, for instance)
+   */
+  async apply(migration) {
+    // IMMEDIATE takes the write lock before anything is checked or copied, so
+    // a second process starting at the same time waits here and then sees the
+    // migration as applied
+    await this.db.run('BEGIN IMMEDIATE');
+
+    let backupPath;
+    try {
+      const alreadyApplied = await this.db.get(
+        'SELECT version FROM schema_migrations WHERE version = ?',
+        [migration.version]
+      );
+      if (alreadyApplied) {
+        await this.db.run('COMMIT');
+        return null;
+      }
+
+      backupPath = await this.backup(migration);
+
+      await migration.up(this.db);
+      await this.db.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+      await this.db.run('COMMIT');
+    } catch (error) {
+      await this.db.run('ROLLBACK');
+      if (isBusy(error)) {
+        throw error;
+      }
+      throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+    }
+
+    return { version: migration.version, name: migration.name, backupPath };
+  }
+
+  /**
+   * Snapshot the database before a migration
+   * @param {Object} migration - The migration about to run
+   * @returns {string|null} Backup path, or null when there is nothing to back up
+   */
+  async backup(migration) {
+    if (this.dbPath === ':memory:') {
+      return null;
+    }
+
+    // A new or empty database has nothing worth keeping
+    if (!(await this.hasData())) {
+      return null;
+    }
+
+    await fs.mkdir(this.backupDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const baseName = path.basename(this.dbPath, path.extname(this.dbPath));
+    const name = `${baseName}-${stamp}-before-${migration.version}_${migration.name}`;
+
+    // Backups made within the same millisecond would share a name
+    let backupPath = path.join(this.backupDir, `${name}.db`);
+    for (let copy = 2; await exists(backupPath); copy++) {
+      backupPath = path.join(this.backupDir, `${name}-${copy}.db`);
+    }
+
+    await this.db.backupTo(backupPath);
+
+    return backupPath;
+  }
+
+  /**
+   * Check whether any table other than schema_migrations holds rows
+   *
+   * Virtual tables (full-text search) and their shadow tables are skipped:
+   * they index other tables, and FTS5 keeps a config row even when empty.
+   * @returns {boolean} True if there is data to back up
+   */
+  async hasData() {
+    const tables = await this.db.all(`
+      SELECT name, sql FROM sqlite_master
+      WHERE type = 'table' AND name != 'schema_migrations' AND name NOT LIKE 'sqlite_%'
+    `);
+    const virtualTables = tables
+      .filter(table => /^CREATE\s+VIRTUAL\s+TABLE/i.test(table.sql || ''))
+      .map(table => table.name);
+
+    for (const { name } of tables) {
+      if (virtualTables.some(virtual => name === virtual || name.startsWith(`${virtual}_`))) {
+        continue;
+      }
+
+      const row = await this.db.get(`SELECT 1 AS found FROM "${name.replace(/"/g, '""')}" LIMIT 1`);
+      if (row) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+function isBusy(error) {
+  return error.code === 'SQLITE_BUSY';
+}
+
+/**
+ * Run an operation, trying again while another process holds the lock for
+ * longer than the busy timeout
+ */
+async function retryWhileBusy(operation) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!isBusy(error) || attempt >= BUSY_ATTEMPTS) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, BUSY_RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = Migrator;
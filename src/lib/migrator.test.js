@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const SQLiteStorage = require('./storage/sqliteStorage');
+const Migrator = require('./migrator');
+
+describe('Migrator', () => {
+  let tmpDir;
+  let migrationsDir;
+  let storage;
+
+  const writeMigration = (file, body) => {
+    fs.writeFileSync(path.join(migrationsDir, file), `module.exports = ${body};`);
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-migrations-'));
+    migrationsDir = path.join(tmpDir, 'migrations');
+    fs.mkdirSync(migrationsDir);
+
+    storage = new SQLiteStorage({ dbPath: path.join(tmpDir, 'lifeos.db'), autoMigrate: false });
+    await storage.initialize();
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const createMigrator = () => new Migrator(storage, {
+    dbPath: storage.dbPath,
+    backupDir: path.join(tmpDir, 'backups'),
+    migrationsDir
+  });
+
+  test('applies pending migrations in order and records them', async () => {
+    writeMigration('002_add_note.js', `{
+      description: 'Add note column',
+      up: (db) => db.run('ALTER TABLE things ADD COLUMN note TEXT')
+    }`);
+    writeMigration('001_create_things.js', `{
+      up: (db) => db.run('CREATE TABLE things (id TEXT)')
+    }`);
+
+    const migrator = createMigrator();
+    expect((await migrator.status()).pending).toBe(2);
+
+    const applied = await migrator.up();
+    expect(applied.map(m => m.version)).toEqual([1, 2]);
+
+    const status = await migrator.status();
+    expect(status.current).toBe(2);
+    expect(status.pending).toBe(0);
+    expect(status.migrations[1]).toMatchObject({ name: 'add_note', description: 'Add note column', status: 'applied' });
+
+    await storage.run("INSERT INTO things (id, note) VALUES ('a', 'hello')");
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  test('stops at the requested version', async () => {
+    writeMigration('001_create_things.js', `{ up: (db) => db.run('CREATE TABLE things (id TEXT)') }`);
+    writeMigration('002_create_others.js', `{ up: (db) => db.run('CREATE TABLE others (id TEXT)') }`);
+
+    const applied = await createMigrator().up({ to: 1 });
+    expect(applied.map(m => m.version)).toEqual([1]);
+    expect((await createMigrator().status()).pending).toBe(1);
+  });
+
+  test('backs up an existing database before migrating', async () => {
+    writeMigration('001_create_things.js', `{ up: (db) => db.run('CREATE TABLE things (id TEXT)') }`);
+    const [first] = await createMigrator().up();
+    expect(first.backupPath).toBeNull();
+
+    await storage.run("INSERT INTO things (id) VALUES ('kept')");
+    writeMigration('002_drop_things.js', `{ up: (db) => db.run('DROP TABLE things') }`);
+
+    const [second] = await createMigrator().up();
+    expect(fs.existsSync(second.backupPath)).toBe(true);
+
+    const backup = new SQLiteStorage({ dbPath: second.backupPath, autoMigrate: false });
+    await backup.initialize();
+    expect(await backup.all('SELECT id FROM things')).toEqual([{ id: 'kept' }]);
+    backup.close();
+  });
+
+  test('does not count full-text search tables as data', async () => {
+    writeMigration('001_create_things.js', `{
+      up: async (db) => {
+        await db.run('CREATE TABLE things (id TEXT)');
+        await db.run('CREATE VIRTUAL TABLE things_fts USING fts5(id)');
+      }
+    }`);
+    await createMigrator().up();
+
+    writeMigration('002_create_others.js', `{ up: (db) => db.run('CREATE TABLE others (id TEXT)') }`);
+    const [second] = await createMigrator().up();
+    expect(second.backupPath).toBeNull();
+  });
+
+  test('applies each migration once when processes start together', async () => {
+    writeMigration('001_create_things.js', `{ up: (db) => db.run('CREATE TABLE things (id TEXT)') }`);
+    await createMigrator().up();
+    await storage.run("INSERT INTO things (id) VALUES ('kept')");
+
+    writeMigration('002_add_note.js', `{ up: (db) => db.run('ALTER TABLE things ADD COLUMN note TEXT') }`);
+    writeMigration('003_add_size.js', `{ up: (db) => db.run('ALTER TABLE things ADD COLUMN size INTEGER') }`);
+
+    const other = new SQLiteStorage({ dbPath: storage.dbPath, autoMigrate: false });
+    await other.initialize();
+    try {
+      const otherMigrator = new Migrator(other, { dbPath: other.dbPath, backupDir: path.join(tmpDir, 'backups'), migrationsDir });
+      const results = await Promise.all([createMigrator().up(), otherMigrator.up()]);
+
+      expect(results.flat().map(m => m.version).sort()).toEqual([2, 3]);
+      expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toHaveLength(2);
+      expect((await createMigrator().status()).current).toBe(3);
+    } finally {
+      other.close();
+    }
+  });
+
+  test('rolls back a failing migration', async () => {
+    writeMigration('001_broken.js', `{
+      up: async (db) => {
+        await db.run('CREATE TABLE things (id TEXT)');
+        await db.run('NOT VALID SQL');
+      }
+    }`);
+
+    await expect(createMigrator().up()).rejects.toThrow('Migration 1_broken failed');
+
+    const tables = await storage.all("SELECT name FROM sqlite_master WHERE name = 'things'");
+    expect(tables).toEqual([]);
+    expect((await createMigrator().status()).current).toBe(0);
+  });
+});
+
+describe('bundled migrations', () => {
+  let tmpDir;
+  let storage;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-migrations-'));
+    storage = new SQLiteStorage({ dbPath: path.join(tmpDir, 'lifeos.db'), backupDir: path.join(tmpDir, 'backups'), autoMigrate: false });
+    await storage.initialize();
+
+    // A database from before migrations, with a row whose JSON columns an
+    // older version wrote badly
+    await storage.migrator().up({ to: 1 });
+    const insert = 'INSERT INTO events (id, timestamp, source, type, title, metadata, linked_uris, tags, location, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+    const time = '2024-05-06T07:00:00.000Z';
+    await storage.run(insert, ['good', time, 'watch', 'fitness.run', 'Morning run', '{"shoes":"red"}', '["life://watch/fitness.run/bad"]', '["health"]', '{"lat":52.5,"lng":13.4}', time, time]);
+    await storage.run(insert, ['bad', time, 'watch', 'fitness.run', 'Evening run', '{"shoes":', 'life://watch/fitness.run/good', 'health, outdoors', '{lat: 52.5}', time, time]);
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const search = async (query) => (await storage.all(
+    'SELECT m.event_id FROM events_fts f JOIN events_fts_map m ON m.rowid = f.rowid WHERE events_fts MATCH ? ORDER BY m.event_id',
+    [query]
+  )).map(row => row.event_id);
+
+  test('adopt rows with malformed JSON', async () => {
+    await storage.migrator().up({ to: 4 });
+
+    expect(await search('run')).toEqual(['bad', 'good']);
+    expect(await search('red OR health')).toEqual(['good']);
+
+    // The triggers tolerate them too
+    await storage.run("UPDATE events SET title = 'Late run' WHERE id = 'bad'");
+    expect(await search('late')).toEqual(['bad']);
+
+    await storage.migrator().up({ to: 5 });
+    expect(await storage.all('SELECT event_id, tag FROM event_tags')).toEqual([{ event_id: 'good', tag: 'health' }]);
+    await storage.run("UPDATE events SET tags = 'outdoors' WHERE id = 'good'");
+    expect(await storage.all('SELECT event_id, tag FROM event_tags')).toEqual([]);
+
+    await storage.migrator().up({ to: 6 });
+    expect(await storage.all('SELECT event_id, target_id FROM event_links')).toEqual([{ event_id: 'good', target_id: 'bad' }]);
+
+    await storage.migrator().up({ to: 8 });
+    expect(await storage.all('SELECT id, latitude, longitude FROM events ORDER BY id')).toEqual([
+      { id: 'bad', latitude: null, longitude: null },
+      { id: 'good', latitude: 52.5, longitude: 13.4 }
+    ]);
+
+    await storage.migrator().up();
+    expect((await storage.migrator().status()).pending).toBe(0);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Sorting and cursor pagination for event lists
+ *
+ * Sort orders come from callers and query strings, so they are parsed against
+ * a whitelist and never reach SQL as raw text. A parsed sort is a list of
+ * `{ field, direction }` clauses that always ends with `id`, giving every event
+ * a unique position. Cursors record the position of the first or last event of
+ * a page, so following them does not skip or repeat events when new ones are
+ * added, the way offsets do.
+ *
+ * Besides the columns below, events can be sorted and grouped by metadata
+ * paths such as `metadata.artist` or `metadata.route.distance_km`, and
+ * sorted by `distance` when a query has a `near` position.
+ */
+
+const SORTABLE_FIELDS = [
+  'timestamp',
+  'end_time',
+  'source',
+  'type',
+  'title',
+  'mood',
+  'duration',
+  'created_at',
+  'updated_at',
+  'deleted_at',
+  'id'
+];
+
+const GROUPABLE_FIELDS = ['source', 'type', 'mood', 'duration'];
+
+const DEFAULT_SORT = 'timestamp DESC';
+
+const METADATA_PREFIX = 'metadata.';
+
+// Computed per query from its `near` position (see lib/geo.js)
+const DISTANCE_FIELD = 'distance';
+
+/**
+ * Parse a sort order: "timestamp DESC, title ASC", "-timestamp,title" or
+ * an already parsed list of clauses
+ * @param {string|Array} sort - The sort order
+ * @param {Object} options - Options
+ * @param {boolean} options.distance - Allow sorting by distance
+ * @returns {Array} `{ field, direction }` clauses ending with `id`
+ */
+function parseSort(sort = DEFAULT_SORT, options = {}) {
+  const parse = (text) => parseClause(text, options);
+  const clauses = Array.isArray(sort)
+    ? sort.map(clause => parse(`${clause.field} ${clause.direction || 'ASC'}`))
+    : String(sort).split(',').map(part => part.trim()).filter(Boolean).map(parse);
+
+  if (clauses.length === 0) {
+    throw new Error('Invalid sort: no fields given');
+  }
+
+  const fields = clauses.map(clause => clause.field);
+  const duplicate = fields.find((field, index) => fields.indexOf(field) !== index);
+  if (duplicate) {
+    throw new Error(`Invalid sort: ${duplicate} is listed twice`);
+  }
+
+  // id is unique, so it settles ties and nothing after it matters
+  const idIndex = fields.indexOf('id');
+  if (idIndex === -1) {
+    return [...clauses, { field: 'id', direction: clauses[0].direction }];
+  }
+  return clauses.slice(0, idIndex + 1);
+}
+
+function parseClause(text, options) {
+  const match = /^([+-]?)([\w.]+)(?:\s+(asc|desc))?$/i.exec(text);
+  if (!match || (match[1] && match[3])) {
+    throw new Error(`Invalid sort: ${text}`);
+  }
+
+  const field = match[2];
+  if (field === DISTANCE_FIELD && !options.distance) {
+    throw new Error('Invalid sort: sorting by distance needs a near position');
+  }
+  if (field !== DISTANCE_FIELD && !SORTABLE_FIELDS.includes(field) && !parseMetadataPath(field)) {
+    throw new Error(`Invalid sort: cannot sort by ${field} (use ${SORTABLE_FIELDS.join(', ')} or metadata.<path>)`);
+  }
+
+  const direction = match[1] === '-' ? 'DESC' : (match[3] || 'ASC').toUpperCase();
+  return { field, direction };
+}
+
+/**
+ * Format parsed clauses back into "field DIRECTION, ..." form
+ * @param {Array} clauses - Parsed sort
+ * @returns {string} The sort order
+ */
+function formatSort(clauses) {
+  return clauses.map(clause => `${clause.field} ${clause.direction}`).join(', ');
+}
+
+/**
+ * Flip every direction, for walking a list backwards
+ * @param {Array} clauses - Parsed sort
+ * @returns {Array} Reversed sort
+ */
+function reverseSort(clauses) {
+  return clauses.map(clause => ({
+    field: clause.field,
+    direction: clause.direction === 'ASC' ? 'DESC' : 'ASC'
+  }));
+}
+
+/**
+ * The values that place an event in a sort order
+ * @param {Object} event - The event
+ * @param {Array} clauses - Parsed sort
+ * @returns {Array} One value per clause
+ */
+function sortValues(event, clauses) {
+  return clauses.map(clause => fieldValue(event, clause.field));
+}
+
+/**
+ * Split a metadata field such as "metadata.route.distance_km" into its path
+ * @param {string} field - The field
+ * @param {Object} options - Options
+ * @param {boolean} options.wildcard - Allow a final `*` segment (any array element)
+ * @returns {Array|null} Path segments, or null if the field is not a valid metadata path
+ */
+function parseMetadataPath(field, options = {}) {
+  if (typeof field !== 'string' || !field.startsWith(METADATA_PREFIX)) {
+    return null;
+  }
+
+  const path = field.slice(METADATA_PREFIX.length).split('.');
+  const valid = path.every((segment, index) => /^\w+$/.test(segment) ||
+    (options.wildcard && segment === '*' && index > 0 && index === path.length - 1));
+
+  return valid ? path : null;
+}
+
+/**
+ * Read a nested metadata value
+ * @param {Object} metadata - Event metadata
+ * @param {Array} path - Path segments
+ * @returns {*} The value, or undefined if the path does not exist
+ */
+function getMetadataValue(metadata, path) {
+  return path.reduce((value, key) => (
+    value !== null && typeof value === 'object' && !Array.isArray(value) ? value[key] : undefined
+  ), metadata);
+}
+
+/**
+ * The value of a field as SQLite sorts and groups it: metadata booleans
+ * become 1/0 and objects their JSON text, as json_extract() returns them
+ * @param {Object} event - The event
+ * @param {string} field - A column or metadata path
+ * @returns {*} The value, null if missing
+ */
+function fieldValue(event, field) {
+  const path = parseMetadataPath(field);
+  const value = path ? getMetadataValue(event.metadata, path) : event[field];
+
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (path && typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (path && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Compare two field values in SQLite's order: NULL, then numbers, then text
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const rank = (value) => {
+    if (value === null || value === undefined) return 0;
+    return typeof value === 'number' ? 1 : 2;
+  };
+
+  const difference = rank(a) - rank(b);
+  if (difference !== 0 || rank(a) === 0) {
+    return difference;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Check a field events can be grouped by
+ * @param {string} field - A column or metadata path
+ * @returns {string} The field
+ */
+function parseGroupField(field) {
+  if (!GROUPABLE_FIELDS.includes(field) && !parseMetadataPath(field)) {
+    throw new Error(`Invalid group: cannot group by ${field} (use ${GROUPABLE_FIELDS.join(', ')} or metadata.<path>)`);
+  }
+  return field;
+}
+
+/**
+ * Encode a pagination position as an opaque token
+ * @param {Object} position - Anything JSON-serializable
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor()
+ * @param {string} cursor - The cursor
+ * @returns {Object} The position
+ */
+function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+
+  if (!position || typeof position !== 'object' || Array.isArray(position)) {
+    throw new Error('Invalid cursor');
+  }
+  return position;
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  GROUPABLE_FIELDS,
+  DEFAULT_SORT,
+  DISTANCE_FIELD,
+  parseSort,
+  formatSort,
+  reverseSort,
+  sortValues,
+  parseMetadataPath,
+  getMetadataValue,
+  fieldValue,
+  compareValues,
+  parseGroupField,
+  encodeCursor,
+  decodeCursor
+};
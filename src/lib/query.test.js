@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+const {
+  parseSort,
+  formatSort,
+  reverseSort,
+  sortValues,
+  parseMetadataPath,
+  parseGroupField,
+  compareValues,
+  encodeCursor,
+  decodeCursor
+} = require('./query');
+
+describe('parseSort', () => {
+  test('accepts SQL-style and prefix-style orders and appends id', () => {
+    expect(formatSort(parseSort('timestamp DESC, title'))).toBe('timestamp DESC, title ASC, id DESC');
+    expect(formatSort(parseSort('-mood,+timestamp'))).toBe('mood DESC, timestamp ASC, id DESC');
+    expect(formatSort(parseSort('title asc, id desc, timestamp'))).toBe('title ASC, id DESC');
+    expect(formatSort(parseSort())).toBe('timestamp DESC, id DESC');
+  });
+
+  test('rejects unknown fields, bad directions and duplicates', () => {
+    expect(() => parseSort('metadata')).toThrow('Invalid sort: cannot sort by metadata');
+    expect(() => parseSort('timestamp DESC; DROP TABLE events')).toThrow('Invalid sort');
+    expect(() => parseSort('-timestamp DESC')).toThrow('Invalid sort');
+    expect(() => parseSort('title, title')).toThrow('title is listed twice');
+    expect(() => parseSort(' , ')).toThrow('no fields given');
+  });
+
+  test('reverses directions and reads sort values', () => {
+    const sort = parseSort('mood DESC');
+    expect(formatSort(reverseSort(sort))).toBe('mood ASC, id ASC');
+    expect(sortValues({ id: 'a' }, sort)).toEqual([null, 'a']);
+  });
+});
+
+describe('metadata paths', () => {
+  test('parse dotted paths and reject anything else', () => {
+    expect(parseMetadataPath('metadata.route.distance_km')).toEqual(['route', 'distance_km']);
+    expect(parseMetadataPath('metadata.attendees.*', { wildcard: true })).toEqual(['attendees', '*']);
+    expect(parseMetadataPath('metadata.attendees.*')).toBeNull();
+    expect(parseMetadataPath("metadata.a') --")).toBeNull();
+    expect(parseMetadataPath('title')).toBeNull();
+  });
+
+  test('sort and group by metadata values as SQLite does', () => {
+    const sort = parseSort('-metadata.distance_km');
+    expect(formatSort(sort)).toBe('metadata.distance_km DESC, id DESC');
+    expect(sortValues({ id: 'a', metadata: { distance_km: 5 } }, sort)).toEqual([5, 'a']);
+    expect(sortValues({ id: 'b', metadata: { distance_km: { value: 5 } } }, sort)).toEqual(['{"value":5}', 'b']);
+    expect(sortValues({ id: 'c', metadata: { distance_km: true } }, sort)).toEqual([1, 'c']);
+
+    expect([3, 'b', null, 'a', 1].sort(compareValues)).toEqual([null, 1, 3, 'a', 'b']);
+    expect(parseGroupField('metadata.artist')).toBe('metadata.artist');
+    expect(() => parseGroupField('title')).toThrow('Invalid group: cannot group by title');
+  });
+});
+
+describe('cursors', () => {
+  test('round-trip positions as opaque tokens', () => {
+    const cursor = encodeCursor({ sort: 'timestamp DESC, id DESC', after: ['2024-01-01', 'a'] });
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ sort: 'timestamp DESC, id DESC', after: ['2024-01-01', 'a'] });
+  });
+
+  test('reject tokens that were not made by encodeCursor', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(Buffer.from('[1]').toString('base64url'))).toThrow('Invalid cursor');
+  });
+});
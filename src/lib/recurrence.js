@@ -0,0 +1,323 @@
+/**
+ * Recurrence rules
+ *
+ * Rules are written as iCalendar RRULEs (RFC 5545), e.g. `FREQ=DAILY` or
+ * `FREQ=WEEKLY;BYDAY=MO,WE,FR`. They are expanded in local wall clock time
+ * (see lib/timezones.js), so "every day at 07:00" stays at 07:00 across DST
+ * changes. Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYHOUR, BYMINUTE and WKST.
+ */
+
+const moment = require('moment');
+
+const { toWallClock, fromWallClock, parseWallClock } = require('./timezones');
+
+const FREQUENCIES = {
+  DAILY: 'day',
+  WEEKLY: 'week',
+  MONTHLY: 'month',
+  YEARLY: 'year'
+};
+
+// ISO weekday numbers, as moment's isoWeekday() returns them
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+// Bounds the work for COUNT rules that started long ago
+const MAX_PERIODS = 100000;
+
+/**
+ * Parse an RRULE such as "FREQ=WEEKLY;BYDAY=MO,WE,FR"
+ * @param {string} text - The rule, optionally prefixed with "RRULE:"
+ * @returns {Object} `{ freq, interval, count, until, byDay, byMonthDay, byMonth, byHour, byMinute, wkst }`
+ */
+function parseRule(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Invalid rule: expected an RRULE like FREQ=DAILY');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    byHour: [],
+    byMinute: [],
+    wkst: WEEKDAYS.MO
+  };
+  const seen = new Set();
+
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const match = /^([A-Z]+)=(.+)$/i.exec(part.trim());
+    if (!match) {
+      throw new Error(`Invalid rule: "${part}" is not a NAME=VALUE part`);
+    }
+
+    const name = match[1].toUpperCase();
+    const value = match[2].toUpperCase();
+    if (seen.has(name)) {
+      throw new Error(`Invalid rule: ${name} is given twice`);
+    }
+    seen.add(name);
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES[value]) {
+          throw new Error(`Invalid rule: FREQ must be one of ${Object.keys(FREQUENCIES).join(', ')}`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseNumber(name, value, 1, 1000);
+        break;
+      case 'COUNT':
+        rule.count = parseNumber(name, value, 1, 100000);
+        break;
+      case 'UNTIL':
+        if (!/^\d{8}(T\d{6}Z?)?$/.test(value)) {
+          throw new Error('Invalid rule: UNTIL must be a date like 20241231 or 20241231T235959Z');
+        }
+        rule.until = value;
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(parseWeekday);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseList(name, value, -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseList(name, value, 1, 12);
+        break;
+      case 'BYHOUR':
+        rule.byHour = parseList(name, value, 0, 23);
+        break;
+      case 'BYMINUTE':
+        rule.byMinute = parseList(name, value, 0, 59);
+        break;
+      case 'WKST':
+        if (!WEEKDAYS[value]) {
+          throw new Error(`Invalid rule: WKST must be a weekday (${Object.keys(WEEKDAYS).join(', ')})`);
+        }
+        rule.wkst = WEEKDAYS[value];
+        break;
+      default:
+        throw new Error(`Invalid rule: ${name} is not supported`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('Invalid rule: FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Invalid rule: COUNT and UNTIL cannot both be given');
+  }
+  if (rule.byDay.some(day => day.nth) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Invalid rule: numbered BYDAY values (like 1MO) need FREQ=MONTHLY or YEARLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw new Error('Invalid rule: BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+
+  return rule;
+}
+
+function parseNumber(name, value, min, max) {
+  const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(number >= min && number <= max)) {
+    throw new Error(`Invalid rule: ${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function parseList(name, value, min, max) {
+  return value.split(',').map(item => {
+    const number = /^[+-]?\d+$/.test(item) ? parseInt(item, 10) : NaN;
+    if (!(number >= min && number <= max) || (min < 0 && number === 0)) {
+      throw new Error(`Invalid rule: ${name} values must be from ${min} to ${max}, got "${item}"`);
+    }
+    return number;
+  });
+}
+
+// "MO" -> { weekday: 1, nth: 0 }, "-1FR" -> { weekday: 5, nth: -1 }
+function parseWeekday(text) {
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(text);
+  const nth = match && match[1] ? parseInt(match[1], 10) : 0;
+  if (!match || !WEEKDAYS[match[2]] || Math.abs(nth) > 53 || (match[1] && nth === 0)) {
+    throw new Error(`Invalid rule: "${text}" is not a BYDAY value like MO or -1FR`);
+  }
+  return { weekday: WEEKDAYS[match[2]], nth };
+}
+
+/**
+ * The instants a rule happens at within a range
+ * @param {string|Object} rule - RRULE text or a parsed rule
+ * @param {Object} options - Options
+ * @param {string} options.start - First local date or date-time (DTSTART), e.g. "2024-01-01"
+ * @param {string} options.zone - A normalized zone the rule is read in
+ * @param {number} options.from - Range start in milliseconds
+ * @param {number} options.to - Range end in milliseconds (inclusive)
+ * @param {number} options.limit - Most occurrences to return
+ * @returns {Array} Occurrence times in milliseconds, in order
+ */
+function expandRule(rule, options) {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+  const { zone, from, to, limit = Infinity } = options;
+
+  const dtstart = parseWallClock(options.start, zone);
+  if (!dtstart.isValid()) {
+    throw new Error(`Invalid start: "${options.start}" is not a date`);
+  }
+
+  const until = parsed.until ? untilTime(parsed.until, zone) : Infinity;
+  const unit = FREQUENCIES[parsed.freq];
+  const period = periodStart(dtstart, unit, parsed.wkst);
+
+  // Without COUNT nothing before the range matters, so skip ahead to it
+  if (!parsed.count) {
+    const skip = Math.floor(Math.max(0, toWallClock(from, zone).diff(period, unit) - 1) / parsed.interval);
+    period.add(skip * parsed.interval, unit);
+  }
+
+  // A day of slack covers any offset between local and UTC time
+  const last = toWallClock(to, zone).add(1, 'day');
+
+  const times = [];
+  let counted = 0;
+  for (let index = 0; index < MAX_PERIODS && !period.isAfter(last); index++) {
+    for (const wall of expandPeriod(parsed, period, dtstart)) {
+      if (wall < dtstart.valueOf()) {
+        continue;
+      }
+
+      const time = fromWallClock(wall, zone);
+      counted++;
+      if (time > to || time > until || (parsed.count && counted > parsed.count)) {
+        return times;
+      }
+      if (time >= from) {
+        times.push(time);
+        if (times.length >= limit) {
+          return times;
+        }
+      }
+    }
+
+    period.add(parsed.interval, unit);
+  }
+
+  return times;
+}
+
+// UNTIL in UTC ("...Z") is an instant; otherwise it is local, and a date covers the whole day
+function untilTime(value, zone) {
+  const wall = moment.utc(value, ['YYYYMMDD[T]HHmmss[Z]', 'YYYYMMDD[T]HHmmss', 'YYYYMMDD'], true);
+  if (value.endsWith('Z')) {
+    return wall.valueOf();
+  }
+  return fromWallClock(value.length === 8 ? wall.endOf('day') : wall, zone);
+}
+
+function periodStart(dtstart, unit, wkst) {
+  const start = dtstart.clone().startOf('day');
+  if (unit === 'week') {
+    return start.subtract((start.isoWeekday() - wkst + 7) % 7, 'days');
+  }
+  return unit === 'day' ? start : start.startOf(unit);
+}
+
+/**
+ * The local times one period (day, week, month or year) of a rule produces
+ * @returns {Array} Wall clock times in milliseconds, in order
+ */
+function expandPeriod(rule, period, dtstart) {
+  let days;
+
+  if (rule.freq === 'DAILY') {
+    days = [period.clone()];
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [dtstart.isoWeekday()];
+    days = weekdays.map(weekday => period.clone().add((weekday - rule.wkst + 7) % 7, 'days'));
+  } else if (rule.freq === 'MONTHLY') {
+    days = expandDays(rule, period.clone(), period.clone().endOf('month'), dtstart);
+  } else if (rule.byMonth.length > 0 || rule.byMonthDay.length > 0 || rule.byDay.length === 0) {
+    // YEARLY, month by month
+    const months = rule.byMonth.length > 0 ? rule.byMonth : (rule.byMonthDay.length > 0 ? range(1, 12) : [dtstart.month() + 1]);
+    days = months.flatMap(month => {
+      const first = period.clone().month(month - 1);
+      return expandDays(rule, first, first.clone().endOf('month'), dtstart);
+    });
+  } else {
+    // YEARLY by weekday, numbered within the year
+    days = expandDays(rule, period.clone(), period.clone().endOf('year'), dtstart);
+  }
+
+  const hours = rule.byHour.length > 0 ? rule.byHour : [dtstart.hour()];
+  const minutes = rule.byMinute.length > 0 ? rule.byMinute : [dtstart.minute()];
+
+  const times = new Set();
+  days
+    .filter(day => matchesDay(rule, day))
+    .forEach(day => hours.forEach(hour => minutes.forEach(minute => {
+      times.add(day.clone().hour(hour).minute(minute).second(dtstart.second()).valueOf());
+    })));
+
+  return [...times].sort((a, b) => a - b);
+}
+
+/**
+ * Days between two dates picked by BYMONTHDAY and BYDAY (both must match
+ * when both are given); the day of the month of DTSTART otherwise
+ */
+function expandDays(rule, first, last, dtstart) {
+  const all = [];
+  for (const day = first.clone(); !day.isAfter(last); day.add(1, 'day')) {
+    all.push(day.clone());
+  }
+
+  let days = all;
+  if (rule.byMonthDay.length > 0) {
+    days = days.filter(day => rule.byMonthDay.some(n => (n > 0 ? n : day.daysInMonth() + n + 1) === day.date()));
+  }
+  if (rule.byDay.length > 0) {
+    days = days.filter(day => rule.byDay.some(({ weekday, nth }) => {
+      if (day.isoWeekday() !== weekday) return false;
+      if (!nth) return true;
+      const same = all.filter(other => other.isoWeekday() === weekday);
+      const index = same.findIndex(other => other.isSame(day, 'day'));
+      return nth > 0 ? index === nth - 1 : index === same.length + nth;
+    }));
+  }
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+    days = days.filter(day => day.date() === dtstart.date());
+  }
+
+  return days;
+}
+
+// BYMONTH limits every frequency; BYDAY and BYMONTHDAY limit daily rules
+function matchesDay(rule, day) {
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(day.month() + 1)) {
+    return false;
+  }
+  if (rule.freq !== 'DAILY') {
+    return true;
+  }
+  if (rule.byDay.length > 0 && !rule.byDay.some(({ weekday }) => weekday === day.isoWeekday())) {
+    return false;
+  }
+  return rule.byMonthDay.length === 0 ||
+    rule.byMonthDay.some(n => (n > 0 ? n : day.daysInMonth() + n + 1) === day.date());
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (value, index) => from + index);
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseRule,
+  expandRule
+};
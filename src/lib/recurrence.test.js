@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+const { parseRule, expandRule } = require('./recurrence');
+
+const expand = (rule, start, from, to, zone = 'UTC') => expandRule(rule, {
+  start,
+  zone,
+  from: Date.parse(from),
+  to: Date.parse(to)
+}).map(time => new Date(time).toISOString());
+
+describe('parseRule', () => {
+  test('reads RRULE parts', () => {
+    expect(parseRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=MO,-1FR;WKST=SU')).toMatchObject({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 1, nth: 0 }, { weekday: 5, nth: -1 }],
+      wkst: 7
+    });
+  });
+
+  test('rejects rules it cannot expand', () => {
+    expect(() => parseRule('INTERVAL=2')).toThrow('Invalid rule: FREQ is required');
+    expect(() => parseRule('FREQ=HOURLY')).toThrow('FREQ must be one of');
+    expect(() => parseRule('FREQ=DAILY;BYSETPOS=1')).toThrow('BYSETPOS is not supported');
+    expect(() => parseRule('FREQ=DAILY;COUNT=2;UNTIL=20240101')).toThrow('COUNT and UNTIL');
+    expect(() => parseRule('FREQ=WEEKLY;BYDAY=2MO')).toThrow('numbered BYDAY');
+    expect(() => parseRule('FREQ=MONTHLY;BYMONTHDAY=0')).toThrow('BYMONTHDAY values');
+  });
+});
+
+describe('expandRule', () => {
+  test('expands weekly rules on the given weekdays', () => {
+    expect(expand('FREQ=WEEKLY;BYDAY=MO,WE,FR', '2024-01-01', '2024-05-01T00:00:00Z', '2024-05-08T00:00:00Z')).toEqual([
+      '2024-05-01T00:00:00.000Z',
+      '2024-05-03T00:00:00.000Z',
+      '2024-05-06T00:00:00.000Z',
+      '2024-05-08T00:00:00.000Z'
+    ]);
+    expect(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', '2024-01-02', '2024-05-01T00:00:00Z', '2024-06-01T00:00:00Z'))
+      .toEqual(['2024-05-07T00:00:00.000Z', '2024-05-21T00:00:00.000Z']);
+  });
+
+  test('keeps local times across daylight saving changes', () => {
+    expect(expand('FREQ=DAILY', '2024-03-30T07:00', '2024-03-30T00:00:00Z', '2024-03-31T23:00:00Z', 'Europe/Berlin'))
+      .toEqual(['2024-03-30T06:00:00.000Z', '2024-03-31T05:00:00.000Z']);
+  });
+
+  test('picks days of the month and numbered weekdays', () => {
+    expect(expand('FREQ=MONTHLY;BYDAY=-1FR', '2024-01-01', '2024-01-01T00:00:00Z', '2024-03-31T00:00:00Z'))
+      .toEqual(['2024-01-26T00:00:00.000Z', '2024-02-23T00:00:00.000Z', '2024-03-29T00:00:00.000Z']);
+    expect(expand('FREQ=MONTHLY', '2024-01-31', '2024-01-01T00:00:00Z', '2024-05-01T00:00:00Z'))
+      .toEqual(['2024-01-31T00:00:00.000Z', '2024-03-31T00:00:00.000Z']);
+    expect(expand('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', '2024-01-01', '2024-01-01T00:00:00Z', '2025-12-31T00:00:00Z'))
+      .toEqual(['2024-11-28T00:00:00.000Z', '2025-11-27T00:00:00.000Z']);
+  });
+
+  test('stops after COUNT occurrences or at UNTIL', () => {
+    expect(expand('FREQ=DAILY;COUNT=3', '2024-01-01', '2024-01-02T00:00:00Z', '2024-02-01T00:00:00Z'))
+      .toEqual(['2024-01-02T00:00:00.000Z', '2024-01-03T00:00:00.000Z']);
+    expect(expand('FREQ=DAILY;UNTIL=20240103', '2024-01-01', '2024-01-01T00:00:00Z', '2024-02-01T00:00:00Z'))
+      .toHaveLength(3);
+    expect(expand('FREQ=DAILY;BYHOUR=8,20', '2024-01-01', '2024-01-01T00:00:00Z', '2024-01-01T23:59:59Z'))
+      .toEqual(['2024-01-01T08:00:00.000Z', '2024-01-01T20:00:00.000Z']);
+  });
+});
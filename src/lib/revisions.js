@@ -0,0 +1,78 @@
+/**
+ * Helpers for event revision history
+ */
+
+// Bookkeeping fields that change on every write and would drown real changes
+const IGNORED_FIELDS = ['updated_at'];
+
+const ACTIONS = {
+  BASELINE: 'baseline',
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  PURGE: 'purge',
+  REVERT: 'revert'
+};
+
+/**
+ * Compare two event snapshots field by field
+ * @param {Object|null} before - Earlier snapshot
+ * @param {Object|null} after - Later snapshot
+ * @returns {Array} Changes as `{ field, from, to }`
+ */
+function diffEvents(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+
+    if (canonicalJSON(from) !== canonicalJSON(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+/**
+ * JSON with object keys sorted, so key order alone never counts as a change
+ */
+function canonicalJSON(value) {
+  return JSON.stringify(value, (key, inner) => {
+    if (!inner || typeof inner !== 'object' || Array.isArray(inner)) {
+      return inner;
+    }
+    return Object.keys(inner).sort().reduce((sorted, name) => {
+      sorted[name] = inner[name];
+      return sorted;
+    }, {});
+  });
+}
+
+/**
+ * Normalize who made a change: "ui", "api", "system" or "plugin:<id>"
+ * @param {string} actor - Raw actor
+ * @param {string} fallback - Used when actor is missing or malformed
+ * @returns {string} Actor
+ */
+function normalizeActor(actor, fallback = 'system') {
+  if (typeof actor !== 'string') {
+    return fallback;
+  }
+
+  const trimmed = actor.trim();
+  return /^(ui|api|system|plugin:[\w.-]{1,64})$/.test(trimmed) ? trimmed : fallback;
+}
+
+module.exports = {
+  ACTIONS,
+  diffEvents,
+  normalizeActor
+};
@@ -0,0 +1,36 @@
+/**
+ * @jest-environment node
+ */
+const { diffEvents, normalizeActor } = require('./revisions');
+
+describe('diffEvents', () => {
+  test('lists changed fields and ignores updated_at', () => {
+    const before = { title: 'Run', tags: ['a'], mood: 5, updated_at: '1' };
+    const after = { title: 'Long run', tags: ['a'], mood: null, updated_at: '2', duration: 60 };
+
+    expect(diffEvents(before, after)).toEqual([
+      { field: 'duration', from: null, to: 60 },
+      { field: 'mood', from: 5, to: null },
+      { field: 'title', from: 'Run', to: 'Long run' }
+    ]);
+  });
+
+  test('compares nested values structurally', () => {
+    expect(diffEvents({ metadata: { a: 1 } }, { metadata: { a: 1 } })).toEqual([]);
+    expect(diffEvents(null, { title: 'New' })).toEqual([{ field: 'title', from: null, to: 'New' }]);
+    expect(diffEvents({ metadata: { a: 1, b: { c: 2, d: 3 } } }, { metadata: { b: { d: 3, c: 2 }, a: 1 } })).toEqual([]);
+  });
+});
+
+describe('normalizeActor', () => {
+  test('accepts known actors and plugin IDs', () => {
+    expect(normalizeActor('ui')).toBe('ui');
+    expect(normalizeActor(' plugin:spotify-sync ')).toBe('plugin:spotify-sync');
+  });
+
+  test('falls back for missing or malformed actors', () => {
+    expect(normalizeActor(undefined, 'api')).toBe('api');
+    expect(normalizeActor('plugin:../../etc', 'api')).toBe('api');
+    expect(normalizeActor('someone')).toBe('system');
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Rules: events derived from other events
+ *
+ * A rule picks its trigger events with the getEvents filters in `match`
+ * (`type`, `source`, `tags`, `q`) and creates the event described by `emit`
+ * when they happen. It fires either once per trigger, or, with `count` and
+ * `per`, once a period ("week", read as an ISO week in the rule's `timezone`)
+ * holds that many triggers. A trigger happens at its start, or at its end
+ * with `at: "end"`; nothing fires for triggers still in the future.
+ *
+ * Each firing has a key (the trigger's ID, or the period), and the derived
+ * event is stored under the external ID `rule:<rule id>:<key>`, which is how
+ * a rule knows it already fired. Derived events link back to their triggers
+ * through `linked_uris` with the relation "triggered_by".
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const { prepareMatch } = require('./habits');
+const { buildEventURI } = require('./links');
+const { normalizeTags } = require('./tags');
+const { normalizeZone, serverZone, toWallClock, fromWallClock } = require('./timezones');
+
+const PERIODS = {
+  day: { unit: 'day', format: 'YYYY-MM-DD' },
+  week: { unit: 'isoWeek', format: 'GGGG-[W]WW' },
+  month: { unit: 'month', format: 'YYYY-MM' },
+  year: { unit: 'year', format: 'YYYY' }
+};
+
+const AT = ['start', 'end'];
+
+// Where derived events come from unless the rule says otherwise
+const DEFAULT_SOURCE = 'rules';
+
+const TRIGGER_RELATION = 'triggered_by';
+
+// Placeholders a rule's title can use, filled in from its last trigger
+const TEMPLATE_FIELDS = ['title', 'type', 'source', 'count', 'period', 'rule'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Validate a rule and fill in its defaults
+ * @param {Object} input - `{ name, enabled, match, at, count, per, timezone, emit }`
+ * @param {Object} existing - The stored rule, for updates
+ * @returns {Object} The rule, ready to store
+ */
+function prepareRule(input, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid rule: must be an object');
+  }
+
+  const rule = { ...existing, ...input };
+
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+    throw new Error('Invalid rule: name is required');
+  }
+
+  const enabled = rule.enabled === undefined ? true : rule.enabled;
+  if (typeof enabled !== 'boolean') {
+    throw new Error('Invalid rule: enabled must be true or false');
+  }
+
+  const at = rule.at === undefined || rule.at === null ? 'start' : rule.at;
+  if (!AT.includes(at)) {
+    throw new Error(`Invalid rule: at must be one of ${AT.join(', ')}`);
+  }
+
+  const count = rule.count === undefined ? null : rule.count;
+  const per = rule.per === undefined ? null : rule.per;
+  if (count !== null && !(Number.isInteger(count) && count > 0)) {
+    throw new Error('Invalid rule: count must be a positive integer');
+  }
+  if (per !== null && !PERIODS[per]) {
+    throw new Error(`Invalid rule: per must be one of ${Object.keys(PERIODS).join(', ')}`);
+  }
+  if ((count === null) !== (per === null)) {
+    throw new Error('Invalid rule: count and per go together, as in "3 per week"');
+  }
+
+  const timezone = rule.timezone === undefined || rule.timezone === null
+    ? serverZone()
+    : normalizeZone(rule.timezone);
+  if (!timezone) {
+    throw new Error('Invalid rule: timezone must be an IANA zone like Europe/Berlin or an offset like +02:00');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: rule.id || uuidv4(),
+    name: rule.name.trim(),
+    enabled,
+    match: prepareMatch(rule.match, 'rule'),
+    at,
+    count,
+    per,
+    timezone,
+    emit: prepareEmit(rule.emit),
+    created_at: rule.created_at || now,
+    updated_at: now
+  };
+}
+
+function prepareEmit(emit) {
+  if (!emit || typeof emit !== 'object' || Array.isArray(emit)) {
+    throw new Error('Invalid rule: emit must describe the event to create, as { title, type }');
+  }
+
+  ['title', 'type'].forEach(field => {
+    if (typeof emit[field] !== 'string' || emit[field].trim() === '') {
+      throw new Error(`Invalid rule: emit.${field} is required`);
+    }
+  });
+  if (emit.source !== undefined && emit.source !== null && (typeof emit.source !== 'string' || emit.source.trim() === '')) {
+    throw new Error('Invalid rule: emit.source must be a non-empty string');
+  }
+  if (emit.metadata !== undefined && emit.metadata !== null &&
+      (typeof emit.metadata !== 'object' || Array.isArray(emit.metadata))) {
+    throw new Error('Invalid rule: emit.metadata must be an object');
+  }
+
+  const unknown = [...emit.title.matchAll(PLACEHOLDER_PATTERN)].find(([, field]) => !TEMPLATE_FIELDS.includes(field));
+  if (unknown) {
+    throw new Error(`Invalid rule: emit.title cannot use ${unknown[0]} (use ${TEMPLATE_FIELDS.map(field => `{{${field}}}`).join(', ')})`);
+  }
+
+  const prepared = {
+    title: emit.title.trim(),
+    type: emit.type.trim(),
+    source: emit.source ? emit.source.trim() : DEFAULT_SOURCE
+  };
+  if (emit.tags !== undefined && emit.tags !== null) {
+    prepared.tags = normalizeTags(Array.isArray(emit.tags) ? emit.tags : [emit.tags]);
+  }
+  if (emit.metadata) {
+    prepared.metadata = emit.metadata;
+  }
+
+  return prepared;
+}
+
+/**
+ * When a trigger happens for a rule: its start, or its end with `at: "end"`
+ * (events without an end happen at their start either way)
+ * @param {Object} rule - The rule
+ * @param {Object} event - The trigger
+ * @returns {number} Milliseconds since the epoch
+ */
+function triggerTime(rule, event) {
+  return Date.parse(rule.at === 'end' && event.end_time ? event.end_time : event.timestamp);
+}
+
+/**
+ * The period of a counting rule that holds an instant
+ * @param {Object} rule - A rule with `per`
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {Object} `{ key, start, end }`, with `end` exclusive, in milliseconds
+ */
+function rulePeriod(rule, time) {
+  const { unit, format } = PERIODS[rule.per];
+  const start = toWallClock(time, rule.timezone).startOf(unit);
+
+  return {
+    key: start.format(format),
+    start: fromWallClock(start, rule.timezone),
+    end: fromWallClock(start.clone().add(1, unit === 'isoWeek' ? 'week' : unit), rule.timezone)
+  };
+}
+
+/**
+ * The external ID a rule stores one firing's event under
+ * @param {Object} rule - The rule
+ * @param {string} key - The firing's key
+ * @returns {string} `rule:<rule id>:<key>`
+ */
+function firingExternalId(rule, key) {
+  return `rule:${rule.id}:${key}`;
+}
+
+/**
+ * Check whether an event was derived by a rule, so rules never trigger themselves
+ */
+function isDerivedBy(rule, event) {
+  return typeof event.external_id === 'string' && event.external_id.startsWith(`rule:${rule.id}:`);
+}
+
+/**
+ * Work out what a rule fires for, given its trigger events
+ * @param {Object} rule - The rule
+ * @param {Array} events - Events matching the rule, covering the range (for
+ *   counting rules, every period the range touches)
+ * @param {Object} range - `{ from, to, now }` in milliseconds; firings happen
+ *   in the range (counting rules: in a period overlapping it) and by `now`
+ * @returns {Array} `{ key, time, triggers }` in time order
+ */
+function ruleFirings(rule, events, { from = -Infinity, to = Infinity, now = Date.now() } = {}) {
+  const triggers = events
+    .filter(event => !isDerivedBy(rule, event))
+    .map(event => ({ event, time: triggerTime(rule, event) }))
+    .filter(({ time }) => time <= now)
+    .sort((a, b) => a.time - b.time || (a.event.id < b.event.id ? -1 : 1));
+
+  if (!rule.count) {
+    return triggers
+      .filter(({ time }) => time >= from && time <= to)
+      .map(({ event, time }) => ({ key: event.id, time, triggers: [event] }));
+  }
+
+  const periods = new Map();
+  triggers.forEach(trigger => {
+    const period = rulePeriod(rule, trigger.time);
+    if (period.end <= from || period.start > to) {
+      return;
+    }
+    if (!periods.has(period.key)) {
+      periods.set(period.key, []);
+    }
+    periods.get(period.key).push(trigger);
+  });
+
+  return Array.from(periods.entries())
+    .filter(([, inPeriod]) => inPeriod.length >= rule.count)
+    .map(([key, inPeriod]) => {
+      const fired = inPeriod.slice(0, rule.count);
+      return { key, time: fired[fired.length - 1].time, triggers: fired.map(({ event }) => event) };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * The event a firing creates
+ * @param {Object} rule - The rule
+ * @param {Object} firing - From ruleFirings()
+ * @returns {Object} Event data
+ */
+function deriveEvent(rule, firing) {
+  const last = firing.triggers[firing.triggers.length - 1];
+  const values = {
+    title: last.title,
+    type: last.type,
+    source: last.source,
+    count: String(firing.triggers.length),
+    period: rule.count ? firing.key : '',
+    rule: rule.name
+  };
+
+  const event = {
+    title: rule.emit.title.replace(PLACEHOLDER_PATTERN, (placeholder, field) => values[field]),
+    type: rule.emit.type,
+    source: rule.emit.source,
+    timestamp: new Date(firing.time).toISOString(),
+    timezone: rule.count ? rule.timezone : last.timezone || rule.timezone,
+    external_id: firingExternalId(rule, firing.key),
+    linked_uris: firing.triggers.map(trigger => ({ uri: buildEventURI(trigger), relation: TRIGGER_RELATION }))
+  };
+  if (rule.emit.tags) {
+    event.tags = rule.emit.tags;
+  }
+  if (rule.emit.metadata) {
+    event.metadata = rule.emit.metadata;
+  }
+
+  return event;
+}
+
+module.exports = {
+  PERIODS,
+  AT,
+  DEFAULT_SOURCE,
+  TRIGGER_RELATION,
+  prepareRule,
+  triggerTime,
+  rulePeriod,
+  firingExternalId,
+  ruleFirings,
+  deriveEvent
+};
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+const { prepareRule, rulePeriod, ruleFirings, deriveEvent } = require('./rules');
+
+const fitnessWeek = prepareRule({
+  name: 'Fitness week',
+  match: { q: 'type:fitness.*' },
+  count: 3,
+  per: 'week',
+  timezone: 'Europe/Berlin',
+  emit: { title: '{{count}} workouts in {{period}}', type: 'achievement.fitness_week', tags: 'Fitness' }
+});
+
+const followUp = prepareRule({
+  name: 'Meeting notes',
+  match: { type: 'calendar.meeting' },
+  at: 'end',
+  timezone: 'UTC',
+  emit: { title: 'Notes on {{title}}', type: 'journal.prompt', source: 'journal' }
+});
+
+const event = (id, timestamp, fields = {}) => ({
+  id,
+  source: 'app',
+  type: 'fitness.run',
+  title: `Event ${id}`,
+  timestamp,
+  end_time: null,
+  timezone: 'UTC',
+  external_id: null,
+  ...fields
+});
+
+describe('prepareRule', () => {
+  test('normalizes the definition', () => {
+    expect(fitnessWeek).toMatchObject({
+      enabled: true,
+      at: 'start',
+      count: 3,
+      per: 'week',
+      emit: { source: 'rules', tags: ['Fitness'] }
+    });
+    expect(fitnessWeek.id).toBeTruthy();
+    expect(prepareRule({ enabled: false }, fitnessWeek)).toMatchObject({ id: fitnessWeek.id, enabled: false, count: 3 });
+  });
+
+  test('rejects incomplete or invalid rules', () => {
+    const valid = { name: 'R', match: { type: 'x' }, emit: { title: 'T', type: 'y' } };
+    expect(() => prepareRule({ ...valid, name: '' })).toThrow('Invalid rule: name is required');
+    expect(() => prepareRule({ ...valid, match: {} })).toThrow('Invalid rule: match needs at least one');
+    expect(() => prepareRule({ ...valid, at: 'middle' })).toThrow('at must be one of start, end');
+    expect(() => prepareRule({ ...valid, count: 3 })).toThrow('count and per go together');
+    expect(() => prepareRule({ ...valid, count: 0, per: 'week' })).toThrow('count must be a positive integer');
+    expect(() => prepareRule({ ...valid, count: 2, per: 'fortnight' })).toThrow('per must be one of');
+    expect(() => prepareRule({ ...valid, emit: { title: 'T' } })).toThrow('emit.type is required');
+    expect(() => prepareRule({ ...valid, emit: { title: '{{mood}}', type: 'y' } })).toThrow('cannot use {{mood}}');
+  });
+});
+
+describe('rulePeriod', () => {
+  test('uses ISO weeks in the rule time zone', () => {
+    // Sunday 23:30 UTC is already Monday in Berlin
+    const period = rulePeriod(fitnessWeek, Date.parse('2024-05-12T22:30:00Z'));
+    expect(period.key).toBe('2024-W20');
+    expect(new Date(period.start).toISOString()).toBe('2024-05-12T22:00:00.000Z');
+    expect(new Date(period.end).toISOString()).toBe('2024-05-19T22:00:00.000Z');
+  });
+});
+
+describe('ruleFirings', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+
+  test('fires a counting rule once per period that reaches the count', () => {
+    const events = [
+      event('a', '2024-05-06T07:00:00Z'),
+      event('b', '2024-05-08T07:00:00Z'),
+      event('c', '2024-05-10T07:00:00Z'),
+      event('d', '2024-05-11T07:00:00Z'),
+      event('e', '2024-05-14T07:00:00Z')
+    ];
+
+    const firings = ruleFirings(fitnessWeek, events, { now });
+    expect(firings).toHaveLength(1);
+    expect(firings[0]).toMatchObject({ key: '2024-W19', time: Date.parse('2024-05-10T07:00:00Z') });
+    expect(firings[0].triggers.map(trigger => trigger.id)).toEqual(['a', 'b', 'c']);
+
+    // Periods outside the range, and triggers after now, are left out
+    expect(ruleFirings(fitnessWeek, events, { from: Date.parse('2024-05-13T00:00:00Z'), now })).toEqual([]);
+    expect(ruleFirings(fitnessWeek, events, { now: Date.parse('2024-05-09T00:00:00Z') })).toEqual([]);
+  });
+
+  test('fires once per trigger at its end, ignoring its own events', () => {
+    const events = [
+      event('m1', '2024-05-06T09:00:00Z', { type: 'calendar.meeting', end_time: '2024-05-06T10:00:00Z' }),
+      event('m2', '2024-05-31T23:00:00Z', { type: 'calendar.meeting', end_time: '2024-06-01T01:00:00Z' }),
+      event('own', '2024-05-06T10:00:00Z', { external_id: `rule:${followUp.id}:m0` })
+    ];
+
+    const firings = ruleFirings(followUp, events, { now });
+    expect(firings.map(firing => [firing.key, new Date(firing.time).toISOString()]))
+      .toEqual([['m1', '2024-05-06T10:00:00.000Z']]);
+  });
+});
+
+describe('deriveEvent', () => {
+  test('builds the event with links back to its triggers', () => {
+    const triggers = [event('a', '2024-05-06T07:00:00Z'), event('b', '2024-05-08T07:00:00Z'), event('c', '2024-05-10T07:00:00Z')];
+    const derived = deriveEvent(fitnessWeek, { key: '2024-W19', time: Date.parse('2024-05-10T07:00:00Z'), triggers });
+
+    expect(derived).toEqual({
+      title: '3 workouts in 2024-W19',
+      type: 'achievement.fitness_week',
+      source: 'rules',
+      timestamp: '2024-05-10T07:00:00.000Z',
+      timezone: 'Europe/Berlin',
+      external_id: `rule:${fitnessWeek.id}:2024-W19`,
+      tags: ['Fitness'],
+      linked_uris: [
+        { uri: 'life://app/fitness.run/a', relation: 'triggered_by' },
+        { uri: 'life://app/fitness.run/b', relation: 'triggered_by' },
+        { uri: 'life://app/fitness.run/c', relation: 'triggered_by' }
+      ]
+    });
+
+    const meeting = event('m1', '2024-05-06T09:00:00Z', { type: 'calendar.meeting', title: 'Standup' });
+    expect(deriveEvent(followUp, { key: 'm1', time: Date.parse('2024-05-06T10:00:00Z'), triggers: [meeting] }))
+      .toMatchObject({ title: 'Notes on Standup', source: 'journal', external_id: `rule:${followUp.id}:m1` });
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Full-text search query parsing and matching
+ *
+ * Queries support bare words, "quoted phrases", prefixes (`walk*`), the
+ * operators AND, OR and NOT (upper case, as in SQLite FTS5) and parentheses.
+ * Adjacent terms are ANDed. The parsed query is either rendered as an FTS5
+ * MATCH expression (SQLite backend) or evaluated in JavaScript (file backends).
+ */
+
+// Indexed fields and their relevance weights, in FTS5 column order
+const SEARCH_FIELDS = [
+  { name: 'title', weight: 10 },
+  { name: 'tags', weight: 5 },
+  { name: 'metadata', weight: 2 },
+  { name: 'source', weight: 1 },
+  { name: 'type', weight: 1 }
+];
+
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+const ELLIPSIS = '…';
+const SNIPPET_TOKENS = 12;
+
+// Snippets are HTML: the event text is escaped and only the highlights are
+// tags. FTS5 cannot escape, so it marks hits with these private-use
+// characters, which are turned into tags after escaping (markSnippet).
+const HIT_START = '\uE000';
+const HIT_END = '\uE001';
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower-case a word and strip diacritics, like FTS5's unicode61 tokenizer
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeWord(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized words with their positions in the original
+ * @param {string} text - Text
+ * @returns {Array} `{ word, start, end }`
+ */
+function tokenize(text) {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), match => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Split a query into parentheses, operators and search terms
+ */
+function lexQuery(input) {
+  const tokens = [];
+  const pattern = /"([^"]*)("?)(\*?)|\(|\)|[^\s()"]+/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [text, phrase, closed, star] = match;
+
+    if (text === '(' || text === ')') {
+      tokens.push({ kind: text, position: match.index });
+    } else if (OPERATORS.includes(text)) {
+      tokens.push({ kind: 'op', value: text, position: match.index });
+    } else {
+      const isPhrase = phrase !== undefined;
+      if (isPhrase && !closed) {
+        throw new Error(`Invalid search query: unterminated phrase at position ${match.index}`);
+      }
+
+      const raw = isPhrase ? phrase : text;
+      const words = tokenize(raw).map(token => token.word);
+      // Punctuation-only terms have nothing to match
+      if (words.length > 0) {
+        const prefix = isPhrase ? star === '*' : raw.endsWith('*');
+        tokens.push({ kind: 'leaf', node: { type: 'phrase', words, prefix }, position: match.index });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a search query
+ * @param {string} input - Query text
+ * @returns {Object} Query tree of `phrase`, `and`, `or` and `not` nodes
+ */
+function parseSearchQuery(input) {
+  const tokens = lexQuery(String(input || ''));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message) => {
+    const token = peek();
+    const where = token ? `at position ${token.position}` : 'at end of query';
+    throw new Error(`Invalid search query: ${message} ${where}`);
+  };
+
+  // NOT binds tighter than AND, which binds tighter than OR (as in FTS5)
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().kind === 'op' && peek().value === 'OR') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    for (;;) {
+      const token = peek();
+      if (token && token.kind === 'op' && token.value === 'AND') {
+        index++;
+      } else if (!token || (token.kind !== 'leaf' && token.kind !== '(')) {
+        break;
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = () => {
+    let node = parsePrimary();
+    while (peek() && peek().kind === 'op' && peek().value === 'NOT') {
+      index++;
+      node = { type: 'not', include: node, exclude: parsePrimary() };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('expected a search term');
+
+    if (token.kind === 'leaf') {
+      index++;
+      return token.node;
+    }
+    if (token.kind === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().kind !== ')') fail('expected ")"');
+      index++;
+      return node;
+    }
+    return fail(`unexpected "${token.value || token.kind}"`);
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Invalid search query: no searchable terms');
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) fail('unexpected input');
+
+  return tree;
+}
+
+/**
+ * Render a parsed query as an FTS5 MATCH expression
+ * @param {Object} node - Parsed query
+ * @returns {string} FTS5 query
+ */
+function toFtsQuery(node) {
+  switch (node.type) {
+    case 'phrase':
+      return `"${node.words.join(' ').replace(/"/g, '""')}"${node.prefix ? '*' : ''}`;
+    case 'and':
+      return `(${node.children.map(toFtsQuery).join(' AND ')})`;
+    case 'or':
+      return `(${node.children.map(toFtsQuery).join(' OR ')})`;
+    case 'not':
+      return `(${toFtsQuery(node.include)} NOT ${toFtsQuery(node.exclude)})`;
+    default:
+      throw new Error(`Unknown search node: ${node.type}`);
+  }
+}
+
+/**
+ * Text of each indexed field, matching what the SQLite index stores
+ * @param {Object} event - The event
+ * @returns {Object} Field name -> text
+ */
+function searchableFields(event) {
+  const metadataValues = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    } else if (value !== null && value !== undefined && typeof value !== 'boolean') {
+      metadataValues.push(String(value));
+    }
+  };
+  collect(event.metadata || {});
+
+  return {
+    title: event.title || '',
+    tags: (event.tags || []).join(' '),
+    metadata: metadataValues.join(' '),
+    source: event.source || '',
+    type: event.type || ''
+  };
+}
+
+/**
+ * Match a parsed query against an event
+ * @param {Object} node - Parsed query
+ * @param {Object} event - The event
+ * @returns {Object|null} `{ score, snippet }`, or null if the event does not match
+ */
+function matchEvent(node, event) {
+  const fields = searchableFields(event);
+  const tokens = {};
+  SEARCH_FIELDS.forEach(({ name }) => {
+    tokens[name] = tokenize(fields[name]);
+  });
+
+  const hits = evaluate(node, tokens);
+  if (!hits) {
+    return null;
+  }
+
+  let score = 0;
+  const hitsByField = {};
+  hits.forEach(hit => {
+    score += SEARCH_FIELDS.find(field => field.name === hit.field).weight;
+    (hitsByField[hit.field] = hitsByField[hit.field] || []).push(hit);
+  });
+
+  // Like FTS5's snippet(), show the field with the most matches
+  const best = SEARCH_FIELDS
+    .map(({ name }) => name)
+    .filter(name => hitsByField[name])
+    .sort((a, b) => hitsByField[b].length - hitsByField[a].length)[0];
+
+  return {
+    score,
+    snippet: best ? buildSnippet(fields[best], tokens[best], hitsByField[best]) : ''
+  };
+}
+
+/**
+ * Find the hits for a query node, or null when it does not match
+ */
+function evaluate(node, tokens) {
+  switch (node.type) {
+    case 'phrase': {
+      const hits = [];
+      Object.keys(tokens).forEach(field => {
+        const words = tokens[field];
+        for (let start = 0; start + node.words.length <= words.length; start++) {
+          const matches = node.words.every((word, offset) => {
+            const candidate = words[start + offset].word;
+            const isLast = offset === node.words.length - 1;
+            return node.prefix && isLast ? candidate.startsWith(word) : candidate === word;
+          });
+          if (matches) {
+            hits.push({ field, start, end: start + node.words.length });
+          }
+        }
+      });
+      return hits.length > 0 ? hits : null;
+    }
+    case 'and': {
+      const results = node.children.map(child => evaluate(child, tokens));
+      return results.every(Boolean) ? results.flat() : null;
+    }
+    case 'or': {
+      const results = node.children.map(child => evaluate(child, tokens)).filter(Boolean);
+      return results.length > 0 ? results.flat() : null;
+    }
+    case 'not': {
+      const included = evaluate(node.include, tokens);
+      return included && !evaluate(node.exclude, tokens) ? included : null;
+    }
+    default:
+      throw new Error(`Unknown search node: ${node.type}`);
+  }
+}
+
+/**
+ * Cut a window of text around the first hit and highlight every hit in it
+ */
+function buildSnippet(text, words, hits) {
+  const first = Math.min(...hits.map(hit => hit.start));
+  const from = Math.max(0, Math.min(first, words.length - SNIPPET_TOKENS));
+  const to = Math.min(words.length, from + SNIPPET_TOKENS);
+
+  const highlighted = new Set();
+  hits.forEach(hit => {
+    for (let i = hit.start; i < hit.end; i++) highlighted.add(i);
+  });
+
+  let snippet = from > 0 ? ELLIPSIS : '';
+  let cursor = words[from].start;
+  for (let i = from; i < to; i++) {
+    snippet += escapeHTML(text.slice(cursor, words[i].start));
+    const opens = highlighted.has(i) && (i === from || !highlighted.has(i - 1));
+    const closes = highlighted.has(i) && (i + 1 === to || !highlighted.has(i + 1));
+    snippet += `${opens ? HIGHLIGHT_OPEN : ''}${escapeHTML(text.slice(words[i].start, words[i].end))}${closes ? HIGHLIGHT_CLOSE : ''}`;
+    cursor = words[i].end;
+  }
+  snippet += to < words.length ? ELLIPSIS : escapeHTML(text.slice(cursor));
+
+  return snippet;
+}
+
+function escapeHTML(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Turn a snippet with hits between HIT_START and HIT_END (as written by
+ * FTS5's snippet()) into escaped HTML with highlighted hits
+ * @param {string} text - Raw snippet
+ * @returns {string} Snippet HTML
+ */
+function markSnippet(text) {
+  return escapeHTML(text)
+    .split(HIT_START).join(HIGHLIGHT_OPEN)
+    .split(HIT_END).join(HIGHLIGHT_CLOSE);
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  HIGHLIGHT_OPEN,
+  HIGHLIGHT_CLOSE,
+  ELLIPSIS,
+  SNIPPET_TOKENS,
+  HIT_START,
+  HIT_END,
+  parseSearchQuery,
+  toFtsQuery,
+  matchEvent,
+  markSnippet
+};
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+const { parseSearchQuery, toFtsQuery, matchEvent } = require('./search');
+
+describe('parseSearchQuery', () => {
+  const fts = (query) => toFtsQuery(parseSearchQuery(query));
+
+  test('quotes terms so punctuation cannot break the FTS5 syntax', () => {
+    expect(fts('run')).toBe('"run"');
+    expect(fts("don't walk*")).toBe('("don t" AND "walk"*)');
+    expect(fts('"river bank"*')).toBe('"river bank"*');
+    expect(fts('title:run')).toBe('"title run"');
+  });
+
+  test('applies FTS5 operator precedence', () => {
+    expect(fts('a OR b c')).toBe('("a" OR ("b" AND "c"))');
+    expect(fts('a NOT b OR c')).toBe('(("a" NOT "b") OR "c")');
+    expect(fts('(a OR b) AND c')).toBe('(("a" OR "b") AND "c")');
+  });
+
+  test('reports syntax errors with their position', () => {
+    expect(() => parseSearchQuery('run AND')).toThrow('Invalid search query: expected a search term at end of query');
+    expect(() => parseSearchQuery('OR run')).toThrow('unexpected "OR" at position 0');
+    expect(() => parseSearchQuery('(run')).toThrow('expected ")"');
+    expect(() => parseSearchQuery('"river')).toThrow('unterminated phrase at position 0');
+    expect(() => parseSearchQuery('  -- ')).toThrow('no searchable terms');
+  });
+});
+
+describe('matchEvent', () => {
+  const event = {
+    title: 'Café visit',
+    tags: ['coffee'],
+    metadata: { place: 'Corner Café', visited: true },
+    source: 'location',
+    type: 'location.visit'
+  };
+
+  test('matches case- and accent-insensitively', () => {
+    expect(matchEvent(parseSearchQuery('CAFE'), event)).toEqual({
+      score: 12,
+      snippet: '<mark>Café</mark> visit'
+    });
+    expect(matchEvent(parseSearchQuery('true'), event)).toBeNull();
+  });
+
+  test('escapes HTML around the highlights', () => {
+    expect(matchEvent(parseSearchQuery('jerry'), { title: 'Tom & <b>Jerry</b>' }).snippet)
+      .toBe('Tom &amp; &lt;b&gt;<mark>Jerry</mark>&lt;/b&gt;');
+  });
+
+  test('trims long snippets around the first match', () => {
+    const long = { title: 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen' };
+    expect(matchEvent(parseSearchQuery('fourteen'), long).snippet)
+      .toBe('…three four five six seven eight nine ten eleven twelve thirteen <mark>fourteen</mark>');
+  });
+});
@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const MemoryStorage = require('./memoryStorage');
+const { RECORD_COLLECTIONS, normalizeEvent } = require('./rows');
+const { writeFileAtomic } = require('../fsUtils');
+
+/**
+ * File-per-event storage backend
+ *
+ * Stores each event as `<eventsDir>/<id>.json`, the same folder the local
+ * `life://` file system resolver reads from. Revision history is kept next to
+ * it in `<eventsDir>/.revisions/<id>.json`, and records such as habits in
+ * `<eventsDir>/.<collection>/<key>.json`.
+ */
+class FileStorage extends MemoryStorage {
+  constructor(options = {}) {
+    super();
+    this.eventsDir = options.eventsDir || './data/events';
+    this.revisionsDir = path.join(this.eventsDir, '.revisions');
+    this.recordDirs = new Map(Object.keys(RECORD_COLLECTIONS).map(collection => [
+      collection,
+      path.join(this.eventsDir, `.${collection}`)
+    ]));
+    // File name -> mtime of the version currently held in memory
+    this.stamps = new Map();
+  }
+
+  async initialize() {
+    await fs.mkdir(this.revisionsDir, { recursive: true });
+    for (const dir of this.recordDirs.values()) {
+      await fs.mkdir(dir, { recursive: true });
+    }
+    await super.initialize();
+  }
+
+  /**
+   * Re-read event files that were added, changed or removed on disk
+   * @returns {Map|null} Events by ID, or null when the cache is current
+   */
+  async load() {
+    const files = (await fs.readdir(this.eventsDir)).filter(file => file.endsWith('.json'));
+    const seen = new Set(files);
+    let changed = false;
+
+    const events = new Map(this.events);
+
+    for (const [file] of this.stamps) {
+      if (!seen.has(file)) {
+        events.delete(fileToId(file));
+        this.stamps.delete(file);
+        changed = true;
+      }
+    }
+
+    for (const file of files) {
+      const filePath = path.join(this.eventsDir, file);
+      let stat;
+      try {
+        stat = await fs.stat(filePath);
+      } catch (error) {
+        // Removed between readdir and stat
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      if (this.stamps.get(file) === stat.mtimeMs) {
+        continue;
+      }
+
+      try {
+        const event = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        events.set(event.id, normalizeEvent(event));
+        this.stamps.set(file, stat.mtimeMs);
+        changed = true;
+      } catch (error) {
+        console.error(`Skipping unreadable event file ${filePath}:`, error.message);
+      }
+    }
+
+    return changed ? events : null;
+  }
+
+  /**
+   * Write changed events to their own files and remove deleted ones
+   * @param {Object} changes - `{ upserted: [event], deleted: [id], revisions: Map, records: Map }`
+   */
+  async persist({ upserted = [], deleted = [], revisions = new Map(), records = new Map() } = {}) {
+    for (const event of upserted) {
+      const file = idToFile(event.id);
+      const filePath = path.join(this.eventsDir, file);
+      await writeFileAtomic(filePath, JSON.stringify(event, null, 2));
+      this.stamps.set(file, (await fs.stat(filePath)).mtimeMs);
+    }
+
+    for (const id of deleted) {
+      const file = idToFile(id);
+      try {
+        await fs.unlink(path.join(this.eventsDir, file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.stamps.delete(file);
+    }
+
+    for (const [eventId, list] of revisions) {
+      await writeFileAtomic(
+        path.join(this.revisionsDir, idToFile(eventId)),
+        JSON.stringify(list, null, 2)
+      );
+    }
+
+    for (const [collection, changes] of records) {
+      for (const [key, record] of changes) {
+        const filePath = path.join(this.recordDirs.get(collection), idToFile(key));
+        if (record) {
+          await writeFileAtomic(filePath, JSON.stringify(record, null, 2));
+          continue;
+        }
+        try {
+          await fs.unlink(filePath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    }
+  }
+
+  async readRevisions(eventId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.revisionsDir, idToFile(eventId)), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async readRecords(collection) {
+    const dir = this.recordDirs.get(collection);
+    const records = new Map();
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        records.set(record[RECORD_COLLECTIONS[collection]], record);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        console.error(`Skipping unreadable record file ${path.join(dir, file)}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+}
+
+function idToFile(id) {
+  return `${encodeURIComponent(id)}.json`;
+}
+
+function fileToId(file) {
+  return decodeURIComponent(file.slice(0, -'.json'.length));
+}
+
+module.exports = FileStorage;
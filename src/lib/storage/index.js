@@ -0,0 +1,79 @@
+/**
+ * Storage backends for LifeEvents
+ *
+ * Every backend implements the same interface:
+ *   initialize(), close(), transaction(operation)
+ *   events: insertEvent(event), getEvent(id, options), findByExternalId(source, externalId),
+ *     queryEvents(options), countEvents(options), listEventRows(options), updateEvent(id, event),
+ *     deleteEvent(id), groupEvents(field, options), getStats(), getTagCounts()
+ *   trash: trashEvent(id, deletedAt), restoreEvent(id)
+ *   search: searchEvents(query, options), countSearchResults(query, options)
+ *   revisions: addRevision(revision), getRevision(eventId, revision), getRevisions(eventId)
+ *   links: getLinks(eventId), getBacklinks(targetId)
+ *   attachments: insertAttachment(attachment), getAttachment(id), listAttachments(options),
+ *     deleteAttachment(id)
+ *   event types: saveEventType(entry), getEventType(type), listEventTypes(), deleteEventType(type)
+ *   habits: insertHabit(habit), getHabit(id), listHabits(), updateHabit(id, habit), deleteHabit(id)
+ *   rules: insertRule(rule), getRule(id), listRules(), updateRule(id, rule), deleteRule(id)
+ *
+ * The SQLite backend adds its migrations and raw access: migrate(), migrator(),
+ * syncMetadataIndexes(paths), exclusive(operation), backupTo(file), and
+ * run(), get() and all() for SQL.
+ */
+
+const SQLiteStorage = require('./sqliteStorage');
+const JsonFileStorage = require('./jsonFileStorage');
+const FileStorage = require('./fileStorage');
+
+const STORAGE_BACKENDS = {
+  sqlite: SQLiteStorage,
+  json: JsonFileStorage,
+  files: FileStorage
+};
+
+/**
+ * Resolve storage configuration from explicit options and environment
+ * @param {Object} options - Overrides
+ * @returns {Object} Storage configuration
+ */
+function getStorageConfig(options = {}) {
+  return {
+    backend: options.backend || process.env.STORAGE_BACKEND || 'sqlite',
+    dbPath: options.dbPath || process.env.DB_PATH || './data/lifeos.db',
+    jsonPath: options.jsonPath || process.env.JSON_PATH || './data/events.json',
+    eventsDir: options.eventsDir || process.env.EVENTS_DIR || './data/events',
+    backupDir: options.backupDir || process.env.BACKUP_DIR || './data/backups',
+    attachmentsDir: options.attachmentsDir || process.env.ATTACHMENTS_DIR || './data/attachments',
+    autoMigrate: options.autoMigrate,
+    // Metadata paths to index (SQLite only), e.g. METADATA_INDEXES=artist,route.distance_km
+    metadataIndexes: options.metadataIndexes || parseList(process.env.METADATA_INDEXES)
+  };
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Create the configured storage backend
+ * @param {Object} options - Storage options (see getStorageConfig)
+ * @returns {Object} Storage backend instance
+ */
+function createStorage(options = {}) {
+  const config = getStorageConfig(options);
+  const Backend = STORAGE_BACKENDS[config.backend];
+
+  if (!Backend) {
+    throw new Error(
+      `Unknown storage backend: ${config.backend} (expected one of ${Object.keys(STORAGE_BACKENDS).join(', ')})`
+    );
+  }
+
+  return new Backend(config);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageConfig,
+  createStorage
+};
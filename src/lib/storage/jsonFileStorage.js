@@ -0,0 +1,109 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const MemoryStorage = require('./memoryStorage');
+const { RECORD_COLLECTIONS, normalizeEvent } = require('./rows');
+const { writeFileAtomic } = require('../fsUtils');
+
+/**
+ * JSON file storage backend
+ *
+ * Keeps every event in a single JSON document:
+ * `{ "version": 1, "events": [ ... ], "revisions": { "<id>": [ ... ] }, "habits": [ ... ], ... }`,
+ * with one list per record collection (see RECORD_COLLECTIONS in rows.js).
+ */
+class JsonFileStorage extends MemoryStorage {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.jsonPath || './data/events.json';
+    this.stamp = null;
+    this.revisions = new Map();
+    this.records = emptyRecords();
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await super.initialize();
+  }
+
+  /**
+   * Read the JSON file if it changed since it was last loaded
+   * @returns {Map|null} Events by ID, or null when the cache is current
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      const wasLoaded = this.stamp !== null;
+      this.stamp = null;
+      this.revisions = new Map();
+      this.records = emptyRecords();
+      return wasLoaded || this.events.size > 0 ? new Map() : null;
+    }
+
+    const stamp = `${stat.mtimeMs}:${stat.size}`;
+    if (stamp === this.stamp) {
+      return null;
+    }
+
+    const content = await fs.readFile(this.filePath, 'utf8');
+    const document = content.trim() ? JSON.parse(content) : { events: [] };
+    const events = new Map();
+
+    (document.events || []).forEach(event => {
+      events.set(event.id, normalizeEvent(event));
+    });
+
+    this.revisions = new Map(Object.entries(document.revisions || {}));
+    this.records = emptyRecords();
+    Object.entries(RECORD_COLLECTIONS).forEach(([collection, key]) => {
+      (document[collection] || []).forEach(record => this.records.get(collection).set(record[key], record));
+    });
+    this.stamp = stamp;
+    return events;
+  }
+
+  /**
+   * Rewrite the JSON file with the current set of events
+   * @param {Object} changes - Changed revisions and records; events are already in memory
+   */
+  async persist({ revisions = new Map(), records = new Map() } = {}) {
+    revisions.forEach((list, eventId) => this.revisions.set(eventId, list));
+    records.forEach((changes, collection) => {
+      const stored = this.records.get(collection);
+      changes.forEach((record, key) => (record ? stored.set(key, record) : stored.delete(key)));
+    });
+
+    const document = {
+      version: 1,
+      events: Array.from(this.events.values()),
+      revisions: Object.fromEntries(this.revisions)
+    };
+    this.records.forEach((stored, collection) => {
+      document[collection] = Array.from(stored.values());
+    });
+
+    await writeFileAtomic(this.filePath, JSON.stringify(document, null, 2));
+
+    const stat = await fs.stat(this.filePath);
+    this.stamp = `${stat.mtimeMs}:${stat.size}`;
+  }
+
+  async readRevisions(eventId) {
+    return [...(this.revisions.get(eventId) || [])];
+  }
+
+  async readRecords(collection) {
+    return new Map(this.records.get(collection));
+  }
+}
+
+function emptyRecords() {
+  return new Map(Object.keys(RECORD_COLLECTIONS).map(collection => [collection, new Map()]));
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,724 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const {
+  serializeEvent,
+  normalizeEvent,
+  serializeHabit,
+  deserializeHabit,
+  serializeEventType,
+  deserializeEventType,
+  serializeRule,
+  deserializeRule,
+  serializeAttachment
+} = require('./rows');
+const { parseSearchQuery, matchEvent } = require('../search');
+const { matchesTagFilters } = require('../tags');
+const { extractLinks } = require('../links');
+const { parseSort, sortValues, fieldValue, compareValues } = require('../query');
+const { matchesFilter } = require('../filterQuery');
+const { getCoordinates, distanceBetween, isInBoundingBox } = require('../geo');
+
+/**
+ * Base class for backends that keep events in memory and persist them
+ * to plain files.
+ *
+ * Subclasses implement `load()` (returning a Map of id -> event, or null when
+ * the cached copy is still current), `persist({ upserted, deleted, revisions, records })`,
+ * `readRevisions(eventId)` and `readRecords(collection)`. Records are the
+ * other things a store keeps, such as habits, in the collections listed in
+ * rows.js (RECORD_COLLECTIONS). Filtering, sorting and search mirror the SQL
+ * used by the SQLite backend.
+ */
+class MemoryStorage {
+  constructor() {
+    this.events = new Map();
+    // Serializes writes so read-modify-write cycles never interleave
+    this.queue = Promise.resolve();
+    // Holds the pending changes of the transaction the current call runs in
+    this.txContext = new AsyncLocalStorage();
+    this.activeTransactions = 0;
+  }
+
+  async initialize() {
+    await this.refresh();
+  }
+
+  /**
+   * Reload events from disk if another process changed them
+   */
+  async refresh() {
+    // Reloading mid-transaction would throw away uncommitted changes
+    if (this.activeTransactions > 0) {
+      return;
+    }
+
+    const events = await this.load();
+    if (events) {
+      this.events = events;
+    }
+  }
+
+  /**
+   * Run a write operation after all pending writes have finished
+   * @param {Function} operation - Async operation
+   * @returns {Promise} The operation result
+   */
+  enqueue(operation) {
+    // Already inside a transaction, which holds the queue
+    if (this.txContext.getStore()) {
+      return operation();
+    }
+
+    const result = this.queue.then(async () => {
+      await this.refresh();
+      return operation();
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Run operations as one unit: changes are written to disk together when
+   * the operation resolves and discarded if it throws
+   * @param {Function} operation - Async operation using this storage
+   * @returns {Promise} The operation result
+   */
+  async transaction(operation) {
+    if (this.txContext.getStore()) {
+      return operation();
+    }
+
+    return this.enqueue(async () => {
+      const tx = {
+        snapshot: new Map(this.events),
+        upserted: new Map(),
+        deleted: new Set(),
+        revisions: new Map(),
+        records: new Map()
+      };
+
+      this.activeTransactions++;
+      try {
+        const result = await this.txContext.run(tx, operation);
+        await this.persist({
+          upserted: Array.from(tx.upserted.values()),
+          deleted: Array.from(tx.deleted),
+          revisions: tx.revisions,
+          records: tx.records
+        });
+        return result;
+      } catch (error) {
+        this.events = tx.snapshot;
+        throw error;
+      } finally {
+        this.activeTransactions--;
+      }
+    });
+  }
+
+  /**
+   * Persist changes now, or hold them until the current transaction commits
+   * @param {Object} changes - `{ upserted: [event], deleted: [id], revisions: Map, records: Map }`;
+   *   `records` maps collections to Maps of key -> record, or null for deleted ones
+   */
+  async commit({ upserted = [], deleted = [], revisions = new Map(), records = new Map() }) {
+    const tx = this.txContext.getStore();
+    if (!tx) {
+      await this.persist({ upserted, deleted, revisions, records });
+      return;
+    }
+
+    upserted.forEach(event => {
+      tx.deleted.delete(event.id);
+      tx.upserted.set(event.id, event);
+    });
+    deleted.forEach(id => {
+      tx.upserted.delete(id);
+      tx.deleted.add(id);
+    });
+    revisions.forEach((list, eventId) => tx.revisions.set(eventId, list));
+    records.forEach((changes, collection) => {
+      if (!tx.records.has(collection)) {
+        tx.records.set(collection, new Map());
+      }
+      changes.forEach((record, key) => tx.records.get(collection).set(key, record));
+    });
+  }
+
+  /**
+   * Read revisions, including ones written earlier in the current transaction
+   */
+  async loadRevisions(eventId) {
+    const tx = this.txContext.getStore();
+    if (tx && tx.revisions.has(eventId)) {
+      return [...tx.revisions.get(eventId)];
+    }
+    return this.readRevisions(eventId);
+  }
+
+  /**
+   * Read a collection of records, including changes made earlier in the
+   * current transaction
+   * @param {string} collection - e.g. "habits"
+   * @returns {Map} Records by key
+   */
+  async loadRecords(collection) {
+    const records = await this.readRecords(collection);
+    const tx = this.txContext.getStore();
+    if (tx && tx.records.has(collection)) {
+      tx.records.get(collection).forEach((record, key) => (record ? records.set(key, record) : records.delete(key)));
+    }
+    return records;
+  }
+
+  /**
+   * Write one record, or delete it when `record` is null
+   */
+  async commitRecord(collection, key, record) {
+    await this.commit({ records: new Map([[collection, new Map([[key, record]])]]) });
+  }
+
+  async insertEvent(event) {
+    return this.enqueue(async () => {
+      if (this.events.has(event.id)) {
+        throw new Error(`UNIQUE constraint failed: events.id (${event.id})`);
+      }
+
+      const stored = normalizeEvent(event);
+      this.assertUniqueExternalId(stored);
+      this.events.set(stored.id, stored);
+      await this.commit({ upserted: [stored] });
+
+      return { ...stored };
+    });
+  }
+
+  async getEvent(id, options = {}) {
+    await this.refresh();
+    const event = this.events.get(id);
+    if (!event || (event.deleted_at && !options.includeDeleted)) {
+      return null;
+    }
+    return { ...event };
+  }
+
+  async findByExternalId(source, externalId) {
+    await this.refresh();
+    const event = this.findExternal(source, externalId);
+    return event ? { ...event } : null;
+  }
+
+  findExternal(source, externalId) {
+    for (const event of this.events.values()) {
+      if (event.source === source && event.external_id === externalId) {
+        return event;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mirror SQLite's unique (source, external_id) index
+   */
+  assertUniqueExternalId(event) {
+    if (event.external_id === null) {
+      return;
+    }
+
+    const other = this.findExternal(event.source, event.external_id);
+    if (other && other.id !== event.id) {
+      throw new Error(`UNIQUE constraint failed: events.source, events.external_id (${event.source}, ${event.external_id})`);
+    }
+  }
+
+  async queryEvents(options = {}) {
+    const { limit = 100, offset = 0, orderBy, after, near } = options;
+    const sort = parseSort(orderBy, { distance: Boolean(near) });
+
+    let matches = (await this.filterEvents(options)).sort(compareBy(sort, { distance: Boolean(near) }));
+
+    if (after) {
+      matches = matches.filter(event => compareSortValues(sortValues(event, sort), after, sort) > 0);
+    }
+
+    return matches
+      .slice(offset, offset + limit)
+      .map(event => ({ ...event }));
+  }
+
+  async listEventRows({ after = '', limit = 500 } = {}) {
+    await this.refresh();
+    return Array.from(this.events.values())
+      .filter(event => event.id > after)
+      .sort((a, b) => (a.id < b.id ? -1 : 1))
+      .slice(0, limit)
+      .map(serializeEvent);
+  }
+
+  async countEvents(options = {}) {
+    return (await this.filterEvents(options)).length;
+  }
+
+  async groupEvents(field, options = {}) {
+    const { limit = 100 } = options;
+    const counts = new Map();
+
+    (await this.filterEvents(options)).forEach(event => {
+      const value = fieldValue(event, field);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || compareValues(a.value, b.value))
+      .slice(0, limit);
+  }
+
+  async filterEvents(options) {
+    const {
+      source,
+      type,
+      startDate,
+      endDate,
+      tags,
+      tagsAll,
+      tagsNone,
+      trashed = false,
+      deletedBefore,
+      filter,
+      near,
+      radius,
+      bbox,
+      withCoordinates,
+      activeAt,
+      overlapStart,
+      overlapEnd
+    } = options;
+
+    await this.refresh();
+
+    const matches = Array.from(this.events.values()).filter(event => {
+      if (Boolean(event.deleted_at) !== Boolean(trashed)) return false;
+      if (deletedBefore && !(event.deleted_at < deletedBefore)) return false;
+      if (source && event.source !== source) return false;
+      if (type && event.type !== type) return false;
+      if (startDate && event.timestamp < startDate) return false;
+      if (endDate && event.timestamp > endDate) return false;
+      if (activeAt && !(event.timestamp <= activeAt && (event.end_time > activeAt || event.timestamp === activeAt))) return false;
+      if (overlapStart && !(event.end_time > overlapStart || event.timestamp >= overlapStart)) return false;
+      if (overlapEnd && event.timestamp > overlapEnd) return false;
+      if (!matchesTagFilters(event.tags, { tags, tagsAll, tagsNone })) return false;
+      if (near || bbox || withCoordinates) {
+        const position = getCoordinates(event.location);
+        if (!position) return false;
+        if (bbox && !isInBoundingBox(position, bbox)) return false;
+      }
+      return matchesFilter(filter, event);
+    });
+
+    if (!near) {
+      return matches;
+    }
+
+    // Like the SQLite backend, a near query reports each event's distance
+    return matches
+      .map(event => ({ ...event, distance: distanceBetween(near, getCoordinates(event.location)) }))
+      .filter(event => radius === undefined || event.distance <= radius);
+  }
+
+  async updateEvent(id, event) {
+    return this.enqueue(async () => {
+      const existing = this.events.get(id);
+      if (!existing) {
+        return false;
+      }
+
+      const stored = normalizeEvent({
+        ...event,
+        id,
+        created_at: existing.created_at,
+        deleted_at: existing.deleted_at
+      });
+      this.assertUniqueExternalId(stored);
+      this.events.set(id, stored);
+      await this.commit({ upserted: [stored] });
+
+      return true;
+    });
+  }
+
+  async trashEvent(id, deletedAt) {
+    return this.setDeletedAt(id, deletedAt);
+  }
+
+  async restoreEvent(id) {
+    return this.setDeletedAt(id, null);
+  }
+
+  async setDeletedAt(id, deletedAt) {
+    return this.enqueue(async () => {
+      const existing = this.events.get(id);
+      // Only move events that are not already where we want them
+      if (!existing || Boolean(existing.deleted_at) === Boolean(deletedAt)) {
+        return false;
+      }
+
+      const stored = { ...existing, deleted_at: deletedAt };
+      this.events.set(id, stored);
+      await this.commit({ upserted: [stored] });
+
+      return true;
+    });
+  }
+
+  async deleteEvent(id) {
+    return this.enqueue(async () => {
+      if (!this.events.has(id)) {
+        return false;
+      }
+
+      this.events.delete(id);
+      await this.commit({ deleted: [id] });
+
+      return true;
+    });
+  }
+
+  async searchEvents(query, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    return (await this.matchSearch(query, options)).slice(offset, offset + limit);
+  }
+
+  async countSearchResults(query, options = {}) {
+    return (await this.matchSearch(query, options)).length;
+  }
+
+  async matchSearch(query, { source, type, startDate, endDate }) {
+    const tree = parseSearchQuery(query);
+    const candidates = await this.filterEvents({ source, type, startDate, endDate });
+    const byTimestamp = compareBy('timestamp DESC');
+    const matches = [];
+    candidates.forEach(event => {
+      const match = matchEvent(tree, event);
+      if (match) {
+        matches.push({ ...event, ...match });
+      }
+    });
+
+    return matches.sort((a, b) => b.score - a.score || byTimestamp(a, b));
+  }
+
+  async getLinks(eventId) {
+    await this.refresh();
+    const event = this.events.get(eventId);
+    return event ? linkRows(event) : [];
+  }
+
+  async getBacklinks(targetId) {
+    await this.refresh();
+
+    return Array.from(this.events.values())
+      .filter(event => !event.deleted_at)
+      .sort(compareBy('timestamp DESC'))
+      .flatMap(event => linkRows(event).filter(link => link.target_id === targetId));
+  }
+
+  async getTagCounts() {
+    await this.refresh();
+
+    // Tags compare case-insensitively; the first spelling seen is reported
+    const counts = new Map();
+    this.events.forEach(event => {
+      if (event.deleted_at) return;
+      new Map((event.tags || []).map(tag => [String(tag).trim().toLowerCase(), String(tag).trim()]))
+        .forEach((tag, key) => {
+          if (!key) return;
+          const entry = counts.get(key) || { tag, count: 0 };
+          entry.count++;
+          counts.set(key, entry);
+        });
+    });
+
+    return Array.from(counts.values()).sort((a, b) => compareValues(a.tag.toLowerCase(), b.tag.toLowerCase()));
+  }
+
+  async getStats() {
+    await this.refresh();
+
+    const all = Array.from(this.events.values());
+    const events = all.filter(event => !event.deleted_at);
+
+    return {
+      total: events.length,
+      bySource: countBy(events, 'source'),
+      byType: countBy(events, 'type'),
+      trashed: all.length - events.length
+    };
+  }
+
+  async addRevision(revision) {
+    return this.enqueue(async () => {
+      const revisions = await this.loadRevisions(revision.event_id);
+      const stored = {
+        event_id: revision.event_id,
+        revision: revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1,
+        action: revision.action,
+        actor: revision.actor,
+        snapshot: revision.snapshot,
+        created_at: revision.created_at
+      };
+
+      await this.commit({ revisions: new Map([[revision.event_id, [...revisions, stored]]]) });
+
+      return stored;
+    });
+  }
+
+  async getRevisions(eventId) {
+    await this.refresh();
+    return this.loadRevisions(eventId);
+  }
+
+  async getRevision(eventId, revision) {
+    const revisions = await this.getRevisions(eventId);
+    return revisions.find(entry => entry.revision === revision) || null;
+  }
+
+  async insertHabit(habit) {
+    return this.enqueue(async () => {
+      if ((await this.loadRecords('habits')).has(habit.id)) {
+        throw new Error(`UNIQUE constraint failed: habits.id (${habit.id})`);
+      }
+
+      const stored = normalizeHabit(habit);
+      await this.commitRecord('habits', stored.id, stored);
+      return stored;
+    });
+  }
+
+  async getHabit(id) {
+    await this.refresh();
+    return (await this.loadRecords('habits')).get(id) || null;
+  }
+
+  async listHabits() {
+    await this.refresh();
+    return Array.from((await this.loadRecords('habits')).values())
+      .sort((a, b) => compareValues(a.name, b.name) || compareValues(a.id, b.id));
+  }
+
+  async updateHabit(id, habit) {
+    return this.enqueue(async () => {
+      const existing = (await this.loadRecords('habits')).get(id);
+      if (!existing) {
+        return null;
+      }
+
+      const stored = normalizeHabit({ ...habit, id, created_at: existing.created_at });
+      await this.commitRecord('habits', id, stored);
+      return stored;
+    });
+  }
+
+  async deleteHabit(id) {
+    return this.enqueue(async () => {
+      if (!(await this.loadRecords('habits')).has(id)) {
+        return false;
+      }
+
+      await this.commitRecord('habits', id, null);
+      return true;
+    });
+  }
+
+  async saveEventType(entry) {
+    return this.enqueue(async () => {
+      const existing = (await this.loadRecords('event_types')).get(entry.type);
+      const stored = normalizeEventType({
+        ...entry,
+        created_at: existing ? existing.created_at : entry.created_at
+      });
+
+      await this.commitRecord('event_types', stored.type, stored);
+      return stored;
+    });
+  }
+
+  async getEventType(type) {
+    await this.refresh();
+    return (await this.loadRecords('event_types')).get(type) || null;
+  }
+
+  async listEventTypes() {
+    await this.refresh();
+    return Array.from((await this.loadRecords('event_types')).values())
+      .sort((a, b) => compareValues(a.type, b.type));
+  }
+
+  async deleteEventType(type) {
+    return this.enqueue(async () => {
+      if (!(await this.loadRecords('event_types')).has(type)) {
+        return false;
+      }
+
+      await this.commitRecord('event_types', type, null);
+      return true;
+    });
+  }
+
+  async insertRule(rule) {
+    return this.enqueue(async () => {
+      if ((await this.loadRecords('rules')).has(rule.id)) {
+        throw new Error(`UNIQUE constraint failed: rules.id (${rule.id})`);
+      }
+
+      const stored = normalizeRule(rule);
+      await this.commitRecord('rules', stored.id, stored);
+      return stored;
+    });
+  }
+
+  async getRule(id) {
+    await this.refresh();
+    return (await this.loadRecords('rules')).get(id) || null;
+  }
+
+  async listRules() {
+    await this.refresh();
+    return Array.from((await this.loadRecords('rules')).values())
+      .sort((a, b) => compareValues(a.name, b.name) || compareValues(a.id, b.id));
+  }
+
+  async updateRule(id, rule) {
+    return this.enqueue(async () => {
+      const existing = (await this.loadRecords('rules')).get(id);
+      if (!existing) {
+        return null;
+      }
+
+      const stored = normalizeRule({ ...rule, id, created_at: existing.created_at });
+      await this.commitRecord('rules', id, stored);
+      return stored;
+    });
+  }
+
+  async deleteRule(id) {
+    return this.enqueue(async () => {
+      if (!(await this.loadRecords('rules')).has(id)) {
+        return false;
+      }
+
+      await this.commitRecord('rules', id, null);
+      return true;
+    });
+  }
+
+  async insertAttachment(attachment) {
+    return this.enqueue(async () => {
+      if ((await this.loadRecords('attachments')).has(attachment.id)) {
+        throw new Error(`UNIQUE constraint failed: attachments.id (${attachment.id})`);
+      }
+
+      const stored = serializeAttachment(attachment);
+      await this.commitRecord('attachments', stored.id, stored);
+      return stored;
+    });
+  }
+
+  async getAttachment(id) {
+    await this.refresh();
+    return (await this.loadRecords('attachments')).get(id) || null;
+  }
+
+  async listAttachments({ eventId, hash } = {}) {
+    await this.refresh();
+    return Array.from((await this.loadRecords('attachments')).values())
+      .filter(attachment => eventId === undefined || attachment.event_id === eventId)
+      .filter(attachment => hash === undefined || attachment.hash === hash)
+      .sort((a, b) => compareValues(a.created_at, b.created_at) || compareValues(a.id, b.id));
+  }
+
+  async deleteAttachment(id) {
+    return this.enqueue(async () => {
+      if (!(await this.loadRecords('attachments')).has(id)) {
+        return false;
+      }
+
+      await this.commitRecord('attachments', id, null);
+      return true;
+    });
+  }
+
+  close() {}
+
+  async load() {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+
+  async persist() {
+    throw new Error(`${this.constructor.name} must implement persist()`);
+  }
+
+  async readRevisions() {
+    throw new Error(`${this.constructor.name} must implement readRevisions()`);
+  }
+
+  async readRecords() {
+    throw new Error(`${this.constructor.name} must implement readRecords()`);
+  }
+}
+
+/**
+ * Build a comparator from a sort order (see lib/query.js)
+ * @param {string|Array} orderBy - e.g. "timestamp DESC, title ASC"
+ * @param {Object} options - parseSort() options
+ * @returns {Function} Comparator
+ */
+function compareBy(orderBy, options) {
+  const sort = parseSort(orderBy, options);
+  return (a, b) => compareSortValues(sortValues(a, sort), sortValues(b, sort), sort);
+}
+
+function compareSortValues(a, b, sort) {
+  for (let index = 0; index < sort.length; index++) {
+    const result = compareValues(a[index], b[index]);
+    if (result !== 0) {
+      return sort[index].direction === 'DESC' ? -result : result;
+    }
+  }
+  return 0;
+}
+
+function normalizeHabit(habit) {
+  return deserializeHabit(serializeHabit(habit));
+}
+
+function normalizeEventType(entry) {
+  return deserializeEventType(serializeEventType(entry));
+}
+
+function normalizeRule(rule) {
+  return deserializeRule(serializeRule(rule));
+}
+
+function linkRows(event) {
+  return extractLinks(event).map(link => ({
+    event_id: event.id,
+    target_uri: link.uri,
+    target_id: link.target_id,
+    relation: link.relation
+  }));
+}
+
+function countBy(events, field) {
+  const counts = {};
+  events.forEach(event => {
+    counts[event[field]] = (counts[event[field]] || 0) + 1;
+  });
+
+  return Object.keys(counts)
+    .sort()
+    .map(key => ({ [field]: key, count: counts[key] }));
+}
+
+module.exports = MemoryStorage;
+module.exports.compareBy = compareBy;
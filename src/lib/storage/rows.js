@@ -0,0 +1,263 @@
+/**
+ * Row (de)serialization shared by all storage backends
+ *
+ * Every backend hands events back in the same shape the SQLite backend
+ * produces, so callers never need to know where an event was stored.
+ */
+
+const { getCoordinates } = require('../geo');
+
+const EVENT_COLUMNS = [
+  'id',
+  'timestamp',
+  'end_time',
+  'timezone',
+  'source',
+  'external_id',
+  'type',
+  'title',
+  'metadata',
+  'linked_uris',
+  'tags',
+  'mood',
+  'location',
+  'duration',
+  'created_at',
+  'updated_at',
+  'deleted_at',
+  'latitude',
+  'longitude'
+];
+
+// Columns derived from other fields for indexing, never part of an event
+const DERIVED_COLUMNS = ['latitude', 'longitude'];
+
+const HABIT_COLUMNS = [
+  'id',
+  'name',
+  'rule',
+  'start',
+  'timezone',
+  'duration',
+  'match',
+  'created_at',
+  'updated_at'
+];
+
+const EVENT_TYPE_COLUMNS = [
+  'type',
+  'description',
+  'schema',
+  'owner',
+  'created_at',
+  'updated_at'
+];
+
+const RULE_COLUMNS = [
+  'id',
+  'name',
+  'enabled',
+  'match',
+  'at',
+  'count',
+  'per',
+  'timezone',
+  'emit',
+  'created_at',
+  'updated_at'
+];
+
+const ATTACHMENT_COLUMNS = [
+  'id',
+  'event_id',
+  'hash',
+  'filename',
+  'content_type',
+  'size',
+  'created_at'
+];
+
+// Things stored besides events, by collection, with the field that identifies each
+const RECORD_COLLECTIONS = {
+  habits: 'id',
+  event_types: 'type',
+  rules: 'id',
+  attachments: 'id'
+};
+
+// Columns a regular update never overwrites (the trash manages deleted_at)
+const IMMUTABLE_COLUMNS = ['id', 'created_at', 'deleted_at'];
+
+/**
+ * Serialize an event into a flat row with JSON-encoded complex fields
+ * @param {Object} event - The event
+ * @returns {Object} The row
+ */
+function serializeEvent(event) {
+  const row = {};
+
+  EVENT_COLUMNS.forEach(column => {
+    row[column] = event[column] === undefined ? null : event[column];
+  });
+
+  row.metadata = JSON.stringify(event.metadata || {});
+  row.linked_uris = JSON.stringify(event.linked_uris || []);
+  row.tags = JSON.stringify(event.tags || []);
+  row.location = event.location ? JSON.stringify(event.location) : null;
+
+  const position = getCoordinates(event.location);
+  row.latitude = position ? position.lat : null;
+  row.longitude = position ? position.lng : null;
+
+  return row;
+}
+
+/**
+ * Parse a stored row back into an event
+ * @param {Object} row - The row
+ * @returns {Object} The event
+ */
+function deserializeRow(row) {
+  const fields = { ...row };
+  DERIVED_COLUMNS.forEach(column => delete fields[column]);
+
+  return {
+    ...fields,
+    metadata: JSON.parse(row.metadata || '{}'),
+    linked_uris: JSON.parse(row.linked_uris || '[]'),
+    tags: JSON.parse(row.tags || '[]'),
+    location: row.location ? JSON.parse(row.location) : null
+  };
+}
+
+/**
+ * Normalize an event to the shape returned by the storage layer
+ * @param {Object} event - The event
+ * @returns {Object} The normalized event
+ */
+function normalizeEvent(event) {
+  return deserializeRow(serializeEvent(event));
+}
+
+/**
+ * Serialize a habit (see lib/habits.js) into a flat row
+ * @param {Object} habit - The habit
+ * @returns {Object} The row
+ */
+function serializeHabit(habit) {
+  const row = {};
+
+  HABIT_COLUMNS.forEach(column => {
+    row[column] = habit[column] === undefined ? null : habit[column];
+  });
+  row.match = JSON.stringify(habit.match || {});
+
+  return row;
+}
+
+/**
+ * Parse a stored row back into a habit
+ * @param {Object} row - The row
+ * @returns {Object} The habit
+ */
+function deserializeHabit(row) {
+  return {
+    ...row,
+    match: JSON.parse(row.match || '{}')
+  };
+}
+
+/**
+ * Serialize a custom event type (see lib/typeRegistry.js) into a flat row
+ * @param {Object} entry - The type
+ * @returns {Object} The row
+ */
+function serializeEventType(entry) {
+  const row = {};
+
+  EVENT_TYPE_COLUMNS.forEach(column => {
+    row[column] = entry[column] === undefined ? null : entry[column];
+  });
+  row.schema = entry.schema ? JSON.stringify(entry.schema) : null;
+
+  return row;
+}
+
+/**
+ * Parse a stored row back into a custom event type
+ * @param {Object} row - The row
+ * @returns {Object} The type
+ */
+function deserializeEventType(row) {
+  return {
+    ...row,
+    schema: row.schema ? JSON.parse(row.schema) : null
+  };
+}
+
+/**
+ * Serialize a rule (see lib/rules.js) into a flat row
+ * @param {Object} rule - The rule
+ * @returns {Object} The row
+ */
+function serializeRule(rule) {
+  const row = {};
+
+  RULE_COLUMNS.forEach(column => {
+    row[column] = rule[column] === undefined ? null : rule[column];
+  });
+  row.enabled = rule.enabled === false ? 0 : 1;
+  row.match = JSON.stringify(rule.match || {});
+  row.emit = JSON.stringify(rule.emit || {});
+
+  return row;
+}
+
+/**
+ * Parse a stored row back into a rule
+ * @param {Object} row - The row
+ * @returns {Object} The rule
+ */
+function deserializeRule(row) {
+  return {
+    ...row,
+    enabled: Boolean(row.enabled),
+    match: JSON.parse(row.match || '{}'),
+    emit: JSON.parse(row.emit || '{}')
+  };
+}
+
+/**
+ * Reduce an attachment (see lib/attachmentStore.js) to its stored columns
+ * @param {Object} attachment - The attachment
+ * @returns {Object} The row
+ */
+function serializeAttachment(attachment) {
+  const row = {};
+
+  ATTACHMENT_COLUMNS.forEach(column => {
+    row[column] = attachment[column] === undefined ? null : attachment[column];
+  });
+
+  return row;
+}
+
+module.exports = {
+  EVENT_COLUMNS,
+  HABIT_COLUMNS,
+  EVENT_TYPE_COLUMNS,
+  RULE_COLUMNS,
+  ATTACHMENT_COLUMNS,
+  RECORD_COLLECTIONS,
+  IMMUTABLE_COLUMNS,
+  serializeEvent,
+  deserializeRow,
+  normalizeEvent,
+  serializeHabit,
+  deserializeHabit,
+  serializeEventType,
+  deserializeEventType,
+  serializeRule,
+  deserializeRule,
+  serializeAttachment
+};
@@ -0,0 +1,1204 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
+
+const {
+  EVENT_COLUMNS,
+  HABIT_COLUMNS,
+  EVENT_TYPE_COLUMNS,
+  RULE_COLUMNS,
+  ATTACHMENT_COLUMNS,
+  IMMUTABLE_COLUMNS,
+  serializeEvent,
+  deserializeRow,
+  serializeHabit,
+  deserializeHabit,
+  serializeEventType,
+  deserializeEventType,
+  serializeRule,
+  deserializeRule,
+  serializeAttachment
+} = require('./rows');
+const Migrator = require('../migrator');
+const {
+  SEARCH_FIELDS,
+  HIT_START,
+  HIT_END,
+  ELLIPSIS,
+  SNIPPET_TOKENS,
+  parseSearchQuery,
+  toFtsQuery,
+  markSnippet
+} = require('../search');
+const { TAG_SEPARATOR, normalizeTag } = require('../tags');
+const { extractLinks } = require('../links');
+const { DISTANCE_FIELD, parseSort, parseMetadataPath } = require('../query');
+const { EARTH_RADIUS_M, boundsAround } = require('../geo');
+
+/**
+ * SQLite storage backend
+ *
+ * Stores events in a single `events` table with JSON-encoded complex fields.
+ */
+class SQLiteStorage {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || './data/lifeos.db';
+    this.backupDir = options.backupDir;
+    this.autoMigrate = options.autoMigrate !== false;
+    this.metadataIndexes = options.metadataIndexes || [];
+    this.db = null;
+    // All writes share one connection, so they are queued to keep other
+    // callers' statements out of an open transaction
+    this.writeQueue = Promise.resolve();
+    this.txContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * Open the database and apply pending migrations
+   */
+  async initialize() {
+    // Ensure data directory exists
+    const dataDir = path.dirname(this.dbPath);
+    await fs.mkdir(dataDir, { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+
+    // Wait for locks held by other connections (other routes, plugins)
+    this.db.configure('busyTimeout', 5000);
+
+    // Bring the schema up to date
+    if (this.autoMigrate) {
+      await this.migrate();
+    }
+  }
+
+  /**
+   * Apply pending migrations and index the configured metadata paths, as
+   * initialize() does unless `autoMigrate` is false
+   * @returns {Array} The migrations applied
+   */
+  async migrate() {
+    const applied = await this.migrator().up();
+    // On stderr, so scripts that write data to stdout (exports, --json
+    // reports) are not broken by a first run
+    applied.forEach(migration => {
+      console.error(`📦 Applied migration ${migration.version}_${migration.name}` +
+        (migration.backupPath ? ` (backup: ${migration.backupPath})` : ''));
+    });
+    await this.syncMetadataIndexes(this.metadataIndexes);
+    return applied;
+  }
+
+  /**
+   * Index the given metadata paths, dropping indexes on paths no longer listed
+   * @param {Array} paths - Paths such as "artist" or "route.distance_km"
+   * @returns {Object} `{ created, dropped }` index names
+   */
+  async syncMetadataIndexes(paths) {
+    const wanted = new Map(paths.map(item => {
+      const segments = parseMetadataPath(`metadata.${item}`);
+      if (!segments) {
+        throw new Error(`Invalid metadata index: ${item}`);
+      }
+      return [`${METADATA_INDEX_PREFIX}${segments.join('__')}`, segments];
+    }));
+
+    const existing = (await this.all(
+      "SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE ? ESCAPE '\\'",
+      [`${escapeLike(METADATA_INDEX_PREFIX)}%`]
+    )).map(row => row.name);
+
+    const created = [];
+    const dropped = [];
+
+    for (const [name, segments] of wanted) {
+      if (!existing.includes(name)) {
+        await this.run(`CREATE INDEX ${name} ON events(${metadataExpression(segments)})`);
+        created.push(name);
+      }
+    }
+    for (const name of existing) {
+      if (!wanted.has(name)) {
+        await this.run(`DROP INDEX ${name}`);
+        dropped.push(name);
+      }
+    }
+
+    return { created, dropped };
+  }
+
+  /**
+   * Create a migrator bound to this database
+   * @returns {Migrator} The migrator
+   */
+  migrator() {
+    return new Migrator(this, { dbPath: this.dbPath, backupDir: this.backupDir });
+  }
+
+  /**
+   * Run a write after all queued writes have finished
+   * @param {Function} operation - Async operation
+   * @returns {Promise} The operation result
+   */
+  exclusive(operation) {
+    // Already inside a transaction, which holds the queue
+    if (this.txContext.getStore()) {
+      return operation();
+    }
+
+    const result = this.writeQueue.then(operation);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Run operations inside a single SQLite transaction, rolling back if the
+   * operation throws. Nested calls join the outer transaction.
+   * @param {Function} operation - Async operation using this storage
+   * @returns {Promise} The operation result
+   */
+  async transaction(operation) {
+    if (this.txContext.getStore()) {
+      return operation();
+    }
+
+    return this.exclusive(() => this.txContext.run(true, async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const result = await operation();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * Insert a new event
+   * @param {Object} event - The event, with id and timestamps set
+   * @returns {Object} The stored event
+   */
+  async insertEvent(event) {
+    return this.transaction(async () => {
+      const row = serializeEvent(event);
+      const placeholders = EVENT_COLUMNS.map(() => '?').join(', ');
+
+      await this.run(
+        `INSERT INTO events (${EVENT_COLUMNS.join(', ')}) VALUES (${placeholders})`,
+        EVENT_COLUMNS.map(column => row[column])
+      );
+
+      const stored = deserializeRow(row);
+      await this.writeLinks(stored);
+
+      return stored;
+    });
+  }
+
+  /**
+   * Get an event by ID
+   * @param {string} id - The event ID
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return trashed events
+   * @returns {Object|null} The event or null if not found
+   */
+  async getEvent(id, options = {}) {
+    const query = options.includeDeleted
+      ? 'SELECT * FROM events WHERE id = ?'
+      : 'SELECT * FROM events WHERE id = ? AND deleted_at IS NULL';
+
+    const row = await this.get(query, [id]);
+    return row ? deserializeRow(row) : null;
+  }
+
+  /**
+   * Find the event a source stored under an external ID, trashed or not
+   * @param {string} source - The event source
+   * @param {string} externalId - The source's ID for the event
+   * @returns {Object|null} The event or null if not found
+   */
+  async findByExternalId(source, externalId) {
+    const row = await this.get(
+      'SELECT * FROM events WHERE source = ? AND external_id = ?',
+      [source, externalId]
+    );
+    return row ? deserializeRow(row) : null;
+  }
+
+  /**
+   * Query events with filtering and pagination
+   * @param {Object} options - Query options
+   * @param {string|Array} options.orderBy - Sort order, checked against lib/query.js
+   * @param {Array} options.after - Sort values of the event to continue after
+   * @param {Object} options.near - `{ lat, lng }`: only events with coordinates,
+   *   each with its `distance` in meters, within `options.radius` if given
+   * @param {Object} options.bbox - `{ south, west, north, east }`
+   * @returns {Array} Array of events
+   */
+  async queryEvents(options = {}) {
+    const { limit = 100, offset = 0, orderBy, after, near } = options;
+    const sort = parseSort(orderBy, { distance: Boolean(near) });
+    const params = [];
+    const distance = near ? `, ${distanceExpression(near)} AS distance` : '';
+
+    let query = `SELECT *${distance} FROM events WHERE ${eventFilters(options, params)}`;
+
+    if (after) {
+      query += ` AND ${afterPosition(sort, after, params, near)}`;
+    }
+
+    query += ` ORDER BY ${orderTerms(sort, near)} LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    const rows = await this.all(query, params);
+    return rows.map(deserializeRow);
+  }
+
+  /**
+   * Read stored events as rows, trashed ones included, without parsing their
+   * JSON columns, so rows that would not parse can be checked and repaired
+   * @param {Object} options - Options
+   * @param {string} options.after - Continue after this event ID
+   * @param {number} options.limit - Most rows to return
+   * @returns {Array} Rows in ID order
+   */
+  async listEventRows({ after = '', limit = 500 } = {}) {
+    return this.all('SELECT * FROM events WHERE id > ? ORDER BY id LIMIT ?', [after, limit]);
+  }
+
+  /**
+   * Count the events matching query filters
+   * @param {Object} options - Same filters as queryEvents
+   * @returns {number} Number of events
+   */
+  async countEvents(options = {}) {
+    const params = [];
+    const row = await this.get(`SELECT COUNT(*) AS count FROM events WHERE ${eventFilters(options, params)}`, params);
+    return row.count;
+  }
+
+  /**
+   * Count matching events per value of a field, most common first
+   * @param {string} field - A column or metadata path (see lib/query.js)
+   * @param {Object} options - Same filters as queryEvents, plus `limit`
+   * @returns {Array} `{ value, count }` groups
+   */
+  async groupEvents(field, options = {}) {
+    const { limit = 100 } = options;
+    const params = [];
+    const where = eventFilters(options, params);
+    params.push(limit);
+
+    return this.all(`
+      SELECT ${sortExpression(field)} AS value, COUNT(*) AS count
+      FROM events WHERE ${where}
+      GROUP BY 1 ORDER BY count DESC, value ASC LIMIT ?
+    `, params);
+  }
+
+  /**
+   * Replace a stored event
+   * @param {string} id - The event ID
+   * @param {Object} event - The full updated event
+   * @returns {boolean} True if a row was updated
+   */
+  async updateEvent(id, event) {
+    return this.transaction(async () => {
+      const row = serializeEvent(event);
+      const columns = EVENT_COLUMNS.filter(column => !IMMUTABLE_COLUMNS.includes(column));
+
+      const result = await this.run(
+        `UPDATE events SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => row[column]), id]
+      );
+
+      if (result.changes > 0) {
+        await this.writeLinks({ ...deserializeRow(row), id });
+      }
+
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Move an event to the trash
+   * @param {string} id - The event ID
+   * @param {string} deletedAt - Deletion time
+   * @returns {boolean} True if the event was moved
+   */
+  async trashEvent(id, deletedAt) {
+    return this.exclusive(async () => {
+      const result = await this.run(
+        'UPDATE events SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL',
+        [deletedAt, id]
+      );
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Take an event out of the trash
+   * @param {string} id - The event ID
+   * @returns {boolean} True if the event was restored
+   */
+  async restoreEvent(id) {
+    return this.exclusive(async () => {
+      const result = await this.run(
+        'UPDATE events SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+        [id]
+      );
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Permanently delete an event, whether or not it is in the trash
+   * @param {string} id - The event ID
+   * @returns {boolean} True if deleted
+   */
+  async deleteEvent(id) {
+    return this.transaction(async () => {
+      const result = await this.run('DELETE FROM events WHERE id = ?', [id]);
+      await this.run('DELETE FROM event_links WHERE event_id = ?', [id]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Replace the indexed links of an event
+   * @param {Object} event - The stored event
+   */
+  async writeLinks(event) {
+    await this.run('DELETE FROM event_links WHERE event_id = ?', [event.id]);
+
+    for (const link of extractLinks(event)) {
+      await this.run(
+        'INSERT INTO event_links (event_id, target_uri, target_id, relation) VALUES (?, ?, ?, ?)',
+        [event.id, link.uri, link.target_id, link.relation]
+      );
+    }
+  }
+
+  /**
+   * Get the outgoing links of an event
+   * @param {string} eventId - The event ID
+   * @returns {Array} `{ event_id, target_uri, target_id, relation }`
+   */
+  async getLinks(eventId) {
+    return this.all('SELECT * FROM event_links WHERE event_id = ? ORDER BY rowid', [eventId]);
+  }
+
+  /**
+   * Get the links pointing at an event from events that are not in the trash
+   * @param {string} targetId - The linked-to event ID
+   * @returns {Array} `{ event_id, target_uri, target_id, relation }`
+   */
+  async getBacklinks(targetId) {
+    return this.all(`
+      SELECT l.* FROM event_links l JOIN events e ON e.id = l.event_id
+      WHERE l.target_id = ? AND e.deleted_at IS NULL
+      ORDER BY e.timestamp DESC
+    `, [targetId]);
+  }
+
+  /**
+   * Search events with the full-text index, best matches first
+   * @param {string} query - Search query (see lib/search.js for the syntax)
+   * @param {Object} options - `{ source, type, startDate, endDate, limit, offset }`
+   * @returns {Array} Matching events with `score` and a highlighted `snippet`
+   */
+  async searchEvents(query, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const match = toFtsQuery(parseSearchQuery(query));
+    const weights = SEARCH_FIELDS.map(field => field.weight.toFixed(1)).join(', ');
+
+    const params = [HIT_START, HIT_END, ELLIPSIS, match];
+    const filters = searchFilters(options, params);
+    params.push(limit, offset);
+
+    const rows = await this.all(`
+      SELECT e.*,
+        -bm25(events_fts, ${weights}) AS score,
+        snippet(events_fts, -1, ?, ?, ?, ${SNIPPET_TOKENS}) AS snippet
+      FROM events_fts
+      JOIN events_fts_map m ON m.rowid = events_fts.rowid
+      JOIN events e ON e.id = m.event_id
+      WHERE events_fts MATCH ? AND e.deleted_at IS NULL${filters}
+      ORDER BY score DESC, e.timestamp DESC, e.id DESC
+      LIMIT ? OFFSET ?
+    `, params);
+
+    return rows.map(row => ({ ...deserializeRow(row), snippet: markSnippet(row.snippet) }));
+  }
+
+  /**
+   * Count the events a search matches
+   * @param {string} query - Search query
+   * @param {Object} options - Same filters as searchEvents
+   * @returns {number} Number of matches
+   */
+  async countSearchResults(query, options = {}) {
+    const params = [toFtsQuery(parseSearchQuery(query))];
+    const filters = searchFilters(options, params);
+
+    const row = await this.get(`
+      SELECT COUNT(*) AS count
+      FROM events_fts
+      JOIN events_fts_map m ON m.rowid = events_fts.rowid
+      JOIN events e ON e.id = m.event_id
+      WHERE events_fts MATCH ? AND e.deleted_at IS NULL${filters}
+    `, params);
+    return row.count;
+  }
+
+  /**
+   * Count how many events use each tag
+   * @returns {Array} `{ tag, count }` sorted by tag
+   */
+  async getTagCounts() {
+    return this.all(`
+      SELECT t.tag, COUNT(*) AS count
+      FROM event_tags t JOIN events e ON e.id = t.event_id
+      WHERE e.deleted_at IS NULL
+      GROUP BY t.tag
+      ORDER BY t.tag
+    `);
+  }
+
+  /**
+   * Get event statistics
+   * @returns {Object} Statistics about events
+   */
+  async getStats() {
+    const totalRow = await this.get('SELECT COUNT(*) as total FROM events WHERE deleted_at IS NULL');
+    const sourceRows = await this.all('SELECT source, COUNT(*) as count FROM events WHERE deleted_at IS NULL GROUP BY source');
+    const typeRows = await this.all('SELECT type, COUNT(*) as count FROM events WHERE deleted_at IS NULL GROUP BY type');
+    const trashRow = await this.get('SELECT COUNT(*) as total FROM events WHERE deleted_at IS NOT NULL');
+
+    return {
+      total: totalRow.total,
+      bySource: sourceRows,
+      byType: typeRows,
+      trashed: trashRow.total
+    };
+  }
+
+  /**
+   * Record a revision of an event
+   * @param {Object} revision - `{ event_id, action, actor, snapshot, created_at }`
+   * @returns {Object} The stored revision, including its revision number
+   */
+  async addRevision(revision) {
+    return this.exclusive(async () => {
+      const result = await this.run(`
+        INSERT INTO event_revisions (event_id, revision, action, actor, snapshot, created_at)
+        VALUES (?, (SELECT COALESCE(MAX(revision), 0) + 1 FROM event_revisions WHERE event_id = ?), ?, ?, ?, ?)
+      `, [
+        revision.event_id,
+        revision.event_id,
+        revision.action,
+        revision.actor,
+        JSON.stringify(revision.snapshot),
+        revision.created_at
+      ]);
+
+      const row = await this.get('SELECT * FROM event_revisions WHERE rowid = ?', [result.lastID]);
+      return deserializeRevision(row);
+    });
+  }
+
+  /**
+   * Get all revisions of an event, oldest first
+   * @param {string} eventId - The event ID
+   * @returns {Array} Revisions
+   */
+  async getRevisions(eventId) {
+    const rows = await this.all(
+      'SELECT * FROM event_revisions WHERE event_id = ? ORDER BY revision ASC',
+      [eventId]
+    );
+    return rows.map(deserializeRevision);
+  }
+
+  /**
+   * Get a single revision of an event
+   * @param {string} eventId - The event ID
+   * @param {number} revision - The revision number
+   * @returns {Object|null} The revision or null if not found
+   */
+  async getRevision(eventId, revision) {
+    const row = await this.get(
+      'SELECT * FROM event_revisions WHERE event_id = ? AND revision = ?',
+      [eventId, revision]
+    );
+    return row ? deserializeRevision(row) : null;
+  }
+
+  /**
+   * Store a new habit
+   * @param {Object} habit - A prepared habit (see lib/habits.js)
+   * @returns {Object} The stored habit
+   */
+  async insertHabit(habit) {
+    return this.exclusive(async () => {
+      const row = serializeHabit(habit);
+      await this.run(
+        `INSERT INTO habits (${HABIT_COLUMNS.join(', ')}) VALUES (${HABIT_COLUMNS.map(() => '?').join(', ')})`,
+        HABIT_COLUMNS.map(column => row[column])
+      );
+      return deserializeHabit(row);
+    });
+  }
+
+  /**
+   * Get a habit by ID
+   * @param {string} id - The habit ID
+   * @returns {Object|null} The habit or null if not found
+   */
+  async getHabit(id) {
+    const row = await this.get('SELECT * FROM habits WHERE id = ?', [id]);
+    return row ? deserializeHabit(row) : null;
+  }
+
+  /**
+   * List every habit, by name
+   * @returns {Array} Habits
+   */
+  async listHabits() {
+    const rows = await this.all('SELECT * FROM habits ORDER BY name ASC, id ASC');
+    return rows.map(deserializeHabit);
+  }
+
+  /**
+   * Replace a stored habit
+   * @param {string} id - The habit ID
+   * @param {Object} habit - The prepared habit
+   * @returns {Object|null} The stored habit or null if not found
+   */
+  async updateHabit(id, habit) {
+    return this.exclusive(async () => {
+      const row = serializeHabit(habit);
+      const columns = HABIT_COLUMNS.filter(column => column !== 'id' && column !== 'created_at');
+      const result = await this.run(
+        `UPDATE habits SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => row[column]), id]
+      );
+      return result.changes > 0 ? this.getHabit(id) : null;
+    });
+  }
+
+  /**
+   * Delete a habit
+   * @param {string} id - The habit ID
+   * @returns {boolean} True if the habit existed
+   */
+  async deleteHabit(id) {
+    return this.exclusive(async () => {
+      const result = await this.run('DELETE FROM habits WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Store a custom event type, replacing an earlier definition of the same type
+   * @param {Object} entry - `{ type, description, schema, owner, created_at, updated_at }`
+   * @returns {Object} The stored type
+   */
+  async saveEventType(entry) {
+    return this.exclusive(async () => {
+      const row = serializeEventType(entry);
+      const updates = EVENT_TYPE_COLUMNS.filter(column => column !== 'type' && column !== 'created_at');
+      await this.run(`
+        INSERT INTO event_types (${EVENT_TYPE_COLUMNS.join(', ')})
+        VALUES (${EVENT_TYPE_COLUMNS.map(() => '?').join(', ')})
+        ON CONFLICT(type) DO UPDATE SET ${updates.map(column => `${column} = excluded.${column}`).join(', ')}
+      `, EVENT_TYPE_COLUMNS.map(column => row[column]));
+
+      return this.getEventType(entry.type);
+    });
+  }
+
+  /**
+   * Get a custom event type
+   * @param {string} type - The type, e.g. "fitness.run"
+   * @returns {Object|null} The type or null if none is registered
+   */
+  async getEventType(type) {
+    const row = await this.get('SELECT * FROM event_types WHERE type = ?', [type]);
+    return row ? deserializeEventType(row) : null;
+  }
+
+  /**
+   * List custom event types, by type
+   * @returns {Array} Types
+   */
+  async listEventTypes() {
+    const rows = await this.all('SELECT * FROM event_types ORDER BY type ASC');
+    return rows.map(deserializeEventType);
+  }
+
+  /**
+   * Remove a custom event type
+   * @param {string} type - The type
+   * @returns {boolean} True if it was registered
+   */
+  async deleteEventType(type) {
+    return this.exclusive(async () => {
+      const result = await this.run('DELETE FROM event_types WHERE type = ?', [type]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Store a new rule
+   * @param {Object} rule - A prepared rule (see lib/rules.js)
+   * @returns {Object} The stored rule
+   */
+  async insertRule(rule) {
+    return this.exclusive(async () => {
+      const row = serializeRule(rule);
+      await this.run(
+        `INSERT INTO rules (${RULE_COLUMNS.join(', ')}) VALUES (${RULE_COLUMNS.map(() => '?').join(', ')})`,
+        RULE_COLUMNS.map(column => row[column])
+      );
+      return deserializeRule(row);
+    });
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {string} id - The rule ID
+   * @returns {Object|null} The rule or null if not found
+   */
+  async getRule(id) {
+    const row = await this.get('SELECT * FROM rules WHERE id = ?', [id]);
+    return row ? deserializeRule(row) : null;
+  }
+
+  /**
+   * List every rule, by name
+   * @returns {Array} Rules
+   */
+  async listRules() {
+    const rows = await this.all('SELECT * FROM rules ORDER BY name ASC, id ASC');
+    return rows.map(deserializeRule);
+  }
+
+  /**
+   * Replace a stored rule
+   * @param {string} id - The rule ID
+   * @param {Object} rule - The prepared rule
+   * @returns {Object|null} The stored rule or null if not found
+   */
+  async updateRule(id, rule) {
+    return this.exclusive(async () => {
+      const row = serializeRule(rule);
+      const columns = RULE_COLUMNS.filter(column => column !== 'id' && column !== 'created_at');
+      const result = await this.run(
+        `UPDATE rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => row[column]), id]
+      );
+      return result.changes > 0 ? this.getRule(id) : null;
+    });
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - The rule ID
+   * @returns {boolean} True if the rule existed
+   */
+  async deleteRule(id) {
+    return this.exclusive(async () => {
+      const result = await this.run('DELETE FROM rules WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Store a new attachment record
+   * @param {Object} attachment - `{ id, event_id, hash, filename, content_type, size, created_at }`
+   * @returns {Object} The stored attachment
+   */
+  async insertAttachment(attachment) {
+    return this.exclusive(async () => {
+      const row = serializeAttachment(attachment);
+      await this.run(
+        `INSERT INTO attachments (${ATTACHMENT_COLUMNS.join(', ')}) VALUES (${ATTACHMENT_COLUMNS.map(() => '?').join(', ')})`,
+        ATTACHMENT_COLUMNS.map(column => row[column])
+      );
+      return row;
+    });
+  }
+
+  /**
+   * Get an attachment record by ID
+   * @param {string} id - The attachment ID
+   * @returns {Object|null} The attachment or null if not found
+   */
+  async getAttachment(id) {
+    return (await this.get('SELECT * FROM attachments WHERE id = ?', [id])) || null;
+  }
+
+  /**
+   * List attachment records, oldest first
+   * @param {Object} filters - `{ eventId, hash }`; every attachment without filters
+   * @returns {Array} Attachments
+   */
+  async listAttachments({ eventId, hash } = {}) {
+    const conditions = [];
+    const params = [];
+    if (eventId !== undefined) {
+      conditions.push('event_id = ?');
+      params.push(eventId);
+    }
+    if (hash !== undefined) {
+      conditions.push('hash = ?');
+      params.push(hash);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.all(`SELECT * FROM attachments ${where} ORDER BY created_at ASC, id ASC`, params);
+  }
+
+  /**
+   * Delete an attachment record; its file is left to garbage collection
+   * @param {string} id - The attachment ID
+   * @returns {boolean} True if the attachment existed
+   */
+  async deleteAttachment(id) {
+    return this.exclusive(async () => {
+      const result = await this.run('DELETE FROM attachments WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Copy the database to a new file
+   *
+   * The copy is made on a separate read-only connection, so it can be taken
+   * while this connection holds the write lock (VACUUM INTO cannot run inside
+   * a transaction).
+   * @param {string} file - Path of the copy, which must not exist yet
+   */
+  async backupTo(file) {
+    const reader = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READONLY, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(db);
+      });
+    });
+
+    try {
+      reader.configure('busyTimeout', 5000);
+      await new Promise((resolve, reject) => {
+        reader.run('VACUUM INTO ?', [file], (err) => (err ? reject(err) : resolve()));
+      });
+    } finally {
+      reader.close();
+    }
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+}
+
+/**
+ * WHERE conditions for the queryEvents() filters
+ */
+function eventFilters(options, params) {
+  const {
+    source,
+    type,
+    startDate,
+    endDate,
+    tags,
+    tagsAll,
+    tagsNone,
+    trashed = false,
+    deletedBefore,
+    filter,
+    near,
+    radius,
+    bbox,
+    withCoordinates,
+    activeAt,
+    overlapStart,
+    overlapEnd
+  } = options;
+  const conditions = [trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+
+  if (deletedBefore) {
+    conditions.push('deleted_at < ?');
+    params.push(deletedBefore);
+  }
+
+  if (source) {
+    conditions.push('source = ?');
+    params.push(source);
+  }
+
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+
+  if (startDate) {
+    conditions.push('timestamp >= ?');
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('timestamp <= ?');
+    params.push(endDate);
+  }
+
+  if (tags && tags.length > 0) {
+    conditions.push(hasAnyTag(tags, params));
+  }
+
+  if (tagsAll && tagsAll.length > 0) {
+    tagsAll.forEach(tag => conditions.push(hasAnyTag([tag], params)));
+  }
+
+  if (tagsNone && tagsNone.length > 0) {
+    conditions.push(`NOT ${hasAnyTag(tagsNone, params)}`);
+  }
+
+  if (filter) {
+    conditions.push(filterCondition(filter, params));
+  }
+
+  // Intervals are half-open; instants are active only at their timestamp
+  if (activeAt) {
+    conditions.push('timestamp <= ? AND (end_time > ? OR timestamp = ?)');
+    params.push(activeAt, activeAt, activeAt);
+  }
+
+  if (overlapStart) {
+    conditions.push('(end_time > ? OR timestamp >= ?)');
+    params.push(overlapStart, overlapStart);
+  }
+
+  if (overlapEnd) {
+    conditions.push('timestamp <= ?');
+    params.push(overlapEnd);
+  }
+
+  if (near || withCoordinates) {
+    conditions.push('latitude IS NOT NULL');
+  }
+
+  if (bbox) {
+    conditions.push(withinBounds(bbox, params));
+  }
+
+  // The box around the circle lets the coordinate index narrow the search
+  if (near && radius !== undefined) {
+    conditions.push(withinBounds(boundsAround(near, radius), params));
+    conditions.push(`${distanceExpression(near)} <= ?`);
+    params.push(radius);
+  }
+
+  return conditions.join(' AND ');
+}
+
+// Latitude between south and north, longitude between west and east (when given)
+function withinBounds({ south, west, north, east }, params) {
+  const conditions = ['latitude BETWEEN ? AND ?'];
+  params.push(south, north);
+
+  if (west !== undefined && east !== undefined) {
+    conditions.push(west <= east ? 'longitude BETWEEN ? AND ?' : '(longitude >= ? OR longitude <= ?)');
+    params.push(west, east);
+  }
+
+  return `(${conditions.join(' AND ')})`;
+}
+
+/**
+ * Haversine distance in meters from a position, as lib/geo.js computes it.
+ * The position is inlined so the expression can appear in ORDER BY; it has
+ * been checked to be two finite numbers.
+ */
+function distanceExpression({ lat, lng }) {
+  const [latitude, longitude] = [lat, lng].map(value => {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid near: ${value}`);
+    }
+    return String(value);
+  });
+
+  return `(2 * ${EARTH_RADIUS_M} * asin(min(1, sqrt(` +
+    `power(sin(radians(latitude - ${latitude}) / 2), 2) + ` +
+    `cos(radians(${latitude})) * cos(radians(latitude)) * power(sin(radians(longitude - ${longitude}) / 2), 2)` +
+    '))))';
+}
+
+// Columns filter nodes may reference, and the column `has:` checks for each field
+const FILTER_COLUMNS = ['id', 'timestamp', 'source', 'type', 'title', 'mood', 'duration'];
+const PRESENCE_CONDITIONS = {
+  mood: 'mood IS NOT NULL',
+  duration: 'duration IS NOT NULL',
+  location: 'location IS NOT NULL',
+  tags: "tags NOT IN ('', '[]')",
+  links: "linked_uris NOT IN ('', '[]')"
+};
+
+/**
+ * Compile a parsed filter query (lib/filterQuery.js) into a WHERE condition.
+ * Every condition is true or false, never NULL, so NOT behaves as it does
+ * in matchesFilter().
+ */
+function filterCondition(node, params) {
+  const column = (field) => {
+    if (!FILTER_COLUMNS.includes(field)) {
+      throw new Error(`Unknown filter field: ${field}`);
+    }
+    return field;
+  };
+
+  switch (node.type) {
+    case 'and':
+      return `(${node.children.map(child => filterCondition(child, params)).join(' AND ')})`;
+    case 'or':
+      return `(${node.children.map(child => filterCondition(child, params)).join(' OR ')})`;
+    case 'not':
+      return `NOT ${filterCondition(node.child, params)}`;
+    case 'pattern':
+      params.push(node.value.split('*').map(escapeLike).join('%'));
+      return `COALESCE(${column(node.field)}, '') LIKE ? ESCAPE '\\'`;
+    case 'contains':
+      params.push(`%${escapeLike(node.value)}%`);
+      return `COALESCE(${column(node.field)}, '') LIKE ? ESCAPE '\\'`;
+    case 'tag':
+      return hasAnyTag([node.value], params);
+    case 'compare': {
+      if (!['=', '>', '>=', '<', '<='].includes(node.op)) {
+        throw new Error(`Unknown filter operator: ${node.op}`);
+      }
+      params.push(node.value);
+      return `(${column(node.field)} IS NOT NULL AND ${node.field} ${node.op} ?)`;
+    }
+    case 'metadata':
+      return metadataCondition(node, params);
+    case 'has':
+      if (node.path) {
+        return `(IFNULL(json_type(metadata, '${jsonPath(node.path)}'), 'null') != 'null')`;
+      }
+      if (!PRESENCE_CONDITIONS[node.field]) {
+        throw new Error(`Unknown filter field: ${node.field}`);
+      }
+      return `(${PRESENCE_CONDITIONS[node.field]})`;
+    default:
+      throw new Error(`Unknown filter node: ${node.type}`);
+  }
+}
+
+const METADATA_INDEX_PREFIX = 'idx_meta_';
+
+// json_extract() path for metadata path segments, e.g. $."route"."distance_km"
+function jsonPath(segments) {
+  return `$${segments.map(segment => `."${segment}"`).join('')}`;
+}
+
+// Segments are \w+ only (lib/query.js), so the path is safe to inline; index
+// expressions have to be spelled exactly like the queries that use them
+function metadataExpression(segments) {
+  return `json_extract(metadata, '${jsonPath(segments)}')`;
+}
+
+// The SQL for a sortable or groupable field (already checked by lib/query.js)
+function sortExpression(field, near) {
+  if (field === DISTANCE_FIELD) {
+    return distanceExpression(near);
+  }
+  const segments = parseMetadataPath(field);
+  return segments ? metadataExpression(segments) : field;
+}
+
+function orderTerms(sort, near) {
+  return sort.map(clause => `${sortExpression(clause.field, near)} ${clause.direction}`).join(', ');
+}
+
+// json_type() names for the JSON types a metadata value can be compared as
+const JSON_TYPES = {
+  string: "('text')",
+  number: "('integer', 'real')"
+};
+
+/**
+ * A metadata filter node: the value at the path (or, for `.*`, any element
+ * of it) has the type of one of the node's values and compares true with it
+ */
+function metadataCondition(node, params) {
+  if (!['=', '>', '>=', '<', '<='].includes(node.op)) {
+    throw new Error(`Unknown filter operator: ${node.op}`);
+  }
+  const path = `'${jsonPath(node.path)}'`;
+
+  const matches = (typeSql, valueSql) => node.values.map(expected => {
+    if (typeof expected === 'boolean') {
+      return `${typeSql} = '${expected}'`;
+    }
+    if (!JSON_TYPES[typeof expected]) {
+      throw new Error(`Unknown metadata filter value: ${expected}`);
+    }
+    params.push(expected);
+    return `(${typeSql} IN ${JSON_TYPES[typeof expected]} AND ${valueSql} ${node.op} ?)`;
+  }).join(' OR ');
+
+  if (node.any) {
+    return `EXISTS (SELECT 1 FROM json_each(events.metadata, ${path}) j WHERE ${matches('j.type', 'j.value')})`;
+  }
+  return `(${matches(`IFNULL(json_type(metadata, ${path}), '')`, `json_extract(metadata, ${path})`)})`;
+}
+
+/**
+ * Extra WHERE conditions for the searchEvents() filters
+ */
+function searchFilters({ source, type, startDate, endDate }, params) {
+  let filters = '';
+
+  if (source) {
+    filters += ' AND e.source = ?';
+    params.push(source);
+  }
+  if (type) {
+    filters += ' AND e.type = ?';
+    params.push(type);
+  }
+  if (startDate) {
+    filters += ' AND e.timestamp >= ?';
+    params.push(startDate);
+  }
+  if (endDate) {
+    filters += ' AND e.timestamp <= ?';
+    params.push(endDate);
+  }
+
+  return filters;
+}
+
+/**
+ * Keyset condition selecting the rows that sort after the given values:
+ * (a > ?) OR (a IS ? AND b > ?) OR ...
+ */
+function afterPosition(sort, values, params, near) {
+  const alternatives = sort.map((clause, index) => {
+    const conditions = sort.slice(0, index).map((previous, i) => {
+      params.push(values[i]);
+      return `${sortExpression(previous.field, near)} IS ?`;
+    });
+    conditions.push(beyond(clause, values[index], params, near));
+    return `(${conditions.join(' AND ')})`;
+  });
+
+  return `(${alternatives.join(' OR ')})`;
+}
+
+// NULL sorts before every other value
+function beyond(clause, value, params, near) {
+  const field = sortExpression(clause.field, near);
+  const { direction } = clause;
+  if (direction === 'ASC') {
+    if (value === null) {
+      return `${field} IS NOT NULL`;
+    }
+    params.push(value);
+    return `${field} > ?`;
+  }
+
+  if (value === null) {
+    return '0';
+  }
+  params.push(value);
+  return `(${field} IS NULL OR ${field} < ?)`;
+}
+
+/**
+ * SQL condition for "the event has one of these tags or a descendant of one"
+ * @param {Array} tags - Tags to look for
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} EXISTS condition
+ */
+function hasAnyTag(tags, params) {
+  const conditions = tags.map(tag => {
+    const normalized = normalizeTag(tag);
+    params.push(normalized, `${escapeLike(normalized)}${TAG_SEPARATOR}%`);
+    return "t.tag = ? OR t.tag LIKE ? ESCAPE '\\'";
+  });
+
+  return `EXISTS (SELECT 1 FROM event_tags t WHERE t.event_id = events.id AND (${conditions.join(' OR ')}))`;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function deserializeRevision(row) {
+  return {
+    ...row,
+    snapshot: JSON.parse(row.snapshot)
+  };
+}
+
+module.exports = SQLiteStorage;
@@ -0,0 +1,672 @@
+/**
+ * @jest-environment node
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { createStorage } = require('./index');
+const { parseFilterQuery } = require('../filterQuery');
+
+function makeEvent(overrides = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: overrides.id,
+    timestamp: '2024-01-01T10:00:00.000Z',
+    source: 'spotify',
+    type: 'music.play',
+    title: 'Listened to music',
+    metadata: {},
+    tags: [],
+    created_at: now,
+    updated_at: now,
+    ...overrides
+  };
+}
+
+describe.each(['sqlite', 'json', 'files'])('%s storage backend', (backend) => {
+  let tmpDir;
+  let storage;
+
+  const open = async () => {
+    const instance = createStorage({
+      backend,
+      dbPath: path.join(tmpDir, 'lifeos.db'),
+      jsonPath: path.join(tmpDir, 'events.json'),
+      eventsDir: path.join(tmpDir, 'events')
+    });
+    await instance.initialize();
+    return instance;
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-storage-'));
+    storage = await open();
+
+    await storage.insertEvent(makeEvent({
+      id: 'a',
+      timestamp: '2024-01-01T10:00:00.000Z',
+      title: 'OK Computer',
+      metadata: { artist: 'Radiohead' },
+      tags: ['music', 'work'],
+      mood: 8
+    }));
+    await storage.insertEvent(makeEvent({
+      id: 'b',
+      timestamp: '2024-01-02T10:00:00.000Z',
+      source: 'calendar',
+      type: 'calendar.meeting',
+      title: 'Standup',
+      tags: ['homework'],
+      location: { lat: 1, lng: 2 }
+    }));
+    await storage.insertEvent(makeEvent({
+      id: 'c',
+      timestamp: '2024-01-03T10:00:00.000Z',
+      title: 'Kid A',
+      tags: ['music']
+    }));
+  });
+
+  afterEach(() => {
+    storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('round-trips an event with parsed complex fields', async () => {
+    const event = await storage.getEvent('b');
+
+    expect(event).toMatchObject({
+      id: 'b',
+      source: 'calendar',
+      title: 'Standup',
+      metadata: {},
+      linked_uris: [],
+      tags: ['homework'],
+      location: { lat: 1, lng: 2 },
+      mood: null,
+      duration: null
+    });
+  });
+
+  test('returns null for unknown events', async () => {
+    expect(await storage.getEvent('missing')).toBeNull();
+  });
+
+  test('rejects duplicate IDs', async () => {
+    await expect(storage.insertEvent(makeEvent({ id: 'a' }))).rejects.toThrow();
+  });
+
+  test('keeps external IDs unique per source', async () => {
+    await storage.insertEvent(makeEvent({ id: 'x1', external_id: 'track-1' }));
+    await storage.insertEvent(makeEvent({ id: 'x2', source: 'calendar', external_id: 'track-1' }));
+
+    expect((await storage.findByExternalId('spotify', 'track-1')).id).toBe('x1');
+    expect((await storage.findByExternalId('calendar', 'track-1')).id).toBe('x2');
+    expect(await storage.findByExternalId('spotify', 'track-2')).toBeNull();
+    expect((await storage.getEvent('a')).external_id).toBeNull();
+
+    await expect(storage.insertEvent(makeEvent({ id: 'x3', external_id: 'track-1' }))).rejects.toThrow(/UNIQUE/);
+    const other = await storage.getEvent('a');
+    await expect(storage.updateEvent('a', { ...other, external_id: 'track-1' })).rejects.toThrow(/UNIQUE/);
+
+    // Trashed events still hold their external ID
+    await storage.trashEvent('x1', new Date().toISOString());
+    expect((await storage.findByExternalId('spotify', 'track-1')).id).toBe('x1');
+  });
+
+  test('updates an event but keeps created_at', async () => {
+    const original = await storage.getEvent('a');
+    const updated = await storage.updateEvent('a', {
+      ...original,
+      title: 'In Rainbows',
+      created_at: '1999-01-01T00:00:00.000Z'
+    });
+
+    expect(updated).toBe(true);
+    const event = await storage.getEvent('a');
+    expect(event.title).toBe('In Rainbows');
+    expect(event.created_at).toBe(original.created_at);
+    expect(await storage.updateEvent('missing', original)).toBe(false);
+  });
+
+  test('deletes events', async () => {
+    expect(await storage.deleteEvent('a')).toBe(true);
+    expect(await storage.deleteEvent('a')).toBe(false);
+    expect(await storage.getEvent('a')).toBeNull();
+  });
+
+  test('filters by source, type and date range', async () => {
+    const bySource = await storage.queryEvents({ source: 'spotify' });
+    expect(bySource.map(e => e.id)).toEqual(['c', 'a']);
+
+    const byType = await storage.queryEvents({ type: 'calendar.meeting' });
+    expect(byType.map(e => e.id)).toEqual(['b']);
+
+    const byDate = await storage.queryEvents({
+      startDate: '2024-01-02T00:00:00.000Z',
+      endDate: '2024-01-02T23:59:59.999Z'
+    });
+    expect(byDate.map(e => e.id)).toEqual(['b']);
+  });
+
+  test('filters by exact tags with any, all and none', async () => {
+    const ids = async (options) => (await storage.queryEvents(options)).map(e => e.id);
+
+    // "work" no longer matches "homework"
+    expect(await ids({ tags: ['work'] })).toEqual(['a']);
+    expect(await ids({ tags: ['WORK', 'homework'] })).toEqual(['b', 'a']);
+    expect(await ids({ tagsAll: ['music', 'work'] })).toEqual(['a']);
+    expect(await ids({ tagsNone: ['work'] })).toEqual(['c', 'b']);
+    expect(await ids({ tags: ['music'], tagsNone: ['work'] })).toEqual(['c']);
+  });
+
+  test('matches hierarchical tags and counts tag usage', async () => {
+    await storage.insertEvent(makeEvent({ id: 'd', tags: ['health/sleep', 'Music'] }));
+    await storage.insertEvent(makeEvent({ id: 'e', tags: ['health'] }));
+    await storage.insertEvent(makeEvent({ id: 'f', tags: ['healthy'] }));
+
+    expect((await storage.queryEvents({ tags: ['health'] })).map(e => e.id).sort()).toEqual(['d', 'e']);
+    expect((await storage.queryEvents({ tags: ['health/sleep'] })).map(e => e.id)).toEqual(['d']);
+
+    await storage.trashEvent('e', '2024-02-01T00:00:00.000Z');
+    const counts = await storage.getTagCounts();
+    expect(counts.map(({ tag, count }) => [tag.toLowerCase(), count])).toEqual([
+      ['health/sleep', 1],
+      ['healthy', 1],
+      ['homework', 1],
+      ['music', 3],
+      ['work', 1]
+    ]);
+  });
+
+  test('keeps tag filters in sync with updates', async () => {
+    const event = await storage.getEvent('a');
+    await storage.updateEvent('a', { ...event, tags: ['reading'] });
+
+    expect(await storage.queryEvents({ tags: ['work'] })).toEqual([]);
+    expect((await storage.queryEvents({ tags: ['reading'] })).map(e => e.id)).toEqual(['a']);
+  });
+
+  test('orders and paginates', async () => {
+    const ascending = await storage.queryEvents({ orderBy: 'timestamp ASC', limit: 2 });
+    expect(ascending.map(e => e.id)).toEqual(['a', 'b']);
+
+    const page = await storage.queryEvents({ orderBy: 'timestamp ASC', limit: 2, offset: 2 });
+    expect(page.map(e => e.id)).toEqual(['c']);
+  });
+
+  test('continues after a sort position, with NULLs sorted first', async () => {
+    const ids = async (options) => (await storage.queryEvents(options)).map(e => e.id);
+
+    expect(await ids({ orderBy: 'mood ASC' })).toEqual(['b', 'c', 'a']);
+    expect(await ids({ orderBy: 'mood ASC', after: [null, 'b'] })).toEqual(['c', 'a']);
+    expect(await ids({ orderBy: 'mood DESC' })).toEqual(['a', 'c', 'b']);
+    expect(await ids({ orderBy: 'mood DESC', after: [8, 'a'] })).toEqual(['c', 'b']);
+    expect(await ids({ orderBy: 'mood DESC', after: [null, 'c'] })).toEqual(['b']);
+    expect(await ids({ orderBy: '-source,timestamp', after: ['spotify', '2024-01-01T10:00:00.000Z', 'a'] })).toEqual(['c', 'b']);
+  });
+
+  test('applies parsed filter queries', async () => {
+    const ids = async (query) => (await storage.queryEvents({
+      filter: parseFilterQuery(query),
+      orderBy: 'id ASC'
+    })).map(e => e.id);
+
+    expect(await ids('type:music.* -tag:work')).toEqual(['c']);
+    expect(await ids('mood>=7 OR source:cal*')).toEqual(['a', 'b']);
+    expect(await ids('-mood>=7')).toEqual(['b', 'c']);
+    expect(await ids('after:2024-01-02 has:location')).toEqual(['b']);
+    expect(await ids('on:2024-01-03 OR title:"ok comp"')).toEqual(['a', 'c']);
+    expect(await ids('tag:home')).toEqual([]);
+    expect(await storage.countEvents({ filter: parseFilterQuery('tag:music') })).toBe(2);
+  });
+
+  test('rejects sort orders outside the whitelist', async () => {
+    await expect(storage.queryEvents({ orderBy: 'timestamp; DROP TABLE events' })).rejects.toThrow(/Invalid sort/);
+    await expect(storage.queryEvents({ orderBy: 'metadata ASC' })).rejects.toThrow(/Invalid sort/);
+  });
+
+  test('counts matching events', async () => {
+    expect(await storage.countEvents({})).toBe(3);
+    expect(await storage.countEvents({ source: 'spotify', tags: ['music'] })).toBe(2);
+    expect(await storage.countSearchResults('music')).toBe(2);
+  });
+
+  test('filters, sorts and groups by metadata paths', async () => {
+    await storage.insertEvent(makeEvent({
+      id: 'd',
+      metadata: { artist: 'Radiohead', distance_km: 7.5, attendees: ['alice', 'bob'], year: '2024', live: true }
+    }));
+    await storage.insertEvent(makeEvent({ id: 'e', metadata: { distance_km: 3, year: 2024 } }));
+
+    const ids = async (query) => (await storage.queryEvents({
+      filter: parseFilterQuery(query),
+      orderBy: 'id ASC'
+    })).map(e => e.id);
+
+    expect(await ids('metadata.artist = "Radiohead"')).toEqual(['a', 'd']);
+    expect(await ids('metadata.distance_km > 5')).toEqual(['d']);
+    expect(await ids('metadata.attendees.*:alice')).toEqual(['d']);
+    expect(await ids('metadata.year:2024')).toEqual(['d', 'e']);
+    expect(await ids('metadata.year:"2024" metadata.live:true')).toEqual(['d']);
+    expect(await ids('-metadata.artist:Radiohead')).toEqual(['b', 'c', 'e']);
+    expect(await ids('has:metadata.distance_km')).toEqual(['d', 'e']);
+
+    const sort = 'metadata.distance_km DESC';
+    expect((await storage.queryEvents({ orderBy: sort })).map(e => e.id)).toEqual(['d', 'e', 'c', 'b', 'a']);
+    expect((await storage.queryEvents({ orderBy: sort, after: [3, 'e'] })).map(e => e.id)).toEqual(['c', 'b', 'a']);
+
+    expect(await storage.groupEvents('metadata.artist')).toEqual([
+      { value: null, count: 3 },
+      { value: 'Radiohead', count: 2 }
+    ]);
+    expect(await storage.groupEvents('source', { filter: parseFilterQuery('has:metadata.year') })).toEqual([
+      { value: 'spotify', count: 2 }
+    ]);
+  });
+
+  if (backend === 'sqlite') {
+    test('creates and drops metadata indexes', async () => {
+      expect(await storage.syncMetadataIndexes(['artist', 'route.distance_km'])).toEqual({
+        created: ['idx_meta_artist', 'idx_meta_route__distance_km'],
+        dropped: []
+      });
+      expect(await storage.syncMetadataIndexes(['artist'])).toEqual({
+        created: [],
+        dropped: ['idx_meta_route__distance_km']
+      });
+
+      const plan = await storage.all(
+        "EXPLAIN QUERY PLAN SELECT id FROM events WHERE json_extract(metadata, '$.\"artist\"') = ?",
+        ['Radiohead']
+      );
+      expect(plan.map(row => row.detail).join(' ')).toContain('idx_meta_artist');
+      await expect(storage.syncMetadataIndexes(['artist; DROP TABLE events'])).rejects.toThrow(/Invalid metadata index/);
+    });
+  }
+
+  test('selects events by bounding box and distance', async () => {
+    await storage.insertEvent(makeEvent({ id: 'd', location: { lat: 1.01, lng: 2, name: 'Cafe' } }));
+    await storage.insertEvent(makeEvent({ id: 'e', location: { latitude: 1.5, longitude: 2 } }));
+
+    const near = { lat: 1, lng: 2 };
+    const ids = async (options) => (await storage.queryEvents({ orderBy: 'id ASC', ...options })).map(e => e.id);
+
+    expect(await ids({ bbox: { south: 0.9, west: 1.9, north: 1.2, east: 2.1 } })).toEqual(['b', 'd']);
+    expect(await ids({ near, radius: 2000 })).toEqual(['b', 'd']);
+    expect(await ids({ near })).toEqual(['b', 'd', 'e']);
+
+    const nearest = await storage.queryEvents({ near, orderBy: '-distance' });
+    expect(nearest.map(e => e.id)).toEqual(['e', 'd', 'b']);
+    expect(nearest[1].distance).toBeCloseTo(1112, 0);
+    expect(nearest[2].distance).toBe(0);
+    expect(nearest[0]).not.toHaveProperty('latitude');
+
+    expect((await storage.queryEvents({ near, orderBy: '-distance', after: [nearest[1].distance, 'd'] })).map(e => e.id)).toEqual(['b']);
+    expect(await storage.countEvents({ near, radius: 2000 })).toBe(2);
+    await expect(storage.queryEvents({ orderBy: 'distance' })).rejects.toThrow(/needs a near position/);
+  });
+
+  test('finds events active at a time or overlapping a range', async () => {
+    await storage.insertEvent(makeEvent({
+      id: 'm',
+      timestamp: '2024-01-01T09:00:00.000Z',
+      end_time: '2024-01-01T12:00:00.000Z',
+      duration: 10800
+    }));
+
+    const ids = async (options) => (await storage.queryEvents({ orderBy: 'id ASC', ...options })).map(e => e.id);
+
+    expect(await ids({ activeAt: '2024-01-01T10:00:00.000Z' })).toEqual(['a', 'm']);
+    expect(await ids({ activeAt: '2024-01-01T11:00:00.000Z' })).toEqual(['m']);
+    expect(await ids({ activeAt: '2024-01-01T12:00:00.000Z' })).toEqual([]);
+    expect(await ids({ overlapStart: '2024-01-01T11:00:00.000Z', overlapEnd: '2024-01-02T10:00:00.000Z' })).toEqual(['b', 'm']);
+    expect(await ids({ overlapStart: '2024-01-03T00:00:00.000Z' })).toEqual(['c']);
+    expect((await storage.getEvent('m')).end_time).toBe('2024-01-01T12:00:00.000Z');
+  });
+
+  test('keeps the time zone of an event', async () => {
+    await storage.insertEvent(makeEvent({ id: 'z', timestamp: '2024-01-01T09:00:00.000Z', timezone: 'Europe/Berlin' }));
+
+    expect((await storage.getEvent('z')).timezone).toBe('Europe/Berlin');
+    expect((await storage.getEvent('a')).timezone).toBeNull();
+  });
+
+  test('stores, updates and deletes habits', async () => {
+    const habit = {
+      id: 'h1',
+      name: 'Meditate',
+      rule: 'FREQ=DAILY',
+      start: '2024-01-01',
+      timezone: 'Europe/Berlin',
+      duration: null,
+      match: { type: 'health.meditation', tags: ['mind'] },
+      created_at: '2024-01-01T00:00:00.000Z',
+      updated_at: '2024-01-01T00:00:00.000Z'
+    };
+
+    expect(await storage.insertHabit(habit)).toEqual(habit);
+    await storage.insertHabit({ ...habit, id: 'h2', name: 'Gym', rule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' });
+    await expect(storage.insertHabit(habit)).rejects.toThrow();
+
+    const updated = await storage.updateHabit('h1', { ...habit, duration: 3600, created_at: 'ignored' });
+    expect(updated).toMatchObject({ duration: 3600, created_at: '2024-01-01T00:00:00.000Z' });
+    expect(await storage.updateHabit('missing', habit)).toBeNull();
+
+    // Habits survive reopening the store
+    const reopened = await open();
+    expect((await reopened.listHabits()).map(h => h.name)).toEqual(['Gym', 'Meditate']);
+    expect((await reopened.getHabit('h1')).match).toEqual({ type: 'health.meditation', tags: ['mind'] });
+    reopened.close();
+
+    expect(await storage.deleteHabit('h2')).toBe(true);
+    expect(await storage.deleteHabit('h2')).toBe(false);
+    expect(await storage.getHabit('h2')).toBeNull();
+  });
+
+  test('registers, replaces and removes event types', async () => {
+    const run = {
+      type: 'fitness.run',
+      description: 'A run',
+      schema: { type: 'object', required: ['distance_km'] },
+      owner: 'plugin:strava',
+      created_at: '2024-01-01T00:00:00.000Z',
+      updated_at: '2024-01-01T00:00:00.000Z'
+    };
+
+    expect(await storage.saveEventType(run)).toEqual(run);
+    const replaced = await storage.saveEventType({ ...run, schema: null, owner: 'api', created_at: '2024-02-01T00:00:00.000Z' });
+    expect(replaced).toMatchObject({ schema: null, owner: 'api', created_at: '2024-01-01T00:00:00.000Z' });
+    await storage.saveEventType({ ...run, type: 'diet.meal' });
+
+    expect((await storage.listEventTypes()).map(entry => entry.type)).toEqual(['diet.meal', 'fitness.run']);
+    expect((await storage.getEventType('diet.meal')).schema).toEqual(run.schema);
+    expect(await storage.deleteEventType('diet.meal')).toBe(true);
+    expect(await storage.deleteEventType('diet.meal')).toBe(false);
+    expect(await storage.getEventType('diet.meal')).toBeNull();
+  });
+
+  test('stores, updates and deletes rules', async () => {
+    const rule = {
+      id: 'r1',
+      name: 'Fitness week',
+      enabled: true,
+      match: { q: 'type:fitness.*' },
+      at: 'start',
+      count: 3,
+      per: 'week',
+      timezone: 'UTC',
+      emit: { title: 'Active week', type: 'achievement.fitness_week', source: 'rules' },
+      created_at: '2024-01-01T00:00:00.000Z',
+      updated_at: '2024-01-01T00:00:00.000Z'
+    };
+
+    expect(await storage.insertRule(rule)).toEqual(rule);
+    await storage.insertRule({ ...rule, id: 'r2', name: 'After meetings', at: 'end', count: null, per: null });
+    await expect(storage.insertRule(rule)).rejects.toThrow();
+
+    const updated = await storage.updateRule('r1', { ...rule, enabled: false, created_at: 'ignored' });
+    expect(updated).toMatchObject({ enabled: false, created_at: '2024-01-01T00:00:00.000Z' });
+    expect(await storage.updateRule('missing', rule)).toBeNull();
+
+    // Rules survive reopening the store
+    const reopened = await open();
+    expect((await reopened.listRules()).map(r => r.name)).toEqual(['After meetings', 'Fitness week']);
+    expect(await reopened.getRule('r1')).toMatchObject({ enabled: false, emit: rule.emit, match: rule.match });
+    reopened.close();
+
+    expect(await storage.deleteRule('r2')).toBe(true);
+    expect(await storage.deleteRule('r2')).toBe(false);
+    expect(await storage.getRule('r2')).toBeNull();
+  });
+
+  test('stores and removes attachment records', async () => {
+    const photo = {
+      id: 'att1',
+      event_id: 'a',
+      hash: 'f'.repeat(64),
+      filename: 'photo.jpg',
+      content_type: 'image/jpeg',
+      size: 2048,
+      created_at: '2024-01-01T00:00:00.000Z'
+    };
+
+    expect(await storage.insertAttachment(photo)).toEqual(photo);
+    await storage.insertAttachment({ ...photo, id: 'att2', created_at: '2024-01-02T00:00:00.000Z' });
+    await storage.insertAttachment({ ...photo, id: 'att3', event_id: 'b', hash: 'e'.repeat(64) });
+    await expect(storage.insertAttachment(photo)).rejects.toThrow();
+
+    expect((await storage.listAttachments({ eventId: 'a' })).map(a => a.id)).toEqual(['att1', 'att2']);
+    expect((await storage.listAttachments({ hash: 'e'.repeat(64) })).map(a => a.id)).toEqual(['att3']);
+
+    // Attachments survive reopening the store
+    const reopened = await open();
+    expect(await reopened.getAttachment('att1')).toEqual(photo);
+    expect(await reopened.listAttachments()).toHaveLength(3);
+    reopened.close();
+
+    expect(await storage.deleteAttachment('att1')).toBe(true);
+    expect(await storage.deleteAttachment('att1')).toBe(false);
+    expect(await storage.getAttachment('att1')).toBeNull();
+  });
+
+  test('searches titles, metadata and tags', async () => {
+    expect((await storage.searchEvents('kid')).map(e => e.id)).toEqual(['c']);
+    expect((await storage.searchEvents('radiohead')).map(e => e.id)).toEqual(['a']);
+    expect((await storage.searchEvents('music')).map(e => e.id)).toEqual(['c', 'a']);
+    expect(await storage.searchEvents('music', { limit: 1 })).toHaveLength(1);
+  });
+
+  test('ranks full-text matches and highlights snippets', async () => {
+    await storage.insertEvent(makeEvent({
+      id: 'd',
+      timestamp: '2024-01-04T10:00:00.000Z',
+      title: 'Evening run by the river',
+      metadata: { notes: 'Easy pace along the river bank', route: { name: 'Riverside loop' } },
+      tags: ['fitness']
+    }));
+    await storage.insertEvent(makeEvent({
+      id: 'e',
+      timestamp: '2024-01-05T10:00:00.000Z',
+      title: 'Groceries',
+      metadata: { notes: 'Bought bread after the morning run', river: 'no' }
+    }));
+
+    // Title matches outrank metadata matches
+    const runs = await storage.searchEvents('run');
+    expect(runs.map(e => e.id)).toEqual(['d', 'e']);
+    expect(runs[0].score).toBeGreaterThan(runs[1].score);
+    expect(runs[0].snippet).toBe('Evening <mark>run</mark> by the river');
+
+    // Metadata values are indexed, keys are not
+    expect((await storage.searchEvents('riverside')).map(e => e.id)).toEqual(['d']);
+    expect((await storage.searchEvents('route')).map(e => e.id)).toEqual([]);
+
+    expect((await storage.searchEvents('"river bank"')).map(e => e.id)).toEqual(['d']);
+    expect((await storage.searchEvents('"bank river"')).map(e => e.id)).toEqual([]);
+    expect((await storage.searchEvents('groc*')).map(e => e.id)).toEqual(['e']);
+    expect((await storage.searchEvents('run NOT river')).map(e => e.id)).toEqual(['e']);
+    expect((await storage.searchEvents('kid OR groceries')).map(e => e.id).sort()).toEqual(['c', 'e']);
+    expect((await storage.searchEvents('run AND (bread OR pizza)')).map(e => e.id)).toEqual(['e']);
+
+    expect((await storage.searchEvents('run', { limit: 1, offset: 1 })).map(e => e.id)).toEqual(['e']);
+    expect((await storage.searchEvents('run', { endDate: '2024-01-04T23:59:59.999Z' })).map(e => e.id)).toEqual(['d']);
+    expect(await storage.searchEvents('run', { source: 'calendar' })).toEqual([]);
+    await expect(storage.searchEvents('run AND')).rejects.toThrow('Invalid search query');
+  });
+
+  test('escapes HTML in snippets', async () => {
+    await storage.insertEvent(makeEvent({ id: 'd', title: 'Run <img src=x onerror="alert(1)"> & rest' }));
+
+    const [result] = await storage.searchEvents('onerror');
+    expect(result.snippet).toBe('Run &lt;img src=x <mark>onerror</mark>=&quot;alert(1)&quot;&gt; &amp; rest');
+  });
+
+  test('keeps the search index in sync with updates and deletes', async () => {
+    const event = await storage.getEvent('c');
+    await storage.updateEvent('c', { ...event, title: 'Hail to the Thief' });
+
+    expect(await storage.searchEvents('kid')).toEqual([]);
+    expect((await storage.searchEvents('thief')).map(e => e.id)).toEqual(['c']);
+
+    await storage.deleteEvent('c');
+    expect(await storage.searchEvents('thief')).toEqual([]);
+  });
+
+  test('reports statistics', async () => {
+    expect(await storage.getStats()).toEqual({
+      total: 3,
+      bySource: [
+        { source: 'calendar', count: 1 },
+        { source: 'spotify', count: 2 }
+      ],
+      byType: [
+        { type: 'calendar.meeting', count: 1 },
+        { type: 'music.play', count: 2 }
+      ],
+      trashed: 0
+    });
+  });
+
+  test('hides trashed events until they are restored', async () => {
+    expect(await storage.trashEvent('a', '2024-02-01T00:00:00.000Z')).toBe(true);
+    expect(await storage.trashEvent('a', '2024-02-02T00:00:00.000Z')).toBe(false);
+
+    expect(await storage.getEvent('a')).toBeNull();
+    expect((await storage.getEvent('a', { includeDeleted: true })).deleted_at).toBe('2024-02-01T00:00:00.000Z');
+    expect((await storage.queryEvents()).map(e => e.id)).toEqual(['c', 'b']);
+    expect((await storage.searchEvents('radiohead'))).toEqual([]);
+    expect((await storage.getStats())).toMatchObject({ total: 2, trashed: 1 });
+
+    const trash = await storage.queryEvents({ trashed: true });
+    expect(trash.map(e => e.id)).toEqual(['a']);
+    expect(await storage.queryEvents({ trashed: true, deletedBefore: '2024-01-15T00:00:00.000Z' })).toEqual([]);
+
+    // Regular updates leave the trash state alone
+    const trashed = await storage.getEvent('a', { includeDeleted: true });
+    await storage.updateEvent('a', { ...trashed, title: 'Edited', deleted_at: null });
+    expect(await storage.getEvent('a')).toBeNull();
+
+    expect(await storage.restoreEvent('a')).toBe(true);
+    expect(await storage.restoreEvent('a')).toBe(false);
+    expect((await storage.getEvent('a')).deleted_at).toBeNull();
+  });
+
+  test('lists raw rows in ID order, trashed ones included', async () => {
+    await storage.trashEvent('b', '2024-02-01T00:00:00.000Z');
+
+    const rows = await storage.listEventRows({ limit: 2 });
+    expect(rows.map(row => row.id)).toEqual(['a', 'b']);
+    expect(rows[0]).toMatchObject({ metadata: '{"artist":"Radiohead"}', tags: '["music","work"]', linked_uris: '[]' });
+    expect(rows[1].deleted_at).toBe('2024-02-01T00:00:00.000Z');
+    expect((await storage.listEventRows({ after: 'b' })).map(row => row.id)).toEqual(['c']);
+  });
+
+  test('numbers revisions per event and keeps them after deletion', async () => {
+    const snapshot = await storage.getEvent('a');
+    const first = await storage.addRevision({
+      event_id: 'a', action: 'create', actor: 'ui', snapshot, created_at: snapshot.created_at
+    });
+    const second = await storage.addRevision({
+      event_id: 'a', action: 'delete', actor: 'plugin:example', snapshot, created_at: snapshot.created_at
+    });
+    await storage.addRevision({
+      event_id: 'b', action: 'create', actor: 'api', snapshot: await storage.getEvent('b'), created_at: snapshot.created_at
+    });
+    await storage.deleteEvent('a');
+
+    expect(first.revision).toBe(1);
+    expect(second.revision).toBe(2);
+
+    const revisions = await storage.getRevisions('a');
+    expect(revisions.map(r => [r.revision, r.action, r.actor])).toEqual([
+      [1, 'create', 'ui'],
+      [2, 'delete', 'plugin:example']
+    ]);
+    expect(revisions[1].snapshot.title).toBe('OK Computer');
+    expect((await storage.getRevision('a', 2)).action).toBe('delete');
+    expect(await storage.getRevision('a', 3)).toBeNull();
+    expect(await storage.getRevisions('missing')).toEqual([]);
+  });
+
+  test('indexes links and backlinks', async () => {
+    await storage.insertEvent(makeEvent({
+      id: 'd',
+      linked_uris: ['life://spotify/music.play/a', 'life://calendar/calendar.meeting/b', 'https://example.com'],
+      metadata: { link_relations: { 'life://spotify/music.play/a': 'inspired-by' } }
+    }));
+    await storage.insertEvent(makeEvent({
+      id: 'e',
+      timestamp: '2024-02-01T10:00:00.000Z',
+      linked_uris: ['life://other/source/a']
+    }));
+
+    expect((await storage.getLinks('d')).map(l => [l.target_uri, l.target_id, l.relation])).toEqual([
+      ['life://spotify/music.play/a', 'a', 'inspired-by'],
+      ['life://calendar/calendar.meeting/b', 'b', null],
+      ['https://example.com', null, null]
+    ]);
+    expect((await storage.getBacklinks('a')).map(l => l.event_id)).toEqual(['e', 'd']);
+
+    // Backlinks follow updates and ignore trashed events
+    const event = await storage.getEvent('d');
+    await storage.updateEvent('d', { ...event, linked_uris: ['life://spotify/music.play/c'] });
+    expect((await storage.getBacklinks('a')).map(l => l.event_id)).toEqual(['e']);
+    expect((await storage.getBacklinks('c')).map(l => l.event_id)).toEqual(['d']);
+
+    await storage.trashEvent('d', '2024-02-01T00:00:00.000Z');
+    expect(await storage.getBacklinks('c')).toEqual([]);
+
+    await storage.deleteEvent('d');
+    expect(await storage.getLinks('d')).toEqual([]);
+  });
+
+  test('commits a transaction as one unit', async () => {
+    const result = await storage.transaction(async () => {
+      await storage.insertEvent(makeEvent({ id: 'd', title: 'Amnesiac' }));
+      await storage.addRevision({
+        event_id: 'd', action: 'create', actor: 'api', snapshot: await storage.getEvent('d'), created_at: '2024-01-04T00:00:00.000Z'
+      });
+      await storage.trashEvent('b', '2024-02-01T00:00:00.000Z');
+      return (await storage.getRevisions('d')).length;
+    });
+
+    expect(result).toBe(1);
+
+    const other = await open();
+    expect((await other.getEvent('d')).title).toBe('Amnesiac');
+    expect(await other.getEvent('b')).toBeNull();
+    expect(await other.getRevisions('d')).toHaveLength(1);
+    other.close();
+  });
+
+  test('rolls a transaction back when it throws', async () => {
+    await expect(storage.transaction(async () => {
+      await storage.insertEvent(makeEvent({ id: 'd', title: 'Amnesiac' }));
+      await storage.deleteEvent('a');
+      await storage.addRevision({
+        event_id: 'd', action: 'create', actor: 'api', snapshot: await storage.getEvent('d'), created_at: '2024-01-04T00:00:00.000Z'
+      });
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await storage.getEvent('d')).toBeNull();
+    expect((await storage.getEvent('a')).title).toBe('OK Computer');
+    expect(await storage.getRevisions('d')).toEqual([]);
+
+    const other = await open();
+    expect(await other.getEvent('d')).toBeNull();
+    expect(await other.getEvent('a')).not.toBeNull();
+    other.close();
+  });
+
+  test('persists events across instances', async () => {
+    const other = await open();
+    await other.insertEvent(makeEvent({ id: 'd', title: 'Amnesiac' }));
+
+    expect((await other.getEvent('a')).title).toBe('OK Computer');
+    expect((await storage.getEvent('d')).title).toBe('Amnesiac');
+    other.close();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tag helpers
+ *
+ * Tags are compared case-insensitively and may be hierarchical, with `/`
+ * separating levels (`health/sleep`). Filtering by a tag also matches its
+ * descendants, so `health` matches `health/sleep`.
+ */
+
+const TAG_SEPARATOR = '/';
+
+/**
+ * Clean up a tag: trim each level and drop empty ones
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag ('' if nothing is left)
+ */
+function normalizeTag(tag) {
+  return String(tag)
+    .split(TAG_SEPARATOR)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * Normalize a list of tags, dropping empty ones and case-insensitive duplicates
+ * @param {Array} tags - Raw tags
+ * @returns {Array} Normalized tags
+ */
+function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+
+  (tags || []).forEach(tag => {
+    const normalized = normalizeTag(tag);
+    const key = normalized.toLowerCase();
+    if (normalized && !seen.has(key)) {
+      seen.add(key);
+      result.push(normalized);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Whether a tag is the given tag or one of its descendants
+ * @param {string} tag - Tag on an event
+ * @param {string} filter - Tag being looked for
+ * @returns {boolean} True on a match
+ */
+function tagMatches(tag, filter) {
+  const candidate = String(tag).toLowerCase();
+  const wanted = normalizeTag(filter).toLowerCase();
+  return candidate === wanted || candidate.startsWith(wanted + TAG_SEPARATOR);
+}
+
+/**
+ * Check an event's tags against any/all/none filters
+ * @param {Array} eventTags - Tags on the event
+ * @param {Object} filters - `{ tags, tagsAll, tagsNone }`, each an array of tags
+ * @returns {boolean} True if the event passes every filter
+ */
+function matchesTagFilters(eventTags, { tags, tagsAll, tagsNone } = {}) {
+  const has = filter => (eventTags || []).some(tag => tagMatches(tag, filter));
+
+  if (tags && tags.length > 0 && !tags.some(has)) return false;
+  if (tagsAll && tagsAll.length > 0 && !tagsAll.every(has)) return false;
+  if (tagsNone && tagsNone.length > 0 && tagsNone.some(has)) return false;
+  return true;
+}
+
+/**
+ * Replace a tag (and its descendants) with another
+ * @param {Array} tags - Tags on an event
+ * @param {string} from - Tag to replace
+ * @param {string} to - Replacement
+ * @returns {Array} The new tags, normalized
+ */
+function replaceTag(tags, from, to) {
+  const source = normalizeTag(from);
+  const target = normalizeTag(to);
+
+  return normalizeTags((tags || []).map(tag => (
+    tagMatches(tag, source) ? target + normalizeTag(tag).slice(source.length) : tag
+  )));
+}
+
+/**
+ * Arrange tag counts into a tree following the `/` hierarchy
+ * @param {Array} counts - `{ tag, count }` entries
+ * @returns {Array} Root nodes as `{ name, tag, count, children }`; `count` is
+ *   the number of events with exactly that tag
+ */
+function buildTagTree(counts) {
+  const root = { children: [] };
+
+  counts.forEach(({ tag, count }) => {
+    let node = root;
+    tag.split(TAG_SEPARATOR).forEach((name, depth, parts) => {
+      let child = node.children.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+      if (!child) {
+        child = { name, tag: parts.slice(0, depth + 1).join(TAG_SEPARATOR), count: 0, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+    node.count += count;
+  });
+
+  const sort = nodes => nodes
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(node => sort(node.children));
+  sort(root.children);
+
+  return root.children;
+}
+
+module.exports = {
+  TAG_SEPARATOR,
+  normalizeTag,
+  normalizeTags,
+  tagMatches,
+  matchesTagFilters,
+  replaceTag,
+  buildTagTree
+};
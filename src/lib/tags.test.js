@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+const { normalizeTags, tagMatches, matchesTagFilters, replaceTag, buildTagTree } = require('./tags');
+
+describe('normalizeTags', () => {
+  test('trims levels and drops empty and duplicate tags', () => {
+    expect(normalizeTags([' health / sleep ', '/work/', 'Work', '', '  '])).toEqual(['health/sleep', 'work']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+});
+
+describe('tag matching', () => {
+  test('matches a tag and its descendants, case-insensitively', () => {
+    expect(tagMatches('Health/Sleep', 'health')).toBe(true);
+    expect(tagMatches('health', 'health')).toBe(true);
+    expect(tagMatches('healthy', 'health')).toBe(false);
+    expect(tagMatches('health', 'health/sleep')).toBe(false);
+  });
+
+  test('combines any, all and none filters', () => {
+    const tags = ['music', 'health/sleep'];
+    expect(matchesTagFilters(tags, { tags: ['work', 'music'] })).toBe(true);
+    expect(matchesTagFilters(tags, { tagsAll: ['music', 'health'] })).toBe(true);
+    expect(matchesTagFilters(tags, { tagsAll: ['music', 'work'] })).toBe(false);
+    expect(matchesTagFilters(tags, { tagsNone: ['health'] })).toBe(false);
+    expect(matchesTagFilters(tags, {})).toBe(true);
+  });
+});
+
+describe('replaceTag', () => {
+  test('renames a tag and its descendants', () => {
+    expect(replaceTag(['health', 'health/sleep', 'healthy'], 'health', 'wellbeing'))
+      .toEqual(['wellbeing', 'wellbeing/sleep', 'healthy']);
+  });
+
+  test('collapses duplicates created by a merge', () => {
+    expect(replaceTag(['run', 'running'], 'running', 'run')).toEqual(['run']);
+  });
+});
+
+describe('buildTagTree', () => {
+  test('nests tags by level, creating missing parents', () => {
+    expect(buildTagTree([
+      { tag: 'health/sleep', count: 2 },
+      { tag: 'health/diet', count: 1 },
+      { tag: 'work', count: 4 }
+    ])).toEqual([
+      {
+        name: 'health',
+        tag: 'health',
+        count: 0,
+        children: [
+          { name: 'diet', tag: 'health/diet', count: 1, children: [] },
+          { name: 'sleep', tag: 'health/sleep', count: 2, children: [] }
+        ]
+      },
+      { name: 'work', tag: 'work', count: 4, children: [] }
+    ]);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Time zones for events and timelines
+ *
+ * Timestamps are stored in UTC so they sort and compare correctly; an
+ * event's `timezone` remembers where it happened, as an IANA name
+ * ("Europe/Berlin") or a fixed offset ("+02:00"). Offsets of IANA zones come
+ * from Intl at the instant in question, so they follow each zone's DST rules.
+ *
+ * Local times are handled as "wall clock" moments: moment.utc() values
+ * holding the local date and time, which never shift under DST.
+ */
+
+const moment = require('moment');
+
+// Group each event by its own zone rather than the viewer's
+const EVENT_ZONE = 'event';
+
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Check and normalize a zone: an IANA name, "UTC" or a "+HH:MM" offset
+ * @param {string} value - The zone
+ * @returns {string|null} The normalized zone, or null if it is not one
+ */
+function normalizeZone(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (text === 'Z' || text.toUpperCase() === 'UTC') {
+    return 'UTC';
+  }
+
+  const offset = OFFSET_PATTERN.exec(text);
+  if (offset) {
+    const minutes = parseInt(offset[2], 10) * 60 + parseInt(offset[3], 10);
+    return minutes <= 14 * 60 ? `${offset[1]}${offset[2]}:${offset[3]}` : null;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The zone a timeline groups by: the viewer's zone, "event" for each
+ * event's own zone, or the server's zone when none is given
+ * @param {string} value - The `tz` parameter
+ * @returns {string} A normalized zone or EVENT_ZONE
+ */
+function parseTimelineZone(value) {
+  if (value === undefined || value === null || value === '') {
+    return serverZone();
+  }
+  if (value === EVENT_ZONE) {
+    return EVENT_ZONE;
+  }
+
+  const zone = normalizeZone(value);
+  if (!zone) {
+    throw new Error(`Invalid tz: "${value}" is not a time zone (use an IANA name like Europe/Berlin, an offset like +02:00, or "${EVENT_ZONE}")`);
+  }
+  return zone;
+}
+
+function serverZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * The UTC offset of a zone at an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} zone - A normalized zone
+ * @returns {number} Minutes east of UTC
+ */
+function offsetAt(time, zone) {
+  if (zone === 'UTC') {
+    return 0;
+  }
+
+  const fixed = OFFSET_PATTERN.exec(zone);
+  if (fixed) {
+    const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3], 10);
+    return fixed[1] === '-' ? -minutes : minutes;
+  }
+
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(zone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - (time - time % 1000)) / 60000);
+}
+
+/**
+ * The local wall clock time of an instant in a zone
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} zone - A normalized zone
+ * @returns {moment} Wall clock moment (in UTC mode)
+ */
+function toWallClock(time, zone) {
+  return moment.utc(time + offsetAt(time, zone) * 60000);
+}
+
+/**
+ * The instant a local wall clock time happens in a zone. Times skipped by a
+ * DST change resolve to after the change; repeated times to the first one.
+ * @param {moment|number} wall - Wall clock moment or milliseconds
+ * @param {string} zone - A normalized zone
+ * @returns {number} Milliseconds since the epoch
+ */
+function fromWallClock(wall, zone) {
+  const wallTime = moment.isMoment(wall) ? wall.valueOf() : wall;
+  const before = wallTime - offsetAt(wallTime - 14 * HOUR_MS, zone) * 60000;
+  const after = wallTime - offsetAt(wallTime + 14 * HOUR_MS, zone) * 60000;
+
+  // Either the offset before or after any nearby change fits
+  const fits = (time) => time + offsetAt(time, zone) * 60000 === wallTime;
+  if (fits(Math.min(before, after))) return Math.min(before, after);
+  if (fits(Math.max(before, after))) return Math.max(before, after);
+  return Math.max(before, after);
+}
+
+/**
+ * Read a time as a wall clock time in a zone. Times with an offset or "Z"
+ * are instants; anything else ("2024-05-06", "2024-05-06T09:00") is
+ * already local.
+ * @param {string} value - The time
+ * @param {string} zone - A normalized zone
+ * @returns {moment} Wall clock moment, invalid if the time is not a date
+ */
+function parseWallClock(value, zone) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(String(value)) && /T/.test(String(value))) {
+    return toWallClock(Date.parse(value), zone);
+  }
+  return moment.utc(value, moment.ISO_8601);
+}
+
+/**
+ * The offset written in a timestamp, e.g. "+02:00" for "2024-05-06T10:00:00+02:00"
+ * @param {string} timestamp - An ISO 8601 timestamp
+ * @returns {string|null} The offset, or null for "Z" or no offset
+ */
+function timestampOffset(timestamp) {
+  const match = /T.*([+-]\d{2}:?\d{2})$/.exec(String(timestamp));
+  return match ? normalizeZone(match[1]) : null;
+}
+
+/**
+ * Store a timestamp in UTC and keep the zone it was given in
+ * @param {Object} event - `{ timestamp, timezone }`
+ * @param {string} fallback - Zone to keep when the event names none
+ * @returns {Object} `{ timestamp, timezone }`
+ */
+function resolveTimezone({ timestamp, timezone }, fallback = null) {
+  let zone = null;
+  if (timezone !== undefined && timezone !== null) {
+    zone = normalizeZone(timezone);
+    if (!zone) {
+      throw new Error('Invalid event: timezone must be an IANA zone like Europe/Berlin or an offset like +02:00');
+    }
+  }
+
+  const time = Date.parse(timestamp);
+  return {
+    timestamp: isNaN(time) ? timestamp : new Date(time).toISOString(),
+    timezone: zone || timestampOffset(timestamp) || fallback
+  };
+}
+
+/**
+ * Bucket keys for the local periods a stretch of time touches
+ * @param {number} from - First instant, in milliseconds
+ * @param {number} to - Last instant, in milliseconds (inclusive)
+ * @param {string} zone - A normalized zone
+ * @param {string} format - moment format of a key, e.g. "HH" or "YYYY-MM-DD"
+ * @param {string} step - "hour" or "day": the finest period the format distinguishes
+ * @returns {Array} Distinct keys in time order
+ */
+function localBuckets(from, to, zone, format, step = 'day') {
+  const keys = new Set();
+  if (from > to) {
+    return [];
+  }
+
+  if (step === 'hour') {
+    // Step through real hours, so hours skipped by DST never appear and
+    // repeated ones are only listed once
+    const first = toWallClock(from, zone).startOf('hour');
+    for (let time = fromWallClock(first, zone); time <= to; time += HOUR_MS) {
+      keys.add(toWallClock(Math.max(time, from), zone).format(format));
+    }
+  } else {
+    const last = toWallClock(to, zone).startOf('day');
+    for (const day = toWallClock(from, zone).startOf('day'); !day.isAfter(last); day.add(1, 'day')) {
+      keys.add(day.format(format));
+    }
+  }
+
+  return [...keys];
+}
+
+module.exports = {
+  EVENT_ZONE,
+  normalizeZone,
+  parseTimelineZone,
+  serverZone,
+  offsetAt,
+  toWallClock,
+  fromWallClock,
+  parseWallClock,
+  timestampOffset,
+  resolveTimezone,
+  localBuckets
+};
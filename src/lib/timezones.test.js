@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+const {
+  EVENT_ZONE,
+  normalizeZone,
+  parseTimelineZone,
+  offsetAt,
+  toWallClock,
+  fromWallClock,
+  parseWallClock,
+  resolveTimezone,
+  localBuckets
+} = require('./timezones');
+
+const wall = (text) => Date.parse(`${text}Z`);
+
+describe('zones', () => {
+  test('accepts IANA names, UTC and offsets', () => {
+    expect(normalizeZone('Europe/Berlin')).toBe('Europe/Berlin');
+    expect(normalizeZone('utc')).toBe('UTC');
+    expect(normalizeZone('+0530')).toBe('+05:30');
+    expect(normalizeZone('-03:00')).toBe('-03:00');
+    expect(normalizeZone('Mars/Olympus')).toBeNull();
+    expect(normalizeZone('+15:00')).toBeNull();
+  });
+
+  test('reads the tz parameter', () => {
+    expect(parseTimelineZone('event')).toBe(EVENT_ZONE);
+    expect(parseTimelineZone('America/New_York')).toBe('America/New_York');
+    expect(typeof parseTimelineZone(undefined)).toBe('string');
+    expect(() => parseTimelineZone('Nowhere')).toThrow('Invalid tz');
+  });
+
+  test('follows daylight saving time', () => {
+    expect(offsetAt(Date.parse('2024-01-15T12:00:00Z'), 'Europe/Berlin')).toBe(60);
+    expect(offsetAt(Date.parse('2024-07-15T12:00:00Z'), 'Europe/Berlin')).toBe(120);
+    expect(offsetAt(Date.parse('2024-07-15T12:00:00Z'), '-03:00')).toBe(-180);
+    expect(toWallClock(Date.parse('2024-07-15T22:30:00Z'), 'Europe/Berlin').format('YYYY-MM-DD HH:mm')).toBe('2024-07-16 00:30');
+  });
+});
+
+describe('wall clock times', () => {
+  test('converts local times to instants across DST changes', () => {
+    expect(fromWallClock(wall('2024-03-31T01:30:00'), 'Europe/Berlin')).toBe(Date.parse('2024-03-31T00:30:00Z'));
+    // 02:30 does not exist on the spring-forward night and 02:30 happens twice in autumn
+    expect(fromWallClock(wall('2024-03-31T02:30:00'), 'Europe/Berlin')).toBe(Date.parse('2024-03-31T01:30:00Z'));
+    expect(fromWallClock(wall('2024-10-27T02:30:00'), 'Europe/Berlin')).toBe(Date.parse('2024-10-27T00:30:00Z'));
+  });
+
+  test('reads dates as local unless they carry an offset', () => {
+    expect(parseWallClock('2024-05-06', 'Europe/Berlin').format()).toBe('2024-05-06T00:00:00Z');
+    expect(parseWallClock('2024-05-06T22:00:00Z', 'Europe/Berlin').format()).toBe('2024-05-07T00:00:00Z');
+    expect(parseWallClock('soon', 'UTC').isValid()).toBe(false);
+  });
+
+  test('lists the local hours and days a stretch of time touches', () => {
+    const day = (date) => [fromWallClock(wall(`${date}T00:00:00`), 'Europe/Berlin'), fromWallClock(wall(`${date}T23:59:59.999`), 'Europe/Berlin')];
+
+    expect(localBuckets(...day('2024-03-31'), 'Europe/Berlin', 'HH', 'hour')).toHaveLength(23);
+    expect(localBuckets(...day('2024-03-31'), 'Europe/Berlin', 'HH', 'hour')).not.toContain('02');
+    expect(localBuckets(...day('2024-10-27'), 'Europe/Berlin', 'HH', 'hour')).toHaveLength(24);
+    expect(localBuckets(Date.parse('2024-05-06T21:00:00Z'), Date.parse('2024-05-06T23:00:00Z'), 'Europe/Berlin', 'YYYY-MM-DD'))
+      .toEqual(['2024-05-06', '2024-05-07']);
+  });
+});
+
+describe('resolveTimezone', () => {
+  test('stores UTC and keeps the zone or offset', () => {
+    expect(resolveTimezone({ timestamp: '2024-05-06T10:00:00+02:00' }))
+      .toEqual({ timestamp: '2024-05-06T08:00:00.000Z', timezone: '+02:00' });
+    expect(resolveTimezone({ timestamp: '2024-05-06T10:00:00+02:00', timezone: 'Europe/Berlin' }).timezone).toBe('Europe/Berlin');
+    expect(resolveTimezone({ timestamp: '2024-05-06T08:00:00Z' }, 'Asia/Tokyo').timezone).toBe('Asia/Tokyo');
+    expect(resolveTimezone({ timestamp: '2024-05-06T08:00:00Z' }).timezone).toBeNull();
+  });
+
+  test('rejects unknown zones', () => {
+    expect(() => resolveTimezone({ timestamp: '2024-05-06T08:00:00Z', timezone: 'Atlantis' })).toThrow('Invalid event: timezone');
+  });
+});
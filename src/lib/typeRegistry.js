@@ -0,0 +1,153 @@
+/**
+ * Event type registry
+ *
+ * Types come from two places: the LifeOS Protocol's built-in types, and
+ * custom types registered by users and plugins and kept in storage. Any type
+ * can carry a JSON Schema for its events' `metadata`; registering a built-in
+ * type attaches a schema (or a new description) to it. Events are checked
+ * against their type's schema when they are created or updated.
+ */
+
+const Ajv = require('ajv');
+const protocolTypes = require('lifeos-protocol/eventTypes');
+
+const TYPE_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i;
+
+// Metadata schemas are written by users, so unknown keywords and formats are
+// ignored rather than rejected
+const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addFormat('date-time', {
+  type: 'string',
+  validate: (dateTimeString) => !isNaN(Date.parse(dateTimeString))
+});
+
+// Compiled schemas by their JSON text
+const validators = new Map();
+
+/**
+ * Check whether a type is one of the protocol's built-in types
+ * @param {string} type - The type
+ * @returns {boolean} True if built in
+ */
+function isBuiltInType(type) {
+  return Boolean(protocolTypes.isValidEventType(type));
+}
+
+/**
+ * The protocol's built-in types, where the protocol package exports a list
+ * of them as `EVENT_TYPES` (either way isBuiltInType() recognizes them)
+ * @returns {Array} `{ type, description }`
+ */
+function listBuiltInTypes() {
+  const { EVENT_TYPES } = protocolTypes;
+  const types = Array.isArray(EVENT_TYPES) ? EVENT_TYPES : Object.keys(EVENT_TYPES || {});
+
+  return types.map(type => ({ type, description: protocolTypes.getEventTypeDescription(type) || null }));
+}
+
+/**
+ * Validate a type definition
+ * @param {Object} input - `{ type, description, schema }`
+ * @param {string} owner - Who registers it ("ui", "api", "plugin:<id>")
+ * @returns {Object} The type, ready to store
+ */
+function prepareEventType(input, owner) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid type: must be an object');
+  }
+
+  const { type, description = null, schema = null } = input;
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    throw new Error('Invalid type: type must be dot-separated words like fitness.run');
+  }
+  if (description !== null && typeof description !== 'string') {
+    throw new Error('Invalid type: description must be a string');
+  }
+  if (schema !== null) {
+    if (typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error('Invalid type: schema must be a JSON Schema object');
+    }
+    compileSchema(schema);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    type,
+    description: description ? description.trim() : null,
+    schema,
+    owner,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  if (!validators.has(key)) {
+    try {
+      // Schemas are cached by content, so an $id would clash between versions
+      const { $id, ...rest } = schema;
+      validators.set(key, ajv.compile(rest));
+    } catch (error) {
+      throw new Error(`Invalid type: schema is not valid JSON Schema (${error.message})`);
+    }
+  }
+  return validators.get(key);
+}
+
+/**
+ * Describe a type, merging a built-in type with its custom registration
+ * @param {string} type - The type
+ * @param {Object|null} custom - The stored registration, if any
+ * @returns {Object|null} `{ type, description, schema, builtin, owner }`, or
+ *   null for types that are neither built in nor registered
+ */
+function describeType(type, custom = null) {
+  const builtin = isBuiltInType(type);
+  if (!builtin && !custom) {
+    return null;
+  }
+
+  return {
+    type,
+    description: (custom && custom.description) || (builtin ? protocolTypes.getEventTypeDescription(type) || null : null),
+    schema: custom ? custom.schema : null,
+    builtin,
+    owner: custom ? custom.owner : 'protocol'
+  };
+}
+
+/**
+ * Every known type: the built-in ones and the registered ones, by type
+ * @param {Array} customTypes - Stored registrations
+ * @returns {Array} Types as describeType() returns them
+ */
+function mergeTypes(customTypes) {
+  const custom = new Map(customTypes.map(entry => [entry.type, entry]));
+  const types = new Set([...listBuiltInTypes().map(entry => entry.type), ...custom.keys()]);
+
+  return [...types]
+    .sort()
+    .map(type => describeType(type, custom.get(type)));
+}
+
+/**
+ * Check an event's metadata against its type's schema
+ * @param {Object} event - The event
+ * @param {Object} schema - The type's metadata schema
+ */
+function validateMetadata(event, schema) {
+  const validate = compileSchema(schema);
+  if (!validate(event.metadata || {})) {
+    throw new Error(`Invalid event: metadata does not match the ${event.type} schema: ${ajv.errorsText(validate.errors, { dataVar: 'metadata' })}`);
+  }
+}
+
+module.exports = {
+  isBuiltInType,
+  listBuiltInTypes,
+  prepareEventType,
+  describeType,
+  mergeTypes,
+  validateMetadata
+};
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+const { prepareEventType, describeType, mergeTypes, validateMetadata } = require('./typeRegistry');
+
+const schema = {
+  type: 'object',
+  required: ['distance_km'],
+  properties: {
+    distance_km: { type: 'number', minimum: 0 },
+    started: { type: 'string', format: 'date-time' }
+  }
+};
+
+describe('prepareEventType', () => {
+  test('keeps the definition and its owner', () => {
+    expect(prepareEventType({ type: 'fitness.run', description: ' A run ', schema }, 'plugin:strava')).toMatchObject({
+      type: 'fitness.run',
+      description: 'A run',
+      schema,
+      owner: 'plugin:strava'
+    });
+    expect(prepareEventType({ type: 'diet.meal' }, 'api')).toMatchObject({ description: null, schema: null });
+  });
+
+  test('rejects bad names and schemas', () => {
+    expect(() => prepareEventType({ type: 'fitness run' }, 'api')).toThrow('Invalid type: type must be');
+    expect(() => prepareEventType({ type: 'fitness.run', schema: [] }, 'api')).toThrow('schema must be a JSON Schema object');
+    expect(() => prepareEventType({ type: 'fitness.run', schema: { type: 'thing' } }, 'api')).toThrow('schema is not valid JSON Schema');
+  });
+});
+
+describe('validateMetadata', () => {
+  test('checks metadata against the schema', () => {
+    expect(() => validateMetadata({ type: 'fitness.run', metadata: { distance_km: 5 } }, schema)).not.toThrow();
+    expect(() => validateMetadata({ type: 'fitness.run', metadata: {} }, schema))
+      .toThrow("Invalid event: metadata does not match the fitness.run schema: metadata must have required property 'distance_km'");
+    expect(() => validateMetadata({ type: 'fitness.run', metadata: { distance_km: -1, started: 'soon' } }, schema))
+      .toThrow(/distance_km must be >= 0, metadata\/started must match format/);
+  });
+});
+
+describe('describeType', () => {
+  test('describes registered types and leaves unknown ones out', () => {
+    const entry = prepareEventType({ type: 'x-test.custom', description: 'Custom', schema }, 'api');
+
+    expect(describeType('x-test.custom', entry)).toEqual({
+      type: 'x-test.custom',
+      description: 'Custom',
+      schema,
+      builtin: false,
+      owner: 'api'
+    });
+    expect(describeType('x-test.unknown')).toBeNull();
+    expect(mergeTypes([entry]).map(type => type.type)).toContain('x-test.custom');
+  });
+});
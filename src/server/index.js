@@ -6,13 +6,24 @@ const compression = require('compression');
 const path = require('path');
 require('dotenv').config();
 
+const EventManager = require('../lib/eventManager');
 const eventRoutes = require('./routes/events');
 const timelineRoutes = require('./routes/timeline');
 const pluginRoutes = require('./routes/plugins');
+const tagRoutes = require('./routes/tags');
+const habitRoutes = require('./routes/habits');
+const typeRoutes = require('./routes/types');
+const ruleRoutes = require('./routes/rules');
+const journalRoutes = require('./routes/journal');
+const inboxRoutes = require('./routes/inbox');
+const exportRoutes = require('./routes/export');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
 
+// One event manager (and database connection) shared by every route
+const eventManager = new EventManager();
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -27,13 +38,15 @@ app.use(helmet({
 app.use(cors());
 app.use(compression());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Attachment uploads are streamed to disk as sent, so the body parsers leave them alone
+const isAttachmentUpload = (req) => req.method === 'POST' && /^\/api\/events\/[^/]+\/attachments\/?$/.test(req.path);
+const unlessUpload = (parser) => (req, res, next) => (isAttachmentUpload(req) ? next() : parser(req, res, next));
+app.use(unlessUpload(express.json({ limit: '10mb' })));
+app.use(unlessUpload(express.urlencoded({ extended: true })));
 
-// API Routes
-app.use('/api/events', eventRoutes);
-app.use('/api/timeline', timelineRoutes);
-app.use('/api/plugins', pluginRoutes);
+// API Routes, added by start() once the event manager is initialized
+const api = express.Router();
+app.use('/api', api);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -61,8 +74,32 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🧠 LifeOS Core running on http://localhost:${PORT}`);
-  console.log(`📊 API available at http://localhost:${PORT}/api`);
-  console.log(`🔌 Plugin system ready`);
-}); 
\ No newline at end of file
+/**
+ * Open the database, add the API routes and start listening
+ */
+async function start() {
+  await eventManager.initialize();
+  console.log('✅ EventManager initialized successfully');
+
+  api.use('/events', eventRoutes(eventManager));
+  api.use('/timeline', timelineRoutes(eventManager));
+  api.use('/plugins', pluginRoutes);
+  api.use('/tags', tagRoutes(eventManager));
+  api.use('/habits', habitRoutes(eventManager));
+  api.use('/types', typeRoutes(eventManager));
+  api.use('/rules', ruleRoutes(eventManager));
+  api.use('/journal', journalRoutes(eventManager));
+  api.use('/inbox', inboxRoutes(eventManager));
+  api.use('/export', exportRoutes(eventManager));
+
+  app.listen(PORT, () => {
+    console.log(`🧠 LifeOS Core running on http://localhost:${PORT}`);
+    console.log(`📊 API available at http://localhost:${PORT}/api`);
+    console.log(`🔌 Plugin system ready`);
+  });
+}
+
+start().catch((error) => {
+  console.error('❌ Failed to initialize EventManager:', error);
+  process.exit(1);
+});
@@ -1,72 +1,234 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
-const EventManager = require('../../lib/eventManager');
-
-// Initialize event manager
-const eventManager = new EventManager();
-
-// Initialize database on startup
-let isInitialized = false;
-eventManager.initialize()
-  .then(() => {
-    isInitialized = true;
-    console.log('✅ EventManager initialized successfully');
-  })
-  .catch((error) => {
-    console.error('❌ Failed to initialize EventManager:', error);
-    process.exit(1);
-  });
+const cron = require('node-cron');
+const { normalizeActor } = require('../../lib/revisions');
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+/**
+ * Run a batch request and answer with per-item results:
+ * full success uses the given status, partial success 207, nothing committed 422
+ */
+async function handleBatch(req, res, items, operation, successStatus) {
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'A non-empty array of items is required' });
+    }
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({ error: `Batches are limited to ${MAX_BATCH_SIZE} items` });
+    }
+
+    const report = await operation(items, { mode: req.body.mode, actor: getActor(req) });
+
+    let status = successStatus;
+    if (!report.committed) {
+      status = 422;
+    } else if (report.results.some(result => result.error)) {
+      status = 207;
+    }
+
+    res.status(status).json(report);
+  } catch (error) {
+    console.error('Error running batch:', error);
+    if (error.message.includes('Invalid batch mode')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+async function purgeExpiredTrash() {
+  try {
+    const purged = await eventManager.purgeTrash();
+    if (purged > 0) {
+      console.log(`🗑️  Purged ${purged} event(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error);
+  }
+}
 
-// Middleware to ensure database is initialized
-const ensureInitialized = (req, res, next) => {
-  if (!isInitialized) {
-    return res.status(503).json({ error: 'Database is initializing, please try again' });
+async function collectAttachmentGarbage() {
+  try {
+    const { removed, bytes } = await eventManager.collectAttachmentGarbage();
+    if (removed.length > 0) {
+      console.log(`🗑️  Removed ${removed.length} unused attachment file(s), ${bytes} bytes`);
+    }
+  } catch (error) {
+    console.error('Error collecting attachment garbage:', error);
   }
-  next();
+}
+
+async function cleanUp() {
+  await purgeExpiredTrash();
+  await collectAttachmentGarbage();
+}
+
+// Largest number of items accepted by one batch request
+const MAX_BATCH_SIZE = 1000;
+
+// Largest page a list request returns
+const MAX_PAGE_SIZE = 1000;
+
+// Bounds for link graph traversal
+const MAX_GRAPH_DEPTH = 5;
+const MAX_GRAPH_NODES = 1000;
+
+// Who is making a change: the UI sends "ui", plugins "plugin:<id>", anything else is "api"
+const getActor = (req) => normalizeActor(req.get('X-LifeOS-Actor'), 'api');
+
+// A whole number from a path or query parameter, or NaN; parseInt would
+// read "3abc" as 3
+const parseInteger = (value) => (/^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+
+/**
+ * Read paging options shared by every list route: `limit`, `cursor` (a
+ * `next`/`prev` token from an earlier page), `sort` (or the older `orderBy`),
+ * `offset` and `includeTotal`
+ */
+const getPageOptions = (query, defaultLimit) => {
+  const limit = parseInt(query.limit, 10);
+  return {
+    limit: limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : defaultLimit,
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+    cursor: query.cursor || undefined,
+    sort: query.sort || query.orderBy || undefined,
+    includeTotal: query.includeTotal === 'true' || query.includeTotal === '1'
+  };
 };
 
+const isQueryError = (error) => /^Invalid (sort|cursor|filter query|group|near|radius|bbox|time)/.test(error.message);
+
+// Filter query errors say where they are, so clients can highlight the spot
+const queryErrorBody = (error) => (error.position !== undefined
+  ? { error: error.message, position: error.position, length: error.length }
+  : { error: error.message });
+
 /**
  * GET /api/events
- * Get events with optional filtering
+ * Get a page of events with optional filtering. Tag filters take comma-separated lists:
+ * `tags` (any of), `tagsAll` (all of) and `tagsNone` (none of); a tag also
+ * matches its descendants (`health` matches `health/sleep`). `q` takes a filter
+ * query such as `type:music.* mood>=7 -tag:work last:7d`. `near=lat,lng`
+ * (with an optional `radius=2km`) and `bbox=south,west,north,east` select by
+ * location. `at=<time>` selects what was going on at that moment, and
+ * `overlapStart` / `overlapEnd` the events whose span touches a range.
+ * Events come newest first, or nearest first with `near`, unless `sort` says
+ * otherwise (e.g. `sort=-mood,timestamp`); follow `pagination.next` / `prev`
+ * by passing them as `cursor`
  */
-router.get('/', ensureInitialized, async (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const {
+      q,
+      near,
+      radius,
+      bbox,
+      at,
+      overlapStart,
+      overlapEnd,
       source,
       type,
       startDate,
       endDate,
       tags,
-      limit = 100,
-      offset = 0,
-      orderBy = 'timestamp DESC'
+      tagsAll,
+      tagsNone
     } = req.query;
 
-    // Parse tags if provided
-    const parsedTags = tags ? tags.split(',') : undefined;
+    // Parse tag lists if provided
+    const parseTags = (list) => (list ? list.split(',').filter(tag => tag.trim()) : undefined);
 
-    const events = await eventManager.getEvents({
+    const page = await eventManager.listEvents({
+      q,
+      near,
+      radius,
+      bbox,
+      activeAt: at,
+      overlapStart,
+      overlapEnd,
       source,
       type,
       startDate,
       endDate,
-      tags: parsedTags,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      orderBy
+      tags: parseTags(tags),
+      tagsAll: parseTags(tagsAll),
+      tagsNone: parseTags(tagsNone),
+      ...getPageOptions(req.query, 100)
     });
 
-    res.json({
-      events,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        count: events.length
-      }
-    });
+    res.json(page);
   } catch (error) {
     console.error('Error getting events:', error);
-    res.status(500).json({ error: error.message });
+    if (isQueryError(error)) {
+      res.status(400).json(queryErrorBody(error));
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/events/groups
+ * Count events per value of `by`: source, type, mood, duration or a metadata
+ * path such as `metadata.artist`. Takes `q` and the date filters of GET /api/events
+ */
+router.get('/groups', async (req, res) => {
+  try {
+    const { by, q, startDate, endDate } = req.query;
+    const limit = parseInt(req.query.limit, 10);
+
+    const groups = await eventManager.groupEvents(by, {
+      q,
+      startDate,
+      endDate,
+      limit: limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : 100
+    });
+
+    res.json({ by, groups });
+  } catch (error) {
+    console.error('Error grouping events:', error);
+    if (isQueryError(error)) {
+      res.status(400).json(queryErrorBody(error));
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/events/places
+ * Frequently visited places: events with coordinates clustered within
+ * `placeRadius` (default 100m), each with its visit count and first and last
+ * visit. Takes `q`, `bbox`, the date filters and `minVisits` (default 2)
+ */
+router.get('/places', async (req, res) => {
+  try {
+    const { q, bbox, startDate, endDate, placeRadius } = req.query;
+    const limit = parseInt(req.query.limit, 10);
+    const minVisits = parseInt(req.query.minVisits, 10);
+
+    const places = await eventManager.getPlaces({
+      q,
+      bbox,
+      startDate,
+      endDate,
+      placeRadius: placeRadius || undefined,
+      minVisits: minVisits > 0 ? minVisits : undefined,
+      limit: limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : undefined
+    });
+
+    res.json({ places });
+  } catch (error) {
+    console.error('Error getting places:', error);
+    if (isQueryError(error)) {
+      res.status(400).json(queryErrorBody(error));
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -74,7 +236,7 @@ router.get('/', ensureInitialized, async (req, res) => {
  * GET /api/events/sources
  * Get all available sources
  */
-router.get('/sources', ensureInitialized, async (req, res) => {
+router.get('/sources', async (req, res) => {
   try {
     const events = await eventManager.getEvents({ limit: 1000 });
     const sources = [...new Set(events.map(event => event.source))];
@@ -89,7 +251,7 @@ router.get('/sources', ensureInitialized, async (req, res) => {
  * GET /api/events/types
  * Get all available event types
  */
-router.get('/types', ensureInitialized, async (req, res) => {
+router.get('/types', async (req, res) => {
   try {
     const events = await eventManager.getEvents({ limit: 1000 });
     const types = [...new Set(events.map(event => event.type))];
@@ -102,21 +264,45 @@ router.get('/types', ensureInitialized, async (req, res) => {
 
 /**
  * GET /api/events/search
- * Search events by text
+ * Full-text search, best matches first. Supports "phrases", prefix* and
+ * AND / OR / NOT; each result carries a `score` and a highlighted `snippet`
  */
-router.get('/search', ensureInitialized, async (req, res) => {
+router.get('/search', async (req, res) => {
   try {
-    const { q, limit = 50 } = req.query;
+    const {
+      q,
+      source,
+      type,
+      startDate,
+      endDate
+    } = req.query;
     
     if (!q) {
       return res.status(400).json({ error: 'Search query is required' });
     }
 
-    const events = await eventManager.searchEvents(q, { limit: parseInt(limit) });
-    res.json({ events, query: q });
+    // Results are ranked by relevance, so there is no sort option
+    const { sort, ...pageOptions } = getPageOptions(req.query, 50);
+    const { events, pagination } = await eventManager.listSearchResults(q, {
+      source,
+      type,
+      startDate,
+      endDate,
+      ...pageOptions
+    });
+
+    res.json({
+      events,
+      query: q,
+      pagination
+    });
   } catch (error) {
     console.error('Error searching events:', error);
-    res.status(500).json({ error: error.message });
+    if (error.message.includes('Invalid search query') || isQueryError(error)) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -124,7 +310,7 @@ router.get('/search', ensureInitialized, async (req, res) => {
  * GET /api/events/stats
  * Get event statistics
  */
-router.get('/stats', ensureInitialized, async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
     const stats = await eventManager.getStats();
     res.json(stats);
@@ -136,50 +322,163 @@ router.get('/stats', ensureInitialized, async (req, res) => {
 
 /**
  * POST /api/events/resolve
- * Resolve a life:// URI to an event
+ * Resolve a life:// URI to an event. Body is `{ uri }`, answered with the
+ * event (404 for unknown URIs, 502 when a resolver fails), or `{ uris: [...] }`,
+ * answered with one result per URI
  */
-router.post('/resolve', ensureInitialized, async (req, res) => {
+router.post('/resolve', async (req, res) => {
   try {
-    const { uri } = req.body;
+    const { uri, uris } = req.body;
+
+    if (uris !== undefined) {
+      if (!Array.isArray(uris) || uris.length === 0) {
+        return res.status(400).json({ error: 'A non-empty array of URIs is required' });
+      }
+      if (uris.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({ error: `Batches are limited to ${MAX_BATCH_SIZE} URIs` });
+      }
+
+      const results = await eventManager.resolveURIs(uris);
+      return res.json({ results });
+    }
     
     if (!uri) {
       return res.status(400).json({ error: 'URI is required' });
     }
 
     const event = await eventManager.resolveURI(uri);
+    if (!event) {
+      return res.status(404).json({ error: `Unknown URI: ${uri}` });
+    }
+
     res.json(event);
   } catch (error) {
     console.error('Error resolving URI:', error);
-    res.status(404).json({ error: error.message });
+    if (error.message.includes('Invalid URI')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.includes('Resolver error')) {
+      res.status(502).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
 /**
- * POST /api/events
- * Create a new event
+ * GET /api/events/trash
+ * List events in the trash
  */
-router.post('/', ensureInitialized, async (req, res) => {
+router.get('/trash', async (req, res) => {
   try {
-    const eventData = req.body;
-    
-    // Add default timestamp if not provided
-    if (!eventData.timestamp) {
-      eventData.timestamp = new Date().toISOString();
+    const { q, source, type } = req.query;
+
+    const { events, pagination } = await eventManager.getTrash({
+      q,
+      source,
+      type,
+      ...getPageOptions(req.query, 100)
+    });
+
+    res.json({
+      events,
+      retentionDays: eventManager.trashRetentionDays,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    if (isQueryError(error)) {
+      res.status(400).json(queryErrorBody(error));
+    } else {
+      res.status(500).json({ error: error.message });
     }
+  }
+});
 
-    const event = await eventManager.createEvent(eventData);
-    res.status(201).json(event);
+/**
+ * DELETE /api/events/trash
+ * Empty the trash
+ */
+router.delete('/trash', async (req, res) => {
+  try {
+    const purged = await eventManager.purgeTrash({ olderThanDays: 0, actor: getActor(req) });
+    res.json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/events/trash/:id
+ * Permanently delete a trashed event
+ */
+router.delete('/trash/:id', async (req, res) => {
+  try {
+    const event = await eventManager.getEvent(req.params.id, { includeDeleted: true });
+
+    if (!event || !event.deleted_at) {
+      return res.status(404).json({ error: 'Event not found in trash' });
+    }
+
+    await eventManager.purgeEvent(req.params.id, { actor: getActor(req) });
+    res.json({ message: 'Event permanently deleted' });
+  } catch (error) {
+    console.error('Error purging event:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/events
+ * Create a new event. An event with an `external_id` updates the one its
+ * source already stored under that ID instead; the outcome is given by the
+ * X-LifeOS-Upsert-Status header ("created", "updated", "unchanged", or
+ * "skipped" when the stored event is in the trash)
+ */
+router.post('/', async (req, res) => {
+  try {
+    // A missing timestamp defaults to now, or to the stored event's when upserting
+    const { status, event } = await eventManager.upsertEvent(req.body, { actor: getActor(req) });
+
+    res.set('X-LifeOS-Upsert-Status', status);
+    res.status(status === 'created' ? 201 : 200).json(event);
   } catch (error) {
     console.error('Error creating event:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
+/**
+ * POST /api/events/batch
+ * Create many events at once; body is `{ events: [...], mode }`. Events with an
+ * `external_id` are upserted as in POST /api/events, and each result's status
+ * says whether it was created, updated, unchanged or skipped
+ */
+router.post('/batch', (req, res) => {
+  return handleBatch(req, res, req.body.events, (items, options) => eventManager.upsertEvents(items, options), 201);
+});
+
+/**
+ * POST /api/events/batch/update
+ * Update many events at once; body is `{ updates: [{ id, updates }], mode }`
+ */
+router.post('/batch/update', (req, res) => {
+  return handleBatch(req, res, req.body.updates, (items, options) => eventManager.updateEvents(items, options), 200);
+});
+
+/**
+ * POST /api/events/batch/delete
+ * Move many events to the trash at once; body is `{ ids: [...], mode }`
+ */
+router.post('/batch/delete', (req, res) => {
+  return handleBatch(req, res, req.body.ids, (items, options) => eventManager.deleteEvents(items, options), 200);
+});
+
 /**
  * GET /api/events/:id
  * Get a specific event by ID
  */
-router.get('/:id', ensureInitialized, async (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
     const event = await eventManager.getEvent(req.params.id);
     
@@ -198,10 +497,10 @@ router.get('/:id', ensureInitialized, async (req, res) => {
  * PUT /api/events/:id
  * Update an event
  */
-router.put('/:id', ensureInitialized, async (req, res) => {
+router.put('/:id', async (req, res) => {
   try {
     const updates = req.body;
-    const event = await eventManager.updateEvent(req.params.id, updates);
+    const event = await eventManager.updateEvent(req.params.id, updates, { actor: getActor(req) });
     res.json(event);
   } catch (error) {
     console.error('Error updating event:', error);
@@ -217,19 +516,303 @@ router.put('/:id', ensureInitialized, async (req, res) => {
  * DELETE /api/events/:id
  * Delete an event
  */
-router.delete('/:id', ensureInitialized, async (req, res) => {
+router.delete('/:id', async (req, res) => {
   try {
-    const deleted = await eventManager.deleteEvent(req.params.id);
+    const deleted = await eventManager.deleteEvent(req.params.id, { actor: getActor(req) });
     
     if (!deleted) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    res.json({ message: 'Event deleted successfully' });
+    res.json({ message: 'Event moved to trash' });
   } catch (error) {
     console.error('Error deleting event:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * GET /api/events/:id/links
+ * Events (and external URIs) this event links to
+ */
+router.get('/:id/links', async (req, res) => {
+  try {
+    const links = await eventManager.getLinks(req.params.id);
+    res.json({ event_id: req.params.id, links });
+  } catch (error) {
+    console.error('Error getting links:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/events/:id/backlinks
+ * Events that link to this event
+ */
+router.get('/:id/backlinks', async (req, res) => {
+  try {
+    const backlinks = await eventManager.getBacklinks(req.params.id);
+    res.json({ event_id: req.params.id, backlinks });
+  } catch (error) {
+    console.error('Error getting backlinks:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * GET /api/events/:id/graph?depth=2&direction=both&limit=200
+ * Nodes and edges of the link graph around an event
+ */
+router.get('/:id/graph', async (req, res) => {
+  try {
+    const { depth = 2, direction = 'both', limit = 200 } = req.query;
+    const parsedDepth = parseInteger(depth);
+    const parsedLimit = parseInteger(limit);
+
+    if (!Number.isInteger(parsedDepth) || parsedDepth < 0 || parsedDepth > MAX_GRAPH_DEPTH) {
+      return res.status(400).json({ error: `Depth must be between 0 and ${MAX_GRAPH_DEPTH}` });
+    }
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_GRAPH_NODES) {
+      return res.status(400).json({ error: `Limit must be between 1 and ${MAX_GRAPH_NODES}` });
+    }
+
+    const graph = await eventManager.getLinkGraph(req.params.id, {
+      depth: parsedDepth,
+      direction,
+      limit: parsedLimit
+    });
+    res.json(graph);
+  } catch (error) {
+    console.error('Error getting link graph:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid direction')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * POST /api/events/:id/restore
+ * Restore an event from the trash
+ */
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const event = await eventManager.restoreEvent(req.params.id, { actor: getActor(req) });
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found in trash' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error('Error restoring event:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/events/:id/history
+ * Get the revision history of an event (also works for deleted events)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const revisions = await eventManager.getEventHistory(req.params.id);
+
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Event history not found' });
+    }
+
+    res.json({ event_id: req.params.id, revisions });
+  } catch (error) {
+    console.error('Error getting event history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/events/:id/diff?from=&to=
+ * Diff two revisions of an event (defaults to the latest change)
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const from = req.query.from !== undefined ? parseInteger(req.query.from) : undefined;
+    const to = req.query.to !== undefined ? parseInteger(req.query.to) : undefined;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'Revision numbers must be integers' });
+    }
+
+    const diff = await eventManager.diffEventRevisions(req.params.id, from, to);
+    res.json(diff);
+  } catch (error) {
+    console.error('Error diffing event revisions:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * POST /api/events/:id/revert/:rev
+ * Restore an event to an earlier revision, recreating it if it was deleted
+ */
+router.post('/:id/revert/:rev', async (req, res) => {
+  try {
+    const revision = parseInteger(req.params.rev);
+
+    if (!Number.isInteger(revision)) {
+      return res.status(400).json({ error: 'Revision number must be an integer' });
+    }
+
+    const event = await eventManager.revertEvent(req.params.id, revision, { actor: getActor(req) });
+    res.json(event);
+  } catch (error) {
+    console.error('Error reverting event:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(400).json({ error: error.message });
+    }
+  }
+});
+
+// Unknown events and attachments are 404s, oversized files 413s, and
+// thumbnails without the image library 501s
+const sendAttachmentError = (res, error) => {
+  if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.includes('too large')) {
+    res.status(413).json({ error: error.message });
+  } else if (/^Invalid (attachment|size)/.test(error.message)) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message.includes('not available')) {
+    res.status(501).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Stored files never change, so clients can keep them
+const sendStoredFile = (res, filePath) => {
+  res.sendFile(path.resolve(filePath), { maxAge: '1y', immutable: true, dotfiles: 'allow' }, (error) => {
+    if (error && !res.headersSent) {
+      sendAttachmentError(res, error.code === 'ENOENT' ? new Error('Attachment file not found') : error);
+    }
+  });
+};
+
+/**
+ * GET /api/events/:id/attachments
+ * List the files attached to an event
+ */
+router.get('/:id/attachments', async (req, res) => {
+  try {
+    const attachments = await eventManager.getAttachments(req.params.id);
+    res.json({ event_id: req.params.id, attachments });
+  } catch (error) {
+    console.error('Error getting attachments:', error);
+    sendAttachmentError(res, error);
+  }
+});
+
+/**
+ * POST /api/events/:id/attachments?filename=photo.jpg
+ * Attach a file, sent as the raw request body with its own Content-Type
+ * (e.g. `curl --data-binary @photo.jpg -H 'Content-Type: image/jpeg'`)
+ */
+router.post('/:id/attachments', async (req, res) => {
+  try {
+    if (req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Send the file itself as the request body, not as a form' });
+    }
+
+    const length = req.get('Content-Length');
+    const attachment = await eventManager.addAttachment(req.params.id, req, {
+      filename: req.query.filename,
+      contentType: req.get('Content-Type'),
+      size: length !== undefined ? parseInt(length, 10) : undefined
+    });
+    res.status(201).json(attachment);
+  } catch (error) {
+    console.error('Error adding attachment:', error);
+    sendAttachmentError(res, error);
+  }
+});
+
+/**
+ * GET /api/events/:id/attachments/:attachmentId
+ * Download an attached file (supports Range requests); `?download=true`
+ * asks the browser to save it rather than show it
+ */
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { attachment, path: filePath } = await eventManager.getAttachmentFile(req.params.id, req.params.attachmentId);
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set('Content-Type', attachment.content_type);
+    res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`);
+    sendStoredFile(res, filePath);
+  } catch (error) {
+    console.error('Error getting attachment:', error);
+    sendAttachmentError(res, error);
+  }
+});
+
+/**
+ * GET /api/events/:id/attachments/:attachmentId/thumbnail?size=256
+ * A JPEG thumbnail of an attached image, at most `size` pixels wide and high
+ */
+router.get('/:id/attachments/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    const size = req.query.size !== undefined ? parseInt(req.query.size, 10) : undefined;
+    const { path: filePath } = await eventManager.getAttachmentThumbnail(req.params.id, req.params.attachmentId, size);
+
+    res.set('Content-Type', 'image/jpeg');
+    sendStoredFile(res, filePath);
+  } catch (error) {
+    console.error('Error getting thumbnail:', error);
+    sendAttachmentError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/events/:id/attachments/:attachmentId
+ * Remove a file from an event
+ */
+router.delete('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    await eventManager.removeAttachment(req.params.id, req.params.attachmentId);
+    res.json({ message: 'Attachment removed' });
+  } catch (error) {
+    console.error('Error removing attachment:', error);
+    sendAttachmentError(res, error);
+  }
+});
+
+/**
+ * Set up the /api/events routes, and purge expired trash and unused
+ * attachment files now and every night
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+
+  cleanUp();
+  cron.schedule('0 3 * * *', cleanUp);
+
+  return router;
+};
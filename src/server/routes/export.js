@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { EXPORT_FORMATS, CONTENT_TYPES, exportEvents, exportFileName } = require('../../lib/exporter');
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+/**
+ * GET /api/export
+ * Download events as `format` (json, ndjson, csv, markdown or bundle; ndjson
+ * by default), oldest first. Takes the filters of GET /api/events (`q`,
+ * `type`, `tags`, `startDate`, `near`, ...); `timezone` sets the zone
+ * Markdown days are in. The file is streamed as events are read.
+ */
+router.get('/', async (req, res) => {
+  const format = req.query.format || 'ndjson';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format: ${format} (use ${EXPORT_FORMATS.join(', ')})` });
+  }
+
+  try {
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${exportFileName(format)}"`
+    });
+
+    await exportEvents(eventManager, res, { format, filters: req.query, timezone: req.query.timezone });
+    res.end();
+  } catch (error) {
+    console.error('Error exporting events:', error);
+    // Once the file has started there is no status to change; cut it short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    if (/^Invalid /.test(error.message)) {
+      // Filter query errors say where they are, as GET /api/events reports them
+      res.status(400).json(error.position !== undefined
+        ? { error: error.message, position: error.position, length: error.length }
+        : { error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Set up the /api/export routes
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+  return router;
+};
@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+// Unknown habits are 404s; bad definitions, rules, queries and ranges are 400s
+const sendError = (res, error) => {
+  if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else if (/^Invalid /.test(error.message)) {
+    res.status(400).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * GET /api/habits
+ * List habits
+ */
+router.get('/', async (req, res) => {
+  try {
+    const habits = await eventManager.listHabits();
+    res.json({ habits });
+  } catch (error) {
+    console.error('Error getting habits:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/habits/report
+ * Completed, missed and upcoming occurrences of every habit;
+ * takes `startDate` and `endDate` (30 days back to 7 ahead by default)
+ */
+router.get('/report', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const report = await eventManager.getHabitReport({ startDate, endDate });
+
+    res.json({
+      habits: report.map(({ habit, summary }) => ({ habit, summary }))
+    });
+  } catch (error) {
+    console.error('Error getting habit report:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/habits
+ * Create a habit: `{ name, rule, start, timezone, duration, match }`
+ */
+router.post('/', async (req, res) => {
+  try {
+    const habit = await eventManager.createHabit(req.body);
+    res.status(201).json(habit);
+  } catch (error) {
+    console.error('Error creating habit:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/habits/:id
+ * Get a habit
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const habit = await eventManager.getHabit(req.params.id);
+
+    if (!habit) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+
+    res.json(habit);
+  } catch (error) {
+    console.error('Error getting habit:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/habits/:id/occurrences
+ * A habit's occurrences, each `completed`, `missed` or `upcoming` with the
+ * IDs of the events that completed it; takes `startDate`, `endDate` and `status`
+ */
+router.get('/:id/occurrences', async (req, res) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+    const result = await eventManager.getHabitOccurrences(req.params.id, { startDate, endDate, status });
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting habit occurrences:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/habits/:id
+ * Update a habit
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const habit = await eventManager.updateHabit(req.params.id, req.body);
+    res.json(habit);
+  } catch (error) {
+    console.error('Error updating habit:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/habits/:id
+ * Delete a habit; its events are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await eventManager.deleteHabit(req.params.id);
+    res.json({ message: 'Habit deleted' });
+  } catch (error) {
+    console.error('Error deleting habit:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Set up the /api/habits routes
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+  return router;
+};
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const Inbox = require('../../lib/inbox');
+
+// The inbox folder is watched only when INBOX_DIR is set (see the function
+// this module exports)
+let inbox = null;
+// Why the inbox could not be started, reported by GET /api/inbox
+let startError = null;
+
+/**
+ * Ingest the files waiting in the folder and start watching it
+ * @returns {Array} Their ingestions
+ */
+async function startInbox() {
+  let ingestions;
+  try {
+    ingestions = await inbox.start();
+  } catch (error) {
+    startError = error.message;
+    throw error;
+  }
+  startError = null;
+  console.log(`📥 Watching ${inbox.dir} for event files`);
+  return ingestions;
+}
+
+function logIngestion({ file, records, created, updated, rejected, error, report_file: reportFile }) {
+  if (error || rejected > 0) {
+    console.error(`📥 Inbox: ${file}: ${error || `${rejected} of ${records} record(s) rejected`} (see ${reportFile})`);
+  }
+  if (created + updated > 0) {
+    console.log(`📥 Inbox: ${file}: ${created} created, ${updated} updated`);
+  }
+}
+
+/**
+ * GET /api/inbox
+ * The inbox folder, how many files are waiting, the latest ingestions (up to
+ * `limit`, 20 by default) with their counts and where their files went, and
+ * why the inbox could not be started, if it could not
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit >= 0)) {
+      return res.status(400).json({ error: 'Invalid limit: must be a number' });
+    }
+
+    res.json(inbox
+      ? { enabled: true, ...(await inbox.status({ limit })), error: startError }
+      : { enabled: false, dir: null, watching: false, pending: 0, recent: [], error: null });
+  } catch (error) {
+    console.error('Error getting inbox status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/inbox/scan
+ * Ingest the files waiting in the folder now, without waiting for the
+ * watcher (starting the inbox if it failed to start)
+ */
+router.post('/scan', async (req, res) => {
+  if (!inbox) {
+    return res.status(409).json({ error: 'The inbox is off: set INBOX_DIR to the folder to watch' });
+  }
+
+  try {
+    const ingestions = startError ? await startInbox() : await inbox.scan();
+    res.json({ ingestions });
+  } catch (error) {
+    console.error('Error scanning inbox:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Set up the /api/inbox routes, and start watching the inbox folder
+ * @param {EventManager} eventManager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (eventManager) => {
+  if (process.env.INBOX_DIR) {
+    inbox = new Inbox(eventManager, { dir: process.env.INBOX_DIR, onIngest: logIngestion });
+    // The rest of the server keeps running without it
+    startInbox().catch((error) => {
+      console.error('❌ Failed to start the inbox:', error);
+    });
+  }
+
+  return router;
+};
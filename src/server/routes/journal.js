@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const cron = require('node-cron');
+const JournalSync = require('../../lib/journalSync');
+
+// The journal folder is synced only when JOURNAL_DIR is set (see the
+// function this module exports)
+let journal = null;
+// Why the journal could not be started, reported by GET /api/journal
+let startError = null;
+
+/**
+ * Sync the journal folder and start watching it
+ * @returns {Object} The first sync's report
+ */
+async function startJournal() {
+  let report;
+  try {
+    report = await journal.start();
+  } catch (error) {
+    startError = error.message;
+    throw error;
+  }
+  startError = null;
+  console.log(`📓 Watching ${journal.dir} for journal entries`);
+
+  // Write out journal entries made through the API
+  cron.schedule('* * * * *', exportEvents);
+  return report;
+}
+
+async function exportEvents() {
+  try {
+    const written = await journal.exportEvents();
+    if (written > 0) {
+      console.log(`📓 Wrote ${written} journal file(s)`);
+    }
+  } catch (error) {
+    console.error('Error writing journal files:', error);
+  }
+}
+
+function logReport({ created, updated, exported, removed, errors }) {
+  if (created + updated + exported + removed > 0) {
+    console.log(`📓 Journal synced: ${created} created, ${updated} updated, ${exported} written, ${removed} removed`);
+  }
+  errors.forEach(({ file, error }) => console.error(`Error reading journal file ${file}:`, error));
+}
+
+/**
+ * GET /api/journal
+ * Describe the journal sync: its folder, whether it is watching, how many
+ * files it tracks, when the folder was last synced in full and why it could
+ * not be started, if it could not
+ */
+router.get('/', (req, res) => {
+  res.json(journal
+    ? { enabled: true, ...journal.status(), error: startError }
+    : { enabled: false, dir: null, watching: false, files: 0, lastSync: null, error: null });
+});
+
+/**
+ * POST /api/journal/sync
+ * Sync the whole folder now (starting the sync if it failed to start);
+ * reports how many events were created, updated and removed, how many files
+ * were written, and the files that could not be read
+ */
+router.post('/sync', async (req, res) => {
+  if (!journal) {
+    return res.status(409).json({ error: 'Journal sync is off: set JOURNAL_DIR to the journal folder' });
+  }
+
+  try {
+    const report = startError ? await startJournal() : await journal.sync();
+    logReport(report);
+    res.json(report);
+  } catch (error) {
+    console.error('Error syncing journal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Set up the /api/journal routes, and start syncing the journal folder
+ * @param {EventManager} eventManager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (eventManager) => {
+  if (process.env.JOURNAL_DIR) {
+    journal = new JournalSync(eventManager, { dir: process.env.JOURNAL_DIR });
+    // The rest of the server keeps running without it
+    startJournal().then(logReport, (error) => {
+      console.error('❌ Failed to start journal sync:', error);
+    });
+  }
+
+  return router;
+};
@@ -4,10 +4,6 @@ const fs = require('fs').promises;
 const path = require('path');
 const { spawn } = require('child_process');
 const cron = require('node-cron');
-const EventManager = require('../../lib/eventManager');
-
-// Initialize event manager
-const eventManager = new EventManager();
 
 // Plugin directory
 const PLUGIN_DIR = './plugins';
@@ -358,12 +354,13 @@ async function runPlugin(config) {
   // const event = {
   //   timestamp: new Date().toISOString(),
   //   source: '${name}',
+  //   external_id: 'id-in-the-source-system', // re-runs update instead of duplicating
   //   type: 'plugin.event',
   //   title: 'Plugin Event',
   //   metadata: { plugin: '${name}' }
   // };
   // 
-  // await eventManager.createEvent(event);
+  // await eventManager.upsertEvent(event);
   
   console.log('${name} plugin completed');
 }
@@ -400,7 +397,9 @@ async function runPlugin(pluginId, mainPath, config, args = {}) {
       env: {
         ...process.env,
         PLUGIN_CONFIG: JSON.stringify(config),
-        PLUGIN_ARGS: JSON.stringify(args)
+        PLUGIN_ARGS: JSON.stringify(args),
+        // Attributes changes made through EventManager to this plugin
+        LIFEOS_ACTOR: `plugin:${pluginId}`
       }
     });
     
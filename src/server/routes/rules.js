@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const cron = require('node-cron');
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+async function evaluateRules() {
+  try {
+    const results = await eventManager.evaluateRules();
+    results.forEach(({ rule, firings }) => {
+      const created = firings.filter(firing => firing.status === 'created').length;
+      const failed = firings.filter(firing => firing.status === 'failed');
+      if (created > 0) {
+        console.log(`⚙️ Rule ${rule.name} created ${created} event(s)`);
+      }
+      failed.forEach(firing => console.error(`Rule ${rule.name} failed for ${firing.key}:`, firing.error));
+    });
+  } catch (error) {
+    console.error('Error evaluating rules:', error);
+  }
+}
+
+// Unknown rules are 404s; bad definitions, queries and dates are 400s
+const sendError = (res, error) => {
+  if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else if (/^Invalid /.test(error.message)) {
+    res.status(400).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * GET /api/rules
+ * List rules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await eventManager.listRules();
+    res.json({ rules });
+  } catch (error) {
+    console.error('Error getting rules:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/rules
+ * Create a rule: `{ name, match, at, count, per, timezone, emit, enabled }`
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rule = await eventManager.createRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/rules/dry-run
+ * Try out an unsaved rule on past events: `{ rule, startDate, endDate }`.
+ * Nothing is written.
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { rule, startDate, endDate } = req.body;
+    const result = await eventManager.dryRunRule(rule, { startDate, endDate });
+    res.json(result);
+  } catch (error) {
+    console.error('Error dry-running rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/rules/:id
+ * Get a rule
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await eventManager.getRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error getting rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/rules/:id/dry-run
+ * What a rule would create from past events, and what it already created;
+ * takes `startDate` and `endDate` (every event up to now by default)
+ */
+router.get('/:id/dry-run', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const result = await eventManager.dryRunRule(req.params.id, { startDate, endDate });
+    res.json(result);
+  } catch (error) {
+    console.error('Error dry-running rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/rules/:id/run
+ * Fire a rule over past events: `{ startDate, endDate }`
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body;
+    const result = await eventManager.runRule(req.params.id, { startDate, endDate });
+    res.json(result);
+  } catch (error) {
+    console.error('Error running rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/rules/:id
+ * Update a rule
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await eventManager.updateRule(req.params.id, req.body);
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/rules/:id
+ * Delete a rule; the events it created are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await eventManager.deleteRule(req.params.id);
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Set up the /api/rules routes, and evaluate rules now (catching up on
+ * triggers that could not fire when their events were written) and every
+ * quarter hour
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+
+  evaluateRules();
+  cron.schedule('*/15 * * * *', evaluateRules);
+
+  return router;
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { normalizeActor } = require('../../lib/revisions');
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+const getActor = (req) => normalizeActor(req.get('X-LifeOS-Actor'), 'api');
+
+/**
+ * GET /api/tags
+ * List tags with event counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tags = await eventManager.getTags();
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/tags/tree
+ * List tags nested by their `/` hierarchy
+ */
+router.get('/tree', async (req, res) => {
+  try {
+    const tree = await eventManager.getTagTree();
+    res.json({ tree });
+  } catch (error) {
+    console.error('Error getting tag tree:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tags/rename
+ * Rename a tag and its descendants; body is `{ from, to }`
+ */
+router.post('/rename', async (req, res) => {
+  try {
+    const { from, to } = req.body;
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both from and to are required' });
+    }
+
+    const updated = await eventManager.renameTag(from, to, { actor: getActor(req) });
+    res.json({ message: 'Tag renamed', updated });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid tags')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * POST /api/tags/merge
+ * Merge several tags into one; body is `{ sources: [...], target }`
+ */
+router.post('/merge', async (req, res) => {
+  try {
+    const { sources, target } = req.body;
+
+    if (!Array.isArray(sources) || sources.length === 0 || !target) {
+      return res.status(400).json({ error: 'A list of sources and a target are required' });
+    }
+
+    const updated = await eventManager.mergeTags(sources, target, { actor: getActor(req) });
+    res.json({ message: 'Tags merged', updated });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    if (error.message.includes('Invalid tags')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Set up the /api/tags routes
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+  return router;
+};
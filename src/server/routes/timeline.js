@@ -1,52 +1,130 @@
 const express = require('express');
 const router = express.Router();
-const EventManager = require('../../lib/eventManager');
 const moment = require('moment');
+const { eventInterval, clipInterval, coveredDuration } = require('../../lib/intervals');
+const {
+  EVENT_ZONE,
+  parseTimelineZone,
+  serverZone,
+  toWallClock,
+  fromWallClock,
+  parseWallClock,
+  localBuckets
+} = require('../../lib/timezones');
+
+// Largest UTC offset in use, for widening queries when every event keeps its own zone
+const MAX_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+// Filter query and location errors are the caller's to fix; filter query
+// errors also say where the problem is
+const sendError = (res, error) => {
+  if (/^Invalid (filter query|near|radius|bbox|tz|date)/.test(error.message)) {
+    return res.status(400).json({ error: error.message, position: error.position, length: error.length });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Location filters shared by every timeline route
+const placeOptions = ({ near, radius, bbox }) => ({ near, radius, bbox });
+
+/**
+ * The zone a route reads its dates in and the current local time there.
+ * `tz=event` groups each event by its own zone; dates are then read in the
+ * server's zone.
+ */
+const getClock = (tz) => {
+  const zone = parseTimelineZone(tz);
+  const viewZone = zone === EVENT_ZONE ? serverZone() : zone;
+
+  return {
+    zone,
+    now: toWallClock(Date.now(), viewZone),
+    parse: (value) => {
+      const time = parseWallClock(value, viewZone);
+      if (!time.isValid()) {
+        throw new Error(`Invalid date: "${value}"`);
+      }
+      return time;
+    }
+  };
+};
 
-// Initialize event manager
-const eventManager = new EventManager();
-
-// Initialize database on startup
-let isInitialized = false;
-eventManager.initialize()
-  .then(() => {
-    isInitialized = true;
-    console.log('✅ Timeline EventManager initialized successfully');
-  })
-  .catch((error) => {
-    console.error('❌ Failed to initialize Timeline EventManager:', error);
-    process.exit(1);
+/**
+ * Get the events touching a local period. With tz=event the period is read
+ * in each event's own zone, so the query is widened by the largest offsets
+ * and events that miss their own local period are dropped.
+ */
+const getPeriodEvents = async (period, options) => {
+  const bounds = period.zone === EVENT_ZONE
+    ? { start: period.start.valueOf() - MAX_OFFSET_MS, end: period.end.valueOf() + MAX_OFFSET_MS }
+    : periodBounds(period, period.zone);
+
+  const events = await eventManager.getEvents({
+    ...options,
+    overlapStart: new Date(bounds.start).toISOString(),
+    overlapEnd: new Date(bounds.end).toISOString()
   });
 
-// Middleware to ensure database is initialized
-const ensureInitialized = (req, res, next) => {
-  if (!isInitialized) {
-    return res.status(503).json({ error: 'Database is initializing, please try again' });
-  }
-  next();
+  return period.zone === EVENT_ZONE ? events.filter(event => eventSpan(event, period)) : events;
+};
+
+/**
+ * The habit occurrences expected in a period, across every habit, each
+ * with its status (see lib/habits.js)
+ */
+const getPeriodOccurrences = async (period) => {
+  const bounds = periodBounds(period, period.zone === EVENT_ZONE ? serverZone() : period.zone);
+  const report = await eventManager.getHabitReport({
+    startDate: new Date(bounds.start).toISOString(),
+    endDate: new Date(bounds.end).toISOString()
+  });
+
+  return report
+    .flatMap(({ habit, occurrences }) => occurrences.map(occurrence => ({ habit_id: habit.id, name: habit.name, ...occurrence })))
+    .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
 };
 
 /**
  * GET /api/timeline
- * Get timeline view with optional date range
+ * Get timeline view with optional date range. Every timeline route also
+ * takes a `q` filter query, e.g. `type:music.* -tag:work`, and the location
+ * filters of GET /api/events: `near=lat,lng`, `radius` and `bbox`.
+ * Routes include every event whose span touches their period, and events
+ * with an end time appear in each bucket they span.
+ *
+ * Days, hours and weeks are local to `tz`: an IANA zone (`Europe/Berlin`),
+ * an offset (`+02:00`) or `event` for each event's own zone; the server's
+ * zone by default. Dates without an offset are read as local times.
+ *
+ * The daily, weekly and monthly views also list the habit occurrences
+ * expected in their period under `habits`.
  */
-router.get('/', ensureInitialized, async (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const {
+      q,
       startDate,
       endDate,
       source,
       type,
+      tz,
       groupBy = 'day' // day, week, month
     } = req.query;
+    const clock = getClock(tz);
 
     // Default to last 30 days if no date range provided
-    const defaultStartDate = moment().subtract(30, 'days').toISOString();
-    const defaultEndDate = moment().toISOString();
-
-    const events = await eventManager.getEvents({
-      startDate: startDate || defaultStartDate,
-      endDate: endDate || defaultEndDate,
+    const period = {
+      start: startDate ? clock.parse(startDate) : clock.now.clone().subtract(30, 'days'),
+      end: endDate ? clock.parse(endDate) : clock.now,
+      zone: clock.zone
+    };
+
+    const events = await getPeriodEvents(period, {
+      q,
+      ...placeOptions(req.query),
       source,
       type,
       orderBy: 'timestamp ASC',
@@ -54,20 +132,21 @@ router.get('/', ensureInitialized, async (req, res) => {
     });
 
     // Group events by time period
-    const groupedEvents = groupEventsByPeriod(events, groupBy);
+    const groupedEvents = groupEventsByPeriod(events, groupBy, period);
 
     res.json({
       events,
       grouped: groupedEvents,
       period: {
-        startDate: startDate || defaultStartDate,
-        endDate: endDate || defaultEndDate,
-        groupBy
+        startDate: startDate || formatWallClock(period.start),
+        endDate: endDate || formatWallClock(period.end),
+        groupBy,
+        tz: clock.zone
       }
     });
   } catch (error) {
     console.error('Error getting timeline:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -75,33 +154,35 @@ router.get('/', ensureInitialized, async (req, res) => {
  * GET /api/timeline/daily
  * Get daily timeline view
  */
-router.get('/daily', ensureInitialized, async (req, res) => {
+router.get('/daily', async (req, res) => {
   try {
-    const { date } = req.query;
-    const targetDate = date ? moment(date) : moment();
+    const { date, q, tz } = req.query;
+    const clock = getClock(tz);
+    const targetDate = date ? clock.parse(date) : clock.now;
     
-    const startDate = targetDate.startOf('day').toISOString();
-    const endDate = targetDate.endOf('day').toISOString();
+    const period = { start: targetDate.clone().startOf('day'), end: targetDate.clone().endOf('day'), zone: clock.zone };
 
-    const events = await eventManager.getEvents({
-      startDate,
-      endDate,
+    const events = await getPeriodEvents(period, {
+      q,
+      ...placeOptions(req.query),
       orderBy: 'timestamp ASC',
       limit: 100
     });
 
     // Group by hour
-    const hourlyEvents = groupEventsByHour(events);
+    const hourlyEvents = groupEventsByHour(events, period);
 
     res.json({
       date: targetDate.format('YYYY-MM-DD'),
+      tz: clock.zone,
       events,
       hourly: hourlyEvents,
-      summary: generateDailySummary(events)
+      habits: await getPeriodOccurrences(period),
+      summary: generateDailySummary(events, period)
     });
   } catch (error) {
     console.error('Error getting daily timeline:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -109,33 +190,35 @@ router.get('/daily', ensureInitialized, async (req, res) => {
  * GET /api/timeline/weekly
  * Get weekly timeline view
  */
-router.get('/weekly', ensureInitialized, async (req, res) => {
+router.get('/weekly', async (req, res) => {
   try {
-    const { week } = req.query;
-    const targetWeek = week ? moment(week) : moment();
+    const { week, q, tz } = req.query;
+    const clock = getClock(tz);
+    const targetWeek = week ? clock.parse(week) : clock.now;
     
-    const startDate = targetWeek.startOf('week').toISOString();
-    const endDate = targetWeek.endOf('week').toISOString();
+    const period = { start: targetWeek.clone().startOf('week'), end: targetWeek.clone().endOf('week'), zone: clock.zone };
 
-    const events = await eventManager.getEvents({
-      startDate,
-      endDate,
+    const events = await getPeriodEvents(period, {
+      q,
+      ...placeOptions(req.query),
       orderBy: 'timestamp ASC',
       limit: 500
     });
 
     // Group by day
-    const dailyEvents = groupEventsByDay(events);
+    const dailyEvents = groupEventsByDay(events, period);
 
     res.json({
       week: targetWeek.format('YYYY-[W]WW'),
+      tz: clock.zone,
       events,
       daily: dailyEvents,
-      summary: generateWeeklySummary(events)
+      habits: await getPeriodOccurrences(period),
+      summary: generateWeeklySummary(events, period)
     });
   } catch (error) {
     console.error('Error getting weekly timeline:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -143,33 +226,35 @@ router.get('/weekly', ensureInitialized, async (req, res) => {
  * GET /api/timeline/monthly
  * Get monthly timeline view
  */
-router.get('/monthly', ensureInitialized, async (req, res) => {
+router.get('/monthly', async (req, res) => {
   try {
-    const { month } = req.query;
-    const targetMonth = month ? moment(month) : moment();
+    const { month, q, tz } = req.query;
+    const clock = getClock(tz);
+    const targetMonth = month ? clock.parse(month) : clock.now;
     
-    const startDate = targetMonth.startOf('month').toISOString();
-    const endDate = targetMonth.endOf('month').toISOString();
+    const period = { start: targetMonth.clone().startOf('month'), end: targetMonth.clone().endOf('month'), zone: clock.zone };
 
-    const events = await eventManager.getEvents({
-      startDate,
-      endDate,
+    const events = await getPeriodEvents(period, {
+      q,
+      ...placeOptions(req.query),
       orderBy: 'timestamp ASC',
       limit: 1000
     });
 
     // Group by week
-    const weeklyEvents = groupEventsByWeek(events);
+    const weeklyEvents = groupEventsByWeek(events, period);
 
     res.json({
       month: targetMonth.format('YYYY-MM'),
+      tz: clock.zone,
       events,
       weekly: weeklyEvents,
-      summary: generateMonthlySummary(events)
+      habits: await getPeriodOccurrences(period),
+      summary: generateMonthlySummary(events, period)
     });
   } catch (error) {
     console.error('Error getting monthly timeline:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -177,72 +262,114 @@ router.get('/monthly', ensureInitialized, async (req, res) => {
  * GET /api/timeline/activity
  * Get activity heatmap data
  */
-router.get('/activity', ensureInitialized, async (req, res) => {
+router.get('/activity', async (req, res) => {
   try {
-    const { startDate, endDate, source, type } = req.query;
+    const { q, startDate, endDate, source, type, tz } = req.query;
+    const clock = getClock(tz);
     
-    const defaultStartDate = moment().subtract(90, 'days').toISOString();
-    const defaultEndDate = moment().toISOString();
-
-    const events = await eventManager.getEvents({
-      startDate: startDate || defaultStartDate,
-      endDate: endDate || defaultEndDate,
+    const period = {
+      start: startDate ? clock.parse(startDate) : clock.now.clone().subtract(90, 'days'),
+      end: endDate ? clock.parse(endDate) : clock.now,
+      zone: clock.zone
+    };
+
+    const events = await getPeriodEvents(period, {
+      q,
+      ...placeOptions(req.query),
       source,
       type,
       limit: 5000
     });
 
-    const activityData = generateActivityHeatmap(events);
+    const activityData = generateActivityHeatmap(events, period);
 
     res.json({
       activity: activityData,
       period: {
-        startDate: startDate || defaultStartDate,
-        endDate: endDate || defaultEndDate
+        startDate: startDate || formatWallClock(period.start),
+        endDate: endDate || formatWallClock(period.end),
+        tz: clock.zone
       }
     });
   } catch (error) {
     console.error('Error getting activity data:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Helper functions
 
-function groupEventsByPeriod(events, groupBy) {
+const PERIOD_FORMATS = {
+  hour: 'YYYY-MM-DD HH:00',
+  day: 'YYYY-MM-DD',
+  week: 'YYYY-[W]WW',
+  month: 'YYYY-MM'
+};
+
+function formatWallClock(wall) {
+  return wall.format('YYYY-MM-DDTHH:mm:ss.SSS');
+}
+
+// The zone an event is grouped in
+function zoneOf(event, zone) {
+  return zone === EVENT_ZONE ? event.timezone || serverZone() : zone;
+}
+
+/**
+ * The instants a local period starts and ends at in a zone
+ * @returns {Object} `{ start, end }` in milliseconds; `end` is the last one in the period
+ */
+function periodBounds(period, zone) {
+  return { start: fromWallClock(period.start, zone), end: fromWallClock(period.end, zone) };
+}
+
+/**
+ * The part of an event inside a period, in the zone it is grouped by
+ * @returns {Object|null} `{ from, to, zone }` in milliseconds (inclusive), or
+ *   null if the event misses the period
+ */
+function eventSpan(event, period) {
+  const zone = zoneOf(event, period.zone);
+  const bounds = periodBounds(period, zone);
+  const { start, end } = eventInterval(event);
+
+  const from = Math.max(start, bounds.start);
+  // Spans are half-open: a meeting ending at 11:00 is not in the 11:00 bucket
+  const to = Math.min(end > start ? end - 1 : end, bounds.end);
+  return from <= to ? { from, to, zone } : null;
+}
+
+/**
+ * The buckets an event belongs in: every local hour (or day) its span
+ * touches inside the period, formatted as bucket keys
+ */
+function spanKeys(event, period, format, step = 'day') {
+  const span = eventSpan(event, period);
+  return span ? localBuckets(span.from, span.to, span.zone, format, step) : [];
+}
+
+// The local time an event started at
+function localStart(event, zone) {
+  return toWallClock(Date.parse(event.timestamp), zoneOf(event, zone));
+}
+
+function groupEventsByPeriod(events, groupBy, period) {
   const grouped = {};
+  const format = PERIOD_FORMATS[groupBy] || PERIOD_FORMATS.day;
   
   events.forEach(event => {
-    const date = moment(event.timestamp);
-    let key;
-    
-    switch (groupBy) {
-      case 'hour':
-        key = date.format('YYYY-MM-DD HH:00');
-        break;
-      case 'day':
-        key = date.format('YYYY-MM-DD');
-        break;
-      case 'week':
-        key = date.format('YYYY-[W]WW');
-        break;
-      case 'month':
-        key = date.format('YYYY-MM');
-        break;
-      default:
-        key = date.format('YYYY-MM-DD');
-    }
-    
-    if (!grouped[key]) {
-      grouped[key] = [];
-    }
-    grouped[key].push(event);
+    spanKeys(event, period, format, groupBy === 'hour' ? 'hour' : 'day').forEach(key => {
+      if (!grouped[key]) {
+        grouped[key] = [];
+      }
+      grouped[key].push(event);
+    });
   });
   
   return grouped;
 }
 
-function groupEventsByHour(events) {
+function groupEventsByHour(events, period) {
   const hourly = {};
   
   for (let hour = 0; hour < 24; hour++) {
@@ -251,14 +378,13 @@ function groupEventsByHour(events) {
   }
   
   events.forEach(event => {
-    const hour = moment(event.timestamp).format('HH');
-    hourly[hour].push(event);
+    spanKeys(event, period, 'HH', 'hour').forEach(hour => hourly[hour].push(event));
   });
   
   return hourly;
 }
 
-function groupEventsByDay(events) {
+function groupEventsByDay(events, period) {
   const daily = {};
   
   for (let day = 0; day < 7; day++) {
@@ -267,34 +393,36 @@ function groupEventsByDay(events) {
   }
   
   events.forEach(event => {
-    const dayName = moment(event.timestamp).format('dddd');
-    daily[dayName].push(event);
+    spanKeys(event, period, 'dddd').forEach(dayName => daily[dayName].push(event));
   });
   
   return daily;
 }
 
-function groupEventsByWeek(events) {
+function groupEventsByWeek(events, period) {
   const weekly = {};
   
   events.forEach(event => {
-    const weekKey = moment(event.timestamp).format('YYYY-[W]WW');
-    if (!weekly[weekKey]) {
-      weekly[weekKey] = [];
-    }
-    weekly[weekKey].push(event);
+    spanKeys(event, period, 'YYYY-[W]WW').forEach(weekKey => {
+      if (!weekly[weekKey]) {
+        weekly[weekKey] = [];
+      }
+      weekly[weekKey].push(event);
+    });
   });
   
   return weekly;
 }
 
-function generateDailySummary(events) {
+function generateDailySummary(events, period) {
   const summary = {
     total: events.length,
     bySource: {},
     byType: {},
     mood: { average: 0, count: 0 },
-    duration: { total: 0, count: 0 }
+    duration: { total: 0, count: 0 },
+    // Seconds of the period spent in events, overlapping events counted once
+    time: { total: 0, byType: {} }
   };
   
   events.forEach(event => {
@@ -320,35 +448,47 @@ function generateDailySummary(events) {
   if (summary.mood.count > 0) {
     summary.mood.average = summary.mood.average / summary.mood.count;
   }
+
+  // Each period ends on its last millisecond
+  const spans = events.map(event => {
+    const bounds = periodBounds(period, zoneOf(event, period.zone));
+    return { type: event.type, ...clipInterval(event, bounds.start, bounds.end + 1) };
+  });
+  const seconds = (intervals) => Math.round(coveredDuration(intervals) / 1000);
+
+  summary.time.total = seconds(spans);
+  Object.keys(summary.byType).forEach(type => {
+    summary.time.byType[type] = seconds(spans.filter(span => span.type === type));
+  });
   
   return summary;
 }
 
-function generateWeeklySummary(events) {
-  const summary = generateDailySummary(events);
+function generateWeeklySummary(events, period) {
+  const summary = generateDailySummary(events, period);
   
   // Add weekly-specific metrics
-  summary.uniqueDays = new Set(events.map(e => moment(e.timestamp).format('YYYY-MM-DD'))).size;
-  summary.mostActiveDay = getMostActiveDay(events);
+  summary.uniqueDays = new Set(events.map(e => localStart(e, period.zone).format('YYYY-MM-DD'))).size;
+  summary.mostActiveDay = getMostActiveDay(events, period.zone);
   
   return summary;
 }
 
-function generateMonthlySummary(events) {
-  const summary = generateDailySummary(events);
+function generateMonthlySummary(events, period) {
+  const summary = generateDailySummary(events, period);
   
   // Add monthly-specific metrics
-  summary.uniqueWeeks = new Set(events.map(e => moment(e.timestamp).format('YYYY-[W]WW'))).size;
-  summary.mostActiveWeek = getMostActiveWeek(events);
+  summary.uniqueWeeks = new Set(events.map(e => localStart(e, period.zone).format('YYYY-[W]WW'))).size;
+  summary.mostActiveWeek = getMostActiveWeek(events, period.zone);
   
   return summary;
 }
 
-function getMostActiveDay(events) {
+function getMostActiveDay(events, zone) {
   const dayCounts = {};
   
   events.forEach(event => {
-    const day = moment(event.timestamp).format('dddd');
+    const day = localStart(event, zone).format('dddd');
     dayCounts[day] = (dayCounts[day] || 0) + 1;
   });
   
@@ -356,11 +496,11 @@ function getMostActiveDay(events) {
     .sort(([,a], [,b]) => b - a)[0]?.[0] || 'Unknown';
 }
 
-function getMostActiveWeek(events) {
+function getMostActiveWeek(events, zone) {
   const weekCounts = {};
   
   events.forEach(event => {
-    const week = moment(event.timestamp).format('YYYY-[W]WW');
+    const week = localStart(event, zone).format('YYYY-[W]WW');
     weekCounts[week] = (weekCounts[week] || 0) + 1;
   });
   
@@ -368,15 +508,24 @@ function getMostActiveWeek(events) {
     .sort(([,a], [,b]) => b - a)[0]?.[0] || 'Unknown';
 }
 
-function generateActivityHeatmap(events) {
+function generateActivityHeatmap(events, period) {
   const heatmap = {};
   
   events.forEach(event => {
-    const date = moment(event.timestamp).format('YYYY-MM-DD');
-    heatmap[date] = (heatmap[date] || 0) + 1;
+    spanKeys(event, period, 'YYYY-MM-DD').forEach(date => {
+      heatmap[date] = (heatmap[date] || 0) + 1;
+    });
   });
   
   return heatmap;
 }
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * Set up the /api/timeline routes
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+  return router;
+};
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { normalizeActor } = require('../../lib/revisions');
+
+// Passed in by the server once it is initialized (see src/server/index.js)
+let eventManager;
+
+const getActor = (req) => normalizeActor(req.get('X-LifeOS-Actor'), 'api');
+
+/**
+ * GET /api/types
+ * List event types, built-in and registered, with their descriptions and
+ * metadata schemas
+ */
+router.get('/', async (req, res) => {
+  try {
+    const types = await eventManager.getEventTypes();
+    res.json({ types });
+  } catch (error) {
+    console.error('Error getting event types:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/types/:type
+ * Describe one event type
+ */
+router.get('/:type', async (req, res) => {
+  try {
+    const type = await eventManager.getEventType(req.params.type);
+
+    if (!type) {
+      return res.status(404).json({ error: 'Event type not found' });
+    }
+
+    res.json(type);
+  } catch (error) {
+    console.error('Error getting event type:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/types
+ * Register a type, or replace its definition: `{ type, description, schema }`,
+ * where `schema` is a JSON Schema for the metadata of its events
+ */
+router.post('/', async (req, res) => {
+  try {
+    const type = await eventManager.registerEventType(req.body, { actor: getActor(req) });
+    res.status(201).json(type);
+  } catch (error) {
+    console.error('Error registering event type:', error);
+    if (error.message.includes('belongs to')) {
+      res.status(409).json({ error: error.message });
+    } else if (error.message.includes('Invalid type')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * DELETE /api/types/:type
+ * Remove a registered type; its events are kept
+ */
+router.delete('/:type', async (req, res) => {
+  try {
+    await eventManager.unregisterEventType(req.params.type);
+    res.json({ message: 'Event type removed' });
+  } catch (error) {
+    console.error('Error removing event type:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Set up the /api/types routes
+ * @param {EventManager} manager - The server's initialized event manager
+ * @returns {express.Router} The router
+ */
+module.exports = (manager) => {
+  eventManager = manager;
+  return router;
+};
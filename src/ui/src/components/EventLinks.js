@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import moment from 'moment';
+import { ArrowRight, ArrowLeft } from 'lucide-react';
+
+function LinkList({ title, icon: Icon, items, emptyText }) {
+  return (
+    <div>
+      <h5 className="flex items-center text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">
+        <Icon className="h-3 w-3 mr-1" />
+        {title} ({items.length})
+      </h5>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-400">{emptyText}</p>
+      ) : (
+        <ul className="space-y-1">
+          {items.map((item) => (
+            <li key={item.uri} className="flex items-center space-x-2 text-sm">
+              {item.relation && (
+                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                  {item.relation}
+                </span>
+              )}
+              {item.event ? (
+                <>
+                  <span className="text-gray-900">{item.event.title}</span>
+                  <span className="text-gray-500">
+                    {item.event.type} · {moment(item.event.timestamp).format('MMM D, YYYY')}
+                  </span>
+                </>
+              ) : (
+                <span className="text-gray-400 break-all" title="Not a stored event">{item.uri}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function EventLinks({ eventId }) {
+  const [links, setLinks] = useState([]);
+  const [backlinks, setBacklinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchLinks = async () => {
+      try {
+        const [linksResponse, backlinksResponse] = await Promise.all([
+          axios.get(`/api/events/${eventId}/links`),
+          axios.get(`/api/events/${eventId}/backlinks`)
+        ]);
+        if (!cancelled) {
+          setLinks(linksResponse.data.links);
+          setBacklinks(backlinksResponse.data.backlinks);
+        }
+      } catch (err) {
+        console.error('Error fetching links:', err);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchLinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [eventId]);
+
+  if (loading) {
+    return <p className="mt-3 text-sm text-gray-400">Loading links...</p>;
+  }
+
+  return (
+    <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4 bg-gray-50 rounded-md p-3">
+      <LinkList title="Links to" icon={ArrowRight} items={links} emptyText="No outgoing links" />
+      <LinkList title="Linked from" icon={ArrowLeft} items={backlinks} emptyText="No backlinks" />
+    </div>
+  );
+}
+
+export default EventLinks;
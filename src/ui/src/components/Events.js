@@ -1,12 +1,16 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import moment from 'moment';
-import { Plus, Search, Filter, Calendar, Tag } from 'lucide-react';
+import { Plus, Search, Filter, Calendar, Tag, Trash2, RotateCcw, Link2 } from 'lucide-react';
+import EventLinks from './EventLinks';
 
 function Events() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState({ events: [], retentionDays: null });
+  const [openLinks, setOpenLinks] = useState(null);
   const [filters, setFilters] = useState({
     source: '',
     type: '',
@@ -40,10 +44,28 @@ function Events() {
     }
   }, [filters]);
 
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/events/trash', { params: { limit: 100 } });
+      setTrash({
+        events: response.data.events,
+        retentionDays: response.data.retentionDays
+      });
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+    }
+  }, []);
+
   useEffect(() => {
     fetchEvents();
   }, [fetchEvents]);
 
+  useEffect(() => {
+    if (showTrash) {
+      fetchTrash();
+    }
+  }, [showTrash, fetchTrash]);
+
   const handleCreateEvent = async (e) => {
     e.preventDefault();
     
@@ -76,16 +98,41 @@ function Events() {
   };
 
   const handleDeleteEvent = async (eventId) => {
+    // Deleted events go to the trash, so no confirmation is needed
+    try {
+      await axios.delete(`/api/events/${eventId}`);
+      fetchEvents();
+      if (showTrash) {
+        fetchTrash();
+      }
+    } catch (err) {
+      console.error('Error deleting event:', err);
+      alert('Failed to delete event');
+    }
+  };
+
+  const handleRestoreEvent = async (eventId) => {
+    try {
+      await axios.post(`/api/events/${eventId}/restore`);
+      fetchTrash();
+      fetchEvents();
+    } catch (err) {
+      console.error('Error restoring event:', err);
+      alert('Failed to restore event');
+    }
+  };
+
+  const handlePurgeEvent = async (eventId) => {
     // eslint-disable-next-line no-restricted-globals
-    if (!confirm('Are you sure you want to delete this event?')) {
+    if (!confirm('Permanently delete this event? This cannot be undone from the trash.')) {
       return;
     }
 
     try {
-      await axios.delete(`/api/events/${eventId}`);
-      fetchEvents();
+      await axios.delete(`/api/events/trash/${eventId}`);
+      fetchTrash();
     } catch (err) {
-      console.error('Error deleting event:', err);
+      console.error('Error deleting event permanently:', err);
       alert('Failed to delete event');
     }
   };
@@ -106,15 +153,88 @@ function Events() {
           <h1 className="text-2xl font-bold text-gray-900">Events</h1>
           <p className="text-gray-600">Manage your life events</p>
         </div>
-        <button
-          onClick={() => setShowCreateForm(true)}
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Add Event
-        </button>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setShowTrash(!showTrash)}
+            className={`inline-flex items-center px-4 py-2 border text-sm font-medium rounded-md ${
+              showTrash
+                ? 'border-red-300 bg-red-50 text-red-700 hover:bg-red-100'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <Trash2 className="h-4 w-4 mr-2" />
+            Trash
+          </button>
+          <button
+            onClick={() => setShowCreateForm(true)}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Event
+          </button>
+        </div>
       </div>
 
+      {/* Trash */}
+      {showTrash && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">
+              Trash ({trash.events.length})
+            </h3>
+            <p className="text-sm text-gray-500">
+              {trash.retentionDays > 0
+                ? `Deleted events are permanently removed after ${trash.retentionDays} days.`
+                : 'Deleted events are kept until you remove them.'}
+            </p>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {trash.events.length === 0 ? (
+              <div className="px-6 py-8 text-center text-sm text-gray-500">
+                The trash is empty.
+              </div>
+            ) : (
+              trash.events.map((event) => (
+                <div key={event.id} className="px-6 py-4 flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-2">
+                      <h4 className="text-sm font-medium text-gray-900">{event.title}</h4>
+                      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                        {event.source}
+                      </span>
+                      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                        {event.type}
+                      </span>
+                    </div>
+                    <div className="mt-1 text-sm text-gray-500">
+                      Deleted {moment(event.deleted_at).fromNow()}
+                      {event.purge_at && ` · removed for good ${moment(event.purge_at).fromNow()}`}
+                    </div>
+                  </div>
+
+                  <div className="ml-4 flex items-center space-x-4">
+                    <button
+                      onClick={() => handleRestoreEvent(event.id)}
+                      className="inline-flex items-center text-indigo-600 hover:text-indigo-800 text-sm"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-1" />
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurgeEvent(event.id)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Delete forever
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="bg-white rounded-lg shadow p-6">
         <div className="flex items-center space-x-4 mb-4">
@@ -331,21 +451,34 @@ function Events() {
                     
                     {event.metadata && Object.keys(event.metadata).length > 0 && (
                       <div className="mt-2 text-sm text-gray-600">
-                        {Object.entries(event.metadata).map(([key, value]) => (
-                          <div key={key}>
-                            <span className="font-medium">{key}:</span> {String(value)}
-                          </div>
-                        ))}
+                        {Object.entries(event.metadata)
+                          .filter(([key]) => key !== 'link_relations')
+                          .map(([key, value]) => (
+                            <div key={key}>
+                              <span className="font-medium">{key}:</span> {String(value)}
+                            </div>
+                          ))}
                       </div>
                     )}
+
+                    {openLinks === event.id && <EventLinks eventId={event.id} />}
                   </div>
                   
-                  <button
-                    onClick={() => handleDeleteEvent(event.id)}
-                    className="ml-4 text-red-600 hover:text-red-800 text-sm"
-                  >
-                    Delete
-                  </button>
+                  <div className="ml-4 flex items-center space-x-4">
+                    <button
+                      onClick={() => setOpenLinks(openLinks === event.id ? null : event.id)}
+                      className="inline-flex items-center text-indigo-600 hover:text-indigo-800 text-sm"
+                    >
+                      <Link2 className="h-4 w-4 mr-1" />
+                      Links
+                    </button>
+                    <button
+                      onClick={() => handleDeleteEvent(event.id)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
                 </div>
               </div>
             ))
@@ -3,9 +3,14 @@ import axios from 'axios';
 import moment from 'moment';
 import { Calendar, Clock, Tag, Filter, Search } from 'lucide-react';
 
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+const unescapeHTML = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity]);
+
 function Timeline() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [hasLoaded, setHasLoaded] = useState(false);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     source: '',
@@ -14,6 +19,8 @@ function Timeline() {
     endDate: moment().format('YYYY-MM-DD'),
     search: ''
   });
+  const [searchInput, setSearchInput] = useState('');
+  const [searchError, setSearchError] = useState(null);
   const [groupBy, setGroupBy] = useState('day');
   const [sources, setSources] = useState([]);
   const [types, setTypes] = useState([]);
@@ -29,14 +36,24 @@ function Timeline() {
         limit: 1000
       };
 
-      const response = await axios.get('/api/timeline', { params });
+      // Searches go through the full-text index, which ranks and highlights matches
+      const response = filters.search
+        ? await axios.get('/api/events/search', { params: { ...params, q: filters.search, limit: 200 } })
+        : await axios.get('/api/timeline', { params });
       setEvents(response.data.events);
       setError(null);
+      setSearchError(null);
     } catch (err) {
-      setError('Failed to load events');
+      if (filters.search && err.response && err.response.status === 400) {
+        setEvents([]);
+        setSearchError(err.response.data.error);
+      } else {
+        setError('Failed to load events');
+      }
       console.error('Error fetching events:', err);
     } finally {
       setLoading(false);
+      setHasLoaded(true);
     }
   };
 
@@ -46,6 +63,16 @@ function Timeline() {
     fetchTypes();
   }, [filters, groupBy]);
 
+  // Search once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(current => (current.search === searchInput.trim()
+        ? current
+        : { ...current, search: searchInput.trim() }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
   const fetchSources = async () => {
     try {
       const response = await axios.get('/api/events/sources');
@@ -140,19 +167,19 @@ function Timeline() {
     return colors[source] || 'bg-gray-100 text-gray-800';
   };
 
-  const filteredEvents = events.filter(event => {
-    if (filters.search) {
-      const searchText = `${event.title} ${event.source} ${event.type}`.toLowerCase();
-      if (!searchText.includes(filters.search.toLowerCase())) {
-        return false;
-      }
-    }
-    return true;
-  });
+  // Search snippets are escaped HTML that marks matches with <mark>; render
+  // them as elements and text, never as HTML
+  const renderSnippet = (snippet) => snippet
+    .split(/<mark>(.*?)<\/mark>/)
+    .map(unescapeHTML)
+    .map((part, index) => (index % 2 === 1
+      ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+      : part));
 
-  const groupedEvents = groupEventsByPeriod(filteredEvents, groupBy);
+  const groupedEvents = groupEventsByPeriod(events, groupBy);
 
-  if (loading) {
+  // Later reloads keep the page mounted so the search box keeps focus
+  if (loading && !hasLoaded) {
     return (
       <div className="flex items-center justify-center h-64">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
@@ -206,12 +233,15 @@ function Timeline() {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               <input
                 type="text"
-                value={filters.search}
-                onChange={(e) => setFilters({ ...filters, search: e.target.value })}
-                placeholder="Search events..."
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder='Search events... ("exact phrase", run*, OR, NOT)'
                 className="pl-10 w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
               />
             </div>
+            {searchError && (
+              <p className="mt-1 text-xs text-red-600">{searchError}</p>
+            )}
           </div>
 
           <div>
@@ -337,6 +367,12 @@ function Timeline() {
                                 </div>
                               )}
                             </div>
+
+                            {event.snippet && (
+                              <p className="mt-2 text-sm text-gray-700">
+                                {renderSnippet(event.snippet)}
+                              </p>
+                            )}
                             
                             {event.tags && event.tags.length > 0 && (
                               <div className="mt-2 flex flex-wrap gap-1">